@@ -183,9 +183,10 @@ const getSafetySettings = () => {
 
 // --- Importance Evaluation Prompts ---
 const IMPORTANCE_EVALUATION_BASE_PROMPT = `
-On a scale of 0 to 1, how likely is the following content to be important to remember for later recall? Consider the user's goals, emotional state, stated intentions, and the overall context.
+Assess how important the following content is to remember for later recall. Consider the user's goals, emotional state, stated intentions, and the overall context.
 
 Content Type: {CONTENT_TYPE}
+Language: {LANGUAGE}
 User ID: {USER_ID}
 Session ID: {SESSION_ID}
 
@@ -194,9 +195,27 @@ Content:
 {CONTENT}
 ---
 
+The user's most similar existing memories (for judging novelty):
+{SIMILAR_MEMORIES}
+
 {TYPE_SPECIFIC_GUIDANCE}
 
-Output ONLY a numeric value between 0 and 1 representing the importance (e.g., 0.7).
+The content may be in Chinese, English or a mix of both. Judge it by what it says, not by its language or length: a short Chinese sentence can carry as much as a long English one.
+
+Rate each factor from 0 to 1:
+- emotionalWeight: how emotionally significant it is to the user (strong feelings, meaningful events)
+- personalRelevance: how much it says about the user's life, identity, relationships, preferences or values
+- futureRelevance: how likely it is to matter later (plans, goals, commitments, facts the user will ask about)
+- novelty: how much it adds to the existing memories above (1 = entirely new, 0 = already known)
+
+Return ONLY a JSON object in this format:
+{
+  "emotionalWeight": 0.0,
+  "personalRelevance": 0.0,
+  "futureRelevance": 0.0,
+  "novelty": 0.0,
+  "rationale": "One or two sentences explaining the ratings, in English."
+}
 `;
 
 const IMPORTANCE_GUIDANCE = {
@@ -208,6 +227,98 @@ const IMPORTANCE_GUIDANCE = {
   default: "Evaluate based on general significance, emotional weight, relevance to goals, or factual nature that might be needed later.",
 };
 
+// --- PII Detection Prompt (memory pipeline) ---
+const PII_DETECTION_PROMPT = `
+Find personal data in the following text that should not be stored in a searchable memory:
+{TYPES}.
+Only report values that identify or give access to a real person or account (not examples, not public places).
+
+Text:
+---
+{CONTENT}
+---
+
+Return ONLY a JSON object in this format, copying each value exactly as it appears in the text:
+{"entities": [{"type": "<one of the types above>", "text": "<exact text>"}]}
+Use an empty array if there is nothing to report.
+`;
+
+// --- Entity Extraction Prompt (knowledge graph) ---
+const ENTITY_EXTRACTION_PROMPT = `
+Extract the entities and relationships stated in the following memory of a user, for their personal knowledge graph.
+Only use these entity types:
+{NODE_TYPES}
+
+Only use these relationship types (source type -> target type):
+{EDGE_TYPES}
+
+Refer to the user themselves (I, me, my, 我) as a Person named "{SELF_NAME}". Use the most specific name the text gives
+(e.g. "Mom", "Lily", "the piano recital"), in the language of the text. Return at most {MAX_ENTITIES} entities.
+Leave out anything that does not fit a type above; only if it matters to the user and no type comes close, describe the
+missing type under "newTypes" (entity types in PascalCase, relationship types in UPPER_SNAKE_CASE between existing entity types).
+
+Memory:
+---
+{CONTENT}
+---
+
+Return ONLY a JSON object in this format (confidence 0.0-1.0; relationships refer to entity names):
+{"entities": [{"name": "<name>", "type": "<entity type>", "description": "<one short sentence from the text>", "aliases": ["<other names used>"], "confidence": 0.9}],
+ "relationships": [{"source": "<entity name>", "type": "<relationship type>", "target": "<entity name>", "confidence": 0.8}],
+ "newTypes": [{"kind": "entity" or "relationship", "name": "<TypeName>", "description": "<what it covers>", "example": "<phrase from the text>", "source": "<entity type, relationships only>", "target": "<entity type, relationships only>"}]}
+`;
+
+// --- Subject Detection Prompt (memory pipeline) ---
+const SUBJECT_DETECTION_PROMPT = `
+Find the people other than the user that the following message of the user is about (e.g. their child, parent, partner,
+sibling, friend, teacher or colleague). Leave out people only named in passing and public figures.
+People the user has talked about before (reuse their names when the message refers to them):
+{KNOWN_SUBJECTS}
+
+Message:
+---
+{CONTENT}
+---
+
+Return ONLY a JSON object in this format, copying "mention" exactly as it appears in the message:
+{"subjects": [{"name": "<their name, or null if the message does not give one>", "relationship": "<one of: {RELATIONSHIPS}>", "mention": "<how the message refers to them, e.g. my daughter, 我妈妈>"}],
+ "primary": <index in "subjects" of the person the message is mainly about, or null if it is mainly about the user>}
+Return at most {MAX_SUBJECTS} subjects; use an empty array if the message is only about the user.
+`;
+
+// --- Emotion Tagging Prompt (memory pipeline) ---
+const EMOTION_TAGGING_PROMPT = `
+Rate the emotion the user expresses in each of the following numbered passages from their messages.
+- valence: -1.0 (very negative) to 1.0 (very positive); 0 for neutral or purely factual passages
+- arousal: 0.0 (calm, low energy) to 1.0 (intense, agitated)
+- emotions: up to {MAX_EMOTIONS} of: {EMOTIONS}; an empty array if none is clearly expressed
+
+Passages:
+{PASSAGES}
+
+Return ONLY a JSON object in this format, with one entry per passage:
+{"passages": [{"index": <passage number>, "valence": 0.0, "arousal": 0.0, "emotions": ["<emotion>"]}]}
+`;
+
+// --- Query Rewriting Prompt (memory retrieval) ---
+const QUERY_REWRITE_PROMPT = `
+You turn the latest message of a conversation into standalone search queries for a personal memory store.
+Resolve pronouns and references ("her", "that trip", "the second one") using the conversation so far.
+Keep names, places, dates and the language of the user. Do not answer the message.
+
+Conversation so far:
+---
+{HISTORY}
+---
+
+Latest user message:
+{MESSAGE}
+
+Return ONLY a JSON object in this format:
+{"query": "<one standalone search query>", "alternatives": ["<alternative phrasing or sub-question>", ...]}
+Return at most {MAX_ALTERNATIVES} alternatives (use an empty array if none are useful).
+`;
+
 // --- Image Analysis Prompts ---
 const DEFAULT_IMAGE_ANALYSIS_PROMPT = "Analyze the following image and provide a description.";
 const IMAGE_ANALYSIS_WITH_USER_MESSAGE_PROMPT = `In relation to the user's comment "{USER_MESSAGE}", analyze the following image and provide a relevant description or answer:`;
@@ -229,6 +340,27 @@ module.exports = {
   geminiModelName: process.env.GEMINI_MODEL_NAME || 'gemini-1.5-flash-latest',
   embeddingModelName: process.env.GEMINI_EMBEDDING_MODEL_NAME || 'text-embedding-004',
 
+  // Embedding model registry
+  // Every stored vector records the model that produced it; vectors of different models are never compared.
+  // Changing activeEmbeddingModel makes the re-embedding job migrate each user's chunks, episodes and thoughts.
+  // provider 'gemini' uses the Gemini API, 'local' runs the model on CPU (LocalEmbeddingProvider)
+  embeddingModels: {
+    'text-embedding-004': { provider: 'gemini', dimension: 768 },
+    'Xenova/all-MiniLM-L6-v2': { provider: 'local', dimension: 384 }, // English
+    'Xenova/paraphrase-multilingual-MiniLM-L12-v2': { provider: 'local', dimension: 384 }, // Multilingual incl. Chinese
+  },
+  activeEmbeddingModel: process.env.EMBEDDING_MODEL || process.env.GEMINI_EMBEDDING_MODEL_NAME || 'text-embedding-004',
+  reembeddingBatchSize: parseInt(process.env.REEMBEDDING_BATCH_SIZE, 10) || 50, // Texts embedded per provider call by the re-embedding job
+
+  // Local (CPU) embedding models
+  // Dependency: Used by LocalEmbeddingProvider when the active embedding model has provider 'local'
+  localEmbedding: {
+    cacheDir: process.env.LOCAL_EMBEDDING_CACHE_DIR || null, // Where model files are stored (transformers.js default when null)
+    allowRemoteModels: process.env.LOCAL_EMBEDDING_ALLOW_REMOTE !== 'false', // Set to false for fully offline deployments with pre-downloaded models
+    quantized: process.env.LOCAL_EMBEDDING_QUANTIZED !== 'false', // 8-bit weights: smaller and faster on CPU
+    batchSize: parseInt(process.env.LOCAL_EMBEDDING_BATCH_SIZE, 10) || 16, // Texts per forward pass
+  },
+
   // Generation configuration
   generationConfig: {
     temperature: 0.9,
@@ -258,15 +390,36 @@ module.exports = {
   // Importance Prompts
   importanceEvaluationBasePrompt: IMPORTANCE_EVALUATION_BASE_PROMPT,
   importanceGuidance: IMPORTANCE_GUIDANCE,
+  piiDetectionPrompt: PII_DETECTION_PROMPT,
+
+  // Knowledge Graph Prompts
+  entityExtractionPrompt: ENTITY_EXTRACTION_PROMPT,
+
+  // Subject Detection Prompt
+  subjectDetectionPrompt: SUBJECT_DETECTION_PROMPT,
+
+  // Emotion Tagging Prompt
+  emotionTaggingPrompt: EMOTION_TAGGING_PROMPT,
+
+  // Query Rewriting Prompt
+  queryRewritePrompt: QUERY_REWRITE_PROMPT,
 
   // Image Analysis Prompts
   defaultImageAnalysisPrompt: DEFAULT_IMAGE_ANALYSIS_PROMPT,
   imageAnalysisWithUserMessagePrompt: IMAGE_ANALYSIS_WITH_USER_MESSAGE_PROMPT,
 
+  // Prompt token budgets (counted with gpt-tokenizer, an approximation of the model's own tokenizer)
+  contextBudget: {
+    historyTokens: parseInt(process.env.HISTORY_TOKEN_BUDGET, 10) || 6000, // Oldest history messages are dropped beyond this
+    memoryTokens: parseInt(process.env.MEMORY_TOKEN_BUDGET, 10) || 2000, // Memory context block incl. its header
+    documentContextTokens: parseInt(process.env.DOCUMENT_CONTEXT_TOKEN_BUDGET, 10) || 12000, // Uploaded document text
+    fullDetailMemories: 3, // Top-ranked memories included in full; the rest are summarized
+    memorySummaryTokens: 80, // Size of a summarized memory's body
+  },
+
   // Other AI related constants
   conversationHistoryLimit: 20, // Increased limit for more context
   supportedImageExtensions: ['.jpg', '.jpeg', '.png', '.gif', '.webp'],
-  embeddingDimension: 1536, // Standard dimension for all embeddings throughout the system
 
   // Default analysis prompt for documents
   defaultDocumentAnalysisPrompt: `Please analyze or summarize the key points from the following document content:\n\n---\n{DOCUMENT_CONTENT}\n---
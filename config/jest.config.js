@@ -1,4 +1,19 @@
+const path = require('path');
+
+// This file lives in config/; test paths are relative to the repository root
+const repositoryRoot = path.resolve(__dirname, '..');
+
+// Shared by every project below (project configs do not inherit the top-level options)
+const sharedProjectConfig = {
+  rootDir: repositoryRoot,
+  testEnvironment: 'node',
+  setupFilesAfterEnv: ['<rootDir>/tests/helpers/jest.setup.js'],
+  // Archived suites target the pre-refactor services and are kept for reference only
+  testPathIgnorePatterns: ['/node_modules/', '/dist/', '/tests/Archive/'],
+};
+
 module.exports = {
+  rootDir: repositoryRoot,
   testEnvironment: 'node', // Specify the test environment
   verbose: true, // Display individual test results with hierarchy
   coveragePathIgnorePatterns: [
@@ -11,9 +26,10 @@ module.exports = {
   testPathIgnorePatterns: [
     '/node_modules/',
     '/dist/',
+    '/tests/Archive/',
   ],
   // Common test setup for all test files
-  setupFilesAfterEnv: ['./tests/helpers/jest.setup.js'],
+  setupFilesAfterEnv: ['<rootDir>/tests/helpers/jest.setup.js'],
   // Test pattern to match test files
   testMatch: [
     '**/tests/**/*.test.js',
@@ -25,19 +41,19 @@ module.exports = {
   // Define test environments for different test types
   projects: [
     {
+      ...sharedProjectConfig,
       displayName: 'unit',
       testMatch: ['**/tests/unit/**/*.test.js'],
-      testEnvironment: 'node'
     },
     {
+      ...sharedProjectConfig,
       displayName: 'integration',
       testMatch: ['**/tests/integration/**/*.integration.test.js'],
-      testEnvironment: 'node'
     },
     {
+      ...sharedProjectConfig,
       displayName: 'e2e',
       testMatch: ['**/tests/e2e/**/*.e2e.test.js'],
-      testEnvironment: 'node'
     }
   ],
   // Environment configuration
@@ -1,5 +1,11 @@
 // config/memory.config.js
 
+// Number from an environment variable, or the default when it is unset or not a number (0 is a valid setting)
+function envNumber(name, defaultValue) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? defaultValue : value;
+}
+
 module.exports = {
   // Importance evaluation
   // ADJUST THIS: Increase this value to be more selective about what memories are stored
@@ -13,17 +19,123 @@ module.exports = {
   defaultDocumentContentImportance: 0.8, // Importance for extracted document content
   // Dependency: Used by RawDataRepository (create) for document content records.
 
-  // Chunking parameters
-  minChunkSize: 100, // Minimum characters for a chunk
-  // Dependency: Used by MemoryManager service (chunkContent) during text splitting.
-  maxChunkSize: 2000, // Maximum characters for a chunk
-  // Dependency: Used by MemoryManager service (chunkContent) during text splitting.
-  targetChunkSize: 800, // Ideal target characters for a chunk
-  // Dependency: Used by MemoryManager service (chunkContent) as a guideline for chunk size.
+  // Structured importance scoring
+  // The model rates each factor from 0 to 1 and explains its rating; the importance score is their weighted average.
+  // The factors and rationale are kept in RawData.metadata.importance. If the model fails or returns invalid JSON,
+  // the heuristic scorer (length, keywords, source type) is used instead.
+  importanceScoring: {
+    // ADJUST THIS: Relative weight of each factor (they are normalized, so only the ratios matter)
+    factorWeights: {
+      emotionalWeight: 0.25,
+      personalRelevance: 0.35,
+      futureRelevance: 0.25,
+      novelty: 0.15,
+    },
+    // The user's most similar existing chunks are shown to the model to judge novelty
+    similarMemoriesLimit: 3,
+    similarMemoriesCertainty: 0.75,
+    maxRationaleLength: 300, // Characters
+    cacheTtlMs: 5 * 60 * 1000, // Identical content (per type) is not re-evaluated within this time
+  },
+  // Dependency: Used by MemoryManager service (assessImportance) via utils/importanceAssessment.
+
+  // Chunking parameters (tokens counted with gpt-tokenizer)
+  minChunkTokens: 40, // A smaller trailing chunk is merged into the previous one
+  // Dependency: Used by MemoryManager service (chunkContent) via utils/chunker.
+  maxChunkTokens: 512, // Hard limit; longer sentences are split at word boundaries
+  // Dependency: Used by MemoryManager service (chunkContent) via utils/chunker.
+  targetChunkTokens: 256, // Preferred chunk size; chunks end at a sentence boundary near it
+  // Dependency: Used by MemoryManager service (chunkContent) via utils/chunker.
+  chunkOverlapSentences: 1, // Sentences repeated at the start of the next chunk
+  // Dependency: Used by MemoryManager service (chunkContent) so sentences straddling a boundary keep their context.
+  maxChunkOverlapTokens: 64, // Token cap for the repeated sentences
+  // Dependency: Used by MemoryManager service (chunkContent) via utils/chunker.
+
+  // Near-duplicate chunk detection
+  // A new chunk whose normalized text matches, or whose vector is nearly identical to, one of the user's recent chunks
+  // is linked to that (canonical) chunk instead of being embedded again; the canonical chunk gains importance.
+  deduplication: {
+    enabled: process.env.CHUNK_DEDUP_ENABLED !== 'false',
+    // ADJUST THIS: Certainty from which two chunks count as the same fact (higher = only near-verbatim repeats)
+    similarityThreshold: parseFloat(process.env.CHUNK_DEDUP_SIMILARITY) || 0.95,
+    windowDays: parseInt(process.env.CHUNK_DEDUP_WINDOW_DAYS, 10) || 90, // Only chunks this recent are compared
+    importanceBoost: 0.05, // Added to the canonical chunk's importance per repeat (capped at 1.0)
+  },
+  // Dependency: Used by MemoryManager service (deduplicateChunks, mergeDuplicateChunks) in processMemoryPipeline.
+
+  // PII detection and redaction
+  // Personal data (phone and ID numbers, emails, addresses, passwords, API keys ...) found in RawData content is
+  // replaced before importance evaluation, chunking and embedding, so it never reaches ChunkEmbedding.text or the vector store.
+  piiRedaction: {
+    enabled: process.env.PII_REDACTION_ENABLED !== 'false',
+    // ADJUST THIS: 'redact' replaces a span with its type ("[PHONE]"), 'mask' hides most of it ("*******5678"),
+    // 'tag' keeps the text and only records the spans in metadata
+    mode: process.env.PII_REDACTION_MODE || 'redact',
+    // 'regex' (always cheap) and/or 'model' (an LLM call per RawData; also finds names of places, free-form addresses ...)
+    detectors: (process.env.PII_DETECTORS || 'regex').split(',').map(detector => detector.trim()).filter(Boolean),
+    types: ['email', 'phone', 'national_id', 'credit_card', 'password', 'secret', 'address', 'ip_address'],
+    // Keep the original text in RawData.content (e.g. for the chat history); chunks and vectors only ever get the redacted text
+    keepOriginalInRawData: process.env.PII_KEEP_ORIGINAL !== 'false',
+  },
+  // Dependency: Used by PiiRedactionService (redactContent) in MemoryManager.processMemoryPipeline.
+
+  // Knowledge graph extraction
+  // Entities and relationships are extracted from each embedded chunk, limited to the NodeTypes and EdgeTypes of the
+  // active ontology version, and resolved to the user's existing KnowledgeNodes (by name, alias, then vector similarity).
+  knowledgeGraph: {
+    enabled: process.env.KNOWLEDGE_GRAPH_EXTRACTION_ENABLED !== 'false',
+    minChunkTokens: 8, // Shorter chunks ("ok, thanks") are not sent for extraction
+    maxEntitiesPerChunk: 12,
+    // ADJUST THIS: Extractions the model is less confident about are dropped
+    minConfidence: parseFloat(process.env.KNOWLEDGE_GRAPH_MIN_CONFIDENCE) || 0.5,
+    // ADJUST THIS: Certainty from which an extracted entity is taken to be an existing node of the same type
+    resolutionCertainty: parseFloat(process.env.ENTITY_RESOLUTION_CERTAINTY) || 0.9,
+    selfName: 'User', // Name the extractor uses for the user themselves; always resolves to the user's own Person node
+    // Let the extractor file OntologyChangeProposals for entity/relationship types the ontology lacks (reviewed by admins)
+    proposeNewTypes: process.env.ONTOLOGY_PROPOSALS_FROM_EXTRACTION !== 'false',
+    maxProposalsPerChunk: 2,
+    ontologyCacheTtlMs: 5 * 60 * 1000, // How long the active ontology is cached between database reads
+  },
+  // Dependency: Used by EntityExtractionAgent (extractEntitiesFromChunks) in MemoryManager.processMemoryPipeline, and OntologyService (getActiveOntology).
+
+  // Subject detection (memories about other people)
+  // Messages about someone other than the user (their child, parent, partner ...) are linked to a SubjectProfile:
+  // RawData.subjectId points to the person the message is mainly about, and chunks and episodes carry the IDs of
+  // everyone they mention (subjectIds), so retrieval can filter or boost by the person a query asks about.
+  subjects: {
+    enabled: process.env.SUBJECT_DETECTION_ENABLED !== 'false',
+    // 'model' (an LLM call per RawData; falls back to the heuristic on failure) or 'heuristic'
+    // (relationship phrases like "my daughter Emma" / "我妈妈" and names of known subjects)
+    detector: process.env.SUBJECT_DETECTOR || 'model',
+    maxSubjectsPerRawData: 5,
+    maxKnownSubjectsInPrompt: 20, // The user's most mentioned profiles shown to the model
+    // ADJUST THIS: 'boost' ranks memories about the person named in the query higher, 'filter' only returns those
+    // (falling back to boosting when nothing is tagged yet), 'off' ignores subjects
+    retrievalMode: process.env.SUBJECT_RETRIEVAL_MODE || 'boost',
+    boostWeight: parseFloat(process.env.SUBJECT_BOOST_WEIGHT) || 0.3, // Weight of the subject factor in the final score
+  },
+  // Dependency: Used by SubjectProfile service (tagRawDataSubjects, findSubjectsInQuery) in MemoryManager.processMemoryPipeline and retrieveMemories.
+
+  // Emotion tags: each chunk gets a valence (-1 negative .. 1 positive), an arousal (0 calm .. 1 intense) and up to
+  // a few discrete emotions (see EMOTIONS in src/utils/emotionAnalysis.js); episodes carry the average of their
+  // chunks. Tags are stored in Postgres and the vector store (filterable) and feed the mood timeline API.
+  emotions: {
+    enabled: process.env.EMOTION_TAGGING_ENABLED !== 'false',
+    // 'model' (one LLM call per batch of chunks; falls back to the lexicon on failure) or 'lexicon' (keyword matching)
+    detector: process.env.EMOTION_DETECTOR || 'model',
+    batchSize: 10, // Chunks rated per model call
+    maxEmotionsPerChunk: 3,
+    maxEmotionsPerEpisode: 3,
+    moodTimeline: {
+      defaultDays: 30, // Range returned when the request gives no 'from'
+      maxChunks: 5000, // Tagged chunks read per request; the response is marked truncated beyond that
+    },
+  },
+  // Dependency: Used by EmotionTagging service (tagChunkEmotions, getMoodTimeline) in MemoryManager.processMemoryPipeline, EpisodeAgent and the memory controller.
 
   // Weaviate import batching
   weaviateBatchSize: 25,
-  // Dependency: Used by MemoryManager service (batchImportToWeaviate) for optimizing imports to Weaviate.
+  // Dependency: Used by MemoryManager service (batchUpsertVectors) for optimizing imports to the vector store.
 
   // Memory retrieval parameters
   // ADJUST THIS: Decrease this value to retrieve fewer, more relevant memories
@@ -41,6 +153,136 @@ module.exports = {
   defaultRetrievalCertainty: 0.85, // Lowered to allow more memories to be retrieved
   // Dependency: Used by MemoryManager service (retrieveMemories) to filter memories by similarity/certainty from Weaviate.
 
+  // Hybrid (keyword + vector) retrieval
+  // Runs a BM25 keyword search over chunk text and episode title/narrative next to the vector search,
+  // then merges both ranked lists with Reciprocal Rank Fusion (RRF). Helps with exact names, places and rare terms.
+  hybridRetrieval: {
+    enabled: process.env.HYBRID_RETRIEVAL_ENABLED !== 'false',
+    // ADJUST THIS: Relative weight of each ranked list in the fused score (higher = more influence, 0 = list ignored)
+    vectorWeight: envNumber('HYBRID_VECTOR_WEIGHT', 1.0),
+    keywordWeight: envNumber('HYBRID_KEYWORD_WEIGHT', 0.7),
+    // RRF damping constant; higher values flatten the difference between top and lower ranks
+    rrfK: parseInt(process.env.HYBRID_RRF_K, 10) || 60,
+    // Properties searched by BM25 for each Weaviate class
+    chunkKeywordProperties: ['text'],
+    episodeKeywordProperties: ['title', 'narrative'],
+    thoughtKeywordProperties: ['name', 'description'],
+  },
+  // Dependency: Used by MemoryManager service (retrieveMemories) as defaults for options.hybrid, options.vectorWeight, options.keywordWeight and options.rrfK.
+
+  // Re-ranking of retrieved memories
+  // Final score = weighted average of similarity, importance, recency (time decay) and access frequency.
+  reranking: {
+    enabled: process.env.MEMORY_RERANKING_ENABLED !== 'false',
+    // ADJUST THIS: Per-type weights for each factor (they are normalized, so only the ratios matter)
+    weights: {
+      chunk: { similarity: 0.55, importance: 0.2, recency: 0.15, accessFrequency: 0.1 },
+      episode: { similarity: 0.5, importance: 0.2, recency: 0.2, accessFrequency: 0.1 },
+      thought: { similarity: 0.6, importance: 0.2, recency: 0.1, accessFrequency: 0.1 },
+      default: { similarity: 0.6, importance: 0.2, recency: 0.1, accessFrequency: 0.1 },
+    },
+    // ADJUST THIS: Days after which the recency score halves (higher = older memories fade slower)
+    recencyHalfLifeDays: {
+      chunk: parseFloat(process.env.CHUNK_RECENCY_HALF_LIFE_DAYS) || 30,
+      episode: parseFloat(process.env.EPISODE_RECENCY_HALF_LIFE_DAYS) || 90,
+      thought: parseFloat(process.env.THOUGHT_RECENCY_HALF_LIFE_DAYS) || 180,
+      default: 60,
+    },
+    accessFrequencySaturation: parseInt(process.env.ACCESS_FREQUENCY_SATURATION, 10) || 20, // Access count that earns the full access score
+    defaultImportance: 0.5, // Used when a memory carries no importance score
+  },
+  // Dependency: Used by MemoryManager service (retrieveMemories) via utils/memoryScoring to compute finalScore.
+
+  // Thought retrieval (stage 3)
+  thoughtRetrieval: {
+    enabled: process.env.THOUGHT_RETRIEVAL_ENABLED !== 'false',
+    // ADJUST THIS: Max thoughts added to the memory context per query
+    limit: parseInt(process.env.THOUGHT_RETRIEVAL_LIMIT, 10) || 2,
+  },
+  // Dependency: Used by MemoryManager service (retrieveMemories) as defaults for options.includeThoughts and options.thoughtLimit.
+
+  // Graph retrieval
+  // Entities of the user's knowledge graph named in the query are looked up in the graph store (see serviceConfig.graphStore),
+  // and the episodes connected to them within `maxHops` edges are added as another ranked list (or boosted if already found).
+  graphRetrieval: {
+    enabled: process.env.GRAPH_RETRIEVAL_ENABLED !== 'false', // Has no effect while no graph store is configured
+    // ADJUST THIS: 2 = episodes with a chunk mentioning the entity; 3-4 also reach related entities' episodes
+    maxHops: parseInt(process.env.GRAPH_RETRIEVAL_MAX_HOPS, 10) || 2,
+    limit: parseInt(process.env.GRAPH_RETRIEVAL_LIMIT, 10) || 3, // Max episodes taken from the graph per query
+    weight: parseFloat(process.env.GRAPH_RETRIEVAL_WEIGHT) || 0.8, // RRF weight of the graph ranking
+    // Similarity given to episodes found only through the graph, at 2 hops; each further hop multiplies it by hopDecay
+    baseSimilarity: 0.85,
+    hopDecay: 0.9,
+    maxQueryTerms: 200, // Word/character n-grams of the query matched against entity names and aliases
+  },
+  // Dependency: Used by MemoryManager service (retrieveMemories, searchGraphEpisodes) as defaults for options.graph and options.graphMaxHops.
+
+  // Temporal query understanding
+  // Date expressions in the query ("last spring", "上周", "the week of my trip") become date ranges.
+  // Precise ranges filter Weaviate results (chunk sourceCreatedAt, episode occurredAt/createdAt);
+  // ambiguous ones ("recently", "a few months ago", event anchors) only boost memories inside the range.
+  temporalRetrieval: {
+    enabled: process.env.TEMPORAL_RETRIEVAL_ENABLED !== 'false',
+    // ADJUST THIS: Weight of the temporal factor in the final score when soft boosting (relative to the reranking weights, 0 = no boost)
+    softBoostWeight: envNumber('TEMPORAL_SOFT_BOOST_WEIGHT', 0.3),
+    fallbackToSoftBoost: true, // Retry without the date filter (boosting instead) when a filtered search finds nothing
+    weekStartsOn: 1, // 0 = Sunday, 1 = Monday
+    recentDays: 14, // Range covered by "recently" / "最近"
+  },
+  // Dependency: Used by MemoryManager service (retrieveMemories) via utils/temporalParser and utils/memoryScoring.
+
+  // Diversity-aware selection (Maximal Marginal Relevance)
+  // Picks the final memories one by one, trading relevance against overlap with what is already selected,
+  // so an episode and its own chunks (or near-duplicate chunks) don't fill the whole context.
+  diversity: {
+    enabled: process.env.MEMORY_DIVERSITY_ENABLED !== 'false',
+    // ADJUST THIS: 1.0 = pure relevance, lower values favour variety (0 = only variety)
+    lambda: envNumber('MMR_LAMBDA', 0.7),
+    nearDuplicateThreshold: 0.85, // Text overlap (Jaccard) at which two memories count as duplicates and are never both selected
+    episodeMembershipRedundancy: 0.9, // Overlap of a chunk with a selected episode it belongs to
+    sameEpisodeRedundancy: 0.5, // Overlap of two chunks from the same episode
+    // Memories injected into recent turns of the same session
+    recentTurnsTracked: 3, // Turns remembered per session
+    recentInjectionPenalty: 0.5, // Relevance reduction for a memory injected in the previous turn
+    recentPenaltyDecay: 0.5, // Penalty multiplier per additional turn back
+    maxTrackedSessions: 1000, // Oldest sessions are forgotten beyond this
+  },
+  // Dependency: Used by MemoryManager service (retrieveMemories, recordInjectedMemories) via utils/diversity, and ChatService (processUserMessage).
+
+  // Conversation-aware query rewriting
+  // Rewrites follow-up messages ("what about her?") into standalone queries using the recent session history
+  // before memory retrieval. Multi-query expansion additionally retrieves for alternative phrasings and fuses the results.
+  queryRewriting: {
+    enabled: process.env.QUERY_REWRITING_ENABLED !== 'false',
+    historyLimit: parseInt(process.env.QUERY_REWRITING_HISTORY_LIMIT, 10) || 6, // Recent session messages given to the rewriter
+    maxHistoryMessageLength: 500, // Characters kept per history message in the prompt
+    // ADJUST THIS: Enable to also search with alternative phrasings (costs one retrieval per extra query)
+    multiQueryEnabled: process.env.MULTI_QUERY_EXPANSION_ENABLED === 'true',
+    maxAlternativeQueries: parseInt(process.env.MULTI_QUERY_MAX_ALTERNATIVES, 10) || 2,
+    originalQueryWeight: 1.5, // RRF weight of the main query's results relative to each alternative (1.0)
+  },
+  // Dependency: Used by QueryRewriter service (rewriteQuery) and ChatService (processUserMessage) before retrieveMemories.
+
+  // Memory pipeline state machine
+  // Each RawData records the pipeline stage to run next, attempts, per-stage timings and recent errors (PipelineState),
+  // so a retried job resumes from the stage that failed instead of chunking again.
+  pipeline: {
+    // ADJUST THIS: A run with no progress for this long counts as stuck (worker crashed or job lost)
+    stuckAfterMs: parseInt(process.env.PIPELINE_STUCK_AFTER_MS, 10) || 30 * 60 * 1000,
+    errorHistoryLimit: 10, // Most recent errors kept per RawData
+    retryBatchLimit: parseInt(process.env.PIPELINE_RETRY_BATCH_LIMIT, 10) || 500, // Max RawData queued by one bulk retry
+  },
+  // Dependency: Used by MemoryPipeline service (listPipelineStates, recordFailure, retryPipelines) and MemoryController (pipeline admin endpoints).
+
+  // Reprocessing / backfill runs
+  // Re-run the pipeline over a user's (or every user's) RawData after chunking, threshold or prompt changes.
+  reprocessing: {
+    batchSize: parseInt(process.env.REPROCESSING_BATCH_SIZE, 10) || 50, // RawData loaded per batch; progress is saved after each batch
+    maxReportedFailures: 100, // Failed RawData listed in the progress report (all are counted)
+    episodeRequeueDelayMs: 5000, // Delay of episode assignment jobs for chunks whose episode was regenerated
+  },
+  // Dependency: Used by MemoryReprocessing service (reprocessMemories) via the reprocessMemories worker job and scripts/memory-tools/reprocess-memories.js.
+
   // Other memory related constants
   chatHistoryRetrievalLimit: 200, // Max messages for getChatHistory endpoint
   // Dependency: Used by ChatController (getChatHistory) to limit fetched chat messages.
@@ -9,6 +9,24 @@ module.exports = {
     requestTimeoutMs: parseInt(process.env.AI_REQUEST_TIMEOUT_MS, 10) || 30000, // 30 seconds
   },
   
+  // Vector store used for embeddings search
+  // 'weaviate' (default), 'postgres' (VectorEntry table, no extra container) or 'memory' (in-process, not persisted; default under Jest)
+  vectorStore: {
+    provider: process.env.VECTOR_STORE_PROVIDER || (process.env.NODE_ENV === 'test' ? 'memory' : 'weaviate'),
+  },
+
+  // Graph store mirroring users, chunks, episodes, thoughts and knowledge graph entities for traversal queries
+  // 'none' (default, nothing is mirrored) or 'neo4j'
+  graphStore: {
+    provider: process.env.GRAPH_STORE_PROVIDER || 'none',
+    neo4j: {
+      uri: process.env.NEO4J_URI,
+      user: process.env.NEO4J_USER || 'neo4j',
+      password: process.env.NEO4J_PASSWORD,
+      database: process.env.NEO4J_DATABASE || undefined, // Server default database when unset
+    },
+  },
+
   // Health check intervals
   healthChecks: {
     weaviateHealthCheckMinutes: parseInt(process.env.WEAVIATE_HEALTH_CHECK_MINUTES, 10) || 5,
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "ChunkEmbedding" ADD COLUMN     "accessCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "lastAccessedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Episode" ADD COLUMN     "accessCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "lastAccessedAt" TIMESTAMP(3);
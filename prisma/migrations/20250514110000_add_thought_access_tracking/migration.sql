@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Thought" ADD COLUMN     "accessCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "lastAccessedAt" TIMESTAMP(3);
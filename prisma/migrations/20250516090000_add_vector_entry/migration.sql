@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "VectorEntry" (
+    "id" TEXT NOT NULL,
+    "className" TEXT NOT NULL,
+    "objectId" TEXT NOT NULL,
+    "userId" TEXT,
+    "properties" JSONB NOT NULL,
+    "vector" DOUBLE PRECISION[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "VectorEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "VectorEntry_className_objectId_key" ON "VectorEntry"("className", "objectId");
+
+-- CreateIndex
+CREATE INDEX "VectorEntry_className_userId_idx" ON "VectorEntry"("className", "userId");
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "ChunkEmbedding" ADD COLUMN     "embeddingDim" INTEGER,
+ADD COLUMN     "embeddingModel" TEXT;
+
+-- AlterTable
+ALTER TABLE "Episode" ADD COLUMN     "embeddingModel" TEXT;
+
+-- AlterTable
+ALTER TABLE "Thought" ADD COLUMN     "embeddingModel" TEXT;
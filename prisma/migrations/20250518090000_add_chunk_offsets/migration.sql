@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "ChunkEmbedding" ADD COLUMN     "endOffset" INTEGER,
+ADD COLUMN     "startOffset" INTEGER;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "RawData" ADD COLUMN     "language" TEXT;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "ChunkEmbedding" ADD COLUMN     "contentHash" TEXT,
+ADD COLUMN     "duplicateOfId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "ChunkEmbedding_userId_contentHash_idx" ON "ChunkEmbedding"("userId", "contentHash");
+
+-- AddForeignKey
+ALTER TABLE "ChunkEmbedding" ADD CONSTRAINT "ChunkEmbedding_duplicateOfId_fkey" FOREIGN KEY ("duplicateOfId") REFERENCES "ChunkEmbedding"("id") ON DELETE SET NULL ON UPDATE CASCADE;
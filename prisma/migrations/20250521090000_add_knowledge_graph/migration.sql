@@ -0,0 +1,105 @@
+-- CreateTable
+CREATE TABLE "KnowledgeNode" (
+    "id" TEXT NOT NULL,
+    "userId" UUID NOT NULL,
+    "name" TEXT NOT NULL,
+    "normalizedName" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "description" TEXT,
+    "aliases" TEXT[],
+    "properties" JSONB,
+    "ontologyVersionId" TEXT NOT NULL,
+    "embeddingModel" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "KnowledgeNode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Relationship" (
+    "id" TEXT NOT NULL,
+    "userId" UUID NOT NULL,
+    "type" TEXT NOT NULL,
+    "fromNodeId" TEXT NOT NULL,
+    "toNodeId" TEXT NOT NULL,
+    "confidence" DOUBLE PRECISION NOT NULL,
+    "properties" JSONB,
+    "ontologyVersionId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Relationship_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ChunkNode" (
+    "chunkId" TEXT NOT NULL,
+    "nodeId" TEXT NOT NULL,
+    "mention" TEXT NOT NULL,
+    "confidence" DOUBLE PRECISION,
+    "addedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ChunkNode_pkey" PRIMARY KEY ("chunkId","nodeId")
+);
+
+-- CreateTable
+CREATE TABLE "ChunkRelationship" (
+    "chunkId" TEXT NOT NULL,
+    "relationshipId" TEXT NOT NULL,
+    "confidence" DOUBLE PRECISION,
+    "addedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ChunkRelationship_pkey" PRIMARY KEY ("chunkId","relationshipId")
+);
+
+-- CreateIndex
+CREATE INDEX "KnowledgeNode_userId_idx" ON "KnowledgeNode"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "KnowledgeNode_userId_type_normalizedName_key" ON "KnowledgeNode"("userId", "type", "normalizedName");
+
+-- CreateIndex
+CREATE INDEX "Relationship_userId_idx" ON "Relationship"("userId");
+
+-- CreateIndex
+CREATE INDEX "Relationship_toNodeId_idx" ON "Relationship"("toNodeId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Relationship_userId_fromNodeId_type_toNodeId_key" ON "Relationship"("userId", "fromNodeId", "type", "toNodeId");
+
+-- CreateIndex
+CREATE INDEX "ChunkNode_nodeId_idx" ON "ChunkNode"("nodeId");
+
+-- CreateIndex
+CREATE INDEX "ChunkRelationship_relationshipId_idx" ON "ChunkRelationship"("relationshipId");
+
+-- AddForeignKey
+ALTER TABLE "KnowledgeNode" ADD CONSTRAINT "KnowledgeNode_ontologyVersionId_fkey" FOREIGN KEY ("ontologyVersionId") REFERENCES "OntologyVersion"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "KnowledgeNode" ADD CONSTRAINT "KnowledgeNode_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Relationship" ADD CONSTRAINT "Relationship_fromNodeId_fkey" FOREIGN KEY ("fromNodeId") REFERENCES "KnowledgeNode"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Relationship" ADD CONSTRAINT "Relationship_ontologyVersionId_fkey" FOREIGN KEY ("ontologyVersionId") REFERENCES "OntologyVersion"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Relationship" ADD CONSTRAINT "Relationship_toNodeId_fkey" FOREIGN KEY ("toNodeId") REFERENCES "KnowledgeNode"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Relationship" ADD CONSTRAINT "Relationship_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ChunkNode" ADD CONSTRAINT "ChunkNode_chunkId_fkey" FOREIGN KEY ("chunkId") REFERENCES "ChunkEmbedding"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ChunkNode" ADD CONSTRAINT "ChunkNode_nodeId_fkey" FOREIGN KEY ("nodeId") REFERENCES "KnowledgeNode"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ChunkRelationship" ADD CONSTRAINT "ChunkRelationship_chunkId_fkey" FOREIGN KEY ("chunkId") REFERENCES "ChunkEmbedding"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ChunkRelationship" ADD CONSTRAINT "ChunkRelationship_relationshipId_fkey" FOREIGN KEY ("relationshipId") REFERENCES "Relationship"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "OntologyChangeProposal" ADD COLUMN     "reviewNote" TEXT,
+ADD COLUMN     "source" TEXT NOT NULL DEFAULT 'admin';
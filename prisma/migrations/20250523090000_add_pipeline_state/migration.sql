@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "PipelineState" (
+    "rawDataId" TEXT NOT NULL,
+    "userId" UUID NOT NULL,
+    "stage" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "stageAttempts" JSONB,
+    "timings" JSONB,
+    "lastError" TEXT,
+    "errorStage" TEXT,
+    "errors" JSONB,
+    "startedAt" TIMESTAMP(3),
+    "finishedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PipelineState_pkey" PRIMARY KEY ("rawDataId")
+);
+
+-- CreateIndex
+CREATE INDEX "PipelineState_status_updatedAt_idx" ON "PipelineState"("status", "updatedAt");
+
+-- CreateIndex
+CREATE INDEX "PipelineState_userId_idx" ON "PipelineState"("userId");
+
+-- AddForeignKey
+ALTER TABLE "PipelineState" ADD CONSTRAINT "PipelineState_rawDataId_fkey" FOREIGN KEY ("rawDataId") REFERENCES "RawData"("id") ON DELETE CASCADE ON UPDATE CASCADE;
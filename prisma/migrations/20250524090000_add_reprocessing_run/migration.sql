@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "ReprocessingRun" (
+    "id" UUID NOT NULL,
+    "requestedBy" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "options" JSONB NOT NULL,
+    "progress" JSONB,
+    "errorMessage" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "ReprocessingRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ReprocessingRun_status_idx" ON "ReprocessingRun"("status");
+
+-- CreateIndex
+CREATE INDEX "ReprocessingRun_createdAt_idx" ON "ReprocessingRun"("createdAt");
@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE "Episode" ADD COLUMN     "subjectIds" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- CreateTable
+CREATE TABLE "SubjectProfile" (
+    "id" UUID NOT NULL,
+    "userId" UUID NOT NULL,
+    "name" TEXT,
+    "normalizedName" TEXT,
+    "relationship" TEXT,
+    "aliases" TEXT[],
+    "knowledgeNodeId" TEXT,
+    "mentionCount" INTEGER NOT NULL DEFAULT 0,
+    "lastMentionedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SubjectProfile_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SubjectProfile_userId_idx" ON "SubjectProfile"("userId");
+
+-- CreateIndex
+CREATE INDEX "SubjectProfile_knowledgeNodeId_idx" ON "SubjectProfile"("knowledgeNodeId");
+
+-- CreateIndex
+CREATE INDEX "RawData_subjectId_idx" ON "RawData"("subjectId");
+
+-- AddForeignKey
+ALTER TABLE "SubjectProfile" ADD CONSTRAINT "SubjectProfile_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SubjectProfile" ADD CONSTRAINT "SubjectProfile_knowledgeNodeId_fkey" FOREIGN KEY ("knowledgeNodeId") REFERENCES "KnowledgeNode"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "ChunkEmbedding" ADD COLUMN     "arousal" DOUBLE PRECISION,
+ADD COLUMN     "emotions" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "valence" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "Episode" ADD COLUMN     "arousal" DOUBLE PRECISION,
+ADD COLUMN     "emotions" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "valence" DOUBLE PRECISION;
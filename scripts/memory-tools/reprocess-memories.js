@@ -0,0 +1,104 @@
+// reprocess-memories.js
+// Re-runs the memory pipeline over a user's (or all users') RawData, e.g. after changing chunk sizes,
+// thresholds or the importance prompt. The run is executed by the memory worker; this script queues it
+// and follows its progress. --dry-run only reports what would be reprocessed.
+//
+// Usage:
+//   npm run memory:reprocess -- --user <user-id> [options]
+//   npm run memory:reprocess -- --all-users [options]
+//
+// Options:
+//   --from <date>            Only RawData created at or after this date (ISO)
+//   --to <date>              Only RawData created at or before this date (ISO)
+//   --content-type <types>   Only these content types (comma-separated, e.g. user_chat,uploaded_document_content)
+//   --regenerate             Delete chunks, vectors, episodes and thoughts and build them again
+//   --from-stage <stage>     Start at this pipeline stage (redact, importance, subject, chunk, deduplicate, emotion, embed, graph, extract);
+//                            without it (and without --regenerate) only unfinished RawData are processed
+//   --dry-run                Only report what would be reprocessed
+//   --no-wait                Queue the run and exit without following its progress
+
+require('dotenv').config();
+
+const memoryReprocessing = require('../../src/services/memoryReprocessing.service');
+
+const POLL_INTERVAL_MS = 5000;
+
+function parseArgs(argv) {
+  const options = {};
+  let wait = true;
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--user': options.userId = value(); break;
+      case '--all-users': options.allUsers = true; break;
+      case '--from': options.from = value(); break;
+      case '--to': options.to = value(); break;
+      case '--content-type': options.contentTypes = value(); break;
+      case '--regenerate': options.regenerate = true; break;
+      case '--from-stage': options.fromStage = value(); break;
+      case '--dry-run': options.dryRun = true; break;
+      case '--no-wait': wait = false; break;
+      default: throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return { options, wait };
+}
+
+function printReport(report) {
+  console.log(`Processed ${report.done} of ${report.total} RawData in ${Math.round(report.durationMs / 1000)}s`);
+  console.log(`  completed: ${report.completed}, skipped (below importance threshold): ${report.skipped}, unchanged: ${report.unchanged}, failed: ${report.failed}`);
+  console.log(`  deleted: ${report.deleted.chunks} chunks, ${report.deleted.episodes} episodes, ${report.deleted.thoughts} thoughts`);
+  if (report.requeuedChunks > 0) {
+    console.log(`  ${report.requeuedChunks} chunks of other RawData queued for episode assignment`);
+  }
+  report.failures.forEach(failure => console.log(`  ✗ ${failure.rawDataId}: ${failure.error}`));
+}
+
+async function followRun(runId) {
+  let lastDone = -1;
+  for (;;) {
+    const run = await memoryReprocessing.getReprocessingRun(runId);
+    const progress = run.progress;
+    if (progress && progress.done !== lastDone && run.status === 'PROCESSING') {
+      lastDone = progress.done;
+      console.log(`[${new Date().toISOString()}] ${progress.done}/${progress.total} RawData (${progress.failed} failed)`);
+    }
+    if (run.status === 'COMPLETED') {
+      printReport(progress);
+      return progress.failed === 0;
+    }
+    if (run.status === 'FAILED') {
+      console.error(`Reprocessing run failed: ${run.errorMessage}`);
+      if (progress) printReport(progress);
+      return false;
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+}
+
+async function main() {
+  const { options, wait } = parseArgs(process.argv.slice(2));
+  const result = await memoryReprocessing.requestReprocessing(options, 'cli');
+
+  if (result.dryRun) {
+    console.log('Dry run - nothing was changed:');
+    console.log(JSON.stringify(result.preview, null, 2));
+    return true;
+  }
+
+  console.log(`Queued reprocessing run ${result.run.id}`);
+  if (!wait) return true;
+  console.log('Waiting for the memory worker (npm run worker:memory)...');
+  return followRun(result.run.id);
+}
+
+main()
+  .then(ok => process.exit(ok ? 0 : 1))
+  .catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
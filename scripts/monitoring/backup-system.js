@@ -42,7 +42,7 @@ async function backupWeaviate(backupFolder) {
   console.log('\n--- WEAVIATE BACKUP ---');
   
   try {
-    const client = weaviateClientUtil.getClient();
+    const client = await weaviateClientUtil.initializeWeaviate();
     if (!client) {
       throw new Error('Weaviate client not available');
     }
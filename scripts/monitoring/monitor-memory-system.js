@@ -4,6 +4,7 @@
 const weaviateClientUtil = require('./src/utils/weaviateClient');
 const { PrismaClient } = require('@prisma/client');
 const aiService = require('./src/services/ai.service');
+const { getActiveEmbeddingModel } = require('./src/utils/embeddingModels');
 const prisma = new PrismaClient();
 
 async function monitorMemorySystem() {
@@ -24,7 +25,7 @@ async function monitorMemorySystem() {
     
     // 2. Check Weaviate connectivity and classes
     console.log('\n--- VECTOR DATABASE CONNECTIVITY ---');
-    const client = weaviateClientUtil.getClient();
+    const client = await weaviateClientUtil.initializeWeaviate();
     if (!client) {
       console.error('❌ Weaviate client not available');
       return;
@@ -62,7 +63,7 @@ async function monitorMemorySystem() {
         const result = await client.graphql
           .get()
           .withClassName(className)
-          .withFields('_additional { id vector }')
+          .withFields('embeddingModel _additional { id vector }')
           .withLimit(1)
           .do();
         
@@ -71,12 +72,11 @@ async function monitorMemorySystem() {
           const dimension = objects[0]._additional.vector.length;
           console.log(`✅ ${className}: Vector dimension = ${dimension}`);
           
-          if (className === 'ChunkEmbedding' && dimension !== 768) {
-            console.warn(`⚠️ ChunkEmbedding expected dimension is 768, found ${dimension}`);
-          }
-          
-          if (className === 'EpisodeEmbedding' && dimension !== 1536) {
-            console.warn(`⚠️ EpisodeEmbedding expected dimension is 1536, found ${dimension}`);
+          const { name: modelName, dimension: expectedDimension } = getActiveEmbeddingModel();
+          if (objects[0].embeddingModel !== modelName) {
+            console.warn(`⚠️ ${className} object embedded with ${objects[0].embeddingModel || 'unknown model'}, active model is ${modelName} (re-embedding pending)`);
+          } else if (dimension !== expectedDimension) {
+            console.warn(`⚠️ ${className} expected dimension is ${expectedDimension}, found ${dimension}`);
           }
         } else {
           console.log(`ℹ️ ${className}: No objects with vectors found`);
@@ -167,31 +167,7 @@ async function monitorMemorySystem() {
         const originalVector = embeddings[0];
         console.log(`Generated vector of length ${originalVector.length}`);
         
-        // Function to expand vector if needed
-        const expandVector = (vector, targetDim) => {
-          if (vector.length === targetDim) return vector;
-          
-          if (vector.length > targetDim) {
-            return vector.slice(0, targetDim);
-          }
-          
-          const expandedVector = new Array(targetDim).fill(0);
-          
-          for (let i = 0; i < vector.length; i++) {
-            expandedVector[i] = vector[i];
-          }
-          
-          for (let i = vector.length; i < targetDim; i++) {
-            expandedVector[i] = vector[i % vector.length];
-          }
-          
-          const magnitude = Math.sqrt(expandedVector.reduce((sum, val) => sum + val * val, 0));
-          return expandedVector.map(val => val / magnitude);
-        };
-        
-        // Expand vector for EpisodeEmbedding class (1536 dimensions)
-        const queryVector = expandVector(originalVector, 1536);
-        console.log(`Expanded vector to length ${queryVector.length}`);
+        const queryVector = originalVector;
         
         // Run the query using vector search
         const result = await client.graphql
@@ -203,9 +179,11 @@ async function monitorMemorySystem() {
             certainty: 0.6
           })
           .withWhere({
-            operator: 'Equal',
-            path: ['userId'],
-            valueString: testUser.id
+            operator: 'And',
+            operands: [
+              { operator: 'Equal', path: ['userId'], valueString: testUser.id },
+              { operator: 'Equal', path: ['embeddingModel'], valueText: getActiveEmbeddingModel().name }
+            ]
           })
           .withLimit(1)
           .do();
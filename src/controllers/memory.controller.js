@@ -0,0 +1,280 @@
+// src/controllers/memory.controller.js
+// Controller for inspecting the memory system
+
+const memorySearchService = require('../services/memorySearch.service');
+const memoryPipeline = require('../services/memoryPipeline.service');
+const memoryReprocessing = require('../services/memoryReprocessing.service');
+const emotionTagging = require('../services/emotionTagging.service');
+const { EMOTION_NAMES } = require('../utils/emotionAnalysis');
+const logger = require('../utils/logger').childLogger('MemoryController');
+const { ServiceError } = require('../utils/errorHandler');
+const { parseNumberParam, parseIntegerParam } = require('../utils/requestParams');
+
+const MAX_SEARCH_LIMIT = 50;
+const MAX_THOUGHT_LIMIT = 10;
+// Accepted ranges of the numeric options (see parseNumberParam); the limits are capped rather than rejected
+const NUMBER_OPTIONS = {
+  limit: { min: 1, max: MAX_SEARCH_LIMIT, integer: true, clamp: true },
+  thoughtLimit: { min: 0, max: MAX_THOUGHT_LIMIT, integer: true, clamp: true },
+  minImportance: { min: 0, max: 1 },
+  certainty: { min: 0, max: 1 },
+  vectorWeight: { min: 0 },
+  keywordWeight: { min: 0 },
+  rrfK: { min: 0 },
+  graphMaxHops: { min: 1, integer: true },
+};
+const BOOLEAN_OPTIONS = ['includeEpisodes', 'includeChunks', 'includeThoughts', 'hybrid', 'rerank', 'diversify', 'temporal', 'graph'];
+const SUBJECT_MODES = ['boost', 'filter', 'off'];
+
+/**
+ * Reads retrieveMemories overrides from the query string; unknown or absent parameters keep their defaults.
+ * @param {object} query - req.query
+ * @returns {object} retrieveMemories options
+ * @throws {ServiceError} On malformed or out-of-range values.
+ */
+function parseSearchOptions(query) {
+  const options = {};
+
+  Object.entries(NUMBER_OPTIONS).forEach(([name, range]) => {
+    const value = parseNumberParam(query, name, range);
+    if (value !== undefined) options[name] = value;
+  });
+
+  BOOLEAN_OPTIONS.forEach(name => {
+    if (query[name] === undefined) return;
+    if (!['true', 'false'].includes(query[name])) throw new ServiceError(`Query parameter "${name}" must be true or false`, 400);
+    options[name] = query[name] === 'true';
+  });
+
+  if (query.from || query.to) {
+    const start = query.from ? new Date(query.from) : new Date(0);
+    const end = query.to ? new Date(query.to) : new Date();
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      throw new ServiceError('Query parameters "from" and "to" must be ISO dates', 400);
+    }
+    options.timeRange = { start, end };
+  }
+
+  if (query.subjectMode !== undefined) {
+    if (!SUBJECT_MODES.includes(query.subjectMode)) {
+      throw new ServiceError(`Query parameter "subjectMode" must be one of ${SUBJECT_MODES.join(', ')}`, 400);
+    }
+    options.subjectMode = query.subjectMode;
+  }
+  if (query.subjectIds) options.subjectIds = String(query.subjectIds).split(',').map(id => id.trim()).filter(Boolean);
+
+  if (query.emotions) {
+    const emotions = String(query.emotions).split(',').map(emotion => emotion.trim().toLowerCase()).filter(Boolean);
+    const unknown = emotions.filter(emotion => !EMOTION_NAMES.includes(emotion));
+    if (unknown.length > 0) {
+      throw new ServiceError(`Unknown emotions in "emotions": ${unknown.join(', ')} (expected ${EMOTION_NAMES.join(', ')})`, 400);
+    }
+    options.emotions = emotions;
+  }
+
+  if (query.session_id) options.sessionId = query.session_id;
+  return options;
+}
+
+/**
+ * Reads pipeline state filters (status, stage, userId, stuck) from the query string or body.
+ * @throws {ServiceError} On malformed values.
+ */
+function parsePipelineFilters(params) {
+  const stuck = params.stuck;
+  if (stuck !== undefined && ![true, false, 'true', 'false'].includes(stuck)) {
+    throw new ServiceError('Parameter "stuck" must be true or false', 400);
+  }
+  return {
+    status: params.status,
+    stage: params.stage,
+    userId: params.userId,
+    stuck: stuck === true || stuck === 'true',
+  };
+}
+
+/**
+ * Search memories and explain the retrieval
+ * @route GET /api/memory/search
+ */
+exports.searchMemories = async (req, res, next) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) {
+      return next(new ServiceError('User ID missing from request token', 401));
+    }
+
+    const options = parseSearchOptions(req.query);
+    logger.info('Memory search request received', { userId, query: req.query.q, options });
+
+    const result = await memorySearchService.searchMemories(userId, req.query.q, options);
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mood timeline of the authenticated user, built from the emotion tags of their memories
+ * @route GET /api/memory/mood
+ */
+exports.getMoodTimeline = async (req, res, next) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) {
+      return next(new ServiceError('User ID missing from request token', 401));
+    }
+
+    const { from, to, granularity } = req.query;
+    const result = await emotionTagging.getMoodTimeline(userId, { from, to, granularity: granularity || undefined });
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List memory pipeline states (e.g. failed or stuck runs)
+ * @route GET /api/memory/pipeline
+ */
+exports.listPipelineStates = async (req, res, next) => {
+  try {
+    const result = await memoryPipeline.listPipelineStates({
+      ...parsePipelineFilters(req.query),
+      limit: parseIntegerParam(req.query, 'limit'),
+      offset: parseIntegerParam(req.query, 'offset'),
+    });
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Count memory pipeline states per status and stage
+ * @route GET /api/memory/pipeline/summary
+ */
+exports.summarizePipelineStates = async (req, res, next) => {
+  try {
+    const summary = await memoryPipeline.summarizePipelineStates({ userId: req.query.userId });
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the pipeline state of a RawData
+ * @route GET /api/memory/pipeline/:rawDataId
+ */
+exports.getPipelineState = async (req, res, next) => {
+  try {
+    const state = await memoryPipeline.getPipelineState(req.params.rawDataId);
+    if (!state) {
+      return next(new ServiceError(`No pipeline state for rawData ${req.params.rawDataId}`, 404, null, 'PIPELINE_STATE_NOT_FOUND'));
+    }
+    res.status(200).json({
+      success: true,
+      data: state
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queue pipeline runs for the given RawData or for the states matching the filters (failed ones by default)
+ * @route POST /api/memory/pipeline/retry
+ */
+exports.retryPipelines = async (req, res, next) => {
+  try {
+    const { rawDataIds, fromStage } = req.body;
+    if (rawDataIds !== undefined && (!Array.isArray(rawDataIds) || rawDataIds.some(id => typeof id !== 'string'))) {
+      return next(new ServiceError('"rawDataIds" must be an array of strings', 400));
+    }
+    logger.info('Memory pipeline retry requested', { adminId: req.user.id, rawDataIds: rawDataIds?.length, fromStage });
+
+    const result = await memoryPipeline.retryPipelines({
+      ...parsePipelineFilters(req.body),
+      rawDataIds,
+      fromStage,
+      limit: parseIntegerParam(req.body, 'limit'),
+    });
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reprocess memories (a user's or all users'), or preview the run with dryRun
+ * @route POST /api/memory/reprocess
+ */
+exports.reprocessMemories = async (req, res, next) => {
+  try {
+    const { userId, allUsers, from, to, contentTypes, regenerate, fromStage, dryRun } = req.body;
+    logger.info('Memory reprocessing requested', { adminId: req.user.id, userId, allUsers, regenerate, fromStage, dryRun });
+
+    const result = await memoryReprocessing.requestReprocessing(
+      { userId, allUsers, from, to, contentTypes, regenerate, fromStage, dryRun },
+      req.user.id
+    );
+    res.status(result.dryRun ? 200 : 202).json({
+      success: true,
+      data: result.dryRun ? result.preview : result.run
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List recent reprocessing runs
+ * @route GET /api/memory/reprocess
+ */
+exports.listReprocessingRuns = async (req, res, next) => {
+  try {
+    const runs = await memoryReprocessing.listReprocessingRuns({
+      status: req.query.status,
+      limit: parseIntegerParam(req.query, 'limit'),
+      offset: parseIntegerParam(req.query, 'offset'),
+    });
+    res.status(200).json({
+      success: true,
+      data: runs
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a reprocessing run with its progress report
+ * @route GET /api/memory/reprocess/:runId
+ */
+exports.getReprocessingRun = async (req, res, next) => {
+  try {
+    const run = await memoryReprocessing.getReprocessingRun(req.params.runId);
+    res.status(200).json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,113 @@
+// src/controllers/ontology.controller.js
+// Controller for the knowledge graph ontology and its change proposals
+
+const ontologyService = require('../services/ontology.service');
+const logger = require('../utils/logger').childLogger('OntologyController');
+const { ServiceError } = require('../utils/errorHandler');
+const { parseIntegerParam } = require('../utils/requestParams');
+
+/**
+ * Get the active ontology version
+ * @route GET /api/ontology
+ */
+exports.getActiveOntology = async (req, res, next) => {
+  try {
+    const ontology = await ontologyService.getActiveOntology();
+    if (!ontology) {
+      return next(new ServiceError('No active ontology version', 404, null, 'NO_ACTIVE_ONTOLOGY'));
+    }
+    res.status(200).json({
+      success: true,
+      data: ontology
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Propose a new node or edge type
+ * @route POST /api/ontology/proposals
+ */
+exports.createProposal = async (req, res, next) => {
+  try {
+    const { type, proposedDefinition, description, justification, examples } = req.body;
+    logger.info('Ontology change proposal received', { userId: req.user.id, type, name: proposedDefinition?.name });
+
+    const { proposal, created } = await ontologyService.proposeChange({
+      userId: req.user.id,
+      type,
+      proposedDefinition,
+      description,
+      justification,
+      examples,
+      source: 'admin',
+    });
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: proposal
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List proposals
+ * @route GET /api/ontology/proposals
+ */
+exports.listProposals = async (req, res, next) => {
+  try {
+    const result = await ontologyService.listProposals({
+      status: req.query.status,
+      type: req.query.type,
+      limit: parseIntegerParam(req.query, 'limit'),
+      offset: parseIntegerParam(req.query, 'offset'),
+    });
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a proposal
+ * @route GET /api/ontology/proposals/:id
+ */
+exports.getProposal = async (req, res, next) => {
+  try {
+    const proposal = await ontologyService.getProposal(req.params.id);
+    res.status(200).json({
+      success: true,
+      data: proposal
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve or reject a proposal
+ * @route POST /api/ontology/proposals/:id/review
+ */
+exports.reviewProposal = async (req, res, next) => {
+  try {
+    const { decision, note } = req.body;
+    logger.info('Ontology change proposal review received', { proposalId: req.params.id, reviewerId: req.user.id, decision });
+
+    const result = await ontologyService.reviewProposal(req.params.id, {
+      decision,
+      note,
+      reviewerId: req.user.id,
+    });
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -21,6 +21,8 @@ if (require.main === module) {
   const authRoutes = require('./routes/auth.routes');
   const chatRoutes = require('./routes/chat.routes');
   const sessionRoutes = require('./routes/session.routes');
+  const memoryRoutes = require('./routes/memory.routes');
+  const ontologyRoutes = require('./routes/ontology.routes');
 
   // --- Create Express App ---
   const app = express();
@@ -46,6 +48,8 @@ if (require.main === module) {
   app.use('/api/auth', authRoutes);
   app.use('/api/chat', authMiddleware.verifyToken, chatRoutes);
   app.use('/api/session', authMiddleware.verifyToken, sessionRoutes);
+  app.use('/api/memory', authMiddleware.verifyToken, memoryRoutes);
+  app.use('/api/ontology', authMiddleware.verifyToken, ontologyRoutes);
 
   // --- Health Check ---
   app.get('/health', (req, res) => {
@@ -95,6 +99,9 @@ if (require.main === module) {
       thoughtAgent.scheduleNightlyThoughtGeneration();
       logger.info('[Bootstrap] Background agents initialized.');
 
+      // Local embedding models take a few seconds to load; start before the first chat query needs one
+      require('./services/ai.service').warmUpEmbeddings();
+
       const fs = require('fs');
       const uploadsDir = path.join(__dirname, '../uploads');
       if (!fs.existsSync(uploadsDir)) {
@@ -73,4 +73,24 @@ exports.verifyToken = async (req, res, next) => {
       message: 'Invalid token. Please login again.'
     });
   }
-}; 
\ No newline at end of file
+}; 
+
+/**
+ * Middleware restricting a route to admins (user IDs listed in ADMIN_USER_IDS, comma-separated, or ADMIN_USER_ID).
+ * Must run after verifyToken.
+ */
+exports.requireAdmin = (req, res, next) => {
+  const adminIds = (process.env.ADMIN_USER_IDS || process.env.ADMIN_USER_ID || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  if (!req.user || !adminIds.includes(req.user.id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Admin privileges required.'
+    });
+  }
+
+  next();
+};
@@ -23,7 +23,8 @@ class AIProvider {
    * @param {string} sessionId - Session ID
    * @param {string} message - User message
    * @param {object} [options] - Additional options (e.g., { additionalContext: string })
-   * @returns {Promise<object>} - { success: boolean, text: string | null, error?: string }
+   * @returns {Promise<object>} - { success: boolean, text: string | null, error?: string, tokenUsage?: object }
+   *          tokenUsage reports prompt tokens per section (systemPrompt, history, memories, documentContext, message, total).
    * @abstract
    */
   async sendMessage(userId, sessionId, message, options) {
@@ -1,10 +1,11 @@
 const { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } = require('@google/generative-ai');
 const AIProvider = require('./AIProvider'); // Assuming AIProvider is in the same directory
-const { prisma } = require('../db/prisma');
+const rawDataRepository = require('../repositories/rawData.repository');
 const { validateApiKey } = require('../utils/apiKeyValidator');
 const logger = require('../utils/logger').childLogger('GeminiProvider');
 const { handleServiceError, ServiceError } = require('../utils/errorHandler');
 const aiConfig = require('../../config/ai.config');
+const { countTokens, truncateToTokens, fitHistoryToBudget } = require('../utils/contextAssembler');
 
 class GeminiProvider extends AIProvider {
   constructor() {
@@ -13,6 +14,7 @@ class GeminiProvider extends AIProvider {
     this.chatModel = null;
     this.embeddingModel = null;
     this.initialized = false;
+    this.systemPromptTokens = countTokens(aiConfig.dotSystemPrompt);
   }
 
   async initialize() {
@@ -65,22 +67,9 @@ class GeminiProvider extends AIProvider {
      // This logic is tightly coupled with the RawData model/repo, might move later?
      // For now, keep it similar to how it was in ai.service
     try {
-      const rawData = await prisma.rawData.findMany({
-        where: {
-          userId: userId,
-          sessionId: sessionId,
-          contentType: {
-            in: ['user_chat', 'ai_response', 'uploaded_file_event']
-          }
-        },
-        orderBy: {
-          createdAt: 'desc'
-        },
-        take: limit
-      });
+      const chronologicalData = await rawDataRepository.findSessionHistory(userId, sessionId, { limit });
 
       let history = [];
-      const chronologicalData = rawData.reverse();
       
       // Ensure the first message has role 'user'
       if (chronologicalData.length > 0 && chronologicalData[0].contentType === 'ai_response') {
@@ -115,24 +104,37 @@ class GeminiProvider extends AIProvider {
     }
 
     try {
-      const history = await this._getConversationHistory(userId, sessionId);
+      const budget = aiConfig.contextBudget;
+      const fullHistory = await this._getConversationHistory(userId, sessionId);
+      const { history, tokens: historyTokens, dropped: droppedHistory } = fitHistoryToBudget(fullHistory, budget.historyTokens);
+      if (droppedHistory > 0) {
+        logger.info(`[GeminiProvider] Dropped ${droppedHistory} oldest history messages to stay within ${budget.historyTokens} tokens.`);
+      }
       const chatConfig = { history };
 
       let messageToSend = message;
       let contextPrepended = false; // Flag to ensure only one context block is prepended
+      const tokenUsage = { systemPrompt: this.systemPromptTokens, history: historyTokens, memories: 0, documentContext: 0, message: countTokens(message) };
 
       // Prioritize additionalContext (e.g., from file upload for the current turn)
       if (options.additionalContext && options.additionalContext.content) {
         logger.debug('[GeminiProvider] Prepending additionalContext.content to the user message.');
-        messageToSend = `CONTEXT FROM UPLOADED DOCUMENT:\n---\n${options.additionalContext.content}\n---\n\nUSER MESSAGE:\n${message}`;
+        const documentContext = truncateToTokens(options.additionalContext.content, budget.documentContextTokens);
+        tokenUsage.documentContext = countTokens(documentContext);
+        messageToSend = `CONTEXT FROM UPLOADED DOCUMENT:\n---\n${documentContext}\n---\n\nUSER MESSAGE:\n${message}`;
         contextPrepended = true;
       }
 
       // If no additionalContext was prepended, then check for memoryContextBlock (from memory retrieval)
       if (!contextPrepended && options.memoryContextBlock) {
          logger.debug('[GeminiProvider] Prepending memoryContextBlock to the user message.');
-         messageToSend = `${options.memoryContextBlock}\n\nCURRENT MESSAGE:\n${message}`;
+         // The block is normally assembled within budget already; this only guards direct callers
+         const memoryContextBlock = truncateToTokens(options.memoryContextBlock, budget.memoryTokens);
+         tokenUsage.memories = countTokens(memoryContextBlock);
+         messageToSend = `${memoryContextBlock}\n\nCURRENT MESSAGE:\n${message}`;
       }
+      tokenUsage.total = Object.values(tokenUsage).reduce((sum, count) => sum + count, 0);
+      logger.info('[GeminiProvider] Prompt token usage by section', tokenUsage);
 
       const chat = this.chatModel.startChat(chatConfig);
       logger.info(`[GeminiProvider] Sending message (history length ${history.length}) to model...`);
@@ -151,7 +153,7 @@ class GeminiProvider extends AIProvider {
 
       const text = response.text ? response.text() : '';
       logger.info('[GeminiProvider] Message response received.');
-      return { success: true, text: text };
+      return { success: true, text: text, tokenUsage };
 
     } catch (error) {
       // Log the specific error details
@@ -0,0 +1,102 @@
+// src/providers/LocalEmbeddingProvider.js
+// Embedding-only provider running a sentence-transformer model on CPU via @xenova/transformers (no API calls).
+
+const AIProvider = require('./AIProvider');
+const loadTransformers = require('./loadTransformers');
+const logger = require('../utils/logger').childLogger('LocalEmbeddingProvider');
+const { ServiceError } = require('../utils/errorHandler');
+const aiConfig = require('../../config/ai.config');
+
+// Loaded pipelines per model name, shared by all instances so a worker loads each model once
+const pipelineCache = new Map();
+
+/**
+ * Returns the feature-extraction pipeline of a model, loading it on first use.
+ * @param {string} modelName - Hugging Face model ID (e.g. 'Xenova/all-MiniLM-L6-v2').
+ * @returns {Promise<Function>}
+ */
+function loadPipeline(modelName) {
+  if (!pipelineCache.has(modelName)) {
+    const loading = (async () => {
+      const { pipeline, env } = await loadTransformers();
+      const { cacheDir, allowRemoteModels, quantized } = aiConfig.localEmbedding;
+      if (cacheDir) env.cacheDir = cacheDir;
+      env.allowRemoteModels = allowRemoteModels;
+
+      const startedAt = Date.now();
+      const extractor = await pipeline('feature-extraction', modelName, { quantized });
+      logger.info(`[LocalEmbeddingProvider] Loaded model ${modelName} in ${Date.now() - startedAt}ms.`);
+      return extractor;
+    })();
+    // Do not keep a failed load around, so the next call retries
+    loading.catch(() => pipelineCache.delete(modelName));
+    pipelineCache.set(modelName, loading);
+  }
+  return pipelineCache.get(modelName);
+}
+
+class LocalEmbeddingProvider extends AIProvider {
+  /**
+   * @param {string} modelName - Registered embedding model to run.
+   */
+  constructor(modelName) {
+    super();
+    this.modelName = modelName;
+  }
+
+  async initialize() {
+    await loadPipeline(this.modelName);
+  }
+
+  /**
+   * Loads the model ahead of the first request (model files are downloaded once into the cache directory).
+   * @returns {Promise<boolean>} Whether the model is ready.
+   */
+  async warmUp() {
+    try {
+      await this.initialize();
+      return true;
+    } catch (error) {
+      logger.error(`[LocalEmbeddingProvider] Failed to load model ${this.modelName}: ${error.message}`, { stack: error.stack });
+      return false;
+    }
+  }
+
+  async generateEmbeddings(content) {
+    if (!content || (Array.isArray(content) && content.length === 0)) {
+      return [];
+    }
+
+    try {
+      const contentArray = Array.isArray(content) ? content : [content];
+      const { batchSize } = aiConfig.localEmbedding;
+      const extractor = await loadPipeline(this.modelName);
+      logger.info(`[LocalEmbeddingProvider] Generating embeddings for ${contentArray.length} content piece(s) with ${this.modelName}...`);
+
+      const vectors = [];
+      for (let start = 0; start < contentArray.length; start += batchSize) {
+        const batch = contentArray.slice(start, start + batchSize);
+        const output = await extractor(batch, { pooling: 'mean', normalize: true });
+        vectors.push(...output.tolist());
+      }
+      return vectors;
+    } catch (error) {
+      logger.error(`[LocalEmbeddingProvider] Error generating embeddings: ${error.message}`, { stack: error.stack });
+      return null;
+    }
+  }
+
+  async sendMessage() {
+    throw new ServiceError('LocalEmbeddingProvider only supports embeddings', 501);
+  }
+
+  async analyzeImage() {
+    throw new ServiceError('LocalEmbeddingProvider only supports embeddings', 501);
+  }
+
+  async getCompletion() {
+    throw new ServiceError('LocalEmbeddingProvider only supports embeddings', 501);
+  }
+}
+
+module.exports = LocalEmbeddingProvider;
@@ -0,0 +1,128 @@
+/**
+ * Abstract base class (or conceptual interface) for graph stores.
+ * Defines the common methods that concrete stores (Neo4j, none) must implement.
+ *
+ * The graph mirrors Postgres (the source of truth); every node is addressed by its label and database ID:
+ *   (:User)-[:OWNS]->(:Chunk|:Episode|:Thought|:Entity)
+ *   (:Chunk)-[:PART_OF]->(:Episode)               ChunkEpisode
+ *   (:Episode)-[:SUPPORTS {weight}]->(:Thought)    EpisodeThought
+ *   (:Chunk)-[:MENTIONS {mention, confidence}]->(:Entity)
+ *   (:Entity)-[:<ontology edge type> {relationshipId, confidence}]->(:Entity)
+ * Nodes other than User carry the owner's `userId`, so traversals can stay within one user's graph.
+ */
+class GraphStore {
+  constructor() {
+    if (this.constructor === GraphStore) {
+      throw new Error("Abstract classes can't be instantiated.");
+    }
+  }
+
+  /**
+   * Connects to the store and makes sure the constraints exist.
+   * @returns {Promise<boolean>} Whether the store is available.
+   * @abstract
+   */
+  async initialize() {
+    throw new Error('Method \'initialize()\' must be implemented.');
+  }
+
+  /**
+   * Creates or updates nodes (properties are merged into existing ones).
+   * @param {string} label - One of GraphStore.LABELS.
+   * @param {Array<{id: string, properties?: object}>} rows
+   * @returns {Promise<number>} Number of rows written.
+   * @abstract
+   */
+  async mergeNodes(label, rows) {
+    throw new Error('Method \'mergeNodes()\' must be implemented.');
+  }
+
+  /**
+   * Creates or updates edges; missing endpoint nodes are created with their ID only.
+   * @param {string} type - Edge type (UPPER_SNAKE_CASE).
+   * @param {string} fromLabel - Label of the start nodes.
+   * @param {string} toLabel - Label of the end nodes.
+   * @param {Array<{from: string, to: string, properties?: object}>} rows
+   * @returns {Promise<number>} Number of rows written.
+   * @abstract
+   */
+  async mergeEdges(type, fromLabel, toLabel, rows) {
+    throw new Error('Method \'mergeEdges()\' must be implemented.');
+  }
+
+  /**
+   * Deletes nodes and their edges.
+   * @param {string} label
+   * @param {string[]} ids - Database IDs.
+   * @returns {Promise<number>} Number of deleted nodes.
+   * @abstract
+   */
+  async deleteNodes(label, ids) {
+    throw new Error('Method \'deleteNodes()\' must be implemented.');
+  }
+
+  /**
+   * Finds the user's episodes connected to any of the given entities within `maxHops` edges
+   * (Entity <-MENTIONS- Chunk -PART_OF-> Episode is two hops). OWNS edges are never followed.
+   * @param {string} userId
+   * @param {string[]} entityIds - KnowledgeNode IDs to start from.
+   * @param {object} [options]
+   * @param {number} [options.maxHops=2]
+   * @param {number} [options.limit=10]
+   * @returns {Promise<Array<{episodeId: string, hops: number, paths: number, entityIds: string[]}>>}
+   *          Closest first, then by number of connecting paths.
+   * @abstract
+   */
+  async findEpisodesNearEntities(userId, entityIds, options) {
+    throw new Error('Method \'findEpisodesNearEntities()\' must be implemented.');
+  }
+
+  /**
+   * Finds the user's entities connected to the given entities within `maxHops` edges
+   * (directly related, or mentioned in the same chunk at two hops).
+   * @param {string} userId
+   * @param {string[]} entityIds
+   * @param {object} [options]
+   * @param {number} [options.maxHops=2]
+   * @param {number} [options.limit=10]
+   * @returns {Promise<Array<{entityId: string, name: string, type: string, hops: number, paths: number}>>}
+   * @abstract
+   */
+  async findRelatedEntities(userId, entityIds, options) {
+    throw new Error('Method \'findRelatedEntities()\' must be implemented.');
+  }
+
+  /**
+   * Releases the connection.
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+/**
+ * Node labels of the mirrored records.
+ */
+GraphStore.LABELS = ['User', 'Chunk', 'Episode', 'Thought', 'Entity'];
+
+/**
+ * Edge types other than the ontology's relationship types.
+ */
+GraphStore.EDGE_TYPES = {
+  OWNS: 'OWNS',
+  PART_OF: 'PART_OF',
+  SUPPORTS: 'SUPPORTS',
+  MENTIONS: 'MENTIONS',
+};
+
+/**
+ * Shape of the ontology's relationship type names. Edge types cannot be query parameters,
+ * so adapters only write names of this shape into their queries.
+ */
+GraphStore.EDGE_TYPE_PATTERN = /^[A-Z][A-Za-z0-9_]*$/;
+
+/**
+ * Hop limit of traversals (variable-length paths grow quickly with each hop).
+ */
+GraphStore.MAX_HOPS = 4;
+
+module.exports = GraphStore;
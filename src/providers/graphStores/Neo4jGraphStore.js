@@ -0,0 +1,156 @@
+// src/providers/graphStores/Neo4jGraphStore.js
+// Graph store adapter for Neo4j (Cypher over the official driver)
+
+const neo4j = require('neo4j-driver');
+const GraphStore = require('./GraphStore');
+const serviceConfig = require('../../../config/service.config');
+const logger = require('../../utils/logger').childLogger('Neo4jGraphStore');
+
+// Labels and edge types cannot be query parameters; only known labels and names of the edge type shape are put into Cypher
+function assertLabel(label) {
+  if (!GraphStore.LABELS.includes(label)) {
+    throw new Error(`Unknown graph label: ${label}`);
+  }
+  return label;
+}
+
+function assertEdgeType(type) {
+  if (!GraphStore.EDGE_TYPE_PATTERN.test(type || '')) {
+    throw new Error(`Invalid graph edge type: ${type}`);
+  }
+  return type;
+}
+
+/**
+ * Clamps a hop count to 1..GraphStore.MAX_HOPS (it is interpolated into the path pattern).
+ */
+function hopLimit(maxHops) {
+  const hops = parseInt(maxHops, 10) || 2;
+  return Math.min(Math.max(hops, 1), GraphStore.MAX_HOPS);
+}
+
+class Neo4jGraphStore extends GraphStore {
+  constructor(options = serviceConfig.graphStore.neo4j) {
+    super();
+    this.options = options;
+    this.driver = null;
+  }
+
+  async initialize() {
+    const { uri, user, password } = this.options;
+    if (!uri) {
+      logger.warn('[Neo4jGraphStore] NEO4J_URI is not set.');
+      return false;
+    }
+    try {
+      if (!this.driver) {
+        // Plain JS numbers instead of neo4j Integer objects (counts and hops are small)
+        this.driver = neo4j.driver(uri, neo4j.auth.basic(user, password), { disableLosslessIntegers: true });
+      }
+      await this.driver.verifyConnectivity({ database: this.options.database });
+      for (const label of GraphStore.LABELS) {
+        const name = label.toLowerCase();
+        await this.run(`CREATE CONSTRAINT ${name}_id IF NOT EXISTS FOR (n:${label}) REQUIRE n.id IS UNIQUE`);
+        if (label !== 'User') {
+          await this.run(`CREATE INDEX ${name}_user IF NOT EXISTS FOR (n:${label}) ON (n.userId)`);
+        }
+      }
+      logger.info(`[Neo4jGraphStore] Connected to ${uri}.`);
+      return true;
+    } catch (error) {
+      logger.error(`[Neo4jGraphStore] Failed to connect to ${uri}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Runs a query and returns its records as plain objects.
+   * @param {string} query - Cypher.
+   * @param {object} [params]
+   * @param {'READ'|'WRITE'} [routing='WRITE']
+   * @returns {Promise<Array<object>>}
+   */
+  async run(query, params = {}, routing = 'WRITE') {
+    if (!this.driver) throw new Error('Neo4j driver not initialized');
+    const { records } = await this.driver.executeQuery(query, params, {
+      database: this.options.database,
+      routing: neo4j.routing[routing],
+    });
+    return records.map(record => record.toObject());
+  }
+
+  async mergeNodes(label, rows) {
+    if (!rows || rows.length === 0) return 0;
+    await this.run(
+      `UNWIND $rows AS row
+       MERGE (n:${assertLabel(label)} {id: row.id})
+       SET n += row.properties`,
+      { rows: rows.map(row => ({ id: row.id, properties: row.properties || {} })) }
+    );
+    return rows.length;
+  }
+
+  async mergeEdges(type, fromLabel, toLabel, rows) {
+    if (!rows || rows.length === 0) return 0;
+    await this.run(
+      `UNWIND $rows AS row
+       MERGE (a:${assertLabel(fromLabel)} {id: row.from})
+       MERGE (b:${assertLabel(toLabel)} {id: row.to})
+       MERGE (a)-[r:${assertEdgeType(type)}]->(b)
+       SET r += row.properties`,
+      { rows: rows.map(row => ({ from: row.from, to: row.to, properties: row.properties || {} })) }
+    );
+    return rows.length;
+  }
+
+  async deleteNodes(label, ids) {
+    if (!ids || ids.length === 0) return 0;
+    const [result] = await this.run(
+      `MATCH (n:${assertLabel(label)}) WHERE n.id IN $ids
+       DETACH DELETE n
+       RETURN count(n) AS deleted`,
+      { ids }
+    );
+    return result?.deleted || 0;
+  }
+
+  async findEpisodesNearEntities(userId, entityIds, { maxHops = 2, limit = 10 } = {}) {
+    if (!entityIds || entityIds.length === 0) return [];
+    return this.run(
+      `MATCH p = (start:Entity)-[*1..${hopLimit(maxHops)}]-(episode:Episode)
+       WHERE start.id IN $entityIds AND start.userId = $userId AND episode.userId = $userId
+         AND none(rel IN relationships(p) WHERE type(rel) = '${GraphStore.EDGE_TYPES.OWNS}')
+       WITH episode, min(length(p)) AS hops, count(p) AS paths, collect(DISTINCT start.id) AS entityIds
+       RETURN episode.id AS episodeId, hops, paths, entityIds
+       ORDER BY hops ASC, paths DESC
+       LIMIT $limit`,
+      { userId, entityIds, limit: neo4j.int(limit) },
+      'READ'
+    );
+  }
+
+  async findRelatedEntities(userId, entityIds, { maxHops = 2, limit = 10 } = {}) {
+    if (!entityIds || entityIds.length === 0) return [];
+    return this.run(
+      `MATCH p = (start:Entity)-[*1..${hopLimit(maxHops)}]-(entity:Entity)
+       WHERE start.id IN $entityIds AND start.userId = $userId AND entity.userId = $userId
+         AND NOT entity.id IN $entityIds
+         AND none(rel IN relationships(p) WHERE type(rel) = '${GraphStore.EDGE_TYPES.OWNS}')
+       WITH entity, min(length(p)) AS hops, count(p) AS paths
+       RETURN entity.id AS entityId, entity.name AS name, entity.type AS type, hops, paths
+       ORDER BY hops ASC, paths DESC
+       LIMIT $limit`,
+      { userId, entityIds, limit: neo4j.int(limit) },
+      'READ'
+    );
+  }
+
+  async close() {
+    if (this.driver) {
+      await this.driver.close();
+      this.driver = null;
+    }
+  }
+}
+
+module.exports = Neo4jGraphStore;
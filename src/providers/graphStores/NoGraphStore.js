@@ -0,0 +1,32 @@
+// src/providers/graphStores/NoGraphStore.js
+// Graph store used when no graph database is configured: never available, writes nothing, finds nothing
+
+const GraphStore = require('./GraphStore');
+
+class NoGraphStore extends GraphStore {
+  async initialize() {
+    return false;
+  }
+
+  async mergeNodes() {
+    return 0;
+  }
+
+  async mergeEdges() {
+    return 0;
+  }
+
+  async deleteNodes() {
+    return 0;
+  }
+
+  async findEpisodesNearEntities() {
+    return [];
+  }
+
+  async findRelatedEntities() {
+    return [];
+  }
+}
+
+module.exports = NoGraphStore;
@@ -0,0 +1,8 @@
+// src/providers/loadTransformers.js
+// Loads @xenova/transformers. It is an ES module, so CommonJS code can only import it dynamically;
+// keeping the import in its own module lets tests replace it with jest.mock.
+
+/**
+ * @returns {Promise<object>} The @xenova/transformers module ({ pipeline, env, ... }).
+ */
+module.exports = () => import('@xenova/transformers');
@@ -0,0 +1,72 @@
+// src/providers/vectorStores/InMemoryVectorStore.js
+// Vector store kept in process memory. Nothing is persisted and nothing is shared between processes,
+// so it suits tests and single-process local runs; use the Postgres store when the API and workers run separately.
+
+const VectorStore = require('./VectorStore');
+const { matchesFilter, searchNearVector, searchKeywords } = require('./localSearch');
+const logger = require('../../utils/logger').childLogger('InMemoryVectorStore');
+
+class InMemoryVectorStore extends VectorStore {
+  constructor() {
+    super();
+    this.classes = new Map(); // className -> Map(id -> { id, properties, vector })
+  }
+
+  async initialize() {
+    logger.info('[InMemoryVectorStore] Using in-process vector store (data is not persisted).');
+    return true;
+  }
+
+  objectsOf(className) {
+    if (!this.classes.has(className)) this.classes.set(className, new Map());
+    return this.classes.get(className);
+  }
+
+  async upsert(className, id, properties, vector) {
+    if (!className || !id || !properties || !Array.isArray(vector)) {
+      logger.error('[InMemoryVectorStore] Missing className, id, properties or vector for upsert.', { className, id });
+      return false;
+    }
+    this.objectsOf(className).set(id, { id, properties: { ...properties }, vector: [...vector] });
+    return true;
+  }
+
+  async delete(className, id) {
+    this.objectsOf(className).delete(id);
+    return true;
+  }
+
+  async deleteWhere(className, filter) {
+    const objects = this.objectsOf(className);
+    let deleted = 0;
+    objects.forEach((object, id) => {
+      if (matchesFilter(object.properties, filter)) {
+        objects.delete(id);
+        deleted++;
+      }
+    });
+    return deleted;
+  }
+
+  async nearVector(className, params) {
+    return searchNearVector(Array.from(this.objectsOf(className).values()), params);
+  }
+
+  async keywordSearch(className, params) {
+    if (!params.query || !params.query.trim()) return [];
+    return searchKeywords(Array.from(this.objectsOf(className).values()), params);
+  }
+
+  async fetchVector(className, id) {
+    return this.objectsOf(className).get(id)?.vector || null;
+  }
+
+  /**
+   * Removes all objects (e.g. between tests).
+   */
+  clear() {
+    this.classes.clear();
+  }
+}
+
+module.exports = InMemoryVectorStore;
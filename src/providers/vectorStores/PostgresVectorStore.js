@@ -0,0 +1,116 @@
+// src/providers/vectorStores/PostgresVectorStore.js
+// Vector store backed by the VectorEntry table. Similarity and BM25 are computed in-process over one user's
+// rows (searches and deleteWhere must filter by userId), which is fine for local and small deployments
+// without a Weaviate container. Unlike the in-memory store, data is shared between the API and the workers.
+
+const VectorStore = require('./VectorStore');
+const { prisma } = require('../../db/prisma');
+const { matchesFilter, searchNearVector, searchKeywords } = require('./localSearch');
+const logger = require('../../utils/logger').childLogger('PostgresVectorStore');
+
+/**
+ * Finds a userId the filter requires (top-level Equal, or an Equal inside a top-level And),
+ * so only that user's rows need to be loaded.
+ * @param {object|null} filter
+ * @returns {string|null}
+ */
+function requiredUserId(filter) {
+  if (!filter) return null;
+  const isUserEquality = f => f.operator === 'Equal' && f.path?.[f.path.length - 1] === 'userId';
+  if (isUserEquality(filter)) return filter.valueText ?? filter.valueString ?? null;
+  if (filter.operator === 'And') {
+    const userFilter = (filter.operands || []).find(isUserEquality);
+    return userFilter ? (userFilter.valueText ?? userFilter.valueString ?? null) : null;
+  }
+  return null;
+}
+
+class PostgresVectorStore extends VectorStore {
+  async initialize() {
+    try {
+      await prisma.vectorEntry.count({ take: 1 });
+      logger.info('[PostgresVectorStore] VectorEntry table is available.');
+      return true;
+    } catch (error) {
+      logger.error(`[PostgresVectorStore] VectorEntry table is not available: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Loads the rows a filter can match. The filter must require a userId: every row is scored in process,
+   * so an unscoped search would load the whole table.
+   * @param {string} className
+   * @param {object} filter - Where filter.
+   * @returns {Promise<Array<{id: string, properties: object, vector: number[]}>>}
+   * @throws {Error} If the filter does not require a userId.
+   */
+  async loadCandidates(className, filter) {
+    const userId = requiredUserId(filter);
+    if (!userId) {
+      throw new Error(`PostgresVectorStore searches of ${className} must filter by userId (Equal, at the top level or in an And).`);
+    }
+    const rows = await prisma.vectorEntry.findMany({
+      where: { className, userId },
+      select: { objectId: true, properties: true, vector: true },
+    });
+    return rows.map(row => ({ id: row.objectId, properties: row.properties || {}, vector: row.vector }));
+  }
+
+  async upsert(className, id, properties, vector) {
+    if (!className || !id || !properties || !Array.isArray(vector)) {
+      logger.error('[PostgresVectorStore] Missing className, id, properties or vector for upsert.', { className, id });
+      return false;
+    }
+    const data = { properties, vector, userId: properties.userId || null };
+    try {
+      await prisma.vectorEntry.upsert({
+        where: { className_objectId: { className, objectId: id } },
+        create: { className, objectId: id, ...data },
+        update: data,
+      });
+      return true;
+    } catch (error) {
+      logger.error(`[PostgresVectorStore] Error storing ${className} object ${id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  async delete(className, id) {
+    try {
+      await prisma.vectorEntry.deleteMany({ where: { className, objectId: id } });
+      return true;
+    } catch (error) {
+      logger.error(`[PostgresVectorStore] Error deleting ${className} object ${id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  async deleteWhere(className, filter) {
+    const matchingIds = (await this.loadCandidates(className, filter))
+      .filter(object => matchesFilter(object.properties, filter))
+      .map(object => object.id);
+    if (matchingIds.length === 0) return 0;
+    const result = await prisma.vectorEntry.deleteMany({ where: { className, objectId: { in: matchingIds } } });
+    return result.count;
+  }
+
+  async nearVector(className, params) {
+    return searchNearVector(await this.loadCandidates(className, params.filter), params);
+  }
+
+  async keywordSearch(className, params) {
+    if (!params.query || !params.query.trim()) return [];
+    return searchKeywords(await this.loadCandidates(className, params.filter), params);
+  }
+
+  async fetchVector(className, id) {
+    const row = await prisma.vectorEntry.findUnique({
+      where: { className_objectId: { className, objectId: id } },
+      select: { vector: true },
+    });
+    return row?.vector?.length ? row.vector : null;
+  }
+}
+
+module.exports = PostgresVectorStore;
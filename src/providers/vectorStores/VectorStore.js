@@ -0,0 +1,123 @@
+/**
+ * Abstract base class (or conceptual interface) for vector stores.
+ * Defines the common methods that concrete stores (Weaviate, in-memory, Postgres) must implement.
+ *
+ * Objects are addressed by class name (e.g. 'ChunkEmbedding') and their database ID
+ * (chunk/episode/thought ID); each store maps that to its own object IDs.
+ *
+ * Filters use the Weaviate where-filter shape so every store understands the same format:
+ *   { operator: 'Equal', path: ['userId'], valueText: userId }
+ *   { operator: 'And', operands: [ ...filters ] }
+ * Supported operators: And, Or, Equal, NotEqual, GreaterThan, GreaterThanEqual, LessThan, LessThanEqual, ContainsAny.
+ * Supported values: valueText, valueString, valueNumber, valueInt, valueBoolean, valueDate, valueTextArray.
+ *
+ * Search hits have the shape { id, properties, certainty?, score?, vector? }:
+ *   id - database ID, certainty - cosine certainty (0-1, nearVector only), score - BM25 score (keywordSearch only).
+ */
+class VectorStore {
+  constructor() {
+    if (this.constructor === VectorStore) {
+      throw new Error("Abstract classes can't be instantiated.");
+    }
+  }
+
+  /**
+   * Connects to the store and makes sure the classes exist.
+   * @returns {Promise<boolean>} Whether the store is available.
+   * @abstract
+   */
+  async initialize() {
+    throw new Error('Method \'initialize()\' must be implemented.');
+  }
+
+  /**
+   * Creates or replaces an object.
+   * @param {string} className - Class name (e.g. 'ChunkEmbedding').
+   * @param {string} id - Database ID of the object.
+   * @param {object} properties - Properties to store (must include the class's ID property, e.g. chunkDbId).
+   * @param {number[]} vector - Embedding vector.
+   * @returns {Promise<boolean>} True if stored.
+   * @abstract
+   */
+  async upsert(className, id, properties, vector) {
+    throw new Error('Method \'upsert()\' must be implemented.');
+  }
+
+  /**
+   * Deletes an object by database ID.
+   * @param {string} className
+   * @param {string} id - Database ID.
+   * @returns {Promise<boolean>} True if the delete succeeded (also when nothing matched).
+   * @abstract
+   */
+  async delete(className, id) {
+    throw new Error('Method \'delete()\' must be implemented.');
+  }
+
+  /**
+   * Deletes every object of a class matching a filter.
+   * @param {string} className
+   * @param {object} filter - Where filter.
+   * @returns {Promise<number>} Number of deleted objects.
+   * @abstract
+   */
+  async deleteWhere(className, filter) {
+    throw new Error('Method \'deleteWhere()\' must be implemented.');
+  }
+
+  /**
+   * Finds the objects closest to a vector.
+   * @param {string} className
+   * @param {object} params
+   * @param {number[]} params.vector - Query vector.
+   * @param {number} [params.certainty] - Min certainty.
+   * @param {object} [params.filter] - Where filter.
+   * @param {number} [params.limit=10] - Max hits.
+   * @param {string[]} [params.fields] - Properties to return (the ID property is always included; in-process stores return all when omitted).
+   * @param {boolean} [params.includeVector=false] - Also return each hit's vector.
+   * @returns {Promise<Array<object>>} Hits, closest first.
+   * @abstract
+   */
+  async nearVector(className, params) {
+    throw new Error('Method \'nearVector()\' must be implemented.');
+  }
+
+  /**
+   * BM25 keyword search over text properties.
+   * @param {string} className
+   * @param {object} params
+   * @param {string} params.query - Query text.
+   * @param {string[]} params.properties - Text properties to search.
+   * @param {object} [params.filter] - Where filter.
+   * @param {number} [params.limit=10] - Max hits.
+   * @param {string[]} [params.fields] - Properties to return (the ID property is always included; in-process stores return all when omitted).
+   * @returns {Promise<Array<object>>} Hits, best first.
+   * @abstract
+   */
+  async keywordSearch(className, params) {
+    throw new Error('Method \'keywordSearch()\' must be implemented.');
+  }
+
+  /**
+   * Returns the stored vector of an object.
+   * @param {string} className
+   * @param {string} id - Database ID.
+   * @returns {Promise<number[]|null>} The vector, or null if the object does not exist.
+   * @abstract
+   */
+  async fetchVector(className, id) {
+    throw new Error('Method \'fetchVector()\' must be implemented.');
+  }
+}
+
+/**
+ * Property holding the database ID for each class.
+ */
+VectorStore.ID_PROPERTIES = {
+  ChunkEmbedding: 'chunkDbId',
+  EpisodeEmbedding: 'episodeDbId',
+  ThoughtEmbedding: 'thoughtDbId',
+  KnowledgeNode: 'nodeDbId',
+};
+
+module.exports = VectorStore;
@@ -0,0 +1,167 @@
+// src/providers/vectorStores/WeaviateVectorStore.js
+// Vector store adapter for Weaviate (GraphQL search, REST object API)
+
+const { v5: uuidv5 } = require('uuid');
+const VectorStore = require('./VectorStore');
+const weaviateClientUtil = require('../../utils/weaviateClient');
+const { checkWeaviateSchema } = require('../../utils/weaviateSchema');
+const logger = require('../../utils/logger').childLogger('WeaviateVectorStore');
+
+/**
+ * Deterministic Weaviate object ID for a database object, so upserts replace instead of duplicating.
+ * @param {string} className
+ * @param {string} id - Database ID.
+ * @returns {string} UUID.
+ */
+function toObjectId(className, id) {
+  return uuidv5(`${className}/${id}`, uuidv5.URL);
+}
+
+class WeaviateVectorStore extends VectorStore {
+  async initialize() {
+    const client = await weaviateClientUtil.initializeWeaviate();
+    if (!client) {
+      logger.warn('[WeaviateVectorStore] Weaviate client not available.');
+      return false;
+    }
+    return checkWeaviateSchema(client);
+  }
+
+  /**
+   * Returns the Weaviate client, connecting first if this process has not done so yet (e.g. in workers).
+   */
+  async getClient() {
+    const client = weaviateClientUtil.getClient() || await weaviateClientUtil.initializeWeaviate();
+    if (!client) throw new Error('Weaviate client not available');
+    return client;
+  }
+
+  /**
+   * GraphQL field list for a query; the class's ID property is always included.
+   */
+  fieldList(className, fields, additional) {
+    const idProperty = VectorStore.ID_PROPERTIES[className];
+    const names = new Set(fields || []);
+    if (idProperty) names.add(idProperty);
+    return `${Array.from(names).join(' ')} _additional { ${additional} }`;
+  }
+
+  toHit(className, rawHit) {
+    const { _additional: additional = {}, ...properties } = rawHit;
+    const idProperty = VectorStore.ID_PROPERTIES[className];
+    const hit = { id: (idProperty && properties[idProperty]) || additional.id, properties };
+    if (typeof additional.certainty === 'number') hit.certainty = additional.certainty;
+    if (additional.score !== undefined) hit.score = parseFloat(additional.score);
+    if (additional.vector) hit.vector = additional.vector;
+    return hit;
+  }
+
+  async upsert(className, id, properties, vector) {
+    if (!className || !id || !properties || !Array.isArray(vector)) {
+      logger.error('[WeaviateVectorStore] Missing className, id, properties or vector for upsert.', { className, id });
+      return false;
+    }
+    const objectId = toObjectId(className, id);
+    try {
+      const client = await this.getClient();
+      const exists = await client.data.checker().withClassName(className).withId(objectId).do();
+      const request = exists ? client.data.updater() : client.data.creator();
+      await request
+        .withClassName(className)
+        .withId(objectId)
+        .withProperties(properties)
+        .withVector(vector)
+        .do();
+      logger.info(`[WeaviateVectorStore] Stored ${className} object for DB ID ${id} (Weaviate ID ${objectId}).`);
+      return true;
+    } catch (error) {
+      logger.error(`[WeaviateVectorStore] Error storing ${className} object for DB ID ${id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  async delete(className, id) {
+    const idProperty = VectorStore.ID_PROPERTIES[className];
+    try {
+      if (idProperty) {
+        // Matching on the ID property also removes objects stored before IDs were deterministic
+        await this.deleteWhere(className, { operator: 'Equal', path: [idProperty], valueText: id });
+      } else {
+        const client = await this.getClient();
+        await client.data.deleter().withClassName(className).withId(toObjectId(className, id)).do();
+      }
+      return true;
+    } catch (error) {
+      logger.error(`[WeaviateVectorStore] Error deleting ${className} object for DB ID ${id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  async deleteWhere(className, filter) {
+    const client = await this.getClient();
+    const result = await client.batch
+      .objectsBatchDeleter()
+      .withClassName(className)
+      .withWhere(filter)
+      .do();
+    return result?.results?.successful || 0;
+  }
+
+  async nearVector(className, { vector, certainty, filter = null, limit = 10, fields, includeVector = false }) {
+    const client = await this.getClient();
+    let query = client.graphql
+      .get()
+      .withClassName(className)
+      .withFields(this.fieldList(className, fields, `id certainty${includeVector ? ' vector' : ''}`))
+      .withNearVector(certainty !== undefined ? { vector, certainty } : { vector })
+      .withLimit(limit);
+    if (filter) query = query.withWhere(filter);
+    const response = await query.do();
+    return (response?.data?.Get?.[className] || []).map(hit => this.toHit(className, hit));
+  }
+
+  async keywordSearch(className, { query, properties, filter = null, limit = 10, fields }) {
+    if (!query || !query.trim()) return [];
+    const client = await this.getClient();
+    let request = client.graphql
+      .get()
+      .withClassName(className)
+      .withFields(this.fieldList(className, fields, 'id score'))
+      .withBm25({ query, properties })
+      .withLimit(limit);
+    if (filter) request = request.withWhere(filter);
+    const response = await request.do();
+    return (response?.data?.Get?.[className] || []).map(hit => this.toHit(className, hit));
+  }
+
+  async fetchVector(className, id) {
+    const client = await this.getClient();
+    try {
+      const object = await client.data
+        .getterById()
+        .withClassName(className)
+        .withId(toObjectId(className, id))
+        .withVector()
+        .do();
+      if (object?.vector?.length) return object.vector;
+    } catch (error) {
+      if (error.statusCode !== 404 && !String(error.message).includes('404')) throw error;
+    }
+
+    // Objects stored before IDs were deterministic can only be found through their ID property
+    const idProperty = VectorStore.ID_PROPERTIES[className];
+    if (!idProperty) return null;
+    const response = await client.graphql
+      .get()
+      .withClassName(className)
+      .withFields(`${idProperty} _additional { vector }`)
+      .withWhere({ operator: 'Equal', path: [idProperty], valueText: id })
+      .withLimit(1)
+      .do();
+    return response?.data?.Get?.[className]?.[0]?._additional?.vector || null;
+  }
+}
+
+WeaviateVectorStore.toObjectId = toObjectId;
+
+module.exports = WeaviateVectorStore;
@@ -0,0 +1,193 @@
+// src/providers/vectorStores/localSearch.js
+// Search primitives for the stores that run the search in-process (in-memory and Postgres):
+// where-filter evaluation, cosine certainty and BM25 keyword scoring.
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+function filterValue(filter) {
+  if (filter.valueDate !== undefined) return new Date(filter.valueDate).getTime();
+  if (filter.valueNumber !== undefined) return filter.valueNumber;
+  if (filter.valueInt !== undefined) return filter.valueInt;
+  if (filter.valueBoolean !== undefined) return filter.valueBoolean;
+  if (filter.valueTextArray !== undefined) return filter.valueTextArray;
+  if (filter.valueText !== undefined) return filter.valueText;
+  return filter.valueString;
+}
+
+function propertyValue(properties, filter) {
+  const value = properties?.[filter.path[filter.path.length - 1]];
+  if (value === undefined || value === null) return value;
+  if (filter.valueDate !== undefined) {
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? null : time;
+  }
+  return value;
+}
+
+/**
+ * Evaluates a Weaviate-style where filter against an object's properties.
+ * Comparisons against a missing property are false, as in Weaviate.
+ * @param {object} properties - Stored object properties.
+ * @param {object|null} filter - Where filter (null matches everything).
+ * @returns {boolean}
+ */
+function matchesFilter(properties, filter) {
+  if (!filter) return true;
+
+  switch (filter.operator) {
+    case 'And':
+      return (filter.operands || []).every(operand => matchesFilter(properties, operand));
+    case 'Or':
+      return (filter.operands || []).some(operand => matchesFilter(properties, operand));
+    default:
+      break;
+  }
+
+  const actual = propertyValue(properties, filter);
+  const expected = filterValue(filter);
+  if (filter.operator === 'NotEqual') return actual !== expected;
+  if (actual === undefined || actual === null) return false;
+
+  switch (filter.operator) {
+    case 'Equal': return actual === expected;
+    case 'GreaterThan': return actual > expected;
+    case 'GreaterThanEqual': return actual >= expected;
+    case 'LessThan': return actual < expected;
+    case 'LessThanEqual': return actual <= expected;
+    case 'ContainsAny': {
+      const actualValues = Array.isArray(actual) ? actual : [actual];
+      return [].concat(expected).some(value => actualValues.includes(value));
+    }
+    default:
+      throw new Error(`Unsupported filter operator: ${filter.operator}`);
+  }
+}
+
+/**
+ * Cosine similarity mapped to Weaviate's certainty scale: (1 + cosine) / 2.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number|null} Certainty between 0 and 1, or null if the vectors cannot be compared.
+ */
+function cosineCertainty(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length || a.length === 0) return null;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return null;
+  return (1 + dot / Math.sqrt(normA * normB)) / 2;
+}
+
+/**
+ * Splits text into search terms: lowercase words, plus character bigrams for CJK runs.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  if (!text) return [];
+  const lower = String(text).toLowerCase();
+  const terms = lower.match(/[a-z0-9]+/g) || [];
+  (lower.match(/[\u3400-\u9fff\uf900-\ufaff]+/g) || []).forEach(run => {
+    if (run.length === 1) terms.push(run);
+    for (let i = 0; i < run.length - 1; i++) terms.push(run.substring(i, i + 2));
+  });
+  return terms;
+}
+
+/**
+ * Scores documents against a query with BM25.
+ * @param {Array<object>} objects - Candidate objects ({ properties, ... }).
+ * @param {string} query - Query text.
+ * @param {string[]} searchProperties - Text properties that make up each document.
+ * @returns {Array<{object: object, score: number}>} Matching objects with their score, best first.
+ */
+function bm25Rank(objects, query, searchProperties) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0 || objects.length === 0) return [];
+
+  const documents = objects.map(object => {
+    const terms = tokenize(searchProperties.map(property => object.properties?.[property] || '').join(' '));
+    const frequencies = new Map();
+    terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+    return { object, length: terms.length, frequencies };
+  });
+  const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / documents.length || 1;
+
+  const inverseFrequency = new Map(queryTerms.map(term => {
+    const containing = documents.filter(doc => doc.frequencies.has(term)).length;
+    return [term, Math.log(1 + (documents.length - containing + 0.5) / (containing + 0.5))];
+  }));
+
+  return documents
+    .map(doc => {
+      const score = queryTerms.reduce((sum, term) => {
+        const frequency = doc.frequencies.get(term) || 0;
+        if (frequency === 0) return sum;
+        const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * (doc.length / averageLength));
+        return sum + inverseFrequency.get(term) * ((frequency * (BM25_K1 + 1)) / norm);
+      }, 0);
+      return { object: doc.object, score };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Keeps only the requested properties of an object.
+ * @param {object} properties
+ * @param {string[]} [fields] - Property names (all properties when omitted).
+ * @returns {object}
+ */
+function pickFields(properties, fields) {
+  if (!fields) return { ...properties };
+  return Object.fromEntries(fields.filter(field => field in properties).map(field => [field, properties[field]]));
+}
+
+/**
+ * Runs a nearVector search over in-process objects.
+ * @param {Array<{id: string, properties: object, vector: number[]}>} objects
+ * @param {object} params - Same as VectorStore#nearVector.
+ * @returns {Array<object>} Hits, closest first.
+ */
+function searchNearVector(objects, { vector, certainty = 0, filter = null, limit = 10, fields, includeVector = false }) {
+  return objects
+    .filter(object => matchesFilter(object.properties, filter))
+    .map(object => ({ object, certainty: cosineCertainty(vector, object.vector) }))
+    .filter(hit => hit.certainty !== null && hit.certainty >= certainty)
+    .sort((a, b) => b.certainty - a.certainty)
+    .slice(0, limit)
+    .map(({ object, certainty: hitCertainty }) => ({
+      id: object.id,
+      properties: pickFields(object.properties, fields),
+      certainty: hitCertainty,
+      ...(includeVector ? { vector: object.vector } : {}),
+    }));
+}
+
+/**
+ * Runs a BM25 keyword search over in-process objects.
+ * @param {Array<{id: string, properties: object}>} objects
+ * @param {object} params - Same as VectorStore#keywordSearch.
+ * @returns {Array<object>} Hits, best first.
+ */
+function searchKeywords(objects, { query, properties, filter = null, limit = 10, fields }) {
+  const candidates = objects.filter(object => matchesFilter(object.properties, filter));
+  return bm25Rank(candidates, query, properties)
+    .slice(0, limit)
+    .map(({ object, score }) => ({ id: object.id, properties: pickFields(object.properties, fields), score }));
+}
+
+module.exports = {
+  matchesFilter,
+  cosineCertainty,
+  tokenize,
+  bm25Rank,
+  searchNearVector,
+  searchKeywords,
+};
@@ -12,6 +12,10 @@ const { encode } = require('gpt-tokenizer');
  * @param {string} data.sessionId
  * @param {string} data.text
  * @param {number} data.index
+ * @param {number} [data.tokenCount] - Computed from the text when omitted.
+ * @param {number} [data.startOffset] - Character offset of the chunk in its RawData content.
+ * @param {number} [data.endOffset]
+ * @param {string} [data.contentHash] - Hash of the normalized text, for duplicate detection.
  * @param {number} data.importanceScore
  * @param {object} data.metadata
  * @returns {Promise<object>} The created chunk record.
@@ -26,7 +30,10 @@ const create = async (data) => {
         sessionId: data.sessionId,
         text: data.text,
         index: data.index,
-        tokenCount: encode(data.text).length, // Calculate token count
+        tokenCount: data.tokenCount ?? encode(data.text).length, // Calculate token count
+        startOffset: data.startOffset,
+        endOffset: data.endOffset,
+        contentHash: data.contentHash,
         importance: data.importanceScore,
         processingStatus: data.processingStatus || 'pending', // Default status
         metadata: data.metadata || {}, // Ensure metadata object exists
@@ -39,6 +46,25 @@ const create = async (data) => {
   }
 };
 
+/**
+ * Updates a single chunk record.
+ * @param {string} id - Chunk ID.
+ * @param {object} data - Data to update.
+ * @returns {Promise<object>} The updated chunk record.
+ */
+const update = async (id, data) => {
+  try {
+    const record = await prisma.chunkEmbedding.update({
+      where: { id },
+      data,
+    });
+    return record;
+  } catch (error) {
+    logger.error(`Error updating chunk embedding ${id}: ${error.message}`, { stack: error.stack, data });
+    throw new Error(`Database error updating chunk embedding: ${error.message}`);
+  }
+};
+
 /**
  * Updates multiple chunk records based on criteria.
  * @param {object} where - Prisma where clause.
@@ -62,13 +88,17 @@ const updateMany = async ({ where, data }) => {
  * Finds multiple chunk records based on criteria.
  * @param {object} where - Prisma where clause.
  * @param {number} take - Prisma take clause (limit).
+ * @param {object} [orderBy] - Prisma orderBy clause.
+ * @param {object} [select] - Prisma select clause (all fields if omitted).
  * @returns {Promise<Array<object>>} Array of found chunk records.
  */
-const findMany = async ({ where, take }) => {
+const findMany = async ({ where, take, orderBy, select }) => {
   try {
     const records = await prisma.chunkEmbedding.findMany({
       where,
       take,
+      orderBy,
+      select,
     });
     return records;
   } catch (error) {
@@ -77,10 +107,26 @@ const findMany = async ({ where, take }) => {
   }
 };
 
-// Add other necessary chunk operations as needed (e.g., findById, delete, etc.)
+/**
+ * Deletes multiple chunk records (their episode, node and relationship links cascade).
+ * @param {object} where - Prisma where clause.
+ * @returns {Promise<object>} Prisma batch payload.
+ */
+const deleteMany = async ({ where }) => {
+  try {
+    return await prisma.chunkEmbedding.deleteMany({ where });
+  } catch (error) {
+    logger.error(`Error deleting chunk embeddings: ${error.message}`, { stack: error.stack, where });
+    throw new Error(`Database error deleting chunk embeddings: ${error.message}`);
+  }
+};
+
+// Add other necessary chunk operations as needed (e.g., findById, etc.)
 
 module.exports = {
   create,
+  update,
   updateMany,
   findMany,
+  deleteMany,
 }; 
\ No newline at end of file
@@ -0,0 +1,167 @@
+const { prisma } = require('../db/prisma');
+const logger = require('../utils/logger').childLogger('OntologyRepository');
+
+/**
+ * Finds the active ontology version with its node and edge types.
+ * @param {object} [tx=prisma] - Transaction client, to join a caller's transaction.
+ * @returns {Promise<object|null>} The newest active OntologyVersion, or null.
+ */
+const findActiveVersion = async (tx = prisma) => {
+  try {
+    return await tx.ontologyVersion.findFirst({
+      where: { active: true },
+      orderBy: { createdAt: 'desc' },
+      include: { nodeTypes: true, edgeTypes: true },
+    });
+  } catch (error) {
+    logger.error(`Error finding active ontology version: ${error.message}`, { stack: error.stack });
+    throw new Error(`Database error finding active ontology version: ${error.message}`);
+  }
+};
+
+/**
+ * Counts the ontology versions created so far (active or not).
+ * @param {object} [tx=prisma] - Transaction client.
+ * @returns {Promise<number>}
+ */
+const countVersions = async (tx = prisma) => {
+  try {
+    return await tx.ontologyVersion.count();
+  } catch (error) {
+    logger.error(`Error counting ontology versions: ${error.message}`, { stack: error.stack });
+    throw new Error(`Database error counting ontology versions: ${error.message}`);
+  }
+};
+
+/**
+ * Creates an ontology version with copies of the given node and edge types and makes it the only active version,
+ * in one transaction.
+ * @param {object} version - { name, description }
+ * @param {Array<object>} nodeTypes - { name, description, properties, synonyms }
+ * @param {Array<object>} edgeTypes - { name, description, fromNodeTypes, toNodeTypes, properties }
+ * @param {object} [tx=prisma] - Transaction client, to join a caller's transaction.
+ * @returns {Promise<object>} The created OntologyVersion.
+ */
+const createActiveVersion = async (version, nodeTypes, edgeTypes, tx = prisma) => {
+  try {
+    await tx.ontologyVersion.updateMany({ where: { active: true }, data: { active: false } });
+    const created = await tx.ontologyVersion.create({ data: { ...version, active: true } });
+    await tx.nodeType.createMany({
+      data: nodeTypes.map(type => ({ ...type, ontologyVersionId: created.id })),
+    });
+    await tx.edgeType.createMany({
+      data: edgeTypes.map(type => ({ ...type, ontologyVersionId: created.id })),
+    });
+    return created;
+  } catch (error) {
+    logger.error(`Error creating ontology version: ${error.message}`, { stack: error.stack, version });
+    throw new Error(`Database error creating ontology version: ${error.message}`);
+  }
+};
+
+/**
+ * Creates an ontology change proposal.
+ * @param {object} data - OntologyChangeProposal fields.
+ * @returns {Promise<object>} The created proposal.
+ */
+const createProposal = async (data) => {
+  try {
+    return await prisma.ontologyChangeProposal.create({ data });
+  } catch (error) {
+    logger.error(`Error creating ontology change proposal: ${error.message}`, { stack: error.stack, data });
+    throw new Error(`Database error creating ontology change proposal: ${error.message}`);
+  }
+};
+
+/**
+ * Updates an ontology change proposal.
+ * @param {string} id - Proposal ID.
+ * @param {object} data - Data to update.
+ * @param {object} [options]
+ * @param {string} [options.status] - Only update if the proposal still has this status (guards concurrent reviews).
+ * @param {object} [options.tx=prisma] - Transaction client.
+ * @returns {Promise<object|null>} The updated proposal, or null if its status had changed.
+ */
+const updateProposal = async (id, data, { status, tx = prisma } = {}) => {
+  try {
+    if (status) {
+      const { count } = await tx.ontologyChangeProposal.updateMany({ where: { id, status }, data });
+      return count > 0 ? tx.ontologyChangeProposal.findUnique({ where: { id } }) : null;
+    }
+    return await tx.ontologyChangeProposal.update({ where: { id }, data });
+  } catch (error) {
+    logger.error(`Error updating ontology change proposal ${id}: ${error.message}`, { stack: error.stack, data });
+    throw new Error(`Database error updating ontology change proposal: ${error.message}`);
+  }
+};
+
+/**
+ * Finds an ontology change proposal by ID.
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+const findProposalById = async (id) => {
+  try {
+    return await prisma.ontologyChangeProposal.findUnique({ where: { id } });
+  } catch (error) {
+    logger.error(`Error finding ontology change proposal ${id}: ${error.message}`, { stack: error.stack });
+    throw new Error(`Database error finding ontology change proposal: ${error.message}`);
+  }
+};
+
+/**
+ * Finds ontology change proposals, newest first.
+ * @param {object} where - Prisma where clause.
+ * @param {object} [pagination] - { take, skip }
+ * @returns {Promise<{proposals: Array<object>, total: number}>}
+ */
+const findProposals = async (where, { take, skip } = {}) => {
+  try {
+    const [proposals, total] = await Promise.all([
+      prisma.ontologyChangeProposal.findMany({ where, orderBy: { createdAt: 'desc' }, take, skip }),
+      prisma.ontologyChangeProposal.count({ where }),
+    ]);
+    return { proposals, total };
+  } catch (error) {
+    logger.error(`Error finding ontology change proposals: ${error.message}`, { stack: error.stack, where });
+    throw new Error(`Database error finding ontology change proposals: ${error.message}`);
+  }
+};
+
+/**
+ * Finds the most recent proposal of a type for a type name.
+ * @param {string} type - 'nodeType' or 'edgeType'.
+ * @param {string} name - Proposed type name (proposedDefinition.name).
+ * @param {string[]} statuses - Statuses to consider.
+ * @returns {Promise<object|null>}
+ */
+const findProposalByTypeName = async (type, name, statuses) => {
+  try {
+    return await prisma.ontologyChangeProposal.findFirst({
+      where: { type, status: { in: statuses }, proposedDefinition: { path: ['name'], equals: name } },
+      orderBy: { createdAt: 'desc' },
+    });
+  } catch (error) {
+    logger.error(`Error finding ontology change proposal for ${type} ${name}: ${error.message}`, { stack: error.stack });
+    throw new Error(`Database error finding ontology change proposal: ${error.message}`);
+  }
+};
+
+/**
+ * Runs a callback in a transaction (the callback gets the transaction client).
+ * @param {function} callback
+ * @returns {Promise<*>} The callback's result.
+ */
+const transaction = callback => prisma.$transaction(callback);
+
+module.exports = {
+  findActiveVersion,
+  countVersions,
+  createActiveVersion,
+  createProposal,
+  updateProposal,
+  findProposalById,
+  findProposals,
+  findProposalByTypeName,
+  transaction,
+};
@@ -0,0 +1,108 @@
+const { prisma } = require('../db/prisma');
+const logger = require('../utils/logger').childLogger('PipelineStateRepository');
+
+/**
+ * Finds the pipeline state of a RawData.
+ * @param {string} rawDataId
+ * @returns {Promise<object|null>}
+ */
+const findByRawDataId = async (rawDataId) => {
+  try {
+    return await prisma.pipelineState.findUnique({ where: { rawDataId } });
+  } catch (error) {
+    logger.error(`Error finding pipeline state for rawData ${rawDataId}: ${error.message}`, { stack: error.stack });
+    throw new Error(`Database error finding pipeline state: ${error.message}`);
+  }
+};
+
+/**
+ * Creates or replaces the pipeline state of a RawData.
+ * @param {string} rawDataId
+ * @param {object} create - Fields of a new state (rawDataId is added).
+ * @param {object} update - Fields to update on an existing state.
+ * @returns {Promise<object>}
+ */
+const upsert = async (rawDataId, create, update) => {
+  try {
+    return await prisma.pipelineState.upsert({
+      where: { rawDataId },
+      create: { ...create, rawDataId },
+      update,
+    });
+  } catch (error) {
+    logger.error(`Error saving pipeline state for rawData ${rawDataId}: ${error.message}`, { stack: error.stack });
+    throw new Error(`Database error saving pipeline state: ${error.message}`);
+  }
+};
+
+/**
+ * Updates the pipeline state of a RawData.
+ * @param {string} rawDataId
+ * @param {object} data
+ * @returns {Promise<object>}
+ */
+const update = async (rawDataId, data) => {
+  try {
+    return await prisma.pipelineState.update({ where: { rawDataId }, data });
+  } catch (error) {
+    logger.error(`Error updating pipeline state for rawData ${rawDataId}: ${error.message}`, { stack: error.stack, data });
+    throw new Error(`Database error updating pipeline state: ${error.message}`);
+  }
+};
+
+/**
+ * Finds pipeline states, least recently updated first.
+ * @param {object} where - Prisma where clause.
+ * @param {object} [pagination] - { take, skip }
+ * @returns {Promise<{states: Array<object>, total: number}>}
+ */
+const findMany = async (where, { take, skip } = {}) => {
+  try {
+    const [states, total] = await Promise.all([
+      prisma.pipelineState.findMany({ where, orderBy: { updatedAt: 'asc' }, take, skip }),
+      prisma.pipelineState.count({ where }),
+    ]);
+    return { states, total };
+  } catch (error) {
+    logger.error(`Error finding pipeline states: ${error.message}`, { stack: error.stack, where });
+    throw new Error(`Database error finding pipeline states: ${error.message}`);
+  }
+};
+
+/**
+ * Counts pipeline states.
+ * @param {object} where - Prisma where clause.
+ * @returns {Promise<number>}
+ */
+const count = async (where) => {
+  try {
+    return await prisma.pipelineState.count({ where });
+  } catch (error) {
+    logger.error(`Error counting pipeline states: ${error.message}`, { stack: error.stack, where });
+    throw new Error(`Database error counting pipeline states: ${error.message}`);
+  }
+};
+
+/**
+ * Counts pipeline states per status and stage.
+ * @param {object} where - Prisma where clause.
+ * @returns {Promise<Array<{status: string, stage: string, count: number}>>}
+ */
+const countByStatusAndStage = async (where) => {
+  try {
+    const groups = await prisma.pipelineState.groupBy({ by: ['status', 'stage'], where, _count: { _all: true } });
+    return groups.map(group => ({ status: group.status, stage: group.stage, count: group._count._all }));
+  } catch (error) {
+    logger.error(`Error counting pipeline states: ${error.message}`, { stack: error.stack, where });
+    throw new Error(`Database error counting pipeline states: ${error.message}`);
+  }
+};
+
+module.exports = {
+  findByRawDataId,
+  upsert,
+  update,
+  findMany,
+  count,
+  countByStatusAndStage,
+};
@@ -76,6 +76,39 @@ const findMany = async ({ where, orderBy, take }) => {
   }
 };
 
+/**
+ * Conversation content types that make up a chat session's history.
+ */
+const CONVERSATION_CONTENT_TYPES = ['user_chat', 'ai_response', 'uploaded_file_event'];
+
+/**
+ * Finds the most recent conversation records of a session, in chronological order.
+ * @param {string} userId - ID of the user.
+ * @param {string} sessionId - ID of the chat session.
+ * @param {object} [options]
+ * @param {number} [options.limit] - Max number of records (most recent ones are kept).
+ * @param {Array<string>} [options.excludeIds=[]] - RawData IDs to leave out (e.g. the message being processed).
+ * @returns {Promise<Array<object>>} RawData records, oldest first.
+ */
+const findSessionHistory = async (userId, sessionId, { limit, excludeIds = [] } = {}) => {
+  try {
+    const records = await prisma.rawData.findMany({
+      where: {
+        userId,
+        sessionId,
+        contentType: { in: CONVERSATION_CONTENT_TYPES },
+        ...(excludeIds.length > 0 && { id: { notIn: excludeIds } }),
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+    });
+    return records.reverse();
+  } catch (error) {
+    logger.error(`Error finding session history: ${error.message}`, { stack: error.stack, userId, sessionId });
+    throw new Error(`Database error finding session history: ${error.message}`);
+  }
+};
+
 /**
  * Updates a raw data record.
  * @param {string} id - ID of the record to update.
@@ -98,5 +131,6 @@ const update = async (id, data) => {
 module.exports = {
   create,
   findMany,
+  findSessionHistory,
   update,
 }; 
\ No newline at end of file
@@ -0,0 +1,67 @@
+const { prisma } = require('../db/prisma');
+const logger = require('../utils/logger').childLogger('ReprocessingRunRepository');
+
+/**
+ * Creates a reprocessing run.
+ * @param {object} data - { requestedBy, options }
+ * @returns {Promise<object>} The created run.
+ */
+const create = async (data) => {
+  try {
+    return await prisma.reprocessingRun.create({ data });
+  } catch (error) {
+    logger.error(`Error creating reprocessing run: ${error.message}`, { stack: error.stack, data });
+    throw new Error(`Database error creating reprocessing run: ${error.message}`);
+  }
+};
+
+/**
+ * Finds a reprocessing run by ID.
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+const findById = async (id) => {
+  try {
+    return await prisma.reprocessingRun.findUnique({ where: { id } });
+  } catch (error) {
+    logger.error(`Error finding reprocessing run ${id}: ${error.message}`, { stack: error.stack });
+    throw new Error(`Database error finding reprocessing run: ${error.message}`);
+  }
+};
+
+/**
+ * Finds reprocessing runs, most recent first.
+ * @param {object} where - Prisma where clause.
+ * @param {object} [pagination] - { take, skip }
+ * @returns {Promise<Array<object>>}
+ */
+const findMany = async (where, { take, skip } = {}) => {
+  try {
+    return await prisma.reprocessingRun.findMany({ where, orderBy: { createdAt: 'desc' }, take, skip });
+  } catch (error) {
+    logger.error(`Error finding reprocessing runs: ${error.message}`, { stack: error.stack, where });
+    throw new Error(`Database error finding reprocessing runs: ${error.message}`);
+  }
+};
+
+/**
+ * Updates a reprocessing run.
+ * @param {string} id
+ * @param {object} data
+ * @returns {Promise<object>}
+ */
+const update = async (id, data) => {
+  try {
+    return await prisma.reprocessingRun.update({ where: { id }, data });
+  } catch (error) {
+    logger.error(`Error updating reprocessing run ${id}: ${error.message}`, { stack: error.stack });
+    throw new Error(`Database error updating reprocessing run: ${error.message}`);
+  }
+};
+
+module.exports = {
+  create,
+  findById,
+  findMany,
+  update,
+};
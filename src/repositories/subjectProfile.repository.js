@@ -0,0 +1,66 @@
+const { prisma } = require('../db/prisma');
+const logger = require('../utils/logger').childLogger('SubjectProfileRepository');
+
+/**
+ * Finds all subject profiles of a user, most mentioned first.
+ * @param {string} userId
+ * @returns {Promise<Array<object>>}
+ */
+const findByUserId = async (userId) => {
+  try {
+    return await prisma.subjectProfile.findMany({ where: { userId }, orderBy: { mentionCount: 'desc' } });
+  } catch (error) {
+    logger.error(`Error finding subject profiles of user ${userId}: ${error.message}`, { stack: error.stack });
+    throw new Error(`Database error finding subject profiles: ${error.message}`);
+  }
+};
+
+/**
+ * Finds subject profiles by ID.
+ * @param {string[]} ids
+ * @returns {Promise<Array<object>>}
+ */
+const findByIds = async (ids) => {
+  try {
+    return await prisma.subjectProfile.findMany({ where: { id: { in: ids } } });
+  } catch (error) {
+    logger.error(`Error finding subject profiles: ${error.message}`, { stack: error.stack, ids });
+    throw new Error(`Database error finding subject profiles: ${error.message}`);
+  }
+};
+
+/**
+ * Creates a subject profile.
+ * @param {object} data - { userId, name, normalizedName, relationship, aliases, knowledgeNodeId }
+ * @returns {Promise<object>} The created profile.
+ */
+const create = async (data) => {
+  try {
+    return await prisma.subjectProfile.create({ data });
+  } catch (error) {
+    logger.error(`Error creating subject profile: ${error.message}`, { stack: error.stack, userId: data.userId });
+    throw new Error(`Database error creating subject profile: ${error.message}`);
+  }
+};
+
+/**
+ * Updates a subject profile.
+ * @param {string} id
+ * @param {object} data
+ * @returns {Promise<object>}
+ */
+const update = async (id, data) => {
+  try {
+    return await prisma.subjectProfile.update({ where: { id }, data });
+  } catch (error) {
+    logger.error(`Error updating subject profile ${id}: ${error.message}`, { stack: error.stack });
+    throw new Error(`Database error updating subject profile: ${error.message}`);
+  }
+};
+
+module.exports = {
+  findByUserId,
+  findByIds,
+  create,
+  update,
+};
@@ -0,0 +1,45 @@
+// src/routes/memory.routes.js
+// Routes for inspecting the memory system
+
+const express = require('express');
+const router = express.Router();
+const memoryController = require('../controllers/memory.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+// All memory routes require authentication
+router.use(authMiddleware.verifyToken);
+
+// GET /api/memory/search?q=... - Retrieve memories for a query and explain the result
+router.get('/search', memoryController.searchMemories);
+
+// GET /api/memory/mood?from=...&to=...&granularity=week - Valence, arousal and emotions over time
+router.get('/mood', memoryController.getMoodTimeline);
+
+// Memory pipeline administration requires admin access
+router.use('/pipeline', authMiddleware.requireAdmin);
+
+// GET /api/memory/pipeline?status=failed&stage=embed&userId=...&stuck=true - List pipeline states
+router.get('/pipeline', memoryController.listPipelineStates);
+
+// GET /api/memory/pipeline/summary - Counts per status and stage, and stuck runs
+router.get('/pipeline/summary', memoryController.summarizePipelineStates);
+
+// GET /api/memory/pipeline/:rawDataId - Pipeline state of a RawData
+router.get('/pipeline/:rawDataId', memoryController.getPipelineState);
+
+// POST /api/memory/pipeline/retry - Queue runs that resume at the failed stage (or from body.fromStage)
+router.post('/pipeline/retry', memoryController.retryPipelines);
+
+// Reprocessing runs require admin access
+router.use('/reprocess', authMiddleware.requireAdmin);
+
+// POST /api/memory/reprocess - Re-run the pipeline for a user (or allUsers), optionally regenerating; dryRun previews
+router.post('/reprocess', memoryController.reprocessMemories);
+
+// GET /api/memory/reprocess?status=PROCESSING - Recent reprocessing runs
+router.get('/reprocess', memoryController.listReprocessingRuns);
+
+// GET /api/memory/reprocess/:runId - Options and progress report of a run
+router.get('/reprocess/:runId', memoryController.getReprocessingRun);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+// src/routes/ontology.routes.js
+// Routes for the knowledge graph ontology and its change proposals
+
+const express = require('express');
+const router = express.Router();
+const ontologyController = require('../controllers/ontology.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+// All ontology routes require authentication
+router.use(authMiddleware.verifyToken);
+
+// GET /api/ontology - Active ontology version with its node and edge types
+router.get('/', ontologyController.getActiveOntology);
+
+// Proposals are managed by admins
+router.use('/proposals', authMiddleware.requireAdmin);
+
+// POST /api/ontology/proposals - Propose a new node or edge type
+router.post('/proposals', ontologyController.createProposal);
+
+// GET /api/ontology/proposals?status=pending - List proposals
+router.get('/proposals', ontologyController.listProposals);
+
+// GET /api/ontology/proposals/:id - Get a proposal
+router.get('/proposals/:id', ontologyController.getProposal);
+
+// POST /api/ontology/proposals/:id/review - Approve (creates a new ontology version) or reject a proposal
+router.post('/proposals/:id/review', ontologyController.reviewProposal);
+
+module.exports = router;
@@ -2,6 +2,7 @@
 // Service acting as a facade for AI operations, delegating to a specific provider.
 
 const GeminiProvider = require('../providers/GeminiProvider'); // Import the concrete provider
+const LocalEmbeddingProvider = require('../providers/LocalEmbeddingProvider'); // CPU embeddings
 const { prisma } = require('../db/prisma'); // Keep unused prisma import? Maybe remove later.
 const logger = require('../utils/logger').childLogger('AI_Service');
 const { handleServiceError, ServiceError } = require('../utils/errorHandler');
@@ -9,11 +10,13 @@ const aiConfig = require('../../config/ai.config');
 const serviceConfig = require('../../config/service.config'); // Import service config
 const AIProvider = require('../providers/AIProvider'); // Base class/interface
 const { extractTextFromFile } = require('../utils/fileExtractor'); // Import the new utility
+const { getActiveEmbeddingModel } = require('../utils/embeddingModels');
 
 // --- File Processing Logic Removed --- 
 
 // --- PROVIDER MANAGEMENT AND FACADE --- 
 let currentProvider = null;
+let embeddingProvider = null; // Only set when embeddings do not come from currentProvider
 
 function initializeAIService(providerName) {
     const defaultProvider = serviceConfig.ai.defaultProvider;
@@ -58,6 +61,35 @@ function getProvider() {
     return currentProvider;
 }
 
+/**
+ * Provider for the active embedding model (aiConfig.activeEmbeddingModel).
+ * Local models get their own provider; API models use the chat provider.
+ */
+function getEmbeddingProvider() {
+    const model = getActiveEmbeddingModel();
+    if (model.provider !== 'local') {
+        return getProvider();
+    }
+    if (!embeddingProvider || embeddingProvider.modelName !== model.name) {
+        embeddingProvider = new LocalEmbeddingProvider(model.name);
+        logger.info(`Embedding provider selected: LocalEmbeddingProvider (${model.name})`);
+    }
+    return embeddingProvider;
+}
+
+/**
+ * Loads a local embedding model before the first request (no-op for API models).
+ * Called on worker startup so the first job does not pay for loading the model.
+ * @returns {Promise<boolean>} Whether the embedding provider is ready.
+ */
+async function warmUpEmbeddings() {
+    const provider = getEmbeddingProvider();
+    if (typeof provider.warmUp !== 'function') {
+        return true;
+    }
+    return provider.warmUp();
+}
+
 async function sendMessage(userId, sessionId, message, options = {}) {
     // Add basic input validation
     if (!userId || !sessionId || !message) {
@@ -96,7 +128,7 @@ async function generateEmbeddings(texts) {
          }
     }
      try {
-         return await getProvider().generateEmbeddings(texts);
+         return await getEmbeddingProvider().generateEmbeddings(texts);
      } catch (error) {
          throw handleServiceError(error, 'generateEmbeddings');
      }
@@ -124,13 +156,13 @@ async function processFileContent(filePath) {
         const result = await extractTextFromFile(filePath);
         // Wrap the result to match expected structure if needed, or just return it.
         // The original internal function returned { text, error, isImage, path }, 
-        // the new one returns { text, error, isImage }. Let's adapt.
+        // the new one returns { text, error, isImage, structure }. Let's adapt.
         if (result.error) {
              // If the extractor returned an error string, return it in the expected structure
              return { success: false, text: null, error: result.error, isImage: result.isImage, path: filePath };
         } else {
              // If successful, return text and isImage status
-              return { success: true, text: result.text, error: null, isImage: result.isImage, path: filePath };
+              return { success: true, text: result.text, error: null, isImage: result.isImage, structure: result.structure, path: filePath };
         }
     } catch (error) {
         // Catch any unexpected errors from the utility itself
@@ -145,6 +177,7 @@ module.exports = {
     sendMessage,
     analyzeImage,
     generateEmbeddings,
+    warmUpEmbeddings,
     getCompletion,
     processFileContent // Export the facade method that now uses the utility
 }; 
\ No newline at end of file
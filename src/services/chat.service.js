@@ -1,15 +1,17 @@
 const rawDataRepository = require('../repositories/rawData.repository');
 const memoryManager = require('./memoryManager.service');
+const { rewriteQuery } = require('./queryRewriter.service');
 const aiService = require('./ai.service');
 const logger = require('../utils/logger').childLogger('ChatService');
 const { handleServiceError, ServiceError } = require('../utils/errorHandler');
 const memoryConfig = require('../../config/memory.config');
 const aiConfig = require('../../config/ai.config');
 const { addMemoryJob } = require('../utils/queues');
+const { assembleMemoryContext } = require('../utils/contextAssembler');
 
 /**
- * Formats memories into a structured block for the AI context.
- * @param {Array<object>} relevantMemories - Array of retrieved memories.
+ * Formats memories into a structured block for the AI context, within the memory token budget.
+ * @param {Array<object>} relevantMemories - Array of retrieved memories, best first.
  * @returns {string} - Formatted memory context block or empty string.
  */
 function formatMemoryContextBlock(relevantMemories) {
@@ -18,23 +20,17 @@ function formatMemoryContextBlock(relevantMemories) {
   }
 
   logger.info(`Formatting ${relevantMemories.length} relevant memories for context block.`);
-  
-  // Start with the centralized memory context instructions/header
-  let memoryBlock = aiConfig.memoryContextPrompt + '\n\n'; // Added newlines for separation
-  
-  // Format the actual memory content
-  memoryBlock += relevantMemories.map((m, i) => {
-      const relevance = m.similarity ? `(Relevance: ${(m.similarity * 100).toFixed(1)}%)` : '';
-      if (m.type === 'episode') {
-          return `[Episode Memory ${i+1}] ${m.title || 'Untitled Episode'} ${relevance}\nNarrative: ${m.narrative || m.content || 'No content available'}`;
-      }
-      if (m.type === 'thought') return `[Thought Memory ${i+1}] ${m.name}: ${m.content} ${relevance}`;
-      if (m.type === 'chunk') return `[Chunk Memory ${i+1}] ${relevance}\n${m.text}`;
-      return `[Memory ${i+1}] ${m.content || m.text || 'N/A'} ${relevance}`;
-  }).join('\n\n---\n\n'); // Add separator between memories
-  
-  logger.info('Memory context block created for AI.');
-  return memoryBlock;
+
+  const budget = aiConfig.contextBudget;
+  const { block, tokens, full, summarized, dropped } = assembleMemoryContext(relevantMemories, {
+    header: aiConfig.memoryContextPrompt + '\n\n', // Centralized memory context instructions/header
+    budget: budget.memoryTokens,
+    fullDetailCount: budget.fullDetailMemories,
+    summaryTokens: budget.memorySummaryTokens,
+  });
+
+  logger.info(`Memory context block created for AI (${tokens}/${budget.memoryTokens} tokens; full: ${full}, summarized: ${summarized}, dropped: ${dropped}).`);
+  return block;
 }
 
 /**
@@ -63,18 +59,30 @@ async function processUserMessage(userId, sessionId, message) {
     });
     logger.info('User message recorded', { rawDataId: userRawDataRecord.id });
 
-    // 2. Retrieve relevant memories
+    // 2. Rewrite the message into a standalone retrieval query using the session history
+    const rewrite = await rewriteQuery(userId, sessionId, message, { excludeRawDataIds: [userRawDataRecord.id] });
+
+    // 3. Retrieve relevant memories
     logger.info('Retrieving relevant memories for context...');
-    const relevantMemories = await memoryManager.retrieveMemories(message, userId, {
+    const relevantMemories = await memoryManager.retrieveMemoriesForQueries([rewrite.query, ...rewrite.alternatives], userId, {
       limit: memoryConfig.defaultRetrievalLimit,
       minImportance: memoryConfig.defaultRetrievalMinImportance,
       certainty: memoryConfig.defaultRetrievalCertainty,
+      sessionId,
+    });
+    memoryManager.recordInjectedMemories(sessionId, relevantMemories.map(m => m.id));
+    logger.info('Memory retrieval completed', {
+      originalQuery: rewrite.originalQuery.substring(0, 100),
+      rewrittenQuery: rewrite.rewritten ? rewrite.query : null,
+      alternativeQueries: rewrite.alternatives,
+      resultCount: relevantMemories.length,
+      results: relevantMemories.map(m => ({ type: m.type, id: m.id, score: m.finalScore ?? m.similarity })),
     });
 
-    // 3. Format memory context
+    // 4. Format memory context
     const memoryContextBlock = formatMemoryContextBlock(relevantMemories);
 
-    // 4. Get AI response
+    // 5. Get AI response
     logger.info('Requesting AI response from aiService...');
     const startTime = Date.now();
     // Pass the formatted memory block to be potentially injected by the provider
@@ -87,9 +95,9 @@ async function processUserMessage(userId, sessionId, message) {
       const errorMessage = aiResponse.error instanceof Error ? aiResponse.error.message : String(aiResponse.error || 'AI service failed to process the message.');
       throw new ServiceError(errorMessage, 500);
     }
-    logger.info('AI response received successfully from aiService.');
+    logger.info('AI response received successfully from aiService.', { tokenUsage: aiResponse.tokenUsage });
 
-    // 5. Record AI response
+    // 6. Record AI response
     if (aiResponse.text) {
       aiRawDataRecord = await rawDataRepository.create({
         content: aiResponse.text,
@@ -97,13 +105,13 @@ async function processUserMessage(userId, sessionId, message) {
         userId: userId,
         sessionId: sessionId,
         perspectiveOwnerId: userId, // AI perspective
-        subjectId: userId, // About the user
+        subjectId: userId, // About the user (the pipeline's subject stage may point it to someone else)
         importanceScore: null // Will be evaluated later
       });
       logger.info('AI response recorded', { rawDataId: aiRawDataRecord.id });
     }
 
-    // 6. Trigger background memory processing VIA QUEUE
+    // 7. Trigger background memory processing VIA QUEUE
     logger.info(`[Queue Trigger] Adding job for User RawData: ${userRawDataRecord.id}`);
     await addMemoryJob('processRawData', { rawDataId: userRawDataRecord.id });
 
@@ -112,8 +120,8 @@ async function processUserMessage(userId, sessionId, message) {
       await addMemoryJob('processRawData', { rawDataId: aiRawDataRecord.id });
     }
 
-    // 7. Return success response
-    return { success: true, text: aiResponse.text, userRawDataId: userRawDataRecord.id, aiRawDataId: aiRawDataRecord?.id };
+    // 8. Return success response
+    return { success: true, text: aiResponse.text, userRawDataId: userRawDataRecord.id, aiRawDataId: aiRawDataRecord?.id, tokenUsage: aiResponse.tokenUsage };
 
   } catch (error) {
     logger.error(`Service Error in processUserMessage: ${error?.message}`, { stack: error?.stack, userId, sessionId });
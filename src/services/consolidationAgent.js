@@ -6,8 +6,10 @@ const { PrismaClient } = require('@prisma/client');
 // const prisma = new PrismaClient();
 const { prisma } = require('../db/prisma'); // Use the singleton instance
 const logger = require('../utils/logger').childLogger('ConsolidationAgent');
-const weaviateClientUtil = require('../utils/weaviateClient'); // No longer needed directly
-const { storeObjectInWeaviate } = require('../utils/weaviateHelper'); // USE SHARED HELPER
+const { getVectorStore } = require('./vectorStore.service'); // Configured vector store (Weaviate, Postgres or in-memory)
+const graphSync = require('./graphSync.service'); // Mirrors episodes and their chunks into the graph store
+const { episodeSubjectIds } = require('./subjectProfile.service'); // People other than the user an episode is about
+const { summarizeEpisodeEmotions } = require('./emotionTagging.service'); // Emotion tags of an episode from its chunks
 const { Worker, Queue } = require('bullmq');
 // const config = require('../config'); // Removed unused config import
 const redisConfig = require('../utils/redisConfig');
@@ -15,10 +17,9 @@ const redisConfig = require('../utils/redisConfig');
 const { generateTitleAndNarrative } = require('../utils/aiHelper'); // USE SHARED HELPER
 const dbscan = require('density-clustering').DBSCAN; // For clustering
 const { v4: uuidv4 } = require('uuid'); // Import uuid
-const aiConfig = require('../../config/ai.config'); // Import aiConfig
 const episodicConfig = require('../../config/episodic.config'); // Import episodic config
 const queueConfig = require('../../config/queue.config'); // Import queue config
-const { expandVector } = require('../utils/vectorUtils'); // IMPORT expandVector
+const { getActiveEmbeddingModel } = require('../utils/embeddingModels'); // Embedding model registry
 
 // Import configuration parameters from centralized config files
 const ORPHAN_QUEUE_NAME = queueConfig.queues.orphanChunks;
@@ -175,25 +176,12 @@ async function processOrphanChunks(userId, triggerChunkId) {
       const clusterChunkIds = limitedIndices.map(idx => chunkIds[idx]);
       const clusterVectors = limitedIndices.map(idx => vectors[idx]);
       
-      let centroidVector = calculateCentroid(clusterVectors);
+      const centroidVector = calculateCentroid(clusterVectors);
       if (!centroidVector || centroidVector.length === 0) {
           logger.warn(`[ConsolidationAgent] User ${userId}: Failed to calculate centroid for cluster ${i}. Skipping cluster.`);
           continue;
       }
 
-      // --- EXPAND CENTROID VECTOR ---
-      const targetDimension = aiConfig.embeddingDimension || 1536;
-      if (centroidVector.length !== targetDimension) {
-        logger.info(`[ConsolidationAgent] User ${userId}: Expanding episode centroid for cluster ${i} from ${centroidVector.length} to ${targetDimension}`);
-        const expandedCentroid = await expandVector(centroidVector, targetDimension);
-        if (!expandedCentroid || expandedCentroid.length !== targetDimension) {
-            logger.warn(`[ConsolidationAgent] User ${userId}: Failed to expand centroid vector for cluster ${i}. Using original centroid. Vector length: ${centroidVector.length}`);
-            // Decide if we should proceed with unexpanded or skip. For now, proceed with original to see if Weaviate still complains, or if Prisma is the issue with varying dim.
-        } else {
-            centroidVector = expandedCentroid;
-        }
-      }
-      // --- END EXPAND CENTROID VECTOR ---
       
       // Fetch the full chunks for narrative generation
       logger.debug(`[ConsolidationAgent] User ${userId}: Fetching full chunk data for cluster ${i}`);
@@ -219,7 +207,14 @@ async function processOrphanChunks(userId, triggerChunkId) {
               narrative,
               centroidVec: centroidVector,
               centroidDim: centroidVector.length,
+              embeddingModel: getActiveEmbeddingModel().name, // Orphans are restricted to the active model
               userId: userId,
+              // The episode happened when its earliest chunk was recorded
+              occurredAt: clusterChunks.length > 0
+                ? new Date(Math.min(...clusterChunks.map(c => c.createdAt.getTime())))
+                : null,
+              subjectIds: episodeSubjectIds(clusterChunks),
+              ...summarizeEpisodeEmotions(clusterChunks),
               createdAt: new Date(), // Ensure createdAt is set
             }
           });
@@ -238,20 +233,26 @@ async function processOrphanChunks(userId, triggerChunkId) {
             });
           }
           logger.debug(`[ConsolidationAgent] User ${userId}: Finished linking chunks for episode ${episode.id}`);
+          await graphSync.syncEpisode(episode, clusterChunkIds);
           
-          // USE SHARED Weaviate utility
-          const weaviateProperties = {
+          // Store the episode in the vector store
+          const episodeProperties = {
             episodeDbId: episode.id,
             title: episode.title,
             narrative: episode.narrative,
             userId: episode.userId,
             createdAt: episode.createdAt.toISOString(),
+            occurredAt: episode.occurredAt?.toISOString(),
+            embeddingModel: episode.embeddingModel,
+            subjectIds: episode.subjectIds,
+            ...(episode.valence !== null && { valence: episode.valence, arousal: episode.arousal }),
+            emotions: episode.emotions,
           };
-          const weaviateId = await storeObjectInWeaviate('EpisodeEmbedding', weaviateProperties, episode.centroidVec);
-          if (weaviateId) {
-            logger.debug(`[ConsolidationAgent] User ${userId}: Finished storing episode ${episode.id} in Weaviate (Weaviate ID: ${weaviateId})`);
+          const stored = await getVectorStore().upsert('EpisodeEmbedding', episode.id, episodeProperties, episode.centroidVec);
+          if (stored) {
+            logger.debug(`[ConsolidationAgent] User ${userId}: Finished storing episode ${episode.id} in the vector store`);
           } else {
-            logger.warn(`[ConsolidationAgent] User ${userId}: Failed to store episode ${episode.id} in Weaviate.`);
+            logger.warn(`[ConsolidationAgent] User ${userId}: Failed to store episode ${episode.id} in the vector store.`);
             // Decide if this is a critical failure for the episode creation process
           }
           
@@ -280,9 +281,11 @@ async function processOrphanChunks(userId, triggerChunkId) {
 async function getOrphanedChunks(userId) {
   logger.debug(`[ConsolidationAgent] Fetching orphaned chunks for user ${userId}...`);
   // Find all chunks for the user (fetch full objects)
+  // Only chunks embedded by the active model can be clustered together; others wait for re-embedding
   const allChunks = await prisma.chunkEmbedding.findMany({
     where: {
       userId: userId,
+      embeddingModel: getActiveEmbeddingModel().name,
     }
     // NO SELECT clause here - fetch full object initially
   });
@@ -300,19 +303,19 @@ async function getOrphanedChunks(userId) {
   const orphaned = allChunks.filter(chunk => !linkedIds.has(chunk.id));
   logger.debug(`[ConsolidationAgent] Found ${allChunks.length} total chunks, ${linkedChunkIds.length} linked chunks, resulting in ${orphaned.length} orphans for user ${userId}.`);
 
-  // Now fetch vectors from Weaviate for these orphaned chunks
+  // Now fetch vectors from the vector store for these orphaned chunks
   const orphanedWithVectors = [];
   for (const chunk of orphaned) {
     try {
-      // Get the vector from Weaviate
-      const vector = await getChunkVectorFromWeaviate(chunk.id);
+      // Get the vector from the vector store
+      const vector = await getChunkVectorFromStore(chunk.id);
       if (vector && vector.length > 0) {
         orphanedWithVectors.push({
           id: chunk.id,
           vector: vector
         });
       } else {
-        logger.warn(`[ConsolidationAgent] User ${userId}: Chunk ${chunk.id} missing vector in Weaviate`);
+        logger.warn(`[ConsolidationAgent] User ${userId}: Chunk ${chunk.id} missing vector in the vector store`);
       }
     } catch (error) {
       logger.error(`[ConsolidationAgent] Error getting vector for chunk ${chunk.id}: ${error.message}`);
@@ -322,23 +325,19 @@ async function getOrphanedChunks(userId) {
   // Log diagnostics about missing vectors
   const chunksWithoutVectors = orphaned.length - orphanedWithVectors.length;
   if (chunksWithoutVectors > 0) {
-    logger.warn(`[ConsolidationAgent] User ${userId}: Found ${chunksWithoutVectors} orphaned chunks MISSING vectors after Weaviate fetch (out of ${orphaned.length} total orphans)`);
+    logger.warn(`[ConsolidationAgent] User ${userId}: Found ${chunksWithoutVectors} orphaned chunks MISSING vectors after vector store fetch (out of ${orphaned.length} total orphans)`);
   }
 
   return orphanedWithVectors;
 }
 
 /**
- * Retrieve a chunk's vector from Weaviate
+ * Retrieve a chunk's vector from the vector store
  * @param {string} chunkId - The ID of the chunk to retrieve the vector for
  * @returns {Promise<Array<number>|null>} The vector array or null if not found
  */
-async function getChunkVectorFromWeaviate(chunkId) {
-  const client = weaviateClientUtil.getClient();
-  if (!client) {
-    logger.error('[ConsolidationAgent] Weaviate client not available for getChunkVectorFromWeaviate');
-    return null;
-  }
+async function getChunkVectorFromStore(chunkId) {
+  const vectorStore = getVectorStore();
   
   // Retry configuration
   const maxRetries = 3;
@@ -346,27 +345,14 @@ async function getChunkVectorFromWeaviate(chunkId) {
   
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      logger.debug(`[ConsolidationAgent] Retrieving vector for chunk ${chunkId} from Weaviate (attempt ${attempt}/${maxRetries})`);
-      
-      // Use GraphQL API to retrieve the vector
-      const result = await client.graphql
-        .get()
-        .withClassName('ChunkEmbedding')
-        .withFields('chunkDbId _additional { vector }')
-        .withWhere({
-          path: ['chunkDbId'],
-          operator: 'Equal',
-          valueString: chunkId
-        })
-        .do();
+      logger.debug(`[ConsolidationAgent] Retrieving vector for chunk ${chunkId} from the vector store (attempt ${attempt}/${maxRetries})`);
       
-      // Check if we got a valid result
-      const objects = result?.data?.Get?.ChunkEmbedding;
-      if (objects && objects.length > 0 && objects[0]._additional?.vector) {
+      const vector = await vectorStore.fetchVector('ChunkEmbedding', chunkId);
+      if (vector) {
         logger.debug(`[ConsolidationAgent] Successfully retrieved vector for chunk ${chunkId} on attempt ${attempt}`);
-        return objects[0]._additional.vector;
+        return vector;
       } else {
-        logger.warn(`[ConsolidationAgent] No vector found for chunk ${chunkId} in Weaviate on attempt ${attempt}`);
+        logger.warn(`[ConsolidationAgent] No vector found for chunk ${chunkId} in the vector store on attempt ${attempt}`);
         
         // If this is not the last attempt, delay before retrying
         if (attempt < maxRetries) {
@@ -376,7 +362,7 @@ async function getChunkVectorFromWeaviate(chunkId) {
         }
       }
     } catch (error) {
-      logger.error(`[ConsolidationAgent] Error retrieving vector from Weaviate: ${error.message}`);
+      logger.error(`[ConsolidationAgent] Error retrieving vector from the vector store: ${error.message}`);
       
       // If this is not the last attempt, delay before retrying
       if (attempt < maxRetries) {
@@ -0,0 +1,162 @@
+// src/services/emotionTagging.service.js
+// Tags chunks with the emotion they express (valence, arousal, discrete emotions), summarizes the tags of an
+// episode's chunks, and builds a user's mood timeline from the stored tags.
+
+const chunkRepository = require('../repositories/chunk.repository');
+const aiService = require('./ai.service');
+const { EMOTION_NAMES, detectEmotionsWithLexicon, parseEmotionTags, aggregateEmotions } = require('../utils/emotionAnalysis');
+const { ServiceError } = require('../utils/errorHandler');
+const logger = require('../utils/logger').childLogger('EmotionTaggingService');
+const aiConfig = require('../../config/ai.config');
+const memoryConfig = require('../../config/memory.config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRANULARITIES = ['day', 'week', 'month'];
+
+/**
+ * Rates a batch of chunk texts with one model call.
+ * @param {string[]} texts
+ * @returns {Promise<Array<object>|null>} One tag per text, or null if the call or its output failed.
+ */
+async function tagBatchWithModel(texts) {
+  const { maxEmotionsPerChunk } = memoryConfig.emotions;
+  try {
+    const prompt = aiConfig.emotionTaggingPrompt
+      .replace('{MAX_EMOTIONS}', String(maxEmotionsPerChunk))
+      .replace('{EMOTIONS}', EMOTION_NAMES.join(', '))
+      .replace('{PASSAGES}', () => texts.map((text, index) => `[${index}] ${text}`).join('\n\n'));
+    return parseEmotionTags(await aiService.getCompletion(prompt), texts.length, { maxEmotions: maxEmotionsPerChunk });
+  } catch (error) {
+    logger.warn(`[EmotionTaggingService] Model-based emotion tagging failed for ${texts.length} chunks, using the lexicon: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Tags chunks with valence, arousal and emotions and stores the tags on their ChunkEmbedding records.
+ * The chunk objects are updated in place, so later pipeline stages can send the tags to the vector store.
+ * @param {Array<object>} chunks - ChunkEmbedding records ({id, text}).
+ * @param {object} rawData - The RawData the chunks belong to (used for logging).
+ * @returns {Promise<number>} Number of chunks tagged.
+ */
+async function tagChunkEmotions(chunks, rawData) {
+  const { enabled, detector, batchSize, maxEmotionsPerChunk } = memoryConfig.emotions;
+  if (!enabled || chunks.length === 0) return 0;
+
+  for (let start = 0; start < chunks.length; start += batchSize) {
+    const batch = chunks.slice(start, start + batchSize);
+    const modelTags = detector === 'model' ? await tagBatchWithModel(batch.map(chunk => chunk.text)) : null;
+    const tags = modelTags || batch.map(chunk => detectEmotionsWithLexicon(chunk.text, { maxEmotions: maxEmotionsPerChunk }));
+
+    await Promise.all(batch.map(async (chunk, index) => {
+      const { valence, arousal, emotions } = tags[index];
+      await chunkRepository.update(chunk.id, { valence, arousal, emotions });
+      Object.assign(chunk, { valence, arousal, emotions });
+    }));
+  }
+
+  logger.info(`[EmotionTaggingService] Tagged emotions of ${chunks.length} chunks of RawData ${rawData.id}`);
+  return chunks.length;
+}
+
+/**
+ * The emotion tags of an episode: the mean valence and arousal of its tagged chunks and their most frequent emotions.
+ * @param {Array<object>} chunks - The episode's chunks ({valence, arousal, emotions}).
+ * @returns {{valence: number|null, arousal: number|null, emotions: string[]}} Nulls if no chunk is tagged yet.
+ */
+function summarizeEpisodeEmotions(chunks) {
+  const { valence, arousal, emotions } = aggregateEmotions(chunks, { maxEmotions: memoryConfig.emotions.maxEmotionsPerEpisode });
+  return { valence, arousal, emotions };
+}
+
+/**
+ * Start of the UTC day, ISO week or month that a date falls in.
+ * @param {Date} date
+ * @param {string} granularity - 'day', 'week' or 'month'.
+ * @returns {Date}
+ */
+function bucketStart(date, granularity) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (granularity === 'month') return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  if (granularity === 'week') {
+    const diff = (day.getUTCDay() - memoryConfig.temporalRetrieval.weekStartsOn + 7) % 7;
+    return new Date(day.getTime() - diff * DAY_MS);
+  }
+  return day;
+}
+
+function parseDate(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ServiceError(`Invalid '${name}' date: ${value}`, 400, null, 'INVALID_DATE');
+  }
+  return date;
+}
+
+/**
+ * Builds a user's mood timeline from the emotion tags of their chunks, bucketed by when the source message was
+ * recorded (UTC). Duplicate chunks and AI responses are skipped; each point averages the chunks in its period.
+ * Beyond memoryConfig.emotions.moodTimeline.maxChunks chunks the oldest are left out (truncated).
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {Date|string} [options.from] - Start of the range (default: memoryConfig.emotions.moodTimeline.defaultDays ago).
+ * @param {Date|string} [options.to] - End of the range (default: now).
+ * @param {string} [options.granularity='day'] - 'day', 'week' or 'month'.
+ * @returns {Promise<object>} { from, to, granularity, points: [{period, count, valence, arousal, emotions, emotionCounts}],
+ *          overall: {count, valence, arousal, emotions, emotionCounts}, truncated }
+ * @throws {ServiceError} 400 if a date or the granularity is invalid.
+ */
+async function getMoodTimeline(userId, { from, to, granularity = 'day' } = {}) {
+  const { defaultDays, maxChunks } = memoryConfig.emotions.moodTimeline;
+  if (!GRANULARITIES.includes(granularity)) {
+    throw new ServiceError(`Invalid granularity '${granularity}' (expected one of: ${GRANULARITIES.join(', ')})`, 400, null, 'INVALID_GRANULARITY');
+  }
+  const end = parseDate(to, 'to') || new Date();
+  const start = parseDate(from, 'from') || new Date(end.getTime() - defaultDays * DAY_MS);
+  if (start > end) {
+    throw new ServiceError("'from' must not be after 'to'", 400, null, 'INVALID_DATE_RANGE');
+  }
+
+  const chunks = await chunkRepository.findMany({
+    where: {
+      userId,
+      duplicateOfId: null,
+      valence: { not: null },
+      // The mood is the user's: the assistant's replies are tagged too but do not count
+      rawData: { contentType: { not: 'ai_response' }, createdAt: { gte: start, lte: end } },
+    },
+    take: maxChunks + 1,
+    orderBy: { rawData: { createdAt: 'desc' } },
+    select: { valence: true, arousal: true, emotions: true, rawData: { select: { createdAt: true } } },
+  });
+  // Newest first, so a truncated timeline drops the oldest chunks; aggregated oldest first
+  const truncated = chunks.length > maxChunks;
+  const tagged = chunks.slice(0, maxChunks).reverse();
+
+  const buckets = new Map();
+  tagged.forEach(chunk => {
+    const period = bucketStart(new Date(chunk.rawData.createdAt), granularity).toISOString();
+    if (!buckets.has(period)) buckets.set(period, []);
+    buckets.get(period).push(chunk);
+  });
+  const maxEmotions = memoryConfig.emotions.maxEmotionsPerEpisode;
+  const points = [...buckets.keys()].sort().map(period => ({ period, ...aggregateEmotions(buckets.get(period), { maxEmotions }) }));
+
+  logger.info(`[EmotionTaggingService] Built mood timeline of user ${userId}: ${points.length} ${granularity} points from ${tagged.length} chunks${truncated ? ' (truncated)' : ''}`);
+  return {
+    from: start.toISOString(),
+    to: end.toISOString(),
+    granularity,
+    points,
+    overall: aggregateEmotions(tagged, { maxEmotions }),
+    truncated,
+  };
+}
+
+module.exports = {
+  GRANULARITIES,
+  tagChunkEmotions,
+  summarizeEpisodeEmotions,
+  getMoodTimeline,
+};
@@ -0,0 +1,427 @@
+// src/services/entityExtractionAgent.js
+// Agent for extracting entities and relationships from processed chunks into the user's knowledge graph
+
+const { prisma } = require('../db/prisma'); // Use the singleton instance
+const logger = require('../utils/logger').childLogger('EntityExtractionAgent');
+const { getVectorStore } = require('./vectorStore.service'); // Configured vector store (Weaviate, Postgres or in-memory)
+const aiService = require('./ai.service');
+const ontologyService = require('./ontology.service'); // Active ontology and change proposals
+const graphSync = require('./graphSync.service'); // Mirrors the extracted graph into the graph store
+const { parseJsonResponse } = require('../utils/aiHelper');
+const { getActiveEmbeddingModel, hasModelDimension, embeddingModelFilter } = require('../utils/embeddingModels');
+const aiConfig = require('../../config/ai.config');
+const memoryConfig = require('../../config/memory.config');
+
+// normalizedName of the user's own Person node
+const SELF_KEY = '@self';
+// Names that also mean the user when the model does not use knowledgeGraph.selfName
+const FIRST_PERSON_NAMES = new Set(['i', 'me', 'myself', 'the user', '我', '我自己']);
+
+/**
+ * Key an entity name is matched on: case, width and spacing differences and surrounding quotes are ignored.
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeEntityName(name) {
+  return String(name || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s"'“”‘’「」《》]+|[\s"'“”‘’「」《》.,;:!?。，；：！？]+$/g, '');
+}
+
+/**
+ * Key an ontology type name is matched on ("has trait", "HAS-TRAIT" and "HAS_TRAIT" are the same).
+ */
+function typeKey(name) {
+  return String(name || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Text a node's vector is computed from (also used when re-embedding).
+ * @param {{name: string, description?: string}} node
+ * @returns {string}
+ */
+function nodeEmbeddingText(node) {
+  return node.description ? `${node.name}: ${node.description}` : node.name;
+}
+
+/**
+ * Builds the extraction prompt for a chunk from the active ontology.
+ */
+function createExtractionPrompt(text, ontology) {
+  const nodeTypes = ontology.nodeTypes
+    .map(type => `- ${type.name}: ${type.description || ''}${type.synonyms?.length ? ` (also: ${type.synonyms.join(', ')})` : ''}`)
+    .join('\n');
+  const edgeTypes = ontology.edgeTypes
+    .map(type => `- ${type.name} (${type.fromNodeTypes.join('|')} -> ${type.toNodeTypes.join('|')}): ${type.description || ''}`)
+    .join('\n');
+
+  // Descriptions and chunk text go through replacer functions, so a "$&" in them is kept literally
+  return aiConfig.entityExtractionPrompt
+    .replace('{NODE_TYPES}', () => nodeTypes)
+    .replace('{EDGE_TYPES}', () => edgeTypes || '- (none)')
+    .replace('{SELF_NAME}', memoryConfig.knowledgeGraph.selfName)
+    .replace('{MAX_ENTITIES}', String(memoryConfig.knowledgeGraph.maxEntitiesPerChunk))
+    .replace('{CONTENT}', () => text);
+}
+
+/**
+ * Checks a model response against the ontology. Entity types may be given by name or synonym; relationships must use
+ * an EdgeType whose source and target types match their entities (reversed pairs are turned around).
+ * @param {object} parsed - Parsed model response ({entities, relationships}).
+ * @param {object} ontology - Active OntologyVersion with nodeTypes and edgeTypes.
+ * @returns {{entities: Array<object>, relationships: Array<object>, newTypes: Array<object>, rejected: number}}
+ */
+function validateExtraction(parsed, ontology) {
+  const { minConfidence, maxEntitiesPerChunk, selfName } = memoryConfig.knowledgeGraph;
+  const nodeTypeByKey = new Map();
+  ontology.nodeTypes.forEach((type) => {
+    [type.name, ...(type.synonyms || [])].forEach(name => nodeTypeByKey.set(typeKey(name), type.name));
+  });
+  const edgeTypeByKey = new Map(ontology.edgeTypes.map(type => [typeKey(type.name), type]));
+  const confidenceOf = value => (typeof value === 'number' && value >= 0 && value <= 1 ? value : 0.7);
+  let rejected = 0;
+
+  // Entities, merged by type and name; aliases let relationships refer to them by any of their names
+  const entities = new Map();
+  const entityByName = new Map();
+  for (const raw of Array.isArray(parsed?.entities) ? parsed.entities : []) {
+    const type = nodeTypeByKey.get(typeKey(raw?.type));
+    const key = normalizeEntityName(raw?.name);
+    const confidence = confidenceOf(raw?.confidence);
+    if (!type || !key || confidence < minConfidence) {
+      rejected += 1;
+      continue;
+    }
+    const isSelf = type === 'Person' && (key === normalizeEntityName(selfName) || FIRST_PERSON_NAMES.has(key));
+    const entityKey = `${type}/${isSelf ? SELF_KEY : key}`;
+    const aliases = (Array.isArray(raw.aliases) ? raw.aliases : []).map(normalizeEntityName).filter(alias => alias && alias !== key);
+    const existing = entities.get(entityKey);
+    if (existing) {
+      existing.aliases = Array.from(new Set([...existing.aliases, ...aliases]));
+      existing.confidence = Math.max(existing.confidence, confidence);
+    } else {
+      if (entities.size >= maxEntitiesPerChunk) break;
+      entities.set(entityKey, {
+        name: isSelf ? selfName : String(raw.name).trim(),
+        normalizedName: isSelf ? SELF_KEY : key,
+        type,
+        description: isSelf ? null : (typeof raw.description === 'string' && raw.description.trim()) || null,
+        aliases: isSelf ? [] : aliases,
+        confidence,
+        isSelf,
+      });
+    }
+    const entity = entities.get(entityKey);
+    [key, ...aliases].forEach((name) => { if (!entityByName.has(name)) entityByName.set(name, entity); });
+  }
+
+  const relationships = [];
+  for (const raw of Array.isArray(parsed?.relationships) ? parsed.relationships : []) {
+    const edgeType = edgeTypeByKey.get(typeKey(raw?.type));
+    let source = entityByName.get(normalizeEntityName(raw?.source));
+    let target = entityByName.get(normalizeEntityName(raw?.target));
+    const confidence = confidenceOf(raw?.confidence);
+    if (!edgeType || !source || !target || source === target || confidence < minConfidence) {
+      rejected += 1;
+      continue;
+    }
+    const allows = (from, to) => edgeType.fromNodeTypes.includes(from.type) && edgeType.toNodeTypes.includes(to.type);
+    if (!allows(source, target)) {
+      if (!allows(target, source)) {
+        rejected += 1;
+        continue;
+      }
+      [source, target] = [target, source];
+    }
+    relationships.push({ type: edgeType.name, source, target, confidence });
+  }
+
+  // Types the model needed but the ontology lacks; relationship endpoints must be known node types
+  const newTypes = (Array.isArray(parsed?.newTypes) ? parsed.newTypes : [])
+    .filter(raw => raw && typeof raw.name === 'string' && raw.name.trim() && typeof raw.example === 'string')
+    .map(raw => (raw.kind === 'relationship'
+      ? {
+          type: 'edgeType',
+          name: raw.name,
+          description: raw.description,
+          example: raw.example,
+          fromNodeTypes: [nodeTypeByKey.get(typeKey(raw.source))].filter(Boolean),
+          toNodeTypes: [nodeTypeByKey.get(typeKey(raw.target))].filter(Boolean),
+        }
+      : { type: 'nodeType', name: raw.name, description: raw.description, example: raw.example }))
+    .filter(newType => newType.type === 'nodeType' || (newType.fromNodeTypes.length > 0 && newType.toNodeTypes.length > 0))
+    .slice(0, memoryConfig.knowledgeGraph.maxProposalsPerChunk);
+
+  return { entities: Array.from(entities.values()), relationships, newTypes, rejected };
+}
+
+/**
+ * Asks the model for the entities and relationships in a chunk.
+ * @param {string} text - Chunk text.
+ * @param {object} ontology - Active OntologyVersion with nodeTypes and edgeTypes.
+ * @returns {Promise<{entities: Array<object>, relationships: Array<object>, newTypes: Array<object>, rejected: number}>}
+ */
+async function extractFromText(text, ontology) {
+  const responseText = await aiService.getCompletion(createExtractionPrompt(text, ontology));
+  const parsed = parseJsonResponse(responseText);
+  if (!parsed) {
+    throw new Error('Entity extraction response was not valid JSON');
+  }
+  return validateExtraction(parsed, ontology);
+}
+
+/**
+ * Embeds entities that could not be matched by name, so they can be compared with the user's existing nodes.
+ * @returns {Promise<Array<number[]|null>>} One vector per entity (all null if embedding fails).
+ */
+async function embedEntities(entities, embeddingModel) {
+  if (entities.length === 0) return [];
+  try {
+    const vectors = await aiService.generateEmbeddings(entities.map(nodeEmbeddingText));
+    if (vectors && vectors.length === entities.length && hasModelDimension(vectors, embeddingModel)) return vectors;
+    logger.warn(`[EntityExtractionAgent] Embedding provider returned unexpected vectors for ${entities.length} entities; resolving by name only.`);
+  } catch (error) {
+    logger.warn(`[EntityExtractionAgent] Failed to embed entities, resolving by name only: ${error.message}`);
+  }
+  return entities.map(() => null);
+}
+
+/**
+ * Finds the user's existing node for an entity: same type and a matching name or alias, else (for entities with a
+ * vector) the closest node of the same type above knowledgeGraph.resolutionCertainty.
+ * @returns {Promise<object|null>} KnowledgeNode record.
+ */
+async function findExistingNode(userId, entity, vector, embeddingModel) {
+  const keys = [entity.normalizedName, ...entity.aliases];
+  const byName = await prisma.knowledgeNode.findFirst({
+    where: {
+      userId,
+      type: entity.type,
+      OR: [{ normalizedName: { in: keys } }, { aliases: { hasSome: keys } }],
+    },
+  });
+  if (byName || entity.isSelf || !vector) return byName;
+
+  try {
+    const [hit] = await getVectorStore().nearVector('KnowledgeNode', {
+      vector,
+      certainty: memoryConfig.knowledgeGraph.resolutionCertainty,
+      filter: {
+        operator: 'And',
+        operands: [
+          { operator: 'Equal', path: ['userId'], valueText: userId },
+          { operator: 'Equal', path: ['type'], valueText: entity.type },
+          embeddingModelFilter(embeddingModel.name),
+        ],
+      },
+      limit: 1,
+      fields: ['entity'],
+    });
+    if (!hit) return null;
+    logger.debug(`[EntityExtractionAgent] Resolved "${entity.name}" to node ${hit.id} ("${hit.properties.entity}", certainty ${hit.certainty}).`);
+    return prisma.knowledgeNode.findUnique({ where: { id: hit.id } });
+  } catch (error) {
+    logger.warn(`[EntityExtractionAgent] Vector lookup for "${entity.name}" failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Resolves an extracted entity to one of the user's nodes, creating the node (and its vector) if it is new.
+ * A resolved node learns the entity's name as an alias and, if it had none, its description.
+ * @returns {Promise<object>} KnowledgeNode record.
+ */
+async function resolveEntity(entity, vector, { userId, rawDataId, ontology, embeddingModel }) {
+  const existing = await findExistingNode(userId, entity, vector, embeddingModel);
+  if (existing) {
+    const aliases = [entity.normalizedName, ...entity.aliases]
+      .filter(alias => alias !== existing.normalizedName && alias !== SELF_KEY && !existing.aliases.includes(alias));
+    if (aliases.length === 0 && (existing.description || !entity.description)) return existing;
+    return prisma.knowledgeNode.update({
+      where: { id: existing.id },
+      data: {
+        aliases: { push: aliases },
+        ...(!existing.description && entity.description ? { description: entity.description } : {}),
+      },
+    });
+  }
+
+  // upsert, in case a concurrent job created the same node since the lookup
+  const node = await prisma.knowledgeNode.upsert({
+    where: { userId_type_normalizedName: { userId, type: entity.type, normalizedName: entity.normalizedName } },
+    create: {
+      userId,
+      name: entity.name,
+      normalizedName: entity.normalizedName,
+      type: entity.type,
+      description: entity.description,
+      aliases: entity.aliases,
+      properties: entity.isSelf ? { isSelf: true } : undefined,
+      ontologyVersionId: ontology.id,
+      embeddingModel: vector ? embeddingModel.name : null,
+    },
+    update: {},
+  });
+  if (vector && node.embeddingModel === embeddingModel.name) {
+    await storeNodeVector(node, vector, [rawDataId]);
+  }
+  return node;
+}
+
+/**
+ * Stores a knowledge node in the vector store for entity resolution.
+ * @param {object} node - KnowledgeNode record.
+ * @param {number[]} vector
+ * @param {string[]} [sourceIds=[]] - RawData IDs the node was extracted from.
+ */
+async function storeNodeVector(node, vector, sourceIds = []) {
+  const stored = await getVectorStore().upsert('KnowledgeNode', node.id, {
+    nodeDbId: node.id,
+    entity: node.name,
+    type: node.type,
+    description: node.description || '',
+    metadata: JSON.stringify({ aliases: node.aliases }),
+    sourceIds,
+    userId: node.userId,
+    createdAt: node.createdAt.toISOString(),
+    updatedAt: node.updatedAt.toISOString(),
+    embeddingModel: node.embeddingModel,
+  }, vector);
+  if (!stored) {
+    logger.warn(`[EntityExtractionAgent] Failed to store node ${node.id} in the vector store.`);
+  }
+}
+
+/**
+ * Stores one chunk's extraction: resolves its entities to nodes, upserts the relationships (keeping the highest
+ * confidence) and links both to the chunk as provenance.
+ * @returns {Promise<{nodes: number, relationships: number}>}
+ */
+async function storeExtraction(chunk, extraction, ontology) {
+  const embeddingModel = getActiveEmbeddingModel();
+  const context = { userId: chunk.userId, rawDataId: chunk.rawDataId, ontology, embeddingModel };
+  const vectors = await embedEntities(extraction.entities.filter(entity => !entity.isSelf), embeddingModel);
+
+  const nodeByEntity = new Map();
+  let vectorIndex = 0;
+  for (const entity of extraction.entities) {
+    const vector = entity.isSelf ? null : vectors[vectorIndex++];
+    nodeByEntity.set(entity, await resolveEntity(entity, vector, context));
+  }
+
+  const mentions = extraction.entities.map(entity => ({
+    chunkId: chunk.id,
+    nodeId: nodeByEntity.get(entity).id,
+    mention: entity.name,
+    confidence: entity.confidence,
+  }));
+  await prisma.chunkNode.createMany({ data: mentions, skipDuplicates: true });
+
+  const storedRelationships = [];
+  for (const relationship of extraction.relationships) {
+    const fromNodeId = nodeByEntity.get(relationship.source).id;
+    const toNodeId = nodeByEntity.get(relationship.target).id;
+    if (fromNodeId === toNodeId) continue; // Both names resolved to the same node
+
+    const key = { userId: chunk.userId, fromNodeId, type: relationship.type, toNodeId };
+    let stored = await prisma.relationship.upsert({
+      where: { userId_fromNodeId_type_toNodeId: key },
+      create: { ...key, confidence: relationship.confidence, ontologyVersionId: ontology.id },
+      update: {},
+    });
+    if (relationship.confidence > stored.confidence) {
+      stored = await prisma.relationship.update({ where: { id: stored.id }, data: { confidence: relationship.confidence } });
+    }
+    await prisma.chunkRelationship.createMany({
+      data: [{ chunkId: chunk.id, relationshipId: stored.id, confidence: relationship.confidence }],
+      skipDuplicates: true,
+    });
+    storedRelationships.push(stored);
+  }
+
+  const nodes = Array.from(new Map(Array.from(nodeByEntity.values()).map(node => [node.id, node])).values());
+  await graphSync.syncExtraction(chunk, nodes, mentions, storedRelationships);
+
+  return { nodes: nodeByEntity.size, relationships: storedRelationships.length };
+}
+
+/**
+ * Files an ontology change proposal for each type the model needed but the ontology lacks
+ * (merged into a pending proposal for the same type name, skipped if an admin already rejected it).
+ * @returns {Promise<number>} Number of new proposals.
+ */
+async function proposeNewTypes(chunk, newTypes) {
+  let created = 0;
+  for (const newType of newTypes) {
+    try {
+      const { type, example, name, description, ...endpoints } = newType;
+      const result = await ontologyService.proposeChange({
+        userId: chunk.userId,
+        type,
+        proposedDefinition: { name, description, ...endpoints },
+        justification: `Needed to describe a memory (chunk ${chunk.id}) that no existing ${type === 'nodeType' ? 'entity' : 'relationship'} type fits.`,
+        examples: [example],
+        source: 'agent',
+      });
+      if (result.created) created += 1;
+    } catch (error) {
+      // e.g. the type was added meanwhile (409) or the model's definition was invalid (400)
+      logger.debug(`[EntityExtractionAgent] Did not propose ${newType.type} "${newType.name}": ${error.message}`);
+    }
+  }
+  return created;
+}
+
+/**
+ * Extracts entities and relationships from a RawData's chunks into the user's knowledge graph.
+ * Failures are logged per chunk and never thrown, so the memory pipeline is not held up by the graph.
+ * @param {Array<object>} chunks - Stored ChunkEmbedding records (duplicates already removed).
+ * @param {object} rawData - Source RawData record.
+ * @returns {Promise<{chunks: number, nodes: number, relationships: number, rejected: number, proposals: number, failed: number}>}
+ */
+async function extractEntitiesFromChunks(chunks, rawData) {
+  const stats = { chunks: 0, nodes: 0, relationships: 0, rejected: 0, proposals: 0, failed: 0 };
+  let ontology;
+  try {
+    ontology = await ontologyService.getActiveOntology();
+  } catch (error) {
+    logger.error(`[EntityExtractionAgent] Failed to load the active ontology; skipping extraction for rawData ${rawData.id}: ${error.message}`);
+    return stats;
+  }
+  if (!ontology || ontology.nodeTypes.length === 0) {
+    logger.warn(`[EntityExtractionAgent] No active ontology with node types; skipping extraction for rawData ${rawData.id}.`);
+    return stats;
+  }
+
+  const eligible = chunks.filter(chunk => (chunk.tokenCount ?? Infinity) >= memoryConfig.knowledgeGraph.minChunkTokens);
+  for (const chunk of eligible) {
+    try {
+      const extraction = await extractFromText(chunk.text, ontology);
+      stats.rejected += extraction.rejected;
+      if (memoryConfig.knowledgeGraph.proposeNewTypes && extraction.newTypes.length > 0) {
+        stats.proposals += await proposeNewTypes(chunk, extraction.newTypes);
+      }
+      if (extraction.entities.length === 0) continue;
+
+      const stored = await storeExtraction(chunk, extraction, ontology);
+      stats.chunks += 1;
+      stats.nodes += stored.nodes;
+      stats.relationships += stored.relationships;
+    } catch (error) {
+      logger.error(`[EntityExtractionAgent] Extraction failed for chunk ${chunk.id}: ${error.message}`, { stack: error.stack });
+      stats.failed += 1;
+    }
+  }
+
+  logger.info(`[EntityExtractionAgent] RawData ${rawData.id}: ${stats.nodes} entity mentions and ${stats.relationships} relationships from ${stats.chunks}/${eligible.length} chunks (ontology "${ontology.name}").`, stats);
+  return stats;
+}
+
+module.exports = {
+  extractEntitiesFromChunks,
+  normalizeEntityName,
+  nodeEmbeddingText,
+  storeNodeVector,
+};
@@ -9,15 +9,15 @@ const { PrismaClient } = require('@prisma/client');
 // const prisma = new PrismaClient();
 const { prisma } = require('../db/prisma'); // Use the singleton instance
 const logger = require('../utils/logger').childLogger('EpisodeAgent');
-const weaviateClientUtil = require('../utils/weaviateClient'); // No longer needed directly
-const { storeObjectInWeaviate } = require('../utils/weaviateHelper'); // USE SHARED HELPER
-const cosine = require('compute-cosine-similarity');
+const { getVectorStore } = require('./vectorStore.service'); // Configured vector store (Weaviate, Postgres or in-memory)
+const graphSync = require('./graphSync.service'); // Mirrors episodes and their chunks into the graph store
+const { episodeSubjectIds } = require('./subjectProfile.service'); // People other than the user an episode is about
+const { summarizeEpisodeEmotions } = require('./emotionTagging.service'); // Emotion tags of an episode from its chunks
 const { Queue } = require('bullmq');
 const { generateTitleAndNarrative } = require('../utils/aiHelper'); // Assuming a helper for this
 // const config = require('../config'); // Removed unused config import
 const redisConfig = require('../utils/redisConfig');
-const { expandVector } = require('../utils/vectorUtils'); // IMPORT FROM NEW UTILITY
-const aiConfig = require('../../config/ai.config'); // Import aiConfig for target dimension
+const { getActiveEmbeddingModel, compareEmbeddings, hasModelDimension } = require('../utils/embeddingModels'); // Embedding model registry
 const episodicConfig = require('../../config/episodic.config'); // Import episodic config
 const queueConfig = require('../../config/queue.config'); // Import queue config
 const memoryConfig = require('../../config/memory.config'); // Import memory config for importance thresholds
@@ -62,31 +62,29 @@ async function processChunk(chunkId, userId) {
       return { success: false, reason: 'Chunk not found' }; 
     }
     
-    // 2. Get the chunk vector from Weaviate
-    let chunkVector = await getChunkVector(chunkId);
+    // Chunks embedded by another model wait for the re-embedding job instead of being compared
+    const embeddingModel = getActiveEmbeddingModel();
+    if (chunk.embeddingModel !== embeddingModel.name) {
+      logger.warn(`[EpisodeAgent] Chunk ${chunkId} was embedded with ${chunk.embeddingModel || 'an unknown model'}, active model is ${embeddingModel.name}. Skipping until re-embedded.`);
+      return { success: false, reason: 'Embedding model mismatch' };
+    }
+
+    // 2. Get the chunk vector from the vector store
+    const chunkVector = await getChunkVector(chunkId);
     if (!chunkVector) {
       logger.error(`[EpisodeAgent] Failed to get vector for chunk ${chunkId}. Cannot process.`);
       return { success: false, reason: 'Failed to get chunk vector' }; 
     }
-
-    // Define the target dimension (e.g., from config)
-    const targetDimension = aiConfig.embeddingDimension || 1536;
-
-    // Expand chunk vector *immediately* if needed
-    if (chunkVector.length !== targetDimension) {
-      logger.info(`[EpisodeAgent] Expanding chunk vector ${chunkId} from ${chunkVector.length} to ${targetDimension}`);
-      chunkVector = await expandVector(chunkVector, targetDimension);
-      if (!chunkVector || chunkVector.length !== targetDimension) {
-         logger.error(`[EpisodeAgent] Failed to expand chunk vector ${chunkId}. Aborting.`);
-         return { success: false, reason: 'Failed to expand chunk vector' };
-      }
+    if (!hasModelDimension([chunkVector], embeddingModel)) {
+      logger.error(`[EpisodeAgent] Vector of chunk ${chunkId} has ${chunkVector.length} dimensions, expected ${embeddingModel.dimension}. Cannot process.`);
+      return { success: false, reason: 'Unexpected chunk vector dimension' };
     }
     
     // 3. Find candidate episodes for the user
-    // Fetch episodes including their centroid and dimension
+    // Only episodes whose centroid lives in the same embedding space can be compared
     const candidateEpisodes = await prisma.episode.findMany({
-      where: { userId: userId },
-      select: { id: true, centroidVec: true, centroidDim: true },
+      where: { userId: userId, embeddingModel: embeddingModel.name },
+      select: { id: true, centroidVec: true, centroidDim: true, embeddingModel: true },
       orderBy: { createdAt: 'desc' }, // Process more recent episodes first
       take: MAX_CANDIDATE_EPISODES
     });
@@ -101,19 +99,18 @@ async function processChunk(chunkId, userId) {
         logger.warn(`[EpisodeAgent] Episode ${episode.id} has invalid centroid. Skipping.`);
         continue;
       }
-      
-      // Fetch the episode's vector and expand it if needed
-      let episodeVector = episode.centroidVec;
-      if (episodeVector.length !== targetDimension) {
-        logger.info(`[EpisodeAgent] Expanding episode vector ${episode.id} from ${episodeVector.length} to ${targetDimension}`);
-        episodeVector = await expandVector(episodeVector, targetDimension);
-        if (!episodeVector || episodeVector.length !== targetDimension) {
-           logger.warn(`[EpisodeAgent] Failed to expand episode vector ${episode.id}. Skipping.`);
-           continue;
-        }
-      }
 
-      const similarity = cosine(chunkVector, episodeVector);
+      const episodeVector = episode.centroidVec;
+      let similarity;
+      try {
+        similarity = compareEmbeddings(
+          { vector: chunkVector, model: chunk.embeddingModel },
+          { vector: episodeVector, model: episode.embeddingModel }
+        );
+      } catch (mismatchError) {
+        logger.warn(`[EpisodeAgent] Skipping episode ${episode.id}: ${mismatchError.message}`);
+        continue;
+      }
       logger.debug(`[EpisodeAgent] Similarity: chunk ${chunkId} to episode ${episode.id} = ${similarity.toFixed(4)}`);
 
       if (similarity > MULTIPLE_ATTACHMENT_SIMILARITY_THRESHOLD) {
@@ -130,7 +127,7 @@ async function processChunk(chunkId, userId) {
     if (potentialAttachments.length > 0) {
       logger.info(`[EpisodeAgent] Chunk ${chunkId} has ${potentialAttachments.length} potential episode attachments meeting MULTIPLE_ATTACHMENT_SIMILARITY_THRESHOLD (${MULTIPLE_ATTACHMENT_SIMILARITY_THRESHOLD}).`);
       for (const attachment of potentialAttachments) {
-        await linkChunkToEpisode(chunkId, attachment.episodeId, chunkVector, attachment.episodeVector, userId);
+        await linkChunkToEpisode(chunkId, attachment.episodeId, chunkVector, attachment.episodeVector, userId, chunk);
         attachedEpisodeIds.push(attachment.episodeId);
       }
       return {
@@ -144,7 +141,7 @@ async function processChunk(chunkId, userId) {
     // If not attached to any episode yet, check if it's a strong primary match for the most similar one
     if (bestOverallMatchEpisode && bestOverallSimilarity >= SIMILARITY_THRESHOLD) {
         logger.info(`[EpisodeAgent] Attaching chunk ${chunkId} as primary to episode ${bestOverallMatchEpisode.id} (similarity: ${bestOverallSimilarity.toFixed(4)})`);
-        await linkChunkToEpisode(chunkId, bestOverallMatchEpisode.id, chunkVector, bestOverallMatchEpisode.centroidVec, userId);
+        await linkChunkToEpisode(chunkId, bestOverallMatchEpisode.id, chunkVector, bestOverallMatchEpisode.centroidVec, userId, chunk);
         return {
             success: true,
             action: 'attached_primary',
@@ -165,26 +162,24 @@ async function processChunk(chunkId, userId) {
           narrative: narrative || chunk.text.substring(0, 200),
           centroidVec: chunkVector, // Initial centroid is the chunk's vector
           centroidDim: chunkVector.length,
+          embeddingModel: embeddingModel.name,
           userId: userId,
+          occurredAt: chunk.createdAt, // The episode starts with the seeding chunk
+          subjectIds: episodeSubjectIds([chunk]),
+          ...summarizeEpisodeEmotions([chunk]),
           createdAt: new Date(),
         }
       });
       logger.info(`[EpisodeAgent] Created new episode ${newEpisode.id} for chunk ${chunkId}`);
+      await graphSync.syncEpisode(newEpisode);
       await linkChunkToEpisode(chunkId, newEpisode.id, chunkVector, chunkVector, userId);
       
-      // Store newEpisode in Weaviate using the shared helper
-      const weaviateProperties = {
-        episodeDbId: newEpisode.id,
-        title: newEpisode.title,
-        narrative: newEpisode.narrative,
-        userId: newEpisode.userId,
-        createdAt: newEpisode.createdAt.toISOString(),
-      };
-      const weaviateId = await storeObjectInWeaviate('EpisodeEmbedding', weaviateProperties, newEpisode.centroidVec);
-      if (weaviateId) {
-        logger.info(`[EpisodeAgent] Stored newly seeded episode ${newEpisode.id} in Weaviate (Weaviate ID: ${weaviateId})`);
+      // Store newEpisode in the vector store
+      const stored = await getVectorStore().upsert('EpisodeEmbedding', newEpisode.id, episodeVectorProperties(newEpisode), newEpisode.centroidVec);
+      if (stored) {
+        logger.info(`[EpisodeAgent] Stored newly seeded episode ${newEpisode.id} in the vector store`);
       } else {
-        logger.warn(`[EpisodeAgent] Failed to store newly seeded episode ${newEpisode.id} in Weaviate.`);
+        logger.warn(`[EpisodeAgent] Failed to store newly seeded episode ${newEpisode.id} in the vector store.`);
         // Consider if this should impact the success of the operation or queue for retry
       }
 
@@ -215,16 +210,41 @@ async function processChunk(chunkId, userId) {
   }
 }
 
+/**
+ * EpisodeEmbedding properties of an episode record.
+ * @param {object} episode - Episode record.
+ * @returns {object}
+ */
+function episodeVectorProperties(episode) {
+  return {
+    episodeDbId: episode.id,
+    title: episode.title,
+    narrative: episode.narrative,
+    userId: episode.userId,
+    createdAt: episode.createdAt.toISOString(),
+    occurredAt: episode.occurredAt?.toISOString(),
+    embeddingModel: episode.embeddingModel,
+    subjectIds: episode.subjectIds || [],
+    ...(episode.valence !== null && episode.valence !== undefined && { valence: episode.valence, arousal: episode.arousal }),
+    emotions: episode.emotions || [],
+  };
+}
+
 /**
  * Helper function to link a chunk to an episode and update the episode's centroid.
+ * Given the chunk record, the episode also takes on its subjects and, if the chunk is emotion-tagged, recomputes its
+ * emotion tags from all its chunks; when either changes, the episode is stored again in the vector store so subject
+ * and emotion filters find it.
+ * @param {object|null} [chunk] - The ChunkEmbedding record (subjects and emotion tags).
  */
-async function linkChunkToEpisode(chunkId, episodeId, chunkVector, episodeCentroidVec, userId) {
+async function linkChunkToEpisode(chunkId, episodeId, chunkVector, episodeCentroidVec, userId, chunk = null) {
   await prisma.chunkEpisode.create({
     data: {
       chunkId: chunkId,
       episodeId: episodeId
     }
   });
+  await graphSync.linkChunksToEpisode(episodeId, [chunkId]);
 
   const chunkCountResult = await prisma.chunkEpisode.aggregate({
     _count: { chunkId: true },
@@ -247,61 +267,63 @@ async function linkChunkToEpisode(chunkId, episodeId, chunkVector, episodeCentro
     );
   }
   
-  await prisma.episode.update({
+  const chunkSubjectIds = chunk ? episodeSubjectIds([chunk]) : [];
+  const chunkTagged = chunk?.valence !== null && chunk?.valence !== undefined;
+  const current = chunkSubjectIds.length > 0 || chunkTagged
+    ? await prisma.episode.findUnique({ where: { id: episodeId }, select: { subjectIds: true, valence: true, arousal: true, emotions: true } })
+    : null;
+  const newSubjectIds = chunkSubjectIds.filter(id => !current.subjectIds.includes(id));
+
+  let emotionTags = null;
+  if (chunkTagged) {
+    const links = await prisma.chunkEpisode.findMany({
+      where: { episodeId },
+      select: { chunk: { select: { valence: true, arousal: true, emotions: true } } },
+    });
+    emotionTags = summarizeEpisodeEmotions(links.map(link => link.chunk));
+  }
+  const emotionsChanged = !!emotionTags && (emotionTags.valence !== current.valence || emotionTags.arousal !== current.arousal
+    || emotionTags.emotions.join(',') !== (current.emotions || []).join(','));
+
+  const updatedEpisode = await prisma.episode.update({
     where: { id: episodeId },
     data: { 
       centroidVec: newCentroid,
-      centroidDim: newCentroid.length
+      centroidDim: newCentroid.length,
+      ...(newSubjectIds.length > 0 ? { subjectIds: [...current.subjectIds, ...newSubjectIds] } : {}),
+      ...(emotionsChanged ? emotionTags : {})
     }
   });
   logger.info(`[EpisodeAgent] Updated centroid for episode ${episodeId}, now including ${chunkCount} chunks`);
+
+  if (newSubjectIds.length > 0 || emotionsChanged) {
+    const stored = await getVectorStore().upsert('EpisodeEmbedding', episodeId, episodeVectorProperties(updatedEpisode), newCentroid);
+    if (!stored) {
+      logger.warn(`[EpisodeAgent] Failed to store the subjects and emotions of episode ${episodeId} in the vector store.`);
+    }
+  }
 }
 
 /**
- * Get chunk vector from Weaviate with retry logic
+ * Get chunk vector from the vector store with retry logic
  * @param {string} chunkId - The ID of the chunk to get vector for
  * @returns {Promise<Array|null>} - The vector array or null if not found
  */
 async function getChunkVector(chunkId) {
-  const client = weaviateClientUtil.getClient();
-  if (!client) {
-    logger.error('[EpisodeAgent] Weaviate client not available');
-    return null;
-  }
-  
+  const vectorStore = getVectorStore();
   const maxRetries = 3;
   const baseDelay = 2000;
   
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
       logger.info(`[EpisodeAgent] Retrieving vector for chunk ${chunkId} (attempt ${attempt}/${maxRetries})`);
-      const result = await client.graphql
-        .get()
-        .withClassName('ChunkEmbedding')
-        .withFields('chunkDbId text _additional { id vector }')
-        .withWhere({
-          path: ['chunkDbId'],
-          operator: 'Equal',
-          valueString: chunkId
-        })
-        .do();
-      
-      if (attempt === 1) {
-        logger.debug(`[EpisodeAgent] Weaviate response structure: ${JSON.stringify(result?.data || {})}`);
-      }
+      const vector = await vectorStore.fetchVector('ChunkEmbedding', chunkId);
       
-      const chunks = result?.data?.Get?.ChunkEmbedding || [];
-      
-      if (chunks.length > 0) {
-        if (chunks[0]._additional?.vector) {
-          logger.info(`[EpisodeAgent] Successfully retrieved vector for chunk ${chunkId} on attempt ${attempt}`);
-          return chunks[0]._additional.vector;
-        } else {
-          logger.warn(`[EpisodeAgent] Found chunk ${chunkId} in Weaviate but vector is missing`);
-        }
-      } else {
-        logger.warn(`[EpisodeAgent] No chunks found for chunkDbId ${chunkId} in Weaviate on attempt ${attempt}`);
+      if (vector) {
+        logger.info(`[EpisodeAgent] Successfully retrieved vector for chunk ${chunkId} on attempt ${attempt}`);
+        return vector;
       }
+      logger.warn(`[EpisodeAgent] No vector found for chunk ${chunkId} in the vector store on attempt ${attempt}`);
       
       if (attempt < maxRetries) {
         const delay = baseDelay * Math.pow(2, attempt - 1) * (0.5 + Math.random());
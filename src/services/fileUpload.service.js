@@ -96,7 +96,8 @@ async function processUploadedFile(userId, sessionId, file, message) {
                   mimetype: file.mimetype,
                   size: file.size, // Size of original file, not extracted text
                   fileEventRawDataId: fileEventRawData?.id, // Link to the upload event
-                  userMessage: message || null
+                  userMessage: message || null,
+                  document: fileContentResult.structure || null // Headings / page offsets for document chunking
               },
               processingStatus: 'pending' // Will be picked up by MemoryManager
           });
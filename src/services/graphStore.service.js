@@ -0,0 +1,69 @@
+// src/services/graphStore.service.js
+// Selects the configured graph store (Neo4j or none) and hands out the shared instance.
+
+const logger = require('../utils/logger').childLogger('GraphStoreService');
+const serviceConfig = require('../../config/service.config');
+const GraphStore = require('../providers/graphStores/GraphStore');
+
+let currentStore = null;
+let initialization = null;
+
+function createStore(storeName) {
+  switch (storeName) {
+    case 'neo4j':
+      return new (require('../providers/graphStores/Neo4jGraphStore'))();
+    case 'none':
+      return new (require('../providers/graphStores/NoGraphStore'))();
+    default:
+      logger.warn(`Unsupported graph store specified: ${storeName}. Graph mirroring is disabled.`);
+      return new (require('../providers/graphStores/NoGraphStore'))();
+  }
+}
+
+/**
+ * Returns the shared graph store, creating the configured one on first use.
+ * @returns {GraphStore}
+ */
+function getGraphStore() {
+  if (!currentStore) {
+    const storeName = serviceConfig.graphStore.provider.toLowerCase();
+    currentStore = createStore(storeName);
+    logger.info(`Graph store selected: ${currentStore.constructor.name}`);
+  }
+  return currentStore;
+}
+
+/**
+ * Initializes the shared graph store once (connection and constraints); later calls reuse the result.
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - Run the initialization again (e.g. after the database was down).
+ * @returns {Promise<boolean>} Whether the store is available.
+ */
+function initializeGraphStore({ force = false } = {}) {
+  if (!initialization || force) {
+    initialization = getGraphStore().initialize().catch(error => {
+      logger.error(`Graph store initialization failed: ${error.message}`, { error });
+      return false;
+    });
+  }
+  return initialization;
+}
+
+function setGraphStoreInstanceForTesting(storeInstance) {
+  if (process.env.NODE_ENV !== 'test') {
+    logger.warn('Attempted to set graph store instance outside of test environment. Ignoring.');
+    return;
+  }
+  if (!(storeInstance instanceof GraphStore)) {
+    throw new Error('Provided instance does not implement GraphStore interface.');
+  }
+  logger.warn(`[TESTING] Overriding graph store with instance: ${storeInstance.constructor.name}`);
+  currentStore = storeInstance;
+  initialization = null;
+}
+
+module.exports = {
+  getGraphStore,
+  initializeGraphStore,
+  setGraphStoreInstanceForTesting,
+};
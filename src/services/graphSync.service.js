@@ -0,0 +1,288 @@
+// src/services/graphSync.service.js
+// Mirrors users, chunks, episodes, thoughts and knowledge graph entities (and their links) into the graph store.
+// Postgres stays the source of truth: mirroring failures are logged and never fail the caller, and resyncUser rebuilds a user's graph.
+
+const { prisma } = require('../db/prisma'); // Use the singleton instance
+const logger = require('../utils/logger').childLogger('GraphSyncService');
+const { getGraphStore, initializeGraphStore } = require('./graphStore.service');
+const GraphStore = require('../providers/graphStores/GraphStore');
+
+const { OWNS, PART_OF, SUPPORTS, MENTIONS } = GraphStore.EDGE_TYPES;
+const TEXT_PREVIEW_LENGTH = 200; // Chunk text kept on graph nodes (for browsing the graph; the full text stays in Postgres)
+const RESYNC_BATCH_SIZE = 500;
+
+const toIso = date => (date ? new Date(date).toISOString() : null);
+
+function chunkRow(chunk) {
+  return {
+    id: chunk.id,
+    properties: {
+      userId: chunk.userId,
+      rawDataId: chunk.rawDataId,
+      text: (chunk.text || '').slice(0, TEXT_PREVIEW_LENGTH),
+      importance: chunk.importance,
+      createdAt: toIso(chunk.createdAt),
+    },
+  };
+}
+
+function episodeRow(episode) {
+  return {
+    id: episode.id,
+    properties: {
+      userId: episode.userId,
+      title: episode.title,
+      occurredAt: toIso(episode.occurredAt),
+      createdAt: toIso(episode.createdAt),
+    },
+  };
+}
+
+function thoughtRow(thought) {
+  return {
+    id: thought.id,
+    properties: {
+      userId: thought.userId,
+      name: thought.name,
+      description: thought.description,
+      createdAt: toIso(thought.createdAt),
+    },
+  };
+}
+
+function entityRow(node) {
+  return {
+    id: node.id,
+    properties: {
+      userId: node.userId,
+      name: node.name,
+      normalizedName: node.normalizedName,
+      type: node.type,
+      description: node.description,
+      aliases: node.aliases || [],
+    },
+  };
+}
+
+/**
+ * Writes records of one label and links them to their owners.
+ */
+async function mergeOwnedNodes(graphStore, label, rows) {
+  if (rows.length === 0) return;
+  const userIds = Array.from(new Set(rows.map(row => row.properties.userId)));
+  await graphStore.mergeNodes('User', userIds.map(id => ({ id })));
+  await graphStore.mergeNodes(label, rows);
+  await graphStore.mergeEdges(OWNS, 'User', label, rows.map(row => ({ from: row.properties.userId, to: row.id })));
+}
+
+/**
+ * Entity-to-entity edges, grouped by type (a type is part of the Cypher pattern, not a parameter).
+ * Relationships whose type is not a valid edge type name (e.g. from an ontology approved before names were
+ * checked) are skipped, so they do not keep the chunk's other nodes and edges out of the graph.
+ */
+async function mergeRelationships(graphStore, relationships) {
+  const byType = new Map();
+  for (const relationship of relationships) {
+    if (!GraphStore.EDGE_TYPE_PATTERN.test(relationship.type || '')) {
+      logger.warn(`[GraphSyncService] Skipping relationship ${relationship.id}: "${relationship.type}" is not a valid graph edge type`);
+      continue;
+    }
+    const rows = byType.get(relationship.type) || [];
+    rows.push({
+      from: relationship.fromNodeId,
+      to: relationship.toNodeId,
+      properties: { relationshipId: relationship.id, userId: relationship.userId, confidence: relationship.confidence },
+    });
+    byType.set(relationship.type, rows);
+  }
+  for (const [type, rows] of byType) {
+    await graphStore.mergeEdges(type, 'Entity', 'Entity', rows);
+  }
+}
+
+/**
+ * Runs a write against the graph store if one is available, logging instead of throwing.
+ * @param {string} description - What is mirrored (for the log).
+ * @param {function(GraphStore): Promise<void>} write
+ * @returns {Promise<boolean>} Whether the write ran and succeeded.
+ */
+async function mirror(description, write) {
+  if (!await initializeGraphStore()) return false;
+  try {
+    await write(getGraphStore());
+    return true;
+  } catch (error) {
+    logger.warn(`[GraphSyncService] Failed to mirror ${description} into the graph store: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Mirrors stored chunks (and their users).
+ * @param {Array<object>} chunks - ChunkEmbedding records.
+ * @returns {Promise<boolean>}
+ */
+function syncChunks(chunks) {
+  if (!chunks || chunks.length === 0) return Promise.resolve(true);
+  return mirror(`${chunks.length} chunks`, graphStore => mergeOwnedNodes(graphStore, 'Chunk', chunks.map(chunkRow)));
+}
+
+/**
+ * Mirrors an episode and, optionally, the chunks linked to it (ChunkEpisode).
+ * @param {object} episode - Episode record.
+ * @param {string[]} [chunkIds=[]]
+ * @returns {Promise<boolean>}
+ */
+function syncEpisode(episode, chunkIds = []) {
+  return mirror(`episode ${episode.id}`, async (graphStore) => {
+    await mergeOwnedNodes(graphStore, 'Episode', [episodeRow(episode)]);
+    await graphStore.mergeEdges(PART_OF, 'Chunk', 'Episode', chunkIds.map(chunkId => ({ from: chunkId, to: episode.id })));
+  });
+}
+
+/**
+ * Mirrors new ChunkEpisode links.
+ * @param {string} episodeId
+ * @param {string[]} chunkIds
+ * @returns {Promise<boolean>}
+ */
+function linkChunksToEpisode(episodeId, chunkIds) {
+  return mirror(`chunk links of episode ${episodeId}`, graphStore =>
+    graphStore.mergeEdges(PART_OF, 'Chunk', 'Episode', chunkIds.map(chunkId => ({ from: chunkId, to: episodeId }))));
+}
+
+/**
+ * Mirrors a thought and the episodes it was derived from (EpisodeThought).
+ * @param {object} thought - Thought record.
+ * @param {Array<{episodeId: string, weight: number}>} episodeLinks
+ * @returns {Promise<boolean>}
+ */
+function syncThought(thought, episodeLinks) {
+  return mirror(`thought ${thought.id}`, async (graphStore) => {
+    await mergeOwnedNodes(graphStore, 'Thought', [thoughtRow(thought)]);
+    await graphStore.mergeEdges(SUPPORTS, 'Episode', 'Thought', episodeLinks.map(link => ({
+      from: link.episodeId,
+      to: thought.id,
+      properties: { weight: link.weight },
+    })));
+  });
+}
+
+/**
+ * Mirrors one chunk's knowledge graph extraction: its entities, their mentions in the chunk and the relationships.
+ * @param {object} chunk - ChunkEmbedding record.
+ * @param {Array<object>} nodes - KnowledgeNode records.
+ * @param {Array<{nodeId: string, mention: string, confidence: number}>} mentions
+ * @param {Array<object>} relationships - Relationship records.
+ * @returns {Promise<boolean>}
+ */
+function syncExtraction(chunk, nodes, mentions, relationships) {
+  return mirror(`extraction of chunk ${chunk.id}`, async (graphStore) => {
+    await mergeOwnedNodes(graphStore, 'Entity', nodes.map(entityRow));
+    await graphStore.mergeEdges(MENTIONS, 'Chunk', 'Entity', mentions.map(mention => ({
+      from: chunk.id,
+      to: mention.nodeId,
+      properties: { mention: mention.mention, confidence: mention.confidence },
+    })));
+    await mergeRelationships(graphStore, relationships);
+  });
+}
+
+/**
+ * Removes deleted records (chunks, episodes, thoughts) and their edges from the graph store.
+ * @param {string} label - Graph label (see GraphStore.LABELS).
+ * @param {string[]} ids
+ * @returns {Promise<boolean>}
+ */
+function removeNodes(label, ids) {
+  if (!ids || ids.length === 0) return Promise.resolve(true);
+  return mirror(`deletion of ${ids.length} ${label} nodes`, graphStore => graphStore.deleteNodes(label, ids));
+}
+
+/**
+ * Reads all records of a model for a user in ID order, one batch at a time.
+ * @param {function({take: number, skip: number, cursor: object}): Promise<Array<object>>} findPage
+ * @param {function(Array<object>): Promise<void>} handleBatch
+ * @returns {Promise<number>} Number of records read.
+ */
+async function forEachBatch(findPage, handleBatch) {
+  let count = 0;
+  let cursor;
+  for (;;) {
+    const page = await findPage(cursor ? { take: RESYNC_BATCH_SIZE, skip: 1, cursor: { id: cursor } } : { take: RESYNC_BATCH_SIZE });
+    if (page.length === 0) break;
+    await handleBatch(page);
+    count += page.length;
+    if (page.length < RESYNC_BATCH_SIZE) break;
+    cursor = page[page.length - 1].id;
+  }
+  return count;
+}
+
+/**
+ * Mirrors everything a user has in Postgres into the graph store (backfill, or repair after the graph database was down).
+ * Writes are idempotent merges, so running it again is safe.
+ * @param {string} userId
+ * @returns {Promise<{chunks: number, episodes: number, thoughts: number, entities: number, relationships: number}|null>}
+ *          Counts of mirrored records, or null if no graph store is available.
+ */
+async function resyncUser(userId) {
+  if (!await initializeGraphStore()) {
+    logger.warn(`[GraphSyncService] No graph store available; cannot resync user ${userId}.`);
+    return null;
+  }
+  const graphStore = getGraphStore();
+  const where = { userId };
+  const orderBy = { id: 'asc' };
+
+  const chunks = await forEachBatch(
+    page => prisma.chunkEmbedding.findMany({ where: { ...where, duplicateOfId: null }, orderBy, ...page }),
+    batch => mergeOwnedNodes(graphStore, 'Chunk', batch.map(chunkRow))
+  );
+  const episodes = await forEachBatch(
+    page => prisma.episode.findMany({ where, orderBy, include: { chunks: { select: { chunkId: true } } }, ...page }),
+    async (batch) => {
+      await mergeOwnedNodes(graphStore, 'Episode', batch.map(episodeRow));
+      await graphStore.mergeEdges(PART_OF, 'Chunk', 'Episode', batch.flatMap(episode =>
+        episode.chunks.map(link => ({ from: link.chunkId, to: episode.id }))));
+    }
+  );
+  const thoughts = await forEachBatch(
+    page => prisma.thought.findMany({ where, orderBy, include: { episodes: { select: { episodeId: true, weight: true } } }, ...page }),
+    async (batch) => {
+      await mergeOwnedNodes(graphStore, 'Thought', batch.map(thoughtRow));
+      await graphStore.mergeEdges(SUPPORTS, 'Episode', 'Thought', batch.flatMap(thought =>
+        thought.episodes.map(link => ({ from: link.episodeId, to: thought.id, properties: { weight: link.weight } }))));
+    }
+  );
+  const entities = await forEachBatch(
+    page => prisma.knowledgeNode.findMany({ where, orderBy, include: { mentions: true }, ...page }),
+    async (batch) => {
+      await mergeOwnedNodes(graphStore, 'Entity', batch.map(entityRow));
+      await graphStore.mergeEdges(MENTIONS, 'Chunk', 'Entity', batch.flatMap(node =>
+        node.mentions.map(mention => ({
+          from: mention.chunkId,
+          to: node.id,
+          properties: { mention: mention.mention, confidence: mention.confidence },
+        }))));
+    }
+  );
+  const relationships = await forEachBatch(
+    page => prisma.relationship.findMany({ where, orderBy, ...page }),
+    batch => mergeRelationships(graphStore, batch)
+  );
+
+  const stats = { chunks, episodes, thoughts, entities, relationships };
+  logger.info(`[GraphSyncService] Resynced graph of user ${userId}.`, stats);
+  return stats;
+}
+
+module.exports = {
+  syncChunks,
+  syncEpisode,
+  linkChunksToEpisode,
+  syncThought,
+  syncExtraction,
+  removeNodes,
+  resyncUser,
+};
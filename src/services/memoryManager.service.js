@@ -11,8 +11,17 @@ const prisma = new PrismaClient();
 // const { prisma } = require('../db/prisma'); // Remove direct prisma import
 const rawDataRepository = require('../repositories/rawData.repository'); // Import RawData repository
 const chunkRepository = require('../repositories/chunk.repository'); // Import Chunk repository
-const weaviateClientUtil = require('../utils/weaviateClient'); // Import centralized client utility
-const { encode } = require('gpt-tokenizer'); // For semantic chunking - Keep for now
+const { getVectorStore, initializeVectorStore } = require('./vectorStore.service'); // Configured vector store (Weaviate, Postgres or in-memory)
+const { chunkText, chunkContentHash } = require('../utils/chunker'); // Token-aware sentence chunking with overlap
+const { chunkDocument } = require('../utils/documentChunker'); // Heading/page-aware chunking of uploaded documents
+const { detectLanguage, isCjkLanguage } = require('../utils/language'); // Chinese / English / mixed detection
+const piiRedaction = require('./piiRedaction.service'); // Redacts personal data before chunking and embedding
+const entityExtractionAgent = require('./entityExtractionAgent'); // Knowledge graph entities and relationships
+const graphSync = require('./graphSync.service'); // Mirrors chunks into the graph store (Neo4j), if one is configured
+const memoryPipeline = require('./memoryPipeline.service'); // Per-RawData stage state (resume after failures)
+const subjectProfiles = require('./subjectProfile.service'); // Who a memory is about (the user or e.g. their child)
+const emotionTagging = require('./emotionTagging.service'); // Valence, arousal and emotions of chunks
+const { getGraphStore, initializeGraphStore } = require('./graphStore.service'); // Graph traversals for retrieval
 const aiService = require('./ai.service'); // For embedding generation
 const { v4: uuidv4 } = require('uuid');
 const { createHash } = require('crypto');
@@ -20,695 +29,142 @@ const logger = require('../utils/logger').childLogger('MemoryManager'); // Impor
 const memoryConfig = require('../../config/memory.config'); // Import memory config
 const aiConfig = require('../../config/ai.config'); // Import AI config for prompts
 const { addMemoryJob, addEpisodeAgentJob } = require('../utils/queues'); // Import the new queue helper
-const { storeObjectInWeaviate } = require('../utils/weaviateHelper'); // USE SHARED HELPER
-const { expandVector } = require('../utils/vectorUtils'); // IMPORT FROM NEW UTILITY
-
-// --- Weaviate Schema Checking Functions ---
-// (Keep these as they interact with Weaviate client, not Prisma directly)
-async function inspectWeaviateSchema(client) {
-  if (!client) {
-    logger.warn('No client available for inspectWeaviateSchema');
-    return;
-  }
-  
-  try {
-    logger.info('[Debug] Running detailed Weaviate schema inspection');
-    
-    // Get full schema
-    const fullSchema = await client.schema.getter().do();
-    if (!fullSchema?.classes?.length) {
-      logger.info('[Debug] No classes found in Weaviate schema');
-      return;
-    }
-    
-    // Check API version
-    try {
-      const meta = await client.misc.metaGetter().do();
-      logger.info(`[Debug] Weaviate API version: ${meta.version}`);
-    } catch (err) {
-      logger.error(`[Debug] Failed to get Weaviate version: ${err.message}`);
-    }
-    
-    // Look for Memory class since we know it works
-    const memoryClass = fullSchema.classes.find(c => c.class === 'Memory');
-    if (memoryClass) {
-      logger.info(`[Debug] Found Memory class with properties: ${JSON.stringify(memoryClass)}`);
-      // Check if it has vectorIndexConfig
-      if (memoryClass.vectorIndexConfig) {
-        logger.info(`[Debug] Memory class vectorIndexConfig: ${JSON.stringify(memoryClass.vectorIndexConfig)}`);
-      } else {
-        logger.info('[Debug] Memory class has NO vectorIndexConfig defined');
-      }
-    } else {
-      logger.info('[Debug] Memory class not found');
-    }
-    
-    // Try to create a minimal test class
-    try {
-      const testClassName = 'WeaviateTestClass';
-      // Check if test class exists
-      const existingClasses = fullSchema.classes.map(c => c.class);
-      if (existingClasses.includes(testClassName)) {
-        // Delete it first
-        await client.schema.classDeleter().withClassName(testClassName).do();
-        logger.info(`[Debug] Deleted existing ${testClassName}`);
-      }
-      
-      // Create minimal test class
-      const minimalClassObj = {
-        class: testClassName,
-        description: 'Test class for diagnostics',
-        vectorizer: 'none',
-        properties: [
-          {
-            name: 'testProp',
-            description: 'Test property',
-            dataType: ['text']
-          }
-        ]
-      };
-      
-      await client.schema.classCreator().withClass(minimalClassObj).do();
-      logger.info(`[Debug] Successfully created ${testClassName}`);
-      
-      // Clean up 
-      await client.schema.classDeleter().withClassName(testClassName).do();
-      logger.info(`[Debug] Cleaned up ${testClassName}`);
-    } catch (e) {
-      logger.error(`[Debug] Test class creation failed: ${e.message}`);
-    }
-    
-  } catch (error) {
-    logger.error(`[Debug] Schema inspection failed: ${error.message}`);
-  }
-}
-
-async function checkWeaviateSchema() {
-  const client = weaviateClientUtil.getClient(); // Get client from utility
-  if (!client) {
-    logger.warn('[MemoryManager] Weaviate client not available. Skipping schema check.');
-    return false;
-  }
+const { getActiveEmbeddingModel, embeddingStamp, embeddingModelFilter, hasModelDimension, compareEmbeddings } = require('../utils/embeddingModels'); // Embedding model registry
+const { fuseRankedLists } = require('../utils/rankFusion'); // RRF for hybrid keyword + vector retrieval
+const { rankMemories } = require('../utils/memoryScoring'); // Final relevance/importance/recency/access scoring
+const { createImportancePrompt, parseImportanceAssessment, combineImportanceFactors } = require('../utils/importanceAssessment'); // Structured importance sub-scores
+const { parseTemporalExpression, rangeAroundAnchor } = require('../utils/temporalParser'); // Date ranges from queries
+const { selectDiverseMemories } = require('../utils/diversity'); // MMR selection of the final memories
 
-  logger.info('[MemoryManager] Checking Weaviate schema for memory models...');
-  
-  // Add diagnostics
-  // await inspectWeaviateSchema(client); // Keep commented out unless needed for debug
-  
-  try {
-    // Get the schema and check for required classes
-    const schema = await client.schema.getter().do();
-    const existingClasses = schema.classes?.map(c => c.class) || [];
-    
-    logger.info(`[MemoryManager] Found existing classes: ${existingClasses.join(', ') || 'none'}`);
-    
-    // Check for memory classes
-    let needToCreateChunkEmbeddingClass = !existingClasses.includes('ChunkEmbedding');
-    let needToCreateEpisodeEmbeddingClass = !existingClasses.includes('EpisodeEmbedding');
-    let needToCreateThoughtEmbeddingClass = !existingClasses.includes('ThoughtEmbedding');
-    let needToCreateKnowledgeNodeClass = !existingClasses.includes('KnowledgeNode');
-    let needToCreateRelationshipClass = !existingClasses.includes('Relationship');
-    
-    // Create any missing classes
-    if (needToCreateChunkEmbeddingClass) {
-      logger.info('[MemoryManager] ChunkEmbedding class not found, creating it...');
-      await createChunkEmbeddingClass(client);
-    } else {
-      logger.info('[MemoryManager] ChunkEmbedding class exists.');
-      await checkMissingProperties(client, 'ChunkEmbedding', existingClasses);
-    }
-    
-    if (needToCreateEpisodeEmbeddingClass) {
-      logger.info('[MemoryManager] EpisodeEmbedding class not found, creating it...');
-      await createEpisodeEmbeddingClass(client);
-    } else {
-      logger.info('[MemoryManager] EpisodeEmbedding class exists.');
-      await checkMissingProperties(client, 'EpisodeEmbedding', existingClasses);
-    }
-    
-    if (needToCreateThoughtEmbeddingClass) {
-      logger.info('[MemoryManager] ThoughtEmbedding class not found, creating it...');
-      await createThoughtEmbeddingClass(client);
-    } else {
-      logger.info('[MemoryManager] ThoughtEmbedding class exists.');
-      await checkMissingProperties(client, 'ThoughtEmbedding', existingClasses);
-    }
-    
-    if (needToCreateKnowledgeNodeClass) {
-      logger.info('[MemoryManager] KnowledgeNode class not found, creating it...');
-      await createKnowledgeNodeClass(client);
-    } else {
-      logger.info('[MemoryManager] KnowledgeNode class exists.');
-      await checkMissingProperties(client, 'KnowledgeNode', existingClasses);
-    }
-    
-    if (needToCreateRelationshipClass) {
-      logger.info('[MemoryManager] Relationship class not found, creating it...');
-      await createRelationshipClass(client);
-    } else {
-      logger.info('[MemoryManager] Relationship class exists.');
-      await checkMissingProperties(client, 'Relationship', existingClasses);
-    }
-    
-    logger.info('[MemoryManager] Weaviate schema check completed successfully');
-    return true;
-  } catch (error) {
-    // If the error is a 404, it likely means the schema doesn't exist yet
-    if (error.statusCode === 404) {
-      logger.info('[MemoryManager] Schema not found, creating full schema...');
-      
-      try {
-        await createChunkEmbeddingClass(client);
-        await createEpisodeEmbeddingClass(client);
-        await createThoughtEmbeddingClass(client);
-        await createKnowledgeNodeClass(client);
-        await createRelationshipClass(client);
-        logger.info('[MemoryManager] Full schema created successfully');
-        return true;
-      } catch (createError) {
-        logger.error(`[MemoryManager] Failed to create schema: ${createError.message}`, { error: createError });
-        return false;
-      }
-    }
-    
-    logger.error(`[MemoryManager] Error checking Weaviate schema: ${error.message}`, { error });
-    return false;
-  }
+/**
+ * Extracts vector certainty, BM25 score and fused score from a fused retrieval hit.
+ * @param {object} fusedHit - Entry returned by fuseRankedLists.
+ * @returns {{certainty: number|null, keywordScore: number|null, fusedScore: number}}
+ */
+function describeFusedHit(fusedHit) {
+  const certainty = fusedHit.sources.vector?.certainty;
+  const keywordScore = parseFloat(fusedHit.sources.keyword?.score);
+  return {
+    certainty: typeof certainty === 'number' ? certainty : null,
+    keywordScore: Number.isNaN(keywordScore) ? null : keywordScore,
+    fusedScore: fusedHit.fusedScore,
+  };
 }
 
 /**
- * Checks if any required properties are missing from a Weaviate class
- * @param {object} client - Weaviate client instance (passed in)
- * @param {string} className - Name of the class to check
- * @param {string[]} existingClasses - Array of existing class names
+ * Where a chunk's text comes from, for highlighting and citing it in the source.
+ * @param {object} chunk - ChunkEmbedding record (or a partial one).
+ * @returns {{rawDataId: string, startOffset: number|null, endOffset: number|null, sectionPath: string[]|null, page: number|null}}
  */
-async function checkMissingProperties(client, className, existingClasses) {
-  if (!client) {
-    logger.warn('Weaviate client not available in checkMissingProperties');
-    return;
-  }
-  // Check if existingClasses is actually an array before using .includes()
-  if (!Array.isArray(existingClasses)) {
-     logger.error(`[MemoryManager] checkMissingProperties received invalid existingClasses: ${existingClasses}`); // Use logger
-     return; // Exit early if the input is wrong
-  }
-  
-  try {
-    // Now it's safe to use .includes()
-    if (existingClasses.includes(className)) {
-      const classDefinition = await client.schema.classGetter().withClassName(className).do();
-      const existingProps = classDefinition.properties?.map(p => p.name) || [];
-      
-      // Define required properties based on className
-      let requiredProperties = [];
-      if (className === 'Memory') {
-         requiredProperties = ['content', 'rawDataId', 'chunkId', 'importance', 'dataType', 'metadata', 'createdAt', 'contextBefore', 'contextAfter', 'userId'];
-      } else if (className === 'KnowledgeNode') {
-         requiredProperties = ['entity', 'type', 'description', 'metadata', 'sourceIds', 'createdAt', 'updatedAt'];
-      } else if (className === 'Relationship') {
-         requiredProperties = ['relationType', 'sourceNodeId', 'targetNodeId', 'confidence', 'metadata', 'sourceIds', 'createdAt'];
-      } else if (className === 'ChunkEmbedding') {
-         requiredProperties = ['chunkDbId', 'text', 'rawDataId', 'importance', 'userId'];
-      } else if (className === 'EpisodeEmbedding') {
-         requiredProperties = ['episodeDbId', 'title', 'userId'];
-      } else if (className === 'ThoughtEmbedding') {
-         requiredProperties = ['thoughtDbId', 'name', 'userId'];
-      }
-      
-      const missingProps = requiredProperties.filter(prop => !existingProps.includes(prop));
-      
-      if (missingProps.length > 0) {
-        logger.info(`[MemoryManager] Adding missing properties to ${className} class: ${missingProps.join(', ')}`); // Use logger
-        for (const propName of missingProps) {
-          // Pass the client instance to addPropertyToClass
-          await addPropertyToClass(client, className, propName);
-        }
-      }
-    }
-  } catch (error) {
-    logger.error(`[MemoryManager] Error checking/adding properties for class ${className}:`, { error }); // Use logger
-  }
+function describeChunkSource(chunk) {
+  return {
+    rawDataId: chunk.rawDataId,
+    startOffset: chunk.startOffset ?? null,
+    endOffset: chunk.endOffset ?? null,
+    sectionPath: chunk.metadata?.sectionPath || null,
+    page: chunk.metadata?.page ?? null,
+  };
 }
 
 /**
- * Adds a property to a Weaviate class
- * @param {object} client - Weaviate client instance (passed in)
- * @param {string} className - Class to add property to
- * @param {string} propName - Name of the property to add
+ * Language of a chunk: a chunk of a mixed-language RawData may be in one language only.
+ * @param {string} text - Chunk text.
+ * @param {string|null} rawDataLanguage - Language detected for the whole RawData.
+ * @returns {string}
  */
-async function addPropertyToClass(client, className, propName) {
-  if (!client) {
-    logger.warn('Weaviate client not available in addPropertyToClass');
-    return;
-  }
-  try {
-    let propertyConfig;
-    
-    // Define property configuration based on property name
-    // (This switch statement needs to be comprehensive for all potential missing props)
-    switch (propName) {
-      // Common properties
-      case 'userId': propertyConfig = { name: propName, dataType: ['text'], description: 'ID of the user this memory belongs to' }; break;
-      case 'importance': propertyConfig = { name: propName, dataType: ['number'], description: 'Importance score (0-1)' }; break;
-      case 'createdAt': propertyConfig = { name: propName, dataType: ['date'] }; break;
-      
-      // Memory class properties
-      case 'content': propertyConfig = { name: propName, dataType: ['text'] }; break;
-      case 'rawDataId': propertyConfig = { name: propName, dataType: ['text'] }; break; // Use text
-      case 'chunkId': propertyConfig = { name: propName, dataType: ['text'] }; break;
-      case 'dataType': propertyConfig = { name: propName, dataType: ['text'] }; break;
-      case 'metadata': propertyConfig = { name: propName, dataType: ['text'] }; break;
-      case 'contextBefore': propertyConfig = { name: propName, dataType: ['text'] }; break;
-      case 'contextAfter': propertyConfig = { name: propName, dataType: ['text'] }; break;
-      
-      // KnowledgeNode props
-      case 'entity': propertyConfig = { name: propName, dataType: ['text'] }; break;
-      case 'type': propertyConfig = { name: propName, dataType: ['text'] }; break;
-      case 'description': propertyConfig = { name: propName, dataType: ['text'] }; break;
-      case 'sourceIds': propertyConfig = { name: propName, dataType: ['text[]'] }; break;
-      case 'updatedAt': propertyConfig = { name: propName, dataType: ['date'] }; break;
-      
-      // Relationship props
-      case 'relationType': propertyConfig = { name: propName, dataType: ['text'] }; break;
-      case 'sourceNodeId': propertyConfig = { name: propName, dataType: ['text'] }; break;
-      case 'targetNodeId': propertyConfig = { name: propName, dataType: ['text'] }; break;
-      case 'confidence': propertyConfig = { name: propName, dataType: ['number'] }; break;
-      
-      // ChunkEmbedding props
-      case 'chunkDbId': propertyConfig = { name: propName, dataType: ['text'], description: 'ID of the ChunkEmbedding in the database' }; break;
-      case 'text': propertyConfig = { name: propName, dataType: ['text'], description: 'The full text content of the chunk' }; break;
-      
-      // EpisodeEmbedding props
-      case 'episodeDbId': propertyConfig = { name: propName, dataType: ['text'], description: 'ID of the Episode in the database' }; break;
-      case 'title': propertyConfig = { name: propName, dataType: ['text'], description: 'Title of the episode' }; break;
-      case 'narrative': propertyConfig = { name: propName, dataType: ['text'], description: 'Narrative summary of the episode' }; break;
-      case 'occurredAt': propertyConfig = { name: propName, dataType: ['date'], description: 'When the episode occurred' }; break;
-      
-      // ThoughtEmbedding props
-      case 'thoughtDbId': propertyConfig = { name: propName, dataType: ['text'], description: 'ID of the Thought in the database' }; break;
-      case 'name': propertyConfig = { name: propName, dataType: ['text'], description: 'Short label for the thought' }; break;
-
-      default:
-        logger.warn(`[MemoryManager] Unknown property ${propName} requested in addPropertyToClass, skipping`); // Use logger
-        return;
-    }
-    
-    // Use the passed client instance
-    await client.schema.propertyCreator()
-      .withClassName(className)
-      .withProperty(propertyConfig)
-      .do();
-      
-    logger.info(`[MemoryManager] Added property ${propName} to class ${className}`); // Use logger
-  } catch (error) {
-    logger.error(`[MemoryManager] Failed to add property ${propName} to class ${className}:`, { error }); // Use logger
-  }
+function chunkLanguage(text, rawDataLanguage) {
+  const { language } = detectLanguage(text);
+  return language === 'unknown' && rawDataLanguage ? rawDataLanguage : language;
 }
 
 /**
- * Creates the Memory class in Weaviate
- * @param {Object} client - Weaviate client instance (passed in)
+ * Average importance of an episode's linked chunks, or null if none carry a score.
+ * @param {Array<object>} chunks - Chunk records with an `importance` field.
+ * @returns {number|null}
  */
-async function createMemoryClass(client) {
-  if (!client) {
-      logger.error('Weaviate client not available in createMemoryClass');
-      throw new Error('Weaviate client is required to create class');
-  }
-  try {
-    const classObj = {
-      class: 'Memory',
-      description: 'A memory chunk from processed content with semantic meaning',
-      vectorizer: 'none', // Set vectorizer to none as we provide vectors manually
-      properties: [
-        {
-          name: 'content',
-          description: 'The text content of the memory chunk',
-          dataType: ['text'],
-        },
-        {
-          name: 'rawDataId',
-          description: 'ID of the source raw data',
-          dataType: ['text'] // Changed from int to text for consistency
-        },
-        {
-          name: 'chunkId',
-          description: 'ID of the chunk in the database',
-          dataType: ['text']
-        },
-        {
-          name: 'importance',
-          description: 'Importance score of the memory (0-1)',
-          dataType: ['number']
-        },
-        {
-          name: 'dataType',
-          description: 'Type of data (message, image_analysis, document, etc.)',
-          dataType: ['text']
-        },
-        {
-          name: 'metadata',
-          description: 'Additional metadata about the memory',
-          dataType: ['text']
-        },
-        {
-          name: 'createdAt',
-          description: 'Timestamp when the memory was created',
-          dataType: ['date']
-        },
-        {
-          name: 'contextBefore',
-          description: 'Content that came before this chunk (for context)',
-          dataType: ['text']
-        },
-        {
-          name: 'contextAfter',
-          description: 'Content that came after this chunk (for context)',
-          dataType: ['text']
-        },
-        {
-          name: 'userId',
-          description: 'ID of the user this memory belongs to',
-          dataType: ['text']
-        }
-      ]
-    };
-
-    await client.schema.classCreator().withClass(classObj).do();
-    logger.info('[MemoryManager] Successfully created Memory class in Weaviate'); // Use logger
-    return true;
-  } catch (error) {
-    logger.error('[MemoryManager] Failed to create Memory class:', { error }); // Use logger
-    throw error;
-  }
+function averageImportance(chunks) {
+  const scores = (chunks || []).map(c => c?.importance).filter(score => typeof score === 'number');
+  if (scores.length === 0) return null;
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length;
 }
 
 /**
- * Creates the KnowledgeNode class in Weaviate
- * @param {Object} client - Weaviate client instance (passed in)
+ * Where-filter operands restricting a date property to a range.
+ * @param {string} property - Date property name.
+ * @param {{start: Date, end: Date}} range - Inclusive date range.
+ * @returns {Array<object>}
  */
-async function createKnowledgeNodeClass(client) {
-  if (!client) {
-      logger.error('Weaviate client not available in createKnowledgeNodeClass');
-      throw new Error('Weaviate client is required to create class');
-  }
-  try {
-    const classObj = {
-      class: 'KnowledgeNode',
-      description: 'A node representing an entity or concept in the knowledge graph',
-      vectorizer: 'none', // Set vectorizer to none
-      vectorIndexType: 'hnsw', // Standardized with other classes
-      vectorIndexConfig: {
-        distance: 'cosine' // Standardized distance metric
-      },
-      properties: [
-        {
-          name: 'entity',
-          description: 'The entity or concept name',
-          dataType: ['text']
-        },
-        {
-          name: 'type',
-          description: 'The type of entity (person, place, concept, etc.)',
-          dataType: ['text']
-        },
-        {
-          name: 'description',
-          description: 'Description of the entity or concept',
-          dataType: ['text'],
-        },
-        {
-          name: 'metadata',
-          description: 'Additional metadata about the entity',
-          dataType: ['text']
-        },
-        {
-          name: 'sourceIds',
-          description: 'IDs of source raw data that contributed to this node',
-          dataType: ['text[]']
-        },
-        {
-          name: 'createdAt',
-          description: 'Timestamp when the node was created',
-          dataType: ['date']
-        },
-        {
-          name: 'updatedAt',
-          description: 'Timestamp when the node was last updated',
-          dataType: ['date']
-        }
-      ]
-    };
-
-    await client.schema.classCreator().withClass(classObj).do();
-    logger.info('[MemoryManager] Successfully created KnowledgeNode class in Weaviate'); // Use logger
-    return true;
-  } catch (error) {
-    logger.error('[MemoryManager] Failed to create KnowledgeNode class:', { error }); // Use logger
-    throw error;
-  }
+function dateRangeOperands(property, range) {
+  return [
+    { operator: 'GreaterThanEqual', path: [property], valueDate: new Date(range.start).toISOString() },
+    { operator: 'LessThanEqual', path: [property], valueDate: new Date(range.end).toISOString() },
+  ];
 }
 
 /**
- * Creates the Relationship class in Weaviate
- * @param {Object} client - Weaviate client instance (passed in)
+ * Where-filter operands restricting memories to those tagged with one of the given SubjectProfiles.
+ * @param {string[]|null} subjectIds - SubjectProfile IDs (none: no restriction).
+ * @returns {Array<object>}
  */
-async function createRelationshipClass(client) {
-  if (!client) {
-      logger.error('Weaviate client not available in createRelationshipClass');
-      throw new Error('Weaviate client is required to create class');
-  }
-  try {
-    const classObj = {
-      class: 'Relationship',
-      description: 'A relationship between two knowledge nodes in the graph',
-      vectorizer: 'none', // Set vectorizer to none
-      vectorIndexType: 'hnsw', // Standardized with other classes
-      vectorIndexConfig: {
-        distance: 'cosine' // Standardized distance metric
-      },
-      properties: [
-        {
-          name: 'relationType',
-          description: 'The type of relationship (e.g., "works_at", "created_by", etc.)',
-          dataType: ['text']
-        },
-        {
-          name: 'sourceNodeId',
-          description: 'The ID of the source node in the relationship',
-          dataType: ['text']
-        },
-        {
-          name: 'targetNodeId',
-          description: 'The ID of the target node in the relationship',
-          dataType: ['text']
-        },
-        {
-          name: 'confidence',
-          description: 'Confidence score for this relationship',
-          dataType: ['number']
-        },
-        {
-          name: 'metadata',
-          description: 'Additional metadata about the relationship',
-          dataType: ['text']
-        },
-        {
-          name: 'sourceIds',
-          description: 'IDs of source raw data that established this relationship',
-          dataType: ['text[]']
-        },
-        {
-          name: 'createdAt',
-          description: 'Timestamp when the relationship was created',
-          dataType: ['date']
-        }
-      ]
-    };
+function subjectOperands(subjectIds) {
+  return subjectIds?.length ? [{ operator: 'ContainsAny', path: ['subjectIds'], valueTextArray: subjectIds }] : [];
+}
 
-    await client.schema.classCreator().withClass(classObj).do();
-    logger.info('[MemoryManager] Successfully created Relationship class in Weaviate'); // Use logger
-    return true;
-  } catch (error) {
-    logger.error('[MemoryManager] Failed to create Relationship class:', { error }); // Use logger
-    throw error;
-  }
+/**
+ * Where-filter operands restricting memories to those tagged with one of the given emotions.
+ * @param {string[]|null} emotions - Emotion labels (none: no restriction).
+ * @returns {Array<object>}
+ */
+function emotionOperands(emotions) {
+  return emotions?.length ? [{ operator: 'ContainsAny', path: ['emotions'], valueTextArray: emotions }] : [];
 }
 
 /**
- * Creates the ChunkEmbedding class in Weaviate
- * @param {Object} client - Weaviate client instance
+ * Restricts a where filter to vectors of one embedding model, so a query vector is never compared
+ * with vectors from another model's space (older objects are found again once re-embedded).
+ * @param {object} filter - Where filter.
+ * @param {string} [modelName] - Embedding model name (defaults to the active model).
+ * @returns {object}
  */
-async function createChunkEmbeddingClass(client) {
-  if (!client) {
-    logger.error('Weaviate client not available in createChunkEmbeddingClass');
-    throw new Error('Weaviate client is required to create class');
-  }
-  try {
-    logger.info('[MemoryManager] Creating ChunkEmbedding class with properties: chunkDbId, text, rawDataId, importance, userId, sessionId, chunkIndex, tokenCount, contentType, sourceCreatedAt, perspectiveOwnerId, subjectId, topicKey, skipImportanceCheck');
-    
-    const classObj = {
-      class: 'ChunkEmbedding',
-      description: 'A memory chunk with its associated embedding vector',
-      vectorizer: 'none', 
-      vectorIndexType: 'hnsw', 
-      vectorIndexConfig: { distance: 'cosine' },
-      properties: [
-        { name: 'chunkDbId', description: 'ID of the ChunkEmbedding in the database', dataType: ['text'] },
-        { name: 'text', description: 'The full text content of the chunk', dataType: ['text'] },
-        { name: 'rawDataId', description: 'ID of the source raw data', dataType: ['text'] },
-        { name: 'importance', description: 'Importance score of the memory (0-1)', dataType: ['number'] },
-        { name: 'userId', description: 'ID of the user this memory belongs to', dataType: ['text'] },
-        { name: 'sessionId', description: 'Session ID associated with this chunk', dataType: ['text'] },
-        { name: 'chunkIndex', description: 'Index of this chunk within the original content', dataType: ['int'] },
-        { name: 'tokenCount', description: 'Number of tokens in the chunk text', dataType: ['int'] },
-        { name: 'contentType', description: 'Type of the original raw data', dataType: ['text'] },
-        { name: 'sourceCreatedAt', description: 'Creation timestamp of the original raw data', dataType: ['date'] },
-        { name: 'perspectiveOwnerId', description: 'Perspective owner ID from raw data', dataType: ['text'] },
-        { name: 'subjectId', description: 'Subject ID from raw data', dataType: ['text'] },
-        { name: 'topicKey', description: 'Topic key from raw data', dataType: ['text'] },
-        { name: 'skipImportanceCheck', description: 'Flag indicating if importance check was skipped', dataType: ['boolean'] },
-      ]
-    };
-    
-    logger.info(`[MemoryManager] Calling Weaviate schema.classCreator() for ChunkEmbedding`);
-    
-    try {
-      const result = await client.schema.classCreator().withClass(classObj).do();
-      logger.info('[MemoryManager] Created ChunkEmbedding class in Weaviate successfully:', result);
-    } catch (innerError) {
-      logger.error(`[MemoryManager] Weaviate API error creating ChunkEmbedding class: ${innerError.message}`);
-      if (innerError.response) {
-        logger.error(`[MemoryManager] Status: ${innerError.response.status}, Response body: ${JSON.stringify(innerError.response.data || {})}`);
-      }
-      throw innerError;
-    }
-  } catch (error) {
-    logger.error(`[MemoryManager] Error creating ChunkEmbedding class: ${error.message}`, { error });
-    throw error;
-  }
+function withEmbeddingModel(filter, modelName) {
+  return { operator: 'And', operands: [filter, embeddingModelFilter(modelName)] };
 }
 
 /**
- * Creates the EpisodeEmbedding class in Weaviate
- * @param {Object} client - Weaviate client instance
+ * Word n-grams (and character n-grams of Chinese text, which has no spaces) of a query,
+ * normalized like knowledge graph entity names so they can be matched against names and aliases.
+ * @param {string} query
+ * @param {number} maxTerms
+ * @returns {string[]}
  */
-async function createEpisodeEmbeddingClass(client) {
-  if (!client) {
-    logger.error('Weaviate client not available in createEpisodeEmbeddingClass');
-    throw new Error('Weaviate client is required to create class');
+function entityQueryTerms(query, maxTerms) {
+  const normalized = entityExtractionAgent.normalizeEntityName(query);
+  const terms = new Set();
+  const words = normalized.split(/[\s.,;:!?"'()[\]，。；：！？、“”‘’「」《》]+/).filter(Boolean);
+  for (let size = 1; size <= 4; size++) {
+    for (let i = 0; i + size <= words.length; i++) terms.add(words.slice(i, i + size).join(' '));
   }
-  try {
-    logger.info('[MemoryManager] Creating EpisodeEmbedding class with properties: episodeDbId, title, narrative, userId, createdAt');
-    
-    const classObj = {
-      class: 'EpisodeEmbedding',
-      description: 'An episode with its centroid vector',
-      vectorizer: 'none', 
-      vectorIndexType: 'hnsw', 
-      vectorIndexConfig: {
-        distance: 'cosine', 
-      },
-      properties: [
-        {
-          name: 'episodeDbId',
-          description: 'ID of the Episode in the database',
-          dataType: ['text'],
-        },
-        {
-          name: 'title',
-          description: 'Title of the episode',
-          dataType: ['text'],
-        },
-        {
-          name: 'narrative',
-          description: 'Narrative summary of the episode',
-          dataType: ['text'],
-        },
-        {
-          name: 'userId',
-          description: 'ID of the user this episode belongs to',
-          dataType: ['text']
-        },
-        {
-          name: 'createdAt',
-          description: 'Timestamp when the episode was created in DB',
-          dataType: ['date'],
-        }
-      ]
-    };
-    
-    logger.info(`[MemoryManager] Calling Weaviate schema.classCreator() for EpisodeEmbedding`);
-    
-    try {
-      const result = await client.schema.classCreator().withClass(classObj).do();
-      logger.info('[MemoryManager] Created EpisodeEmbedding class in Weaviate successfully:', result);
-    } catch (innerError) {
-      logger.error(`[MemoryManager] Weaviate API error creating EpisodeEmbedding class: ${innerError.message}`);
-      if (innerError.response) {
-        logger.error(`[MemoryManager] Status: ${innerError.response.status}, Response body: ${JSON.stringify(innerError.response.data || {})}`);
-      }
-      throw innerError;
+  for (const run of normalized.match(/[\u3400-\u9fff]{2,}/g) || []) {
+    for (let size = 2; size <= Math.min(6, run.length); size++) {
+      for (let i = 0; i + size <= run.length; i++) terms.add(run.slice(i, i + size));
     }
-  } catch (error) {
-    logger.error(`[MemoryManager] Error creating EpisodeEmbedding class: ${error.message}`, { error });
-    throw error;
   }
+  return Array.from(terms).filter(term => term.length >= 2).slice(0, maxTerms);
 }
 
 /**
- * Creates the ThoughtEmbedding class in Weaviate
- * @param {Object} client - Weaviate client instance
+ * Runs a retrieval step and records its duration (ms) under `name`.
+ * @param {object} timings - Collected durations, keyed by step name.
+ * @param {string} name - Step name.
+ * @param {Function} step - Async function to run.
+ * @returns {Promise<*>} The step's result.
  */
-async function createThoughtEmbeddingClass(client) {
-  if (!client) {
-    logger.error('Weaviate client not available in createThoughtEmbeddingClass');
-    throw new Error('Weaviate client is required to create class');
-  }
+async function timeStage(timings, name, step) {
+  const startedAt = Date.now();
   try {
-    logger.info('[MemoryManager] Creating ThoughtEmbedding class with properties: thoughtDbId, name, userId');
-    
-    const classObj = {
-      class: 'ThoughtEmbedding',
-      description: 'A thought insight with its vector',
-      vectorizer: 'none', // Set vectorizer to none as we provide vectors manually
-      vectorIndexType: 'hnsw', // Explicitly setting to match Memory class
-      vectorIndexConfig: {
-        distance: 'cosine', // Using cosine similarity like Memory class has
-      },
-      properties: [
-        {
-          name: 'thoughtDbId',
-          description: 'ID of the Thought in the database',
-          dataType: ['text'],
-        },
-        {
-          name: 'name',
-          description: 'Short label for the thought',
-          dataType: ['text'],
-        },
-        {
-          name: 'userId',
-          description: 'ID of the user this thought belongs to',
-          dataType: ['text']
-        }
-      ]
-    };
-    
-    logger.info(`[MemoryManager] Calling Weaviate schema.classCreator() for ThoughtEmbedding`);
-    
-    try {
-      const result = await client.schema.classCreator().withClass(classObj).do();
-      logger.info('[MemoryManager] Created ThoughtEmbedding class in Weaviate successfully:', result);
-    } catch (innerError) {
-      logger.error(`[MemoryManager] Weaviate API error creating ThoughtEmbedding class: ${innerError.message}`);
-      if (innerError.response) {
-        logger.error(`[MemoryManager] Status: ${innerError.response.status}, Response body: ${JSON.stringify(innerError.response.data || {})}`);
-      }
-      throw innerError;
-    }
-  } catch (error) {
-    logger.error(`[MemoryManager] Error creating ThoughtEmbedding class: ${error.message}`, { error });
-    throw error;
+    return await step();
+  } finally {
+    timings[name] = Date.now() - startedAt;
   }
 }
 
@@ -716,150 +172,460 @@ async function createThoughtEmbeddingClass(client) {
 
 class MemoryManager {
   constructor() {
-    this.isWeaviateAvailable = false;
-    this.weaviateCheckInterval = null;
+    this.isVectorStoreAvailable = false;
+    this.vectorStoreCheckInterval = null;
     this.importanceCache = new Map();
+    this.sessionInjections = new Map(); // sessionId -> memory ID lists of recent turns (most recent last)
   }
 
   async initialize() {
     logger.info('[MemoryManager] Initializing...');
-    this.isWeaviateAvailable = await checkWeaviateSchema();
-    logger.info(`[MemoryManager] Weaviate availability status: ${this.isWeaviateAvailable}`);
-    // this.startPeriodicWeaviateCheck();
+    this.isVectorStoreAvailable = await initializeVectorStore();
+    logger.info(`[MemoryManager] Vector store availability status: ${this.isVectorStoreAvailable}`);
+    // this.startPeriodicVectorStoreCheck();
   }
 
-  async processMemoryPipeline(rawData) {
+  /**
+   * Runs the memory pipeline for a RawData:
+   * redact → importance → subject → chunk → deduplicate → emotion → embed → graph → extract.
+   * Progress is recorded per stage (PipelineState), so a failed run resumes at the stage that failed
+   * instead of chunking again; a finished RawData is not processed again unless fromStage is given.
+   * @param {object} rawData - RawData record.
+   * @param {object} [options]
+   * @param {string} [options.fromStage] - Run from this stage (see memoryPipeline.PIPELINE_STAGES).
+   * @returns {Promise<'completed'|'skipped'|null>} How the run ended, or null if there was nothing to run.
+   * @throws {Error} The error of the failed stage (after recording it), so the job is retried.
+   */
+  async processMemoryPipeline(rawData, { fromStage } = {}) {
     if (!rawData || !rawData.content) {
       logger.warn('[MemoryManager] Skipping processing due to invalid rawData object or empty content.', { rawDataId: rawData?.id });
-      return;
+      return null;
     }
 
-    try {
-      logger.info(`[MemoryManager] Processing raw data ${rawData.id}`);
+    const run = await memoryPipeline.startRun(rawData, { fromStage });
+    if (!run) return null;
 
-      // 1. Evaluate Importance
-      const importanceScore = rawData.importanceScore ?? await this.evaluateImportance(
-        rawData.content,
-        rawData.contentType,
-        { userId: rawData.userId, sessionId: rawData.sessionId }
-      );
+    try {
+      logger.info(`[MemoryManager] Processing raw data ${rawData.id} from stage ${run.stage}`);
+      const ctx = {};
+
+      // 0. Detect language and redact personal data; everything below only sees the redacted content.
+      // The redacted text is not stored when the original is kept, so resuming at importance or chunk redacts again.
+      if (run.stage === 'redact') {
+        ctx.redaction = await memoryPipeline.runStage(run, 'redact', () => this.prepareContent(rawData));
+      } else if (memoryPipeline.includesStage(run, 'chunk')) {
+        ctx.redaction = await this.prepareContent(rawData);
+      }
 
-      // Update rawData with the evaluated score if it wasn't set before
-      if (rawData.importanceScore === null && importanceScore !== null) {
-        try {
-          // Use repository
-          await rawDataRepository.update(rawData.id, { importanceScore });
-          logger.info(`[MemoryManager] Updated rawData ${rawData.id} with importance score: ${importanceScore}`);
-        } catch (updateError) {
-          logger.error(`[MemoryManager] Failed to update importance score for rawData ${rawData.id}: ${updateError.message}`);
+      // 1. Evaluate Importance (sub-scores and rationale are kept in the RawData metadata)
+      if (memoryPipeline.includesStage(run, 'importance')) {
+        const passed = await memoryPipeline.runStage(run, 'importance', () => this.checkImportance(rawData, ctx.redaction.content));
+        if (!passed) {
+          await rawDataRepository.update(rawData.id, { processingStatus: 'processed', processingError: null });
+          await memoryPipeline.finishRun(run, 'skipped');
+          return 'skipped';
         }
       }
 
-      // Use configured threshold
-      if (importanceScore === null || (importanceScore < memoryConfig.defaultImportanceThreshold && !rawData.skipImportanceCheck)) {
-        logger.info(`[MemoryManager] RawData ${rawData.id} did not pass importance threshold (Score: ${importanceScore}, Threshold: ${memoryConfig.defaultImportanceThreshold}, Skip check: ${!!rawData.skipImportanceCheck}). Skipping chunking.`);
-        // Use repository
-        await rawDataRepository.update(rawData.id, { processingStatus: 'processed' });
-        return;
+      // 1b. Detect who the RawData is about (the user, or e.g. their child) and link those people to SubjectProfiles
+      if (memoryPipeline.includesStage(run, 'subject')) {
+        await memoryPipeline.runStage(run, 'subject', () => subjectProfiles.tagRawDataSubjects(rawData, ctx.redaction.content));
       }
-      logger.info(`[MemoryManager] RawData ${rawData.id} passed importance check (Score: ${importanceScore}, Skip check: ${!!rawData.skipImportanceCheck})`);
-
-      // 2. Chunk Content
-      const chunks = await this.chunkContent(rawData.content, { sourceType: rawData.contentType });
-      if (!chunks || chunks.length === 0) {
-        logger.warn(`[MemoryManager] No chunks generated for rawData ${rawData.id}.`);
-        await rawDataRepository.update(rawData.id, { processingStatus: 'processed' });
-        return;
+
+      // 2-3. Chunk Content and store the chunks (replacing those of an earlier, interrupted attempt)
+      if (memoryPipeline.includesStage(run, 'chunk')) {
+        ctx.chunks = await memoryPipeline.runStage(run, 'chunk', () => this.chunkAndStore(rawData, ctx.redaction));
+        if (ctx.chunks.length === 0) {
+          logger.warn(`[MemoryManager] No chunks generated for rawData ${rawData.id}.`);
+          await rawDataRepository.update(rawData.id, { processingStatus: 'processed', processingError: null });
+          await memoryPipeline.finishRun(run);
+          return 'completed';
+        }
       }
-      logger.info(`[MemoryManager] Generated ${chunks.length} chunks for rawData ${rawData.id}`);
-
-      // 3. Store Chunks in Prisma
-      const storedChunks = await this.storeChunksWithRepo(rawData, chunks, importanceScore);
-      if (!storedChunks || storedChunks.length === 0) {
-        logger.error(`[MemoryManager] Failed to store any chunks for rawData ${rawData.id}.`);
-        await rawDataRepository.update(rawData.id, { processingStatus: 'error' });
-        return; // Ensure exit here if storing fails
+
+      // Chunks of an earlier attempt when resuming after the chunk stage
+      const loadChunks = async () => ctx.chunks || chunkRepository.findMany({
+        where: { rawDataId: rawData.id, duplicateOfId: null },
+        orderBy: { index: 'asc' },
+      });
+
+      // 4. Link repeats of the user's recent chunks to the original instead of embedding them again
+      if (memoryPipeline.includesStage(run, 'deduplicate')) {
+        ({ chunks: ctx.chunksToEmbed, embeddings: ctx.embeddings } = await memoryPipeline.runStage(run, 'deduplicate', async () => {
+          const storedChunks = await loadChunks();
+          return memoryConfig.deduplication.enabled
+            ? this.deduplicateChunks(storedChunks, rawData)
+            : { chunks: storedChunks, embeddings: null };
+        }));
       }
+      const loadChunksToEmbed = async () => ctx.chunksToEmbed || loadChunks();
 
-      // 4. Generate & Store Embeddings - Pass storedChunks directly
-      const embeddingSuccessful = await this.generateAndStoreEmbeddings(storedChunks, rawData, this.isWeaviateAvailable);
+      // 4b. Tag the chunks with the emotion they express (stored before embedding, so the vector store gets the tags)
+      if (memoryPipeline.includesStage(run, 'emotion')) {
+        await memoryPipeline.runStage(run, 'emotion', async () => {
+          ctx.chunksToEmbed = await loadChunksToEmbed();
+          await emotionTagging.tagChunkEmotions(ctx.chunksToEmbed, rawData);
+        });
+      }
 
-      // 5. Update RawData status ONLY if embeddings were successful
-      if (embeddingSuccessful) {
-        await rawDataRepository.update(rawData.id, { processingStatus: 'processed' });
+      // 5. Generate & Store Embeddings (reusing those computed for deduplication)
+      if (memoryPipeline.includesStage(run, 'embed')) {
+        await memoryPipeline.runStage(run, 'embed', async () => {
+          ctx.chunksToEmbed = await loadChunksToEmbed();
+          const embeddingSuccessful = await this.generateAndStoreEmbeddings(ctx.chunksToEmbed, rawData, this.isVectorStoreAvailable, ctx.embeddings);
+          if (!embeddingSuccessful) {
+            throw new Error('Embedding generation or vector store import failed');
+          }
+        });
+        // 6. The memory is searchable from here on
+        await rawDataRepository.update(rawData.id, { processingStatus: 'processed', processingError: null });
         logger.info(`[MemoryManager] Successfully processed raw data ${rawData.id} through memory pipeline`);
-      } else {
-        // If embeddings failed, the rawData status remains 'pending' or becomes 'error' if chunk storage failed earlier.
-        // The chunk status would be 'embedding_error' or 'pending_weaviate'.
-        logger.warn(`[MemoryManager] Finished processing raw data ${rawData.id} with embedding failure.`);
       }
 
+      // 7. Mirror the new chunks into the graph store (no-op without one; mirroring failures do not fail the stage)
+      if (memoryPipeline.includesStage(run, 'graph')) {
+        await memoryPipeline.runStage(run, 'graph', async () => {
+          ctx.chunksToEmbed = await loadChunksToEmbed();
+          await graphSync.syncChunks(ctx.chunksToEmbed);
+        });
+      }
+
+      // 8. Extract entities and relationships of the new chunks into the knowledge graph
+      if (memoryPipeline.includesStage(run, 'extract')) {
+        await memoryPipeline.runStage(run, 'extract', async () => {
+          if (!memoryConfig.knowledgeGraph.enabled) return;
+          await entityExtractionAgent.extractEntitiesFromChunks(await loadChunksToEmbed(), rawData);
+          await subjectProfiles.linkKnowledgeNodes(rawData);
+        });
+      }
+
+      await memoryPipeline.finishRun(run);
+      return 'completed';
     } catch (error) {
-      logger.error(`[MemoryManager] Error processing memory pipeline for rawData ${rawData.id}: ${error.message}`, { stack: error.stack });
+      logger.error(`[MemoryManager] Error processing memory pipeline for rawData ${rawData.id} at stage ${run.stage}: ${error.message}`, { stack: error.stack });
       try {
-        // Use repository
-        await rawDataRepository.update(rawData.id, { processingStatus: 'error' });
+        await rawDataRepository.update(rawData.id, { processingStatus: 'error', processingError: error.message });
       } catch (updateError) {
         logger.error(`[MemoryManager] Failed to update rawData ${rawData.id} status to error: ${updateError.message}`);
       }
+      throw error;
+    }
+  }
+
+  /**
+   * Detects and stores the language of a RawData, then redacts its personal data (if enabled).
+   * @param {object} rawData - RawData record (updated in place).
+   * @returns {Promise<{content: string, redactions: Array<object>, offsetsIn: string, document?: object}>} See redactRawData.
+   */
+  async prepareContent(rawData) {
+    const language = rawData.language || detectLanguage(rawData.content).language;
+    if (!rawData.language) {
+      try {
+        await rawDataRepository.update(rawData.id, { language });
+        rawData.language = language;
+      } catch (updateError) {
+        logger.error(`[MemoryManager] Failed to store language for rawData ${rawData.id}: ${updateError.message}`);
+      }
+    }
+
+    return memoryConfig.piiRedaction.enabled
+      ? this.redactRawData(rawData)
+      : { content: rawData.content, redactions: [], offsetsIn: 'content' };
+  }
+
+  /**
+   * Evaluates the importance of a RawData (unless it already has a score) and checks it against the threshold.
+   * @param {object} rawData - RawData record (updated in place).
+   * @param {string} content - Redacted content.
+   * @returns {Promise<boolean>} Whether the RawData is important enough to be chunked.
+   */
+  async checkImportance(rawData, content) {
+    let importanceScore = rawData.importanceScore;
+    if (importanceScore === null || importanceScore === undefined) {
+      const assessment = await this.assessImportance(
+        content,
+        rawData.contentType,
+        { userId: rawData.userId, sessionId: rawData.sessionId, language: rawData.language }
+      );
+      importanceScore = assessment.score;
+      rawData.importanceScore = importanceScore;
+      try {
+        const metadata = { ...(rawData.metadata || {}), importance: { ...assessment, evaluatedAt: new Date().toISOString() } };
+        await rawDataRepository.update(rawData.id, { importanceScore, metadata });
+        rawData.metadata = metadata;
+        logger.info(`[MemoryManager] Updated rawData ${rawData.id} with importance score: ${importanceScore} (${assessment.method})`);
+      } catch (updateError) {
+        logger.error(`[MemoryManager] Failed to update importance score for rawData ${rawData.id}: ${updateError.message}`);
+      }
+    }
+
+    // Use configured threshold
+    if (importanceScore === null || (importanceScore < memoryConfig.defaultImportanceThreshold && !rawData.skipImportanceCheck)) {
+      logger.info(`[MemoryManager] RawData ${rawData.id} did not pass importance threshold (Score: ${importanceScore}, Threshold: ${memoryConfig.defaultImportanceThreshold}, Skip check: ${!!rawData.skipImportanceCheck}). Skipping chunking.`);
+      return false;
+    }
+    logger.info(`[MemoryManager] RawData ${rawData.id} passed importance check (Score: ${importanceScore}, Skip check: ${!!rawData.skipImportanceCheck})`);
+    return true;
+  }
+
+  /**
+   * Chunks the redacted content and stores the chunks, first deleting chunks left by an earlier attempt.
+   * Offsets and PII types are related to RawData.content.
+   * @param {object} rawData - RawData record (with its importanceScore).
+   * @param {object} redaction - Result of prepareContent.
+   * @returns {Promise<Array<object>>} Stored chunk records (empty if the content produced no chunks).
+   * @throws {Error} If not all chunks could be stored.
+   */
+  async chunkAndStore(rawData, redaction) {
+    const chunks = this.locateRedactedChunks(
+      await this.chunkContent(redaction.content, { sourceType: rawData.contentType, document: redaction.document || rawData.metadata?.document }),
+      redaction
+    );
+    if (!chunks || chunks.length === 0) return [];
+    logger.info(`[MemoryManager] Generated ${chunks.length} chunks for rawData ${rawData.id}`);
+
+    const deleted = await this.deleteRawDataChunks(rawData);
+    if (deleted > 0) {
+      logger.info(`[MemoryManager] Deleted ${deleted} chunks of an earlier attempt for rawData ${rawData.id}.`);
+    }
+
+    const storedChunks = await this.storeChunksWithRepo(rawData, chunks, rawData.importanceScore);
+    if (storedChunks.length < chunks.length) {
+      throw new Error(`Stored ${storedChunks.length} of ${chunks.length} chunks`);
+    }
+    return storedChunks;
+  }
+
+  /**
+   * Deletes a RawData's chunks from Postgres (with their episode and knowledge graph links), the vector store and the graph store.
+   * Chunks of other RawData that repeat a deleted chunk are kept retrievable (see promoteDuplicatesOf).
+   * @param {object} rawData - RawData record.
+   * @returns {Promise<number>} Number of deleted chunks.
+   */
+  async deleteRawDataChunks(rawData) {
+    const chunks = await chunkRepository.findMany({ where: { rawDataId: rawData.id } });
+    if (chunks.length === 0) return 0;
+    const chunkIds = chunks.map(chunk => chunk.id);
+    await this.promoteDuplicatesOf(chunkIds, rawData);
+
+    if (this.isVectorStoreAvailable) {
+      const vectorStore = getVectorStore();
+      for (const chunk of chunks.filter(c => c.embeddingModel && !c.duplicateOfId)) {
+        if (!await vectorStore.delete('ChunkEmbedding', chunk.id)) {
+          logger.warn(`[MemoryManager] Failed to delete chunk ${chunk.id} from the vector store.`);
+        }
+      }
+    }
+    await graphSync.removeNodes('Chunk', chunkIds);
+    const { count } = await chunkRepository.deleteMany({ where: { id: { in: chunkIds } } });
+    return count;
+  }
+
+  /**
+   * Before canonical chunks are deleted, makes the earliest chunk of another RawData that repeats each of them
+   * the new canonical chunk: the other repeats are linked to it and it is embedded. Otherwise the repeats would
+   * lose their duplicateOfId (onDelete: SetNull) and, having no vector of their own, drop out of retrieval.
+   * @param {string[]} chunkIds - IDs of the chunks about to be deleted.
+   * @param {object} rawData - RawData the chunks belong to (its own repeats are deleted with them).
+   * @returns {Promise<number>} Number of promoted chunks.
+   */
+  async promoteDuplicatesOf(chunkIds, rawData) {
+    const duplicates = await prisma.chunkEmbedding.findMany({
+      where: { duplicateOfId: { in: chunkIds }, rawDataId: { not: rawData.id } },
+      include: { rawData: true },
+      orderBy: { createdAt: 'asc' },
+    });
+    if (duplicates.length === 0) return 0;
+
+    const duplicatesByCanonical = new Map();
+    duplicates.forEach(duplicate => {
+      duplicatesByCanonical.set(duplicate.duplicateOfId, [...(duplicatesByCanonical.get(duplicate.duplicateOfId) || []), duplicate]);
+    });
+
+    for (const [canonicalId, [first, ...repeats]] of duplicatesByCanonical) {
+      const promoted = await chunkRepository.update(first.id, {
+        duplicateOfId: null,
+        processingStatus: 'pending',
+        importance: Math.min(1, first.importance + memoryConfig.deduplication.importanceBoost * repeats.length),
+        metadata: {
+          ...(first.metadata || {}),
+          repeatCount: repeats.length,
+          ...(repeats.length > 0 ? { lastRepeatedAt: repeats[repeats.length - 1].rawData?.createdAt || null } : {}),
+        },
+      });
+      if (repeats.length > 0) {
+        await chunkRepository.updateMany({ where: { id: { in: repeats.map(repeat => repeat.id) } }, data: { duplicateOfId: first.id } });
+      }
+      logger.info(`[MemoryManager] Chunk ${first.id} replaces deleted chunk ${canonicalId} as the original of ${repeats.length} repeat(s).`);
+
+      // A chunk that fails to embed has no embeddingModel, so the re-embedding scheduled on worker startup retries it
+      if (!await this.generateAndStoreEmbeddings([promoted], first.rawData, this.isVectorStoreAvailable)) {
+        logger.warn(`[MemoryManager] Could not embed promoted chunk ${first.id}.`);
+      }
+    }
+    return duplicatesByCanonical.size;
+  }
+
+  /**
+   * Runs PII detection on a RawData's content and records what was found in RawData.metadata.pii
+   * (types, detectors and offsets, never the values). Unless memoryConfig.piiRedaction.keepOriginalInRawData
+   * allows keeping it, the original content is overwritten with the redacted text.
+   * @param {object} rawData - RawData record (updated in place when its content is replaced).
+   * @returns {Promise<{content: string, redactions: Array<object>, offsetsIn: 'content'|'original', document?: object}>}
+   *          Text to process, redactions, whether chunk offsets must be mapped back to the original content,
+   *          and the document structure with page offsets into the redacted text.
+   */
+  async redactRawData(rawData) {
+    const { mode, keepOriginalInRawData } = memoryConfig.piiRedaction;
+    const { text, redactions } = await piiRedaction.redactContent(rawData.content);
+    if (redactions.length === 0) return { content: rawData.content, redactions, offsetsIn: 'content' };
+
+    // PDF page offsets must follow the text that is chunked
+    const document = rawData.metadata?.document?.pages && mode !== 'tag'
+      ? {
+          ...rawData.metadata.document,
+          pages: rawData.metadata.document.pages.map(page => ({
+            ...page,
+            startOffset: piiRedaction.mapOffset(page.startOffset, redactions, 'original', 'start'),
+            endOffset: piiRedaction.mapOffset(page.endOffset, redactions, 'original', 'end'),
+          })),
+        }
+      : undefined;
+    const replaceOriginal = mode !== 'tag' && !keepOriginalInRawData;
+    const storedIn = replaceOriginal ? 'redacted' : 'original';
+
+    const metadata = {
+      ...(rawData.metadata || {}),
+      ...(replaceOriginal && document ? { document } : {}),
+      pii: {
+        mode,
+        originalKept: !replaceOriginal,
+        redactions: redactions.map(r => ({
+          type: r.type,
+          detector: r.detector,
+          start: storedIn === 'original' ? r.start : r.redactedStart,
+          end: storedIn === 'original' ? r.end : r.redactedEnd,
+        })),
+      },
+    };
+    try {
+      await rawDataRepository.update(rawData.id, replaceOriginal ? { content: text, metadata } : { metadata });
+      rawData.metadata = metadata;
+      if (replaceOriginal) rawData.content = text;
+    } catch (updateError) {
+      logger.error(`[MemoryManager] Failed to record PII redactions for rawData ${rawData.id}: ${updateError.message}`);
     }
+    logger.info(`[MemoryManager] RawData ${rawData.id}: ${redactions.length} PII spans (${mode}), original ${replaceOriginal ? 'replaced' : 'kept'}.`);
+
+    return {
+      content: text,
+      redactions,
+      offsetsIn: mode !== 'tag' && !replaceOriginal ? 'original' : 'content',
+      document,
+    };
   }
 
   /**
-   * Evaluates the importance of a piece of content.
-   * Uses a simple cache to avoid re-evaluating identical content quickly.
+   * Relates chunks of redacted text to RawData.content: maps their offsets back to the original
+   * when it was kept, and lists the PII types each chunk contained.
+   * @param {Array<object>} chunks - Chunks from chunkContent.
+   * @param {{redactions: Array<object>, offsetsIn: string}} redaction - Result of redactRawData.
+   * @returns {Array<object>}
+   */
+  locateRedactedChunks(chunks, redaction) {
+    if (!chunks || redaction.redactions.length === 0) return chunks;
+    return chunks.map(chunk => ({
+      ...chunk,
+      piiTypes: piiRedaction.piiTypesInRange(chunk, redaction.redactions),
+      ...(redaction.offsetsIn === 'original'
+        ? {
+            startOffset: piiRedaction.mapOffset(chunk.startOffset, redaction.redactions, 'redacted', 'start'),
+            endOffset: piiRedaction.mapOffset(chunk.endOffset, redaction.redactions, 'redacted', 'end'),
+          }
+        : {}),
+    }));
+  }
+
+  /**
+   * Assesses the importance of a piece of content: the model rates emotional weight, personal relevance,
+   * future relevance and novelty (against the user's most similar memories) and explains its ratings;
+   * the score is their weighted average (memoryConfig.importanceScoring.factorWeights).
+   * Falls back to heuristicImportanceEvaluation when the provider fails or its answer does not validate.
+   * Model assessments are cached for a few minutes per content and type.
    * @param {string} content - The text content.
    * @param {string} type - The type of content (e.g., 'user_chat', 'ai_response').
-   * @param {object} metadata - Additional context (userId, sessionId).
-   * @returns {Promise<number|null>} Importance score (0-1) or null on error.
+   * @param {object} metadata - Additional context (userId, sessionId, language).
+   * @returns {Promise<{score: number, method: 'model'|'heuristic'|'empty', factors?: object, rationale?: string, fallbackReason?: string}>}
    */
-  async evaluateImportance(content, type, metadata = {}) {
+  async assessImportance(content, type, metadata = {}) {
     if (!content || typeof content !== 'string' || content.trim().length === 0) {
-      return 0; // Assign 0 importance to empty content
+      return { score: 0, method: 'empty' }; // Assign 0 importance to empty content
     }
 
-    const contentHash = createHash('md5').update(content).digest('hex');
+    const contentHash = createHash('md5').update(`${type}\n${content}`).digest('hex');
     if (this.importanceCache.has(contentHash)) {
-      logger.debug(`[MemoryManager] Using cached importance score for content hash ${contentHash}`);
+      logger.debug(`[MemoryManager] Using cached importance assessment for content hash ${contentHash}`);
       return this.importanceCache.get(contentHash);
     }
 
     logger.info(`[MemoryManager] Evaluating importance for content (type: ${type})`);
-    const prompt = this.createImportanceEvaluationPrompt(type, content, metadata);
-
+    const { factorWeights, maxRationaleLength, cacheTtlMs } = memoryConfig.importanceScoring;
     try {
+      const similarMemories = await this.findSimilarMemories(content, metadata.userId);
+      const prompt = this.createImportanceEvaluationPrompt(type, content, { ...metadata, similarMemories });
       const completion = await aiService.getCompletion(prompt);
       if (!completion) {
-        logger.error('[MemoryManager] Failed to get completion for importance evaluation.');
-        return null;
+        throw new Error('No completion returned');
       }
 
-      // Flexible parsing: Trim whitespace and try to parse any number
-      const cleanedCompletion = completion.trim();
-      
-      // First try to parse if there's a labeled score like "Importance Score: 0.8"
-      let score;
-      const scoreMatch = cleanedCompletion.match(/Importance Score:?\s*([0-9.]+)/i);
-      if (scoreMatch && scoreMatch[1]) {
-        score = parseFloat(scoreMatch[1]);
-      } else {
-        // If no labeled score, try to parse the whole text as a number
-        score = parseFloat(cleanedCompletion);
-      }
+      const { factors, rationale } = parseImportanceAssessment(completion, { maxRationaleLength });
+      const assessment = { score: combineImportanceFactors(factors, factorWeights), method: 'model', factors, rationale };
+      logger.info(`[MemoryManager] Importance score: ${assessment.score.toFixed(2)} ${JSON.stringify(factors)}`);
+      this.importanceCache.set(contentHash, assessment);
+      setTimeout(() => this.importanceCache.delete(contentHash), cacheTtlMs);
+      return assessment;
+    } catch (error) {
+      const score = this.heuristicImportanceEvaluation(content, type, metadata.language);
+      logger.warn(`[MemoryManager] Importance evaluation by the model failed, using the heuristic score ${score.toFixed(2)}: ${error.message}`);
+      return { score, method: 'heuristic', fallbackReason: error.message };
+    }
+  }
 
-      if (!isNaN(score) && score >= 0 && score <= 1) {
-        logger.info(`[MemoryManager] Importance score: ${score.toFixed(2)}`);
-        this.importanceCache.set(contentHash, score);
-        // Keep original cache timeout
-        setTimeout(() => this.importanceCache.delete(contentHash), 5 * 60 * 1000); 
-        return score;
-      }
+  /**
+   * Evaluates the importance of a piece of content (the score of assessImportance).
+   * @param {string} content - The text content.
+   * @param {string} type - The type of content (e.g., 'user_chat', 'ai_response').
+   * @param {object} metadata - Additional context (userId, sessionId, language).
+   * @returns {Promise<number>} Importance score (0-1).
+   */
+  async evaluateImportance(content, type, metadata = {}) {
+    return (await this.assessImportance(content, type, metadata)).score;
+  }
 
-      logger.warn('[MemoryManager] Could not parse importance score from completion:', { completion });
-      return null; // Return null if parsing failed
+  /**
+   * Finds the user's existing chunks most similar to a text (context for judging novelty).
+   * @param {string} content
+   * @param {string} [userId]
+   * @returns {Promise<Array<{text: string, certainty: number}>>} Empty without a user, a vector store or on error.
+   */
+  async findSimilarMemories(content, userId) {
+    const { similarMemoriesLimit, similarMemoriesCertainty } = memoryConfig.importanceScoring;
+    if (!userId || similarMemoriesLimit <= 0 || !this.isVectorStoreAvailable) return [];
+    try {
+      const [vector] = await aiService.generateEmbeddings(content) || [];
+      const embeddingModel = getActiveEmbeddingModel();
+      if (!hasModelDimension([vector], embeddingModel)) return [];
+      const hits = await getVectorStore().nearVector('ChunkEmbedding', {
+        vector,
+        certainty: similarMemoriesCertainty,
+        filter: withEmbeddingModel({ operator: 'Equal', path: ['userId'], valueText: userId }, embeddingModel.name),
+        limit: similarMemoriesLimit,
+        fields: ['chunkDbId', 'text'],
+      });
+      return hits.map(hit => ({ text: hit.properties.text, certainty: hit.certainty }));
     } catch (error) {
-      logger.error(`[MemoryManager] Error during importance evaluation: ${error.message}`);
-      return null;
+      logger.warn(`[MemoryManager] Could not look up similar memories for importance evaluation: ${error.message}`);
+      return [];
     }
   }
 
@@ -867,35 +633,38 @@ class MemoryManager {
    * Creates the prompt for the AI importance evaluation task using config templates.
    */
   createImportanceEvaluationPrompt(type, content, metadata) {
-    const basePrompt = aiConfig.importanceEvaluationBasePrompt;
-    const guidance = aiConfig.importanceGuidance[type] || aiConfig.importanceGuidance.default;
-
-    let prompt = basePrompt
-        .replace('{CONTENT_TYPE}', type || 'unknown')
-        .replace('{USER_ID}', metadata.userId || 'N/A')
-        .replace('{SESSION_ID}', metadata.sessionId || 'N/A')
-        .replace('{CONTENT}', content)
-        .replace('{TYPE_SPECIFIC_GUIDANCE}', guidance);
-
-    return prompt;
+    return createImportancePrompt(aiConfig.importanceEvaluationBasePrompt, {
+      type,
+      content,
+      guidance: aiConfig.importanceGuidance[type] || aiConfig.importanceGuidance.default,
+      language: metadata.language,
+      userId: metadata.userId,
+      sessionId: metadata.sessionId,
+      similarMemories: metadata.similarMemories,
+    });
   }
 
   /**
-   * Heuristic importance evaluation (Fallback or potential alternative)
+   * Heuristic importance evaluation, used when the model cannot assess the importance (see assessImportance)
    * @param {string} content
    * @param {string} sourceType
+   * @param {string} [language] - Detected language (see utils/language); detected from the content if omitted.
    * @returns {number} Heuristic importance score
    */
-  heuristicImportanceEvaluation(content, sourceType) {
+  heuristicImportanceEvaluation(content, sourceType, language = detectLanguage(content).language) {
     let score = 0.5; // Base score
-    const length = content.length;
+    // A CJK character carries roughly as much as a short English word (about 5 characters)
+    const length = isCjkLanguage(language) ? content.length * 5 : content.length;
 
     // Length bonus/penalty
     if (length > 500) score += 0.2;
     if (length < 50) score -= 0.2;
 
     // Keyword check (example keywords)
-    const keywords = ['important', 'remember', 'goal', 'plan', 'deadline', 'project', 'idea', 'insight', 'feeling', 'realized'];
+    const keywords = [
+      'important', 'remember', 'goal', 'plan', 'deadline', 'project', 'idea', 'insight', 'feeling', 'realized',
+      '重要', '记住', '目标', '计划', '截止', '项目', '想法', '感受', '感觉', '意识到', '决定',
+    ];
     if (keywords.some(kw => content.toLowerCase().includes(kw))) {
       score += 0.3;
     }
@@ -912,135 +681,42 @@ class MemoryManager {
     return Math.max(0.1, Math.min(1.0, score));
   }
 
-  /**
-   * Chunks content semantically based on token limits.
-   * @param {string} content - The text content to chunk.
-   * @param {object} metadata - Additional metadata (e.g., sourceType).
-   * @returns {Promise<Array<string>>} An array of text chunks.
-   */
-  async chunkContent(content, metadata = {}) {
-    if (!content || typeof content !== 'string') {
-      logger.warn('[MemoryManager] Invalid content provided for chunking.');
-      return [];
-    }
-
-    logger.info(`[MemoryManager] Chunking content: ${content.length} characters`);
-    const tokens = encode(content);
-    const tokenCount = tokens.length;
-    logger.debug(`[MemoryManager] Total tokens: ${tokenCount}`);
-
-    // Use configured chunk sizes
-    const minSize = memoryConfig.minChunkSize;
-    const maxSize = memoryConfig.maxChunkSize;
-    const targetSize = memoryConfig.targetChunkSize;
-
-    if (content.length <= maxSize) {
-      logger.debug('[MemoryManager] Content is smaller than max chunk size, returning as single chunk.');
-      return [content]; // Return as a single chunk if small enough
-    }
-
-    // Simple chunking strategy: split by paragraphs first, then sentences.
-    // More sophisticated strategies (e.g., using token counts more directly)
-    // could be implemented later.
-
-    const chunks = [];
-    let currentChunk = '';
-
-    // Split by double newlines (paragraphs), then single newlines, then sentences.
-    const potentialSeparators = ['\n\n', '\n', '. ', '? ', '! '];
-    let segments = [content];
-
-    // Iteratively split by separators
-    potentialSeparators.forEach(separator => {
-        if (segments.length === 1 && segments[0].length <= maxSize) return; // Stop if already small enough
-        
-        let newSegments = [];
-        segments.forEach(segment => {
-            // Only split further if the segment itself is too large
-            if (segment.length > minSize) { 
-                 newSegments.push(...segment.split(separator).map((s, i, arr) => i < arr.length - 1 ? s + separator.trimEnd() : s));
-            } else {
-                newSegments.push(segment);
-            }
-        });
-        segments = newSegments.filter(s => s.trim().length > 0); // Remove empty segments
-    });
-    
-    // Combine segments into chunks respecting MAX_CHUNK_SIZE
-    segments.forEach(segment => {
-        if (!segment || segment.trim().length === 0) return;
-
-        const segmentLength = segment.length;
-        const currentChunkLength = currentChunk.length;
-
-        if (currentChunkLength === 0) {
-            // Start a new chunk
-            if (segmentLength <= maxSize) {
-                currentChunk = segment;
-            } else {
-                // If a single segment exceeds maxSize, split it hard
-                // This is a fallback, ideally semantic splitting prevents this.
-                for (let i = 0; i < segmentLength; i += maxSize) {
-                    chunks.push(segment.substring(i, i + maxSize));
-                }
-            }
-        } else if (currentChunkLength + segmentLength <= maxSize) {
-            // Add segment to the current chunk
-            currentChunk += segment;
-        } else {
-            // Current chunk is full, push it and start a new one
-            chunks.push(currentChunk);
-            if (segmentLength <= maxSize) {
-                 currentChunk = segment;
-            } else {
-                 // If the new segment exceeds maxSize, split it hard
-                 for (let i = 0; i < segmentLength; i += maxSize) {
-                     chunks.push(segment.substring(i, i + maxSize));
-                 }
-                 currentChunk = ''; // Reset chunk after hard split
-            }
-        }
-    });
-
-    // Add the last remaining chunk if it's not empty
-    if (currentChunk.length > 0) {
-      chunks.push(currentChunk);
-    }
-
-    // Post-processing: Ensure chunks meet minimum size (merge small ones)
-    const mergedChunks = [];
-    let tempChunk = '';
-    chunks.forEach((chunk, index) => {
-      if (chunk.length < minSize && index < chunks.length - 1) {
-        // If chunk is too small and not the last one, merge with next
-        tempChunk += chunk;
-      } else {
-        // Add tempChunk (if any) and the current chunk
-        mergedChunks.push(tempChunk + chunk);
-        tempChunk = ''; // Reset tempChunk
-      }
-    });
-    // Handle potential remaining tempChunk if last chunk was small
-    if (tempChunk.length > 0) {
-         if (mergedChunks.length > 0) {
-             mergedChunks[mergedChunks.length - 1] += tempChunk;
-         } else {
-             mergedChunks.push(tempChunk); // Should only happen if there was only one tiny chunk initially
-         }
-    }
-
-    const finalChunks = mergedChunks.filter(chunk => chunk.trim().length > 0);
-    logger.info(`[MemoryManager] Created ${finalChunks.length} chunks from content`);
-    return finalChunks;
+  /**
+   * Chunks content into sentence-aligned pieces of about memoryConfig.targetChunkTokens tokens,
+   * with memoryConfig.chunkOverlapSentences sentences repeated between neighbouring chunks.
+   * Uploaded documents with a recorded structure are chunked along their headings or pages instead.
+   * @param {string} content - The text content to chunk.
+   * @param {object} metadata - Additional metadata (e.g., sourceType).
+   * @param {{format: string, pages?: Array<object>}} [metadata.document] - Document structure from the file extractor.
+   * @returns {Promise<Array<{text: string, startOffset: number, endOffset: number, tokenCount: number, sectionPath?: string[], page?: number, pageEnd?: number}>>}
+   *          Chunks with their character offsets into `content` (and section path / page for documents).
+   */
+  async chunkContent(content, metadata = {}) {
+    if (!content || typeof content !== 'string') {
+      logger.warn('[MemoryManager] Invalid content provided for chunking.');
+      return [];
+    }
 
-    // Helper function to count tokens (can be moved to utils)
-    // const countTokens = (str) => encode(str).length;
+    logger.info(`[MemoryManager] Chunking ${metadata.sourceType || 'content'}: ${content.length} characters`);
+    const sizeOptions = {
+      targetTokens: memoryConfig.targetChunkTokens,
+      maxTokens: memoryConfig.maxChunkTokens,
+      minTokens: memoryConfig.minChunkTokens,
+      overlapSentences: memoryConfig.chunkOverlapSentences,
+      maxOverlapTokens: memoryConfig.maxChunkOverlapTokens,
+    };
+    const chunks = metadata.document?.format
+      ? chunkDocument(content, { ...sizeOptions, format: metadata.document.format, pages: metadata.document.pages })
+      : chunkText(content, sizeOptions);
+    logger.info(`[MemoryManager] Created ${chunks.length} chunks from content`);
+    return chunks;
   }
 
   /**
    * Stores chunked content using the Chunk repository.
    * @param {object} rawData - The original raw data record.
-   * @param {Array<string>} chunks - Array of text chunks.
+   * @param {Array<{text: string, startOffset: number, endOffset: number, tokenCount: number}>} chunks - Chunks from chunkContent
+   *        (document chunks also carry sectionPath and page, which are kept in the chunk metadata for citation).
    * @param {number} importanceScore - The calculated importance score.
    * @returns {Promise<Array<object>>} Array of created Chunk records.
    */
@@ -1050,14 +726,18 @@ class MemoryManager {
     const createdChunks = [];
     try {
       for (let i = 0; i < chunks.length; i++) {
-        const chunkText = chunks[i];
+        const chunk = chunks[i];
         // Call repository create method
         const chunkRecord = await chunkRepository.create({
           rawDataId: rawData.id,
           userId: rawData.userId,
           sessionId: rawData.sessionId,
-          text: chunkText,
+          text: chunk.text,
           index: i,
+          tokenCount: chunk.tokenCount,
+          contentHash: chunkContentHash(chunk.text),
+          startOffset: chunk.startOffset,
+          endOffset: chunk.endOffset,
           importanceScore: importanceScore,
           processingStatus: 'pending',
           metadata: { // Prepare metadata object
@@ -1065,7 +745,13 @@ class MemoryManager {
             sourceCreatedAt: rawData.createdAt,
             perspectiveOwnerId: rawData.perspectiveOwnerId,
             subjectId: rawData.subjectId,
-            topicKey: rawData.topicKey
+            subjectIds: subjectProfiles.chunkSubjectIds(chunk.text, rawData),
+            topicKey: rawData.topicKey,
+            language: chunkLanguage(chunk.text, rawData.language),
+            ...(chunk.piiTypes?.length ? { piiTypes: chunk.piiTypes } : {}),
+            ...(chunk.sectionPath ? { sectionPath: chunk.sectionPath } : {}),
+            ...(chunk.page ? { page: chunk.page } : {}),
+            ...(chunk.pageEnd ? { pageEnd: chunk.pageEnd } : {})
           }
         });
         createdChunks.push(chunkRecord);
@@ -1079,15 +765,16 @@ class MemoryManager {
   }
 
   /**
-   * Generates embeddings for stored chunks and updates status using repositories.
-   * Returns true if successful, false otherwise.
+   * Embeds chunk texts with the active embedding model.
+   * @param {Array<object>} chunks - Chunk records.
+   * @param {object} rawData - Source RawData record (for logging).
+   * @returns {Promise<Array<number[]>|null>} One vector per chunk, or null on failure.
    */
-  async generateAndStoreEmbeddings(storedChunks, rawData, isWeaviateAvailable) {
-    if (!storedChunks || storedChunks.length === 0) return true;
-
-    const chunkTexts = storedChunks.map(chunk => chunk.text);
+  async embedChunks(chunks, rawData) {
+    const chunkTexts = chunks.map(chunk => chunk.text);
     logger.info(`[MemoryManager] Generating embeddings for ${chunkTexts.length} stored chunks (rawData ${rawData.id})`);
 
+    const embeddingModel = getActiveEmbeddingModel();
     let embeddings;
     try {
         embeddings = await aiService.generateEmbeddings(chunkTexts);
@@ -1096,6 +783,169 @@ class MemoryManager {
          embeddings = null; 
     }
 
+    if (embeddings && !hasModelDimension(embeddings, embeddingModel)) {
+      logger.error(`[MemoryManager] Embeddings for rawData ${rawData.id} do not have the ${embeddingModel.dimension} dimensions registered for ${embeddingModel.name}.`);
+      embeddings = null;
+    }
+    return embeddings && embeddings.length === chunks.length ? embeddings : null;
+  }
+
+  /**
+   * Finds chunks that repeat one of the user's recent chunks (same normalized text, or a vector within
+   * memoryConfig.deduplication.similarityThreshold) and links them to it instead of embedding them again.
+   * Repeats within the same RawData are linked to their first occurrence.
+   * @param {Array<object>} storedChunks - Newly stored chunk records of one RawData.
+   * @param {object} rawData - Source RawData record.
+   * @returns {Promise<{chunks: Array<object>, embeddings: Array<number[]>|null}>} Chunks still to embed, with their
+   *          vectors if they were computed for the comparison.
+   */
+  async deduplicateChunks(storedChunks, rawData) {
+    const { similarityThreshold, windowDays } = memoryConfig.deduplication;
+    const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+    const duplicates = new Map(); // Chunk ID -> { canonicalId, similarity, method }
+
+    try {
+      // Same normalized text: no embedding needed to tell
+      const newIds = new Set(storedChunks.map(chunk => chunk.id));
+      const hashMatches = await chunkRepository.findMany({
+        where: {
+          userId: rawData.userId,
+          contentHash: { in: Array.from(new Set(storedChunks.map(chunk => chunk.contentHash).filter(Boolean))) },
+          duplicateOfId: null,
+          createdAt: { gte: since },
+          processingStatus: { in: ['processed', 'pending_weaviate'] },
+        },
+      });
+      const canonicalByHash = new Map(hashMatches.filter(match => !newIds.has(match.id)).map(match => [match.contentHash, match.id]));
+      for (const chunk of storedChunks) {
+        if (!chunk.contentHash) continue;
+        if (canonicalByHash.has(chunk.contentHash)) {
+          duplicates.set(chunk.id, { canonicalId: canonicalByHash.get(chunk.contentHash), similarity: 1, method: 'hash' });
+        } else {
+          canonicalByHash.set(chunk.contentHash, chunk.id); // Later repeats in this RawData link to this chunk
+        }
+      }
+
+      // Near-identical vectors: compare with earlier chunks of this RawData, then with the user's stored chunks
+      const remaining = storedChunks.filter(chunk => !duplicates.has(chunk.id));
+      const embeddings = remaining.length > 0 ? await this.embedChunks(remaining, rawData) : [];
+      if (embeddings) {
+        const embeddingModel = getActiveEmbeddingModel();
+        const vectorStore = this.isVectorStoreAvailable ? getVectorStore() : null;
+        const kept = [];
+        for (let i = 0; i < remaining.length; i++) {
+          const vector = { vector: embeddings[i], model: embeddingModel.name };
+          const inBatch = kept
+            .map(k => ({ canonicalId: remaining[k].id, similarity: compareEmbeddings(vector, { vector: embeddings[k], model: embeddingModel.name }) }))
+            .find(match => match.similarity >= similarityThreshold);
+          if (inBatch) {
+            duplicates.set(remaining[i].id, { ...inBatch, method: 'vector' });
+            continue;
+          }
+          const [hit] = vectorStore
+            ? await vectorStore.nearVector('ChunkEmbedding', {
+                vector: embeddings[i],
+                certainty: similarityThreshold,
+                filter: withEmbeddingModel({
+                  operator: 'And',
+                  operands: [
+                    { operator: 'Equal', path: ['userId'], valueText: rawData.userId },
+                    { operator: 'GreaterThanEqual', path: ['sourceCreatedAt'], valueDate: since.toISOString() },
+                  ],
+                }, embeddingModel.name),
+                limit: 1,
+                fields: ['chunkDbId'],
+              })
+            : [];
+          if (hit && !newIds.has(hit.id)) {
+            duplicates.set(remaining[i].id, { canonicalId: hit.id, similarity: hit.certainty ?? similarityThreshold, method: 'vector' });
+          } else {
+            kept.push(i);
+          }
+        }
+      }
+
+      if (duplicates.size === 0) {
+        return { chunks: storedChunks, embeddings: embeddings && embeddings.length === storedChunks.length ? embeddings : null };
+      }
+      const updatedCanonicals = await this.mergeDuplicateChunks(duplicates, rawData);
+
+      const unique = [];
+      const uniqueEmbeddings = [];
+      remaining.forEach((chunk, i) => {
+        if (duplicates.has(chunk.id)) return;
+        unique.push(updatedCanonicals.get(chunk.id) || chunk); // Embedded with its raised importance
+        if (embeddings) uniqueEmbeddings.push(embeddings[i]);
+      });
+      logger.info(`[MemoryManager] RawData ${rawData.id}: ${duplicates.size} of ${storedChunks.length} chunks repeat earlier chunks and were linked instead of embedded.`);
+      return { chunks: unique, embeddings: embeddings ? uniqueEmbeddings : null };
+    } catch (error) {
+      logger.error(`[MemoryManager] Chunk deduplication failed for rawData ${rawData.id}, embedding all chunks: ${error.message}`, { stack: error.stack });
+      return { chunks: storedChunks.filter(chunk => !duplicates.has(chunk.id) || !duplicates.get(chunk.id).merged), embeddings: null };
+    }
+  }
+
+  /**
+   * Marks duplicate chunks as such and raises the importance of the chunks they repeat
+   * (in Postgres and in the vector store, where retrieval reads it).
+   * @param {Map<string, {canonicalId: string, similarity: number, method: string}>} duplicates - Keyed by duplicate chunk ID.
+   * @param {object} rawData - Source RawData record of the duplicates.
+   * @returns {Promise<Map<string, object>>} Updated canonical chunk records by ID.
+   */
+  async mergeDuplicateChunks(duplicates, rawData) {
+    const repeatsByCanonical = new Map();
+    for (const [chunkId, match] of duplicates) {
+      await chunkRepository.update(chunkId, {
+        processingStatus: 'duplicate',
+        duplicateOfId: match.canonicalId,
+      });
+      match.merged = true;
+      repeatsByCanonical.set(match.canonicalId, (repeatsByCanonical.get(match.canonicalId) || 0) + 1);
+      logger.debug(`[MemoryManager] Chunk ${chunkId} repeats chunk ${match.canonicalId} (${match.method}, similarity ${match.similarity.toFixed(3)}).`);
+    }
+
+    const canonicalChunks = await prisma.chunkEmbedding.findMany({
+      where: { id: { in: Array.from(repeatsByCanonical.keys()) } },
+      include: { rawData: true },
+    });
+    const vectorStore = this.isVectorStoreAvailable ? getVectorStore() : null;
+    const updatedCanonicals = new Map();
+    for (const canonical of canonicalChunks) {
+      const repeats = repeatsByCanonical.get(canonical.id);
+      const updated = await chunkRepository.update(canonical.id, {
+        importance: Math.min(1, canonical.importance + memoryConfig.deduplication.importanceBoost * repeats),
+        metadata: {
+          ...(canonical.metadata || {}),
+          repeatCount: (canonical.metadata?.repeatCount || 0) + repeats,
+          lastRepeatedAt: rawData.createdAt,
+        },
+      });
+      updatedCanonicals.set(canonical.id, updated);
+
+      // Chunks of this RawData are not in the vector store yet; they get the new importance when embedded
+      if (!vectorStore || !canonical.embeddingModel || canonical.rawDataId === rawData.id) continue;
+      const vector = await vectorStore.fetchVector('ChunkEmbedding', canonical.id);
+      if (vector) {
+        const properties = this.buildChunkVectorProperties(updated, canonical.rawData || {}, { name: canonical.embeddingModel });
+        await vectorStore.upsert('ChunkEmbedding', canonical.id, properties, vector);
+      }
+    }
+    return updatedCanonicals;
+  }
+
+  /**
+   * Generates embeddings for stored chunks and updates status using repositories.
+   * Returns true if successful, false otherwise.
+   * @param {Array<number[]>|null} [precomputedEmbeddings] - Vectors already generated for these chunks (e.g. during deduplication).
+   */
+  async generateAndStoreEmbeddings(storedChunks, rawData, isVectorStoreAvailable, precomputedEmbeddings = null) {
+    if (!storedChunks || storedChunks.length === 0) return true;
+
+    const embeddingModel = getActiveEmbeddingModel();
+    const embeddings = precomputedEmbeddings && precomputedEmbeddings.length === storedChunks.length
+      ? precomputedEmbeddings
+      : await this.embedChunks(storedChunks, rawData);
+
     if (!embeddings || embeddings.length !== storedChunks.length) {
       logger.error(`[MemoryManager] Failed to generate embeddings or mismatch for rawData ${rawData.id}. Expected ${storedChunks.length}, Got ${embeddings?.length}`);
       const chunkIdsToUpdateError = storedChunks.map(c => c.id);
@@ -1108,40 +958,25 @@ class MemoryManager {
     }
     logger.info(`[MemoryManager] Successfully generated ${embeddings.length} embeddings.`);
 
-    const weaviatePayloads = []; // Renamed for clarity
+    const vectorPayloads = [];
     for (let i = 0; i < storedChunks.length; i++) {
       const chunk = storedChunks[i];
       const embedding = embeddings[i];
-      weaviatePayloads.push({
+      vectorPayloads.push({
         className: 'ChunkEmbedding',
-        properties: {
-          chunkDbId: chunk.id, 
-          rawDataId: chunk.rawDataId,
-          userId: chunk.userId,
-          sessionId: chunk.sessionId,
-          text: chunk.text,
-          chunkIndex: chunk.index,
-          tokenCount: chunk.tokenCount,
-          importance: chunk.importanceScore,
-          contentType: chunk.metadata?.contentType || rawData.contentType,
-          sourceCreatedAt: chunk.metadata?.sourceCreatedAt || rawData.createdAt,
-          perspectiveOwnerId: chunk.metadata?.perspectiveOwnerId || rawData.perspectiveOwnerId,
-          subjectId: chunk.metadata?.subjectId || rawData.subjectId,
-          topicKey: chunk.metadata?.topicKey || rawData.topicKey,
-          skipImportanceCheck: !!rawData.skipImportanceCheck, // Ensure boolean
-        },
+        id: chunk.id,
+        properties: this.buildChunkVectorProperties(chunk, rawData, embeddingModel),
         vector: embedding
-        // Weaviate ID will be generated by storeObjectInWeaviate if not provided
       });
     }
-    logger.info(`[MemoryManager] Finished preparing ${weaviatePayloads.length} Weaviate payloads.`);
+    logger.info(`[MemoryManager] Finished preparing ${vectorPayloads.length} vector store payloads.`);
 
     const chunkIdsToUpdatePrisma = storedChunks.map(c => c.id);
-    const newPrismaStatus = isWeaviateAvailable ? 'processed' : 'pending_weaviate';
+    const newPrismaStatus = isVectorStoreAvailable ? 'processed' : 'pending_weaviate';
     try {
         await chunkRepository.updateMany({
             where: { id: { in: chunkIdsToUpdatePrisma } },
-            data: { processingStatus: newPrismaStatus }
+            data: { processingStatus: newPrismaStatus, ...embeddingStamp(embeddingModel) }
         });
         logger.info(`[MemoryManager] Updated status to '${newPrismaStatus}' for ${chunkIdsToUpdatePrisma.length} chunks in Prisma.`);
     } catch (updateError) {
@@ -1150,21 +985,20 @@ class MemoryManager {
     }
 
     let allImportsSuccessful = true;
-    if (isWeaviateAvailable && weaviatePayloads.length > 0) {
-        logger.info(`[MemoryManager] Starting import of ${weaviatePayloads.length} chunk objects to Weaviate.`);
-        // Use the existing batchImportToWeaviate which will now call the helper
-        allImportsSuccessful = await this.batchImportToWeaviate(weaviatePayloads, 'ChunkEmbedding'); 
+    if (isVectorStoreAvailable && vectorPayloads.length > 0) {
+        logger.info(`[MemoryManager] Starting import of ${vectorPayloads.length} chunk objects to the vector store.`);
+        allImportsSuccessful = await this.batchUpsertVectors(vectorPayloads, 'ChunkEmbedding');
 
         if (!allImportsSuccessful) {
-            logger.warn(`[MemoryManager] One or more chunk imports to Weaviate failed for rawData ${rawData.id}. Some chunks may remain 'pending_weaviate' or become 'error'.`);
+            logger.warn(`[MemoryManager] One or more chunk imports to the vector store failed for rawData ${rawData.id}. Some chunks may remain 'pending_weaviate' or become 'error'.`);
             // Optionally, revert Prisma status for failed chunks if identifiable, or handle cleanup separately
             return false; // Indicate that the embedding/storage stage had issues
         } else {
-            logger.info(`[MemoryManager] Successfully imported/verified ${weaviatePayloads.length} chunks to Weaviate.`);
+            logger.info(`[MemoryManager] Successfully imported/verified ${vectorPayloads.length} chunks to the vector store.`);
         }
-    } else if (!isWeaviateAvailable) {
-        logger.warn(`[MemoryManager] Weaviate not available. Skipping import. Chunks remain 'pending_weaviate'.`);
-        return true; // Embeddings generated, waiting for Weaviate
+    } else if (!isVectorStoreAvailable) {
+        logger.warn(`[MemoryManager] Vector store not available. Skipping import. Chunks remain 'pending_weaviate'.`);
+        return true; // Embeddings generated, waiting for the vector store
     }
 
     if (allImportsSuccessful) {
@@ -1182,78 +1016,110 @@ class MemoryManager {
             }, delayMs);
         }
     } else {
-        logger.warn(`[MemoryManager] Skipping EpisodeAgent trigger due to Weaviate import issues for rawData ${rawData.id}.`);
+        logger.warn(`[MemoryManager] Skipping EpisodeAgent trigger due to vector store import issues for rawData ${rawData.id}.`);
     }
     
     return allImportsSuccessful;
   }
 
   /**
-   * Batches object imports to Weaviate.
+   * Vector store properties of a ChunkEmbedding object.
+   * @param {object} chunk - ChunkEmbedding record.
+   * @param {object} rawData - Source RawData record (fallback for metadata the chunk does not carry).
+   * @param {{name: string}} embeddingModel - Model that produced the chunk's vector.
+   * @returns {object}
+   */
+  buildChunkVectorProperties(chunk, rawData, embeddingModel) {
+    return {
+      chunkDbId: chunk.id, 
+      rawDataId: chunk.rawDataId,
+      userId: chunk.userId,
+      sessionId: chunk.sessionId,
+      text: chunk.text,
+      chunkIndex: chunk.index,
+      tokenCount: chunk.tokenCount,
+      importance: chunk.importance ?? chunk.importanceScore,
+      contentType: chunk.metadata?.contentType || rawData.contentType,
+      sourceCreatedAt: chunk.metadata?.sourceCreatedAt || rawData.createdAt,
+      perspectiveOwnerId: chunk.metadata?.perspectiveOwnerId || rawData.perspectiveOwnerId,
+      subjectId: chunk.metadata?.subjectId || rawData.subjectId,
+      subjectIds: chunk.metadata?.subjectIds || [],
+      ...(chunk.valence !== null && chunk.valence !== undefined && { valence: chunk.valence, arousal: chunk.arousal }),
+      emotions: chunk.emotions || [],
+      topicKey: chunk.metadata?.topicKey || rawData.topicKey,
+      skipImportanceCheck: !!rawData.skipImportanceCheck, // Ensure boolean
+      embeddingModel: embeddingModel.name,
+    };
+  }
+
+  /**
+   * Upserts a batch of objects into the vector store.
    * Returns true if batch completed (or no objects), false on error.
+   * @param {Array<{className?: string, id: string, properties: object, vector: number[]}>} payloads - Objects keyed by database ID.
+   * @param {string} className - Class used for payloads without their own className.
    */
-  async batchImportToWeaviate(payloads, className) { // className is already passed, but each payload also has it
-    if (!this.isWeaviateAvailable) {
-      logger.warn(`[MemoryManager] Weaviate not available. Skipping batch import for ${className}.`);
+  async batchUpsertVectors(payloads, className) {
+    if (!this.isVectorStoreAvailable) {
+      logger.warn(`[MemoryManager] Vector store not available. Skipping batch import for ${className}.`);
       return true; // Or false, depending on desired strictness for non-availability
     }
     if (!payloads || payloads.length === 0) {
-      logger.info(`[MemoryManager] No payloads for Weaviate batch import to ${className}.`);
+      logger.info(`[MemoryManager] No payloads for vector store batch import to ${className}.`);
       return true;
     }
 
+    const vectorStore = getVectorStore();
     let allSuccessful = true;
-    logger.info(`[MemoryManager] Processing batch of ${payloads.length} objects for Weaviate class ${className} using storeObjectInWeaviate helper.`);
+    logger.info(`[MemoryManager] Processing batch of ${payloads.length} objects for vector store class ${className}.`);
     
     for (const payload of payloads) {
-        // payload is expected to be { className, properties, vector, explicitId (optional) }
-        const weaviateId = await storeObjectInWeaviate(payload.className || className, payload.properties, payload.vector, payload.explicitId);
-        if (!weaviateId) {
+        const stored = await vectorStore.upsert(payload.className || className, payload.id, payload.properties, payload.vector);
+        if (!stored) {
             allSuccessful = false;
-            logger.warn(`[MemoryManager] Failed to store object via helper: DB ID ${payload.properties.chunkDbId || payload.properties.episodeDbId}`);
+            logger.warn(`[MemoryManager] Failed to store object in vector store: DB ID ${payload.id}`);
             // Continue processing other objects in the batch
         }
     }
 
     if (allSuccessful) {
-        logger.info(`[MemoryManager] All ${payloads.length} objects in batch processed successfully via storeObjectInWeaviate for class ${className}.`);
+        logger.info(`[MemoryManager] All ${payloads.length} objects in batch stored successfully for class ${className}.`);
     } else {
-        logger.warn(`[MemoryManager] One or more objects in batch failed to store via storeObjectInWeaviate for class ${className}.`);
+        logger.warn(`[MemoryManager] One or more objects in batch failed to store for class ${className}.`);
     }
     return allSuccessful;
   }
 
   /**
-   * Start a periodic health check to ensure Weaviate connection is maintained
-   * If Weaviate becomes available, process any pending chunks
+   * Start a periodic health check to ensure the vector store connection is maintained
+   * If the vector store becomes available, process any pending chunks
    */
-  startPeriodicWeaviateCheck() {
+  startPeriodicVectorStoreCheck() {
     const serviceConfig = require('../../config/service.config');
     const checkIntervalMinutes = serviceConfig.healthChecks.weaviateHealthCheckMinutes;
     
-    logger.info(`[MemoryManager] Starting periodic Weaviate health check (every ${checkIntervalMinutes} minutes)`);
+    logger.info(`[MemoryManager] Starting periodic vector store health check (every ${checkIntervalMinutes} minutes)`);
     
-    this.weaviateCheckInterval = setInterval(async () => {
-      logger.debug('[MemoryManager] Running periodic Weaviate health check');
+    this.vectorStoreCheckInterval = setInterval(async () => {
+      logger.debug('[MemoryManager] Running periodic vector store health check');
       
-      const isWeaviateAvailable = await checkWeaviateSchema();
+      this.isVectorStoreAvailable = await initializeVectorStore({ force: true });
       
-      if (isWeaviateAvailable) {
-        logger.debug('[MemoryManager] Weaviate is available. Processing any pending chunks.');
-        await this.processPendingWeaviateChunks();
+      if (this.isVectorStoreAvailable) {
+        logger.debug('[MemoryManager] Vector store is available. Processing any pending chunks.');
+        await this.processPendingVectorChunks();
       } else {
-        logger.warn('[MemoryManager] Weaviate is still unavailable during health check.');
+        logger.warn('[MemoryManager] Vector store is still unavailable during health check.');
       }
     }, checkIntervalMinutes * 60 * 1000); // Convert minutes to milliseconds
   }
 
   /**
-    * Finds chunks pending Weaviate import and processes them.
+    * Finds chunks pending vector store import and processes them.
     */
-  async processPendingWeaviateChunks() {
-      if (!this.isWeaviateAvailable) return;
+  async processPendingVectorChunks() {
+      if (!this.isVectorStoreAvailable) return;
 
-      logger.info('[MemoryManager] Checking for chunks pending Weaviate import...');
+      logger.info('[MemoryManager] Checking for chunks pending vector store import...');
       try {
           // Use repository
           const pendingChunks = await chunkRepository.findMany({
@@ -1262,23 +1128,474 @@ class MemoryManager {
           });
 
           if (pendingChunks.length === 0) {
-              logger.info('[MemoryManager] No chunks pending Weaviate import found.');
+              logger.info('[MemoryManager] No chunks pending vector store import found.');
               return;
           }
 
-          logger.info(`[MemoryManager] Found ${pendingChunks.length} chunks pending Weaviate import. Regenerating embeddings and importing...`);
+          logger.info(`[MemoryManager] Found ${pendingChunks.length} chunks pending vector store import. Regenerating embeddings and importing...`);
 
           // Regenerate embeddings (as they weren't stored) and import
           await this.generateAndStoreEmbeddings(pendingChunks, { id: 'pending_processing' }, true);
 
           // Recursively call if more might be pending
           if (pendingChunks.length === 100) {
-              this.processPendingWeaviateChunks();
+              this.processPendingVectorChunks();
           }
 
       } catch (error) {
-          logger.error(`[MemoryManager] Error processing pending Weaviate chunks: ${error.message}`, { stack: error.stack });
+          logger.error(`[MemoryManager] Error processing pending vector store chunks: ${error.message}`, { stack: error.stack });
+      }
+  }
+
+  /**
+   * Increments access counters of retrieved chunks, episodes and thoughts.
+   * Feeds the access-frequency factor of the re-ranking stage.
+   * @param {Array<object>} memories - Memories returned by retrieveMemories.
+   */
+  async recordMemoryAccess(memories) {
+    const now = new Date();
+    const chunkIds = memories.filter(m => m.type === 'chunk').map(m => m.id);
+    const episodeIds = memories.filter(m => m.type === 'episode').map(m => m.id);
+    const thoughtIds = memories.filter(m => m.type === 'thought').map(m => m.id);
+
+    if (chunkIds.length > 0) {
+      await chunkRepository.updateMany({
+        where: { id: { in: chunkIds } },
+        data: { accessCount: { increment: 1 }, lastAccessedAt: now },
+      });
+    }
+    if (episodeIds.length > 0) {
+      await prisma.episode.updateMany({
+        where: { id: { in: episodeIds } },
+        data: { accessCount: { increment: 1 }, lastAccessedAt: now },
+      });
+    }
+    if (thoughtIds.length > 0) {
+      await prisma.thought.updateMany({
+        where: { id: { in: thoughtIds } },
+        data: { accessCount: { increment: 1 }, lastAccessedAt: now },
+      });
+    }
+  }
+
+  /**
+   * Stage 1 search: EpisodeEmbedding by centroid vector, plus BM25 on title/narrative in hybrid mode.
+   * @param {VectorStore} vectorStore - Vector store to search.
+   * @param {object} params
+   * @param {string} params.query - Raw query text (for keyword search).
+   * @param {number[]} params.queryVector - Query embedding.
+   * @param {string} params.embeddingModel - Model that produced the query embedding.
+   * @param {string} params.userId - User ID.
+   * @param {number} params.certainty - Min vector certainty.
+   * @param {number} params.limit - Max hits per search.
+   * @param {boolean} params.hybrid - Whether to also run the keyword search.
+   * @param {{start: Date, end: Date}|null} params.dateFilterRange - Date range to filter by.
+   * @param {string[]|null} params.subjectFilterIds - Only memories tagged with one of these SubjectProfiles.
+   * @param {string[]|null} params.emotionFilter - Only memories tagged with one of these emotions.
+   * @returns {Promise<{vectorHits: Array<object>, keywordHits: Array<object>}>}
+   */
+  async searchEpisodeHits(vectorStore, { query, queryVector, embeddingModel, userId, certainty, limit, hybrid, dateFilterRange, subjectFilterIds, emotionFilter }) {
+    let episodeFilter = {
+      operator: 'Equal',
+      path: ['userId'],
+      valueText: userId,
+    };
+    if (subjectFilterIds?.length || emotionFilter?.length) {
+      episodeFilter = { operator: 'And', operands: [episodeFilter, ...subjectOperands(subjectFilterIds), ...emotionOperands(emotionFilter)] };
+    }
+    if (dateFilterRange) {
+      // Older episodes have no occurredAt, so fall back to their creation date
+      episodeFilter = {
+        operator: 'And',
+        operands: [
+          episodeFilter,
+          {
+            operator: 'Or',
+            operands: [
+              { operator: 'And', operands: dateRangeOperands('occurredAt', dateFilterRange) },
+              { operator: 'And', operands: dateRangeOperands('createdAt', dateFilterRange) },
+            ]
+          }
+        ]
+      };
+    }
+    const fields = ['episodeDbId', 'title', 'userId', 'subjectIds', 'emotions'];
+    const [vectorHits, keywordHits] = await Promise.all([
+      vectorStore.nearVector('EpisodeEmbedding', {
+        vector: queryVector,
+        certainty,
+        filter: withEmbeddingModel(episodeFilter, embeddingModel),
+        limit,
+        fields,
+      }),
+      hybrid
+        ? this.keywordSearch(vectorStore, {
+            className: 'EpisodeEmbedding',
+            fields,
+            query,
+            properties: memoryConfig.hybridRetrieval.episodeKeywordProperties,
+            filter: episodeFilter,
+            limit,
+          })
+        : [],
+    ]);
+    return { vectorHits, keywordHits };
+  }
+
+  /**
+   * Graph search for stage 1: the user's knowledge graph entities named in the query, and the episodes
+   * connected to them in the graph store within `maxHops` edges.
+   * @param {string} query - Raw query text.
+   * @param {string} userId - User ID.
+   * @param {object} params
+   * @param {number} params.maxHops - Max path length from an entity to an episode.
+   * @param {number} params.limit - Max episodes.
+   * @returns {Promise<{entities: Array<object>, hits: Array<{id: string, hops: number, paths: number, entityIds: string[]}>}|null>}
+   *          Episode hits closest first, or null if no graph store is available.
+   */
+  async searchGraphEpisodes(query, userId, { maxHops, limit }) {
+    if (!await initializeGraphStore()) return null;
+
+    const terms = entityQueryTerms(query, memoryConfig.graphRetrieval.maxQueryTerms);
+    if (terms.length === 0) return { entities: [], hits: [] };
+    const nodes = await prisma.knowledgeNode.findMany({
+      where: { userId, OR: [{ normalizedName: { in: terms } }, { aliases: { hasSome: terms } }] },
+      select: { id: true, name: true, type: true, properties: true },
+    });
+    // The user's own node is connected to nearly everything
+    const entities = nodes.filter(node => !node.properties?.isSelf);
+    if (entities.length === 0) return { entities, hits: [] };
+
+    const hits = await getGraphStore().findEpisodesNearEntities(userId, entities.map(node => node.id), { maxHops, limit });
+    logger.info(`[MemoryManager] Graph search: ${entities.length} entities named in the query (${entities.map(node => node.name).join(', ')}), ${hits.length} connected episodes.`);
+    return { entities, hits: hits.map(({ episodeId, ...hit }) => ({ id: episodeId, ...hit })) };
+  }
+
+  /**
+   * Stage 2 search: ChunkEmbedding by vector, plus BM25 on the chunk text in hybrid mode.
+   * Takes the same params as searchEpisodeHits, plus:
+   * @param {VectorStore} vectorStore - Vector store to search.
+   * @param {object} params
+   * @param {number} params.minImportance - Min chunk importance.
+   * @returns {Promise<{vectorHits: Array<object>, keywordHits: Array<object>}>}
+   */
+  async searchChunkHits(vectorStore, { query, queryVector, embeddingModel, userId, certainty, limit, hybrid, dateFilterRange, subjectFilterIds, emotionFilter, minImportance }) {
+    const chunkFilter = {
+      operator: 'And',
+      operands: [
+        {
+          operator: 'Equal',
+          path: ['userId'],
+          valueText: userId,
+        },
+        {
+          operator: 'GreaterThanEqual',
+          path: ['importance'],
+          valueNumber: minImportance,
+        },
+        ...(dateFilterRange ? dateRangeOperands('sourceCreatedAt', dateFilterRange) : []),
+        ...subjectOperands(subjectFilterIds),
+        ...emotionOperands(emotionFilter)
+      ]
+    };
+    const fields = ['chunkDbId', 'text', 'rawDataId', 'importance', 'userId', 'sourceCreatedAt', 'subjectIds', 'valence', 'emotions'];
+    const [vectorHits, keywordHits] = await Promise.all([
+      vectorStore.nearVector('ChunkEmbedding', {
+        vector: queryVector,
+        certainty,
+        filter: withEmbeddingModel(chunkFilter, embeddingModel),
+        limit,
+        fields,
+      }),
+      hybrid
+        ? this.keywordSearch(vectorStore, {
+            className: 'ChunkEmbedding',
+            fields,
+            query,
+            properties: memoryConfig.hybridRetrieval.chunkKeywordProperties,
+            filter: chunkFilter,
+            limit,
+          })
+        : [],
+    ]);
+    return { vectorHits, keywordHits };
+  }
+
+  /**
+   * Loads retrieved episodes with their chunks in a single query.
+   * @param {string[]} episodeIds - Episode IDs.
+   * @param {string} userId - User ID.
+   * @returns {Promise<Array<object>>} Episode records, each with up to 10 linked chunks.
+   */
+  async loadEpisodeRecords(episodeIds, userId) {
+    if (episodeIds.length === 0) return [];
+    return prisma.episode.findMany({
+      where: { id: { in: episodeIds }, userId },
+      include: {
+        chunks: {
+          include: {
+            chunk: {
+              select: {
+                id: true,
+                text: true,
+                rawDataId: true,
+                startOffset: true,
+                endOffset: true,
+                metadata: true,
+                importance: true,
+                createdAt: true,
+                accessCount: true,
+                valence: true,
+                emotions: true
+              }
+            }
+          },
+          take: 10 // Per episode
+        }
+      }
+    });
+  }
+
+  /**
+   * Searches ThoughtEmbedding for a user and enriches hits from the Thought table,
+   * including the episodes each thought was derived from (via EpisodeThought).
+   * @param {VectorStore} vectorStore - Vector store to search.
+   * @param {object} params
+   * @param {string} params.query - Raw query text (for keyword search).
+   * @param {number[]} params.queryVector - Query embedding.
+   * @param {string} params.embeddingModel - Model that produced the query embedding.
+   * @param {string} params.userId - User ID.
+   * @param {number} params.certainty - Min vector certainty.
+   * @param {number} params.limit - Max thoughts.
+   * @param {boolean} params.hybrid - Whether to fuse in a BM25 keyword search.
+   * @param {object} params.fusionOptions - Weights and k for fuseRankedLists.
+   * @returns {Promise<Array<object>>} Thought memories ({ type: 'thought', id, name, content, linkedEpisodes, ... }).
+   */
+  async retrieveThoughts(vectorStore, { query, queryVector, embeddingModel, userId, certainty, limit, hybrid, fusionOptions }) {
+    const thoughtFilter = {
+      operator: 'Equal',
+      path: ['userId'],
+      valueText: userId,
+    };
+    const vectorThoughtHits = await vectorStore.nearVector('ThoughtEmbedding', {
+      vector: queryVector,
+      certainty,
+      filter: withEmbeddingModel(thoughtFilter, embeddingModel),
+      limit,
+      fields: ['thoughtDbId', 'name', 'userId'],
+    });
+
+    const keywordThoughtHits = hybrid
+      ? await this.keywordSearch(vectorStore, {
+          className: 'ThoughtEmbedding',
+          fields: ['thoughtDbId', 'name', 'userId'],
+          query,
+          properties: memoryConfig.hybridRetrieval.thoughtKeywordProperties,
+          filter: thoughtFilter,
+          limit,
+        })
+      : [];
+
+    const thoughtResults = fuseRankedLists(
+      { vector: vectorThoughtHits, keyword: keywordThoughtHits },
+      { ...fusionOptions, limit }
+    );
+    if (thoughtResults.length === 0) return [];
+
+    const thoughtRecords = await prisma.thought.findMany({
+      where: { id: { in: thoughtResults.map(t => t.id) }, userId },
+      select: {
+        id: true,
+        name: true,
+        description: true,
+        createdAt: true,
+        accessCount: true,
+        episodes: {
+          select: {
+            weight: true,
+            episode: { select: { id: true, title: true } }
+          }
+        }
+      }
+    });
+    const recordsById = new Map(thoughtRecords.map(record => [record.id, record]));
+
+    return thoughtResults
+      .filter(hit => recordsById.has(hit.id))
+      .map(hit => {
+        const record = recordsById.get(hit.id);
+        const { certainty: thoughtCertainty, keywordScore, fusedScore } = describeFusedHit(hit);
+        return {
+          type: 'thought',
+          stage: 'thought',
+          id: record.id,
+          name: record.name,
+          content: record.description,
+          similarity: thoughtCertainty,
+          keywordScore,
+          fusedScore,
+          timestamp: record.createdAt,
+          accessCount: record.accessCount,
+          linkedEpisodes: record.episodes.map(et => ({
+            id: et.episode.id,
+            title: et.episode.title,
+            weight: et.weight
+          }))
+        };
+      });
+  }
+
+  /**
+   * Remembers which memories were injected into the context of a session's current turn.
+   * @param {string} sessionId - Chat session ID.
+   * @param {Array<string>} memoryIds - IDs of the injected memories.
+   */
+  recordInjectedMemories(sessionId, memoryIds) {
+    if (!sessionId) return;
+    const diversityConfig = memoryConfig.diversity;
+    const turns = this.sessionInjections.get(sessionId) || [];
+    turns.push(memoryIds);
+    // Re-insert so the Map keeps sessions in least-recently-used order
+    this.sessionInjections.delete(sessionId);
+    this.sessionInjections.set(sessionId, turns.slice(-diversityConfig.recentTurnsTracked));
+
+    if (this.sessionInjections.size > diversityConfig.maxTrackedSessions) {
+      const oldestSessionId = this.sessionInjections.keys().next().value;
+      this.sessionInjections.delete(oldestSessionId);
+    }
+  }
+
+  /**
+   * Returns the memories injected in recent turns of a session.
+   * @param {string} sessionId - Chat session ID.
+   * @returns {Map<string, number>} Memory ID -> turns ago (1 = previous turn).
+   */
+  getRecentInjections(sessionId) {
+    const recent = new Map();
+    const turns = (sessionId && this.sessionInjections.get(sessionId)) || [];
+    turns.forEach((memoryIds, index) => {
+      const turnsAgo = turns.length - index;
+      memoryIds.forEach(id => {
+        if (!recent.has(id) || recent.get(id) > turnsAgo) recent.set(id, turnsAgo);
+      });
+    });
+    return recent;
+  }
+
+  /**
+   * Picks the final memories from the ranked candidates: MMR selection when `diversify` is set,
+   * otherwise simply the top `limit`.
+   * @param {Array<object>} memories - Ranked candidate memories.
+   * @param {object} params
+   * @param {number} params.limit - Max memories to return.
+   * @param {boolean} params.diversify - Use MMR selection.
+   * @param {string} [params.sessionId] - Session whose recently injected memories are down-weighted.
+   * @param {string} [params.scoreKey] - Relevance property for MMR (defaults to finalScore/fusedScore/similarity).
+   * @returns {Promise<Array<object>>}
+   */
+  async selectMemories(memories, { limit, diversify, sessionId, scoreKey }) {
+    if (!diversify) return memories.slice(0, limit);
+
+    // Standalone chunks don't know their episodes yet; MMR needs them to spot overlap with selected episodes
+    const unlinkedChunks = memories.filter(m => m.type === 'chunk' && !m.episodeId && !m.episodeIds);
+    if (unlinkedChunks.length > 0) {
+      try {
+        const links = await prisma.chunkEpisode.findMany({
+          where: { chunkId: { in: unlinkedChunks.map(m => m.id) } },
+          select: { chunkId: true, episodeId: true },
+        });
+        unlinkedChunks.forEach(memory => {
+          memory.episodeIds = links.filter(link => link.chunkId === memory.id).map(link => link.episodeId);
+        });
+      } catch (linkError) {
+        logger.warn(`[MemoryManager] Could not load episode links for diversity selection: ${linkError.message}`);
       }
+    }
+
+    const selected = selectDiverseMemories(memories, memoryConfig.diversity, {
+      limit,
+      recentInjections: this.getRecentInjections(sessionId),
+      scoreKey,
+    });
+    logger.info(`[MemoryManager] Diversity selection kept ${selected.length} of ${memories.length} candidates.`);
+    return selected;
+  }
+
+  /**
+   * Works out the date range a query refers to and whether to filter by it or only boost by it.
+   * Event anchors ("the week of my trip") are resolved to the date of the best matching episode or chunk.
+   * @param {VectorStore} vectorStore - Vector store to search for anchors.
+   * @param {string} query - Query text.
+   * @param {string} userId - User ID.
+   * @returns {Promise<{mode: 'filter'|'boost', range: {start: Date, end: Date}, expression: string}|null>}
+   */
+  async resolveTimeRange(vectorStore, query, userId) {
+    const temporalConfig = memoryConfig.temporalRetrieval;
+    const parsed = parseTemporalExpression(query, {
+      weekStartsOn: temporalConfig.weekStartsOn,
+      recentDays: temporalConfig.recentDays,
+    });
+    if (!parsed) return null;
+
+    if (!parsed.anchor) {
+      return { mode: parsed.ambiguous ? 'boost' : 'filter', range: { start: parsed.start, end: parsed.end }, expression: parsed.expression };
+    }
+
+    // Anchored expression: look up when the referenced event happened
+    const userFilter = { operator: 'Equal', path: ['userId'], valueText: userId };
+    const [episodeHit] = await this.keywordSearch(vectorStore, {
+      className: 'EpisodeEmbedding',
+      fields: ['episodeDbId', 'occurredAt', 'createdAt'],
+      query: parsed.anchor.text,
+      properties: memoryConfig.hybridRetrieval.episodeKeywordProperties,
+      filter: userFilter,
+      limit: 1,
+    });
+    let anchorDate = episodeHit?.properties.occurredAt || episodeHit?.properties.createdAt;
+    if (!anchorDate) {
+      const [chunkHit] = await this.keywordSearch(vectorStore, {
+        className: 'ChunkEmbedding',
+        fields: ['chunkDbId', 'sourceCreatedAt'],
+        query: parsed.anchor.text,
+        properties: memoryConfig.hybridRetrieval.chunkKeywordProperties,
+        filter: userFilter,
+        limit: 1,
+      });
+      anchorDate = chunkHit?.properties.sourceCreatedAt;
+    }
+    if (!anchorDate) {
+      logger.info(`[MemoryManager] Could not resolve temporal anchor "${parsed.anchor.text}", skipping date handling.`);
+      return null;
+    }
+
+    // The anchor match is a best guess, so never filter hard on it
+    const range = rangeAroundAnchor(new Date(anchorDate), parsed.anchor, temporalConfig.weekStartsOn);
+    return { mode: 'boost', range, expression: parsed.expression };
+  }
+
+  /**
+   * Runs a BM25 keyword search against a vector store class.
+   * Used next to the vector search so exact names and rare terms are not missed.
+   * @param {VectorStore} vectorStore - Vector store to search.
+   * @param {object} params
+   * @param {string} params.className - Class to search.
+   * @param {string[]} params.fields - Properties to return.
+   * @param {string} params.query - Raw query text.
+   * @param {string[]} params.properties - Text properties to search.
+   * @param {object} params.filter - Where filter (e.g. userId scope).
+   * @param {number} params.limit - Max hits.
+   * @returns {Promise<Array<object>>} Hits ranked by BM25 score, or [] on error.
+   */
+  async keywordSearch(vectorStore, { className, fields, query, properties, filter, limit }) {
+    if (!query || typeof query !== 'string' || query.trim().length === 0) {
+      return [];
+    }
+    try {
+      return await vectorStore.keywordSearch(className, { query, properties, filter, limit, fields });
+    } catch (error) {
+      logger.error(`[MemoryManager] Keyword search on ${className} failed: ${error.message}`);
+      return [];
+    }
   }
 
   /**
@@ -1289,211 +1606,471 @@ class MemoryManager {
    * @param {number} [options.limit=memoryConfig.defaultRetrievalLimit] - Max memories to return.
    * @param {number} [options.minImportance=memoryConfig.defaultRetrievalMinImportance] - Min importance score.
    * @param {number} [options.certainty=memoryConfig.defaultRetrievalCertainty] - Min similarity/certainty.
-   * @returns {Promise<Array<object>>} Array of relevant memories.
+   * @param {boolean} [options.hybrid=memoryConfig.hybridRetrieval.enabled] - Also run a BM25 keyword search and fuse it with the vector results.
+   * @param {number} [options.vectorWeight=memoryConfig.hybridRetrieval.vectorWeight] - RRF weight of the vector ranking.
+   * @param {number} [options.keywordWeight=memoryConfig.hybridRetrieval.keywordWeight] - RRF weight of the keyword ranking.
+   * @param {number} [options.rrfK=memoryConfig.hybridRetrieval.rrfK] - RRF damping constant.
+   * @param {boolean} [options.rerank=memoryConfig.reranking.enabled] - Apply the final multi-factor scoring stage.
+   * @param {object} [options.scoringWeights] - Per-type weight overrides for the scoring stage (e.g. { chunk: { recency: 0.3 } }).
+   * @param {boolean} [options.includeThoughts=memoryConfig.thoughtRetrieval.enabled] - Also search ThoughtEmbedding (stage 3).
+   * @param {number} [options.thoughtLimit=memoryConfig.thoughtRetrieval.limit] - Max thoughts to return.
+   * @param {boolean} [options.graph=memoryConfig.graphRetrieval.enabled] - Also rank episodes connected in the graph store to entities named in the query.
+   * @param {number} [options.graphMaxHops=memoryConfig.graphRetrieval.maxHops] - Max path length from a named entity to an episode.
+   * @param {boolean} [options.recordAccess=true] - Increment access counters of the returned memories.
+   * @param {boolean} [options.temporal=memoryConfig.temporalRetrieval.enabled] - Parse date expressions in the query.
+   * @param {{start: Date, end: Date}} [options.timeRange] - Explicit date range to filter by (skips parsing).
+   * @param {{start: Date, end: Date}} [options.boostTimeRange] - Explicit date range to boost by (skips parsing).
+   * @param {string} [options.subjectMode=memoryConfig.subjects.retrievalMode] - How memories about the people the query
+   *        names ("my daughter", "Emma") are treated: 'boost', 'filter' (only those) or 'off'.
+   * @param {string[]} [options.subjectIds] - Explicit SubjectProfile IDs to filter or boost by (skips detection).
+   * @param {string[]} [options.emotions] - Only return episodes and chunks tagged with one of these emotions
+   *        (see EMOTIONS in utils/emotionAnalysis; thoughts are not tagged and are not filtered).
+   * @param {boolean} [options.diversify=memoryConfig.diversity.enabled] - Select the final memories with MMR.
+   * @param {string} [options.sessionId] - Chat session, used to down-weight memories injected in recent turns.
+   * @param {boolean} [options.applySelection=true] - Trim the ranked candidates to `limit` (false returns all candidates).
+   * @param {object} [options.trace] - If given, filled with retrieval details for debugging:
+   *        `temporal` (date handling), `subjects` (subject handling), `stages` (hit counts per stage) and `dropped` ([{ memory, reason }]).
+   * @returns {Promise<Array<object>>} Array of relevant memories (each tagged with the `stage` that found it).
    */
   async retrieveMemories(query, userId, options = {}) {
-    const client = weaviateClientUtil.getClient();
-    if (!client) {
-      logger.error('[MemoryManager] Weaviate client not available for memory retrieval.');
+    // Waits for the startup initialization if a query arrives before it finished
+    if (!await initializeVectorStore()) {
+      logger.error('[MemoryManager] Vector store not available for memory retrieval.');
       return [];
     }
+    const vectorStore = getVectorStore();
 
     const {
       limit = memoryConfig.defaultRetrievalLimit,
       minImportance = memoryConfig.defaultRetrievalMinImportance,
       certainty = memoryConfig.defaultRetrievalCertainty,
       includeEpisodes = true,
-      includeChunks = true
+      includeChunks = true,
+      includeThoughts = memoryConfig.thoughtRetrieval.enabled,
+      thoughtLimit = memoryConfig.thoughtRetrieval.limit,
+      graph = memoryConfig.graphRetrieval.enabled,
+      graphMaxHops = memoryConfig.graphRetrieval.maxHops,
+      hybrid = memoryConfig.hybridRetrieval.enabled,
+      vectorWeight = memoryConfig.hybridRetrieval.vectorWeight,
+      keywordWeight = memoryConfig.hybridRetrieval.keywordWeight,
+      rrfK = memoryConfig.hybridRetrieval.rrfK,
+      rerank = memoryConfig.reranking.enabled,
+      scoringWeights,
+      recordAccess = true,
+      temporal = memoryConfig.temporalRetrieval.enabled,
+      timeRange = null,
+      boostTimeRange = null,
+      subjectMode = memoryConfig.subjects.retrievalMode,
+      subjectIds = null,
+      emotions = null,
+      diversify = memoryConfig.diversity.enabled,
+      sessionId = null,
+      applySelection = true,
+      trace = null
     } = options;
+    const fusionOptions = { weights: { vector: vectorWeight, keyword: keywordWeight, graph: memoryConfig.graphRetrieval.weight }, k: rrfK };
+
+    const timings = {};
+    const retrievalStartedAt = Date.now();
 
     try {
-      // 1. Generate query embedding
-      const queryEmbedding = await aiService.generateEmbeddings(query);
+      // 0+1. Work out whether the query refers to a period of time, and embed the query (independent, so in parallel)
+      const resolveTemporalContext = async () => {
+        if (timeRange) return { mode: 'filter', range: timeRange, expression: 'explicit range' };
+        if (boostTimeRange) return { mode: 'boost', range: boostTimeRange, expression: 'explicit range' };
+        return temporal ? this.resolveTimeRange(vectorStore, query, userId) : null;
+      };
+      // People other than the user that the query asks about ("my daughter", "Emma")
+      const resolveSubjectContext = async () => {
+        if (subjectMode === 'off') return null;
+        if (subjectIds?.length) return { mode: subjectMode, subjectIds, subjects: null };
+        const profiles = await subjectProfiles.findSubjectsInQuery(userId, query).catch(subjectError => {
+          logger.error(`[MemoryManager] Error finding subjects in the query: ${subjectError.message}`);
+          return [];
+        });
+        return profiles.length > 0
+          ? { mode: subjectMode, subjectIds: profiles.map(profile => profile.id), subjects: profiles.map(({ id, name, relationship }) => ({ id, name, relationship })) }
+          : null;
+      };
+      const [temporalContext, subjectContext, queryEmbedding] = await Promise.all([
+        timeStage(timings, 'temporal', resolveTemporalContext),
+        timeStage(timings, 'subjects', resolveSubjectContext),
+        timeStage(timings, 'embedding', () => aiService.generateEmbeddings(query)),
+      ]);
+      const dateFilterRange = temporalContext?.mode === 'filter' ? temporalContext.range : null;
+      const subjectFilterIds = subjectContext?.mode === 'filter' ? subjectContext.subjectIds : null;
+      const emotionFilter = emotions?.length ? emotions : null;
+      if (trace) {
+        trace.temporal = temporalContext;
+        trace.subjects = subjectContext;
+        trace.emotions = emotionFilter;
+        trace.stages = {};
+        trace.dropped = [];
+        trace.timings = timings;
+      }
+      const noteDropped = (memory, reason) => {
+        if (trace) trace.dropped.push({ memory, reason });
+      };
+      if (temporalContext) {
+        logger.info(`[MemoryManager] Temporal expression "${temporalContext.expression}" -> ${temporalContext.mode} ${new Date(temporalContext.range.start).toISOString()} .. ${new Date(temporalContext.range.end).toISOString()}`);
+      }
+      if (subjectContext) {
+        logger.info(`[MemoryManager] Query is about subject(s) ${subjectContext.subjectIds.join(', ')} -> ${subjectContext.mode}`);
+      }
+
       if (!queryEmbedding || queryEmbedding.length === 0) {
         logger.error('[MemoryManager] Failed to generate embedding for retrieval query.');
         return [];
       }
-      const originalQueryVector = queryEmbedding[0]; // generateEmbeddings returns array of vectors
-      
-      // Check vector dimensions and expand if needed
-      let queryVector;
-      try {
-        // For EpisodeEmbedding, we need 1536 dimensions
-        const episodeClassDimension = aiConfig.embeddingDimension || 1536;
-        
-        if (originalQueryVector.length !== episodeClassDimension) {
-          logger.info(`[MemoryManager] Expanding query vector from ${originalQueryVector.length} to ${episodeClassDimension} dimensions for EpisodeEmbedding search`);
-          queryVector = await expandVector(originalQueryVector, episodeClassDimension);
-        } else {
-          queryVector = originalQueryVector;
-        }
-      } catch (dimensionError) {
-        logger.error(`[MemoryManager] Error expanding vector dimensions: ${dimensionError.message}`);
-        queryVector = originalQueryVector; // Fallback to original vector
+      const queryVector = queryEmbedding[0]; // generateEmbeddings returns array of vectors
+      // Only vectors of the model that embedded the query are searched (see withEmbeddingModel)
+      const embeddingModel = getActiveEmbeddingModel();
+      if (!hasModelDimension([queryVector], embeddingModel)) {
+        logger.error(`[MemoryManager] Query embedding has ${queryVector?.length} dimensions, expected ${embeddingModel.dimension} for ${embeddingModel.name}.`);
+        return [];
       }
 
-      // --- Multi-Stage Retrieval --- 
+      // --- Multi-Stage Retrieval ---
+      // The episode, graph, chunk and thought searches do not depend on each other and run in parallel;
+      // the stage's own try/catch is replaced by a catch per search so one failing stage does not drop the others.
+      const searchParams = { query, queryVector, embeddingModel: embeddingModel.name, userId, certainty, limit, hybrid, dateFilterRange, subjectFilterIds, emotionFilter };
+      const [episodeSearch, graphSearch, chunkSearch, thoughtMemories] = await Promise.all([
+        includeEpisodes
+          ? timeStage(timings, 'episodeSearch', () => this.searchEpisodeHits(vectorStore, searchParams))
+            .catch(episodeError => {
+              logger.error(`[MemoryManager] Error retrieving episodes: ${episodeError.message}`);
+              return null;
+            })
+          : null,
+        includeEpisodes && graph
+          ? timeStage(timings, 'graphSearch', () => this.searchGraphEpisodes(query, userId, { maxHops: graphMaxHops, limit: memoryConfig.graphRetrieval.limit }))
+            .catch(graphError => {
+              logger.error(`[MemoryManager] Error retrieving episodes from the graph store: ${graphError.message}`);
+              return null;
+            })
+          : null,
+        includeChunks
+          ? timeStage(timings, 'chunkSearch', () => this.searchChunkHits(vectorStore, { ...searchParams, minImportance }))
+            .catch(chunkError => {
+              logger.error(`[MemoryManager] Error retrieving chunks: ${chunkError.message}`);
+              return null;
+            })
+          : null,
+        includeThoughts && thoughtLimit > 0
+          ? timeStage(timings, 'thoughtSearch', () => this.retrieveThoughts(vectorStore, { ...searchParams, limit: thoughtLimit, fusionOptions }))
+            .catch(thoughtError => {
+              logger.error(`[MemoryManager] Error retrieving thoughts: ${thoughtError.message}`);
+              return null;
+            })
+          : null,
+      ]);
+
       const retrievedMemories = [];
       const retrievedIds = new Set(); // Keep track of retrieved entity IDs
 
-      // Stage 1: Search relevant Episodes by centroid vectors
-      logger.info('[MemoryManager] Stage 1: Searching EpisodeEmbedding by centroid vectors');
-      let episodeResults = [];
-      
-      if (includeEpisodes) {
-        try {
-          const episodeResponse = await client.graphql
-            .get()
-            .withClassName('EpisodeEmbedding')
-            .withFields('episodeDbId title userId _additional { certainty }')
-            .withNearVector({ vector: queryVector, certainty })
-            .withWhere({
-              operator: 'Equal',
-              path: ['userId'],
-              valueText: userId,
+      // Stage 1: Episodes found by centroid vector (and keywords, and graph connections to named entities), with their chunks
+      const graphHits = graphSearch?.hits || [];
+      const episodeResults = episodeSearch || graphHits.length > 0
+        ? fuseRankedLists({ vector: episodeSearch?.vectorHits, keyword: episodeSearch?.keywordHits, graph: graphHits }, { ...fusionOptions, limit })
+        : [];
+      if (episodeSearch) {
+        logger.info(`[MemoryManager] Found ${episodeResults.length} relevant episodes (vector: ${episodeSearch.vectorHits.length}, keyword: ${episodeSearch.keywordHits.length}, graph: ${graphHits.length}).`);
+        if (trace) trace.stages.episode = { vectorHits: episodeSearch.vectorHits.length, keywordHits: episodeSearch.keywordHits.length, fused: episodeResults.length };
+      }
+      if (graphSearch && trace) {
+        trace.stages.graph = { entities: graphSearch.entities.map(({ id, name, type }) => ({ id, name, type })), episodeHits: graphHits.length };
+      }
+
+      // Episodes and the Postgres records of chunk hits are each loaded in one query
+      // (chunk records are needed for access counts and sources even when reranking is off)
+      const chunkHitIds = chunkSearch
+        ? Array.from(new Set([...chunkSearch.vectorHits, ...chunkSearch.keywordHits].map(hit => hit.id)))
+        : [];
+      const [episodeRecords, chunkRecords] = await Promise.all([
+        timeStage(timings, 'episodeLoad', () => this.loadEpisodeRecords(episodeResults.map(hit => hit.id), userId))
+          .catch(dbError => {
+            logger.error(`[MemoryManager] Error fetching episodes from database: ${dbError.message}`);
+            return [];
+          }),
+        chunkHitIds.length > 0
+          ? timeStage(timings, 'chunkLoad', () => chunkRepository.findMany({ where: { id: { in: chunkHitIds } } }))
+            .catch(dbError => {
+              logger.error(`[MemoryManager] Error fetching chunks from database: ${dbError.message}`);
+              return [];
             })
-            .withLimit(limit)
-            .do();
-            
-          episodeResults = episodeResponse?.data?.Get?.EpisodeEmbedding || [];
-          logger.info(`[MemoryManager] Found ${episodeResults.length} relevant episodes.`);
-          
-          // Fetch additional episode content from the database to enrich the episode data
-          for (const ep of episodeResults) {
-            if (!retrievedIds.has(ep.episodeDbId)) {
-              // Fetch more detailed episode data from the database
-              try {
-                const episodeData = await prisma.episode.findUnique({
-                  where: { id: ep.episodeDbId },
-                  include: {
-                    chunks: {
-                      include: {
-                        chunk: {
-                          select: {
-                            id: true,
-                            text: true,
-                            rawDataId: true
-                          }
-                        }
-                      },
-                      take: 10 // Increased limit for more chunks
-                    }
-                  }
-                });
-                
-                if (episodeData) {
-                  // Add to retrievedMemories with the narrative and linked chunks
-                  retrievedMemories.push({
-                    type: 'episode',
-                    id: episodeData.id,
-                    title: episodeData.title,
-                    content: episodeData.narrative,
-                    similarity: ep._additional.certainty,
-                    chunks: episodeData.chunks.map(ce => ({
-                      id: ce.chunk.id,
-                      text: ce.chunk.text
-                    }))
-                  });
-                  
-                  // If we want to include chunks, add them as separate memories too
-                  if (includeChunks && episodeData.chunks && episodeData.chunks.length > 0) {
-                    for (const ce of episodeData.chunks) {
-                      if (ce.chunk && ce.chunk.text && !retrievedIds.has(ce.chunk.id)) {
-                        retrievedMemories.push({
-                          type: 'chunk',
-                          id: ce.chunk.id,
-                          text: ce.chunk.text,
-                          episodeId: episodeData.id,
-                          episodeTitle: episodeData.title,
-                          similarity: ep._additional.certainty * 0.9 // Slightly lower certainty
-                        });
-                        retrievedIds.add(ce.chunk.id);
-                      }
-                    }
-                  }
-                  
-                  retrievedIds.add(ep.episodeDbId);
-                }
-              } catch (dbError) {
-                logger.error(`[MemoryManager] Error fetching episode ${ep.episodeDbId} from database: ${dbError.message}`);
-              }
-            }
-          }
-        } catch (episodeError) {
-          logger.error(`[MemoryManager] Error retrieving episodes: ${episodeError.message}`);
+          : [],
+      ]);
+      const episodesById = new Map(episodeRecords.map(record => [record.id, record]));
+      // An episode's chunks come from Postgres, not the chunk search, so the chunk search's filters are applied here
+      const episodeChunkDropReason = (chunk) => {
+        const chunkTime = new Date(chunk.metadata?.sourceCreatedAt || chunk.createdAt);
+        if (dateFilterRange && (chunkTime < new Date(dateFilterRange.start) || chunkTime > new Date(dateFilterRange.end))) return 'outside_time_range';
+        if (subjectFilterIds && !(chunk.metadata?.subjectIds || []).some(id => subjectFilterIds.includes(id))) return 'not_about_subject';
+        if (emotionFilter && !(chunk.emotions || []).some(emotion => emotionFilter.includes(emotion))) return 'emotion_mismatch';
+        if ((chunk.importance ?? 0) < minImportance) return 'below_min_importance';
+        return null;
+      };
+
+      for (const fusedEpisode of episodeResults) {
+        const ep = { episodeDbId: fusedEpisode.id, ...describeFusedHit(fusedEpisode) };
+        if (retrievedIds.has(ep.episodeDbId)) continue;
+        const episodeData = episodesById.get(ep.episodeDbId);
+        if (!episodeData) {
+          noteDropped({ type: 'episode', stage: 'episode', id: ep.episodeDbId, similarity: ep.certainty, keywordScore: ep.keywordScore, fusedScore: ep.fusedScore }, 'not_found_in_database');
+          continue;
         }
-      }
-      
-      // Stage 2: If we still need more results, search individual chunks
-      if (includeChunks && retrievedMemories.length < limit) {
-        try {
-          // For ChunkEmbedding search, check if we need to adjust dimension
-          let chunkQueryVector = originalQueryVector;
-          const chunkClassDimension = 768; // ChunkEmbedding typically uses 768 dimensions
-          
-          if (originalQueryVector.length !== chunkClassDimension) {
-            logger.info(`[MemoryManager] Adjusting query vector from ${originalQueryVector.length} to ${chunkClassDimension} dimensions for ChunkEmbedding search`);
-            chunkQueryVector = await expandVector(originalQueryVector, chunkClassDimension);
+        const graphHit = fusedEpisode.sources.graph;
+        if (graphHit && ep.certainty === null) {
+          // Found only through the graph: not filtered by the vector store, and without a vector certainty of its own
+          const episodeTime = episodeData.occurredAt || episodeData.createdAt;
+          if (dateFilterRange && (episodeTime < new Date(dateFilterRange.start) || episodeTime > new Date(dateFilterRange.end))) {
+            noteDropped({ type: 'episode', stage: 'graph', id: ep.episodeDbId, fusedScore: ep.fusedScore }, 'outside_time_range');
+            continue;
           }
-          
-          logger.info('[MemoryManager] Stage 2: Searching ChunkEmbedding directly');
-          
-          const remainingLimit = limit - retrievedMemories.length;
-          
-          const chunkResponse = await client.graphql
-            .get()
-            .withClassName('ChunkEmbedding')
-            .withFields('chunkDbId text importance userId _additional { certainty }')
-            .withNearVector({ vector: chunkQueryVector, certainty })
-            .withWhere({
-              operator: 'And',
-              operands: [
-                {
-                  operator: 'Equal',
-                  path: ['userId'],
-                  valueText: userId,
-                },
-                {
-                  operator: 'GreaterThanEqual',
-                  path: ['importance'],
-                  valueNumber: minImportance,
-                }
-              ]
-            })
-            .withLimit(remainingLimit)
-            .do();
-            
-          const chunkResults = chunkResponse?.data?.Get?.ChunkEmbedding || [];
-          logger.info(`[MemoryManager] Found ${chunkResults.length} additional chunks.`);
-          
-          // Add chunks to retrievedMemories
-          for (const chunk of chunkResults) {
-            if (!retrievedIds.has(chunk.chunkDbId)) {
+          if (subjectFilterIds && !(episodeData.subjectIds || []).some(id => subjectFilterIds.includes(id))) {
+            noteDropped({ type: 'episode', stage: 'graph', id: ep.episodeDbId, fusedScore: ep.fusedScore }, 'not_about_subject');
+            continue;
+          }
+          if (emotionFilter && !(episodeData.emotions || []).some(emotion => emotionFilter.includes(emotion))) {
+            noteDropped({ type: 'episode', stage: 'graph', id: ep.episodeDbId, fusedScore: ep.fusedScore }, 'emotion_mismatch');
+            continue;
+          }
+          const { baseSimilarity, hopDecay } = memoryConfig.graphRetrieval;
+          ep.certainty = baseSimilarity * Math.pow(hopDecay, Math.max(graphHit.hops - 2, 0));
+        }
+
+        // Add to retrievedMemories with the narrative and linked chunks
+        retrievedMemories.push({
+          type: 'episode',
+          stage: graphHit && !fusedEpisode.sources.vector && !fusedEpisode.sources.keyword ? 'graph' : 'episode',
+          id: episodeData.id,
+          title: episodeData.title,
+          content: episodeData.narrative,
+          similarity: ep.certainty,
+          keywordScore: ep.keywordScore,
+          fusedScore: ep.fusedScore,
+          importance: averageImportance(episodeData.chunks.map(ce => ce.chunk)),
+          timestamp: episodeData.occurredAt || episodeData.createdAt,
+          accessCount: episodeData.accessCount,
+          subjectIds: episodeData.subjectIds,
+          valence: episodeData.valence,
+          emotions: episodeData.emotions,
+          graphHops: graphHit?.hops,
+          chunks: episodeData.chunks.map(ce => ({
+            id: ce.chunk.id,
+            text: ce.chunk.text
+          }))
+        });
+
+        // If we want to include chunks, add them as separate memories too
+        if (includeChunks && episodeData.chunks && episodeData.chunks.length > 0) {
+          for (const ce of episodeData.chunks) {
+            if (ce.chunk && ce.chunk.text && !retrievedIds.has(ce.chunk.id)) {
+              const dropReason = episodeChunkDropReason(ce.chunk);
+              if (dropReason) {
+                noteDropped({ type: 'chunk', stage: 'episode_chunks', id: ce.chunk.id, text: ce.chunk.text, episodeId: episodeData.id }, dropReason);
+                continue;
+              }
               retrievedMemories.push({
                 type: 'chunk',
-                id: chunk.chunkDbId,
-                text: chunk.text,
-                importance: chunk.importance,
-                similarity: chunk._additional.certainty
+                stage: 'episode_chunks',
+                id: ce.chunk.id,
+                text: ce.chunk.text,
+                episodeId: episodeData.id,
+                episodeTitle: episodeData.title,
+                similarity: ep.certainty !== null ? ep.certainty * 0.9 : null, // Slightly lower certainty
+                fusedScore: ep.fusedScore * 0.9,
+                importance: ce.chunk.importance,
+                timestamp: ce.chunk.createdAt,
+                accessCount: ce.chunk.accessCount,
+                subjectIds: ce.chunk.metadata?.subjectIds,
+                valence: ce.chunk.valence,
+                emotions: ce.chunk.emotions,
+                source: describeChunkSource(ce.chunk)
               });
-              retrievedIds.add(chunk.chunkDbId);
+              retrievedIds.add(ce.chunk.id);
             }
           }
-        } catch (chunkError) {
-          logger.error(`[MemoryManager] Error retrieving chunks: ${chunkError.message}`);
+        }
+
+        retrievedIds.add(ep.episodeDbId);
+      }
+
+      // Stage 2: Individual chunks, up to the remaining limit
+      // (with diversity selection always the full limit, so episodes' own chunks are not the only candidates)
+      const remainingLimit = diversify ? limit : limit - retrievedMemories.length;
+      if (chunkSearch && remainingLimit > 0) {
+        const chunkResults = fuseRankedLists(
+          { vector: chunkSearch.vectorHits, keyword: chunkSearch.keywordHits },
+          { ...fusionOptions, limit: remainingLimit }
+        );
+        logger.info(`[MemoryManager] Found ${chunkResults.length} additional chunks (vector: ${chunkSearch.vectorHits.length}, keyword: ${chunkSearch.keywordHits.length}).`);
+        if (trace) trace.stages.chunk = { vectorHits: chunkSearch.vectorHits.length, keywordHits: chunkSearch.keywordHits.length, fused: chunkResults.length };
+
+        // Access counts and source positions (offsets, section, page) live only in Postgres (loaded above);
+        // without a record the source falls back to the vector store's rawDataId
+        const chunkRecordsById = new Map(chunkRecords.map(record => [record.id, record]));
+        for (const fusedChunk of chunkResults) {
+          const chunk = (fusedChunk.sources.vector || fusedChunk.sources.keyword).properties;
+          const { certainty: chunkCertainty, keywordScore, fusedScore } = describeFusedHit(fusedChunk);
+          if (retrievedIds.has(fusedChunk.id)) {
+            noteDropped({ type: 'chunk', stage: 'chunk', id: fusedChunk.id, text: chunk.text, similarity: chunkCertainty, keywordScore, fusedScore }, 'already_found_via_episode');
+            continue;
+          }
+          const record = chunkRecordsById.get(fusedChunk.id);
+          retrievedMemories.push({
+            type: 'chunk',
+            stage: 'chunk',
+            id: fusedChunk.id,
+            text: chunk.text,
+            importance: chunk.importance,
+            timestamp: chunk.sourceCreatedAt || record?.createdAt,
+            accessCount: record?.accessCount,
+            subjectIds: chunk.subjectIds || record?.metadata?.subjectIds,
+            valence: chunk.valence ?? record?.valence,
+            emotions: chunk.emotions || record?.emotions,
+            source: describeChunkSource(record || { rawDataId: chunk.rawDataId }),
+            similarity: chunkCertainty,
+            keywordScore,
+            fusedScore
+          });
+          retrievedIds.add(fusedChunk.id);
         }
       }
+
+      // Stage 3: Higher-level thoughts (insights connecting several episodes)
+      if (thoughtMemories) {
+        thoughtMemories.forEach(thought => {
+          if (retrievedIds.has(thought.id)) {
+            noteDropped(thought, 'duplicate');
+            return;
+          }
+          retrievedMemories.push(thought);
+          retrievedIds.add(thought.id);
+        });
+        if (trace) trace.stages.thought = { found: thoughtMemories.length };
+        logger.info(`[MemoryManager] Found ${thoughtMemories.length} relevant thoughts.`);
+      }
+
+      // A date filter that matches nothing is more likely a parsing miss than an empty period: retry with boosting
+      if (dateFilterRange && memoryConfig.temporalRetrieval.fallbackToSoftBoost
+        && !retrievedMemories.some(m => m.type !== 'thought')) {
+        logger.info('[MemoryManager] Date-filtered retrieval found nothing, retrying with soft temporal boosting.');
+        if (trace) trace.temporalFallback = { expression: temporalContext.expression, reason: 'date_filter_matched_nothing' };
+        return this.retrieveMemories(query, userId, { ...options, timeRange: null, boostTimeRange: dateFilterRange });
+      }
+      // Memories stored before subject detection are untagged: boost instead of returning nothing
+      if (subjectFilterIds && !retrievedMemories.some(m => m.type !== 'thought')) {
+        logger.info('[MemoryManager] Subject-filtered retrieval found nothing, retrying with subject boosting.');
+        if (trace) trace.subjectFallback = { subjectIds: subjectFilterIds, reason: 'subject_filter_matched_nothing' };
+        return this.retrieveMemories(query, userId, { ...options, subjectMode: 'boost', subjectIds: subjectFilterIds });
+      }
+
+      if (rerank) {
+        // Combine relevance with importance, recency and access frequency into finalScore
+        const rankingStartedAt = Date.now();
+        rankMemories(retrievedMemories, memoryConfig.reranking, {
+          useFusedScore: hybrid,
+          weights: scoringWeights,
+          timeRange: temporalContext?.range,
+          temporalWeight: memoryConfig.temporalRetrieval.softBoostWeight,
+          subjectIds: subjectContext?.mode === 'boost' ? subjectContext.subjectIds : null,
+          subjectWeight: memoryConfig.subjects.boostWeight,
+        });
+        timings.rerank = Date.now() - rankingStartedAt;
+      } else if (hybrid) {
+        // Sort by fused rank score in hybrid mode (keyword-only hits have no certainty)
+        retrievedMemories.sort((a, b) => b.fusedScore - a.fusedScore);
+      } else {
+        retrievedMemories.sort((a, b) => b.similarity - a.similarity);
+      }
+
+      const selectedMemories = applySelection
+        ? await timeStage(timings, 'selection', () => this.selectMemories(retrievedMemories, { limit, diversify, sessionId }))
+        : retrievedMemories;
+      if (trace) {
+        const selectedIds = new Set(selectedMemories.map(m => m.id));
+        retrievedMemories
+          .filter(m => !selectedIds.has(m.id))
+          .forEach(m => noteDropped(m, m.dropReason || 'limit_reached'));
+      }
+
+      // Track retrieval frequency for future scoring (fire-and-forget)
+      if (recordAccess) {
+        this.recordMemoryAccess(selectedMemories).catch(accessError => {
+          logger.warn(`[MemoryManager] Failed to record memory access: ${accessError.message}`);
+        });
+      }
       
-      // Sort by similarity/certainty
-      retrievedMemories.sort((a, b) => b.similarity - a.similarity);
-      
+      timings.total = Date.now() - retrievalStartedAt;
+      logger.info(`[MemoryManager] Retrieval timings (ms): ${Object.entries(timings).map(([stage, ms]) => `${stage}=${ms}`).join(' ')}`);
+
       // Return the combined results
-      return retrievedMemories;
+      return selectedMemories;
     } catch (error) {
       logger.error(`[MemoryManager] Error during memory retrieval: ${error.message}`, { error });
       return [];
     }
   }
+
+  /**
+   * Retrieves memories for several phrasings of the same request (multi-query expansion)
+   * and merges the per-query rankings with Reciprocal Rank Fusion.
+   * The first query is the main one and gets `mainQueryWeight`; every other query has weight 1.
+   * @param {Array<string>} queries - Main query first, then alternatives.
+   * @param {string} userId - The user ID.
+   * @param {object} [options] - Same options as retrieveMemories, plus:
+   * @param {number} [options.mainQueryWeight=memoryConfig.queryRewriting.originalQueryWeight] - RRF weight of the main query.
+   * @returns {Promise<Array<object>>} Merged and selected memories; each carries `matchedQueries` and `queryFusionScore`.
+   */
+  async retrieveMemoriesForQueries(queries, userId, options = {}) {
+    const uniqueQueries = [...new Set((queries || []).filter(Boolean))];
+    if (uniqueQueries.length <= 1) {
+      return this.retrieveMemories(uniqueQueries[0] || '', userId, options);
+    }
+
+    const {
+      mainQueryWeight = memoryConfig.queryRewriting.originalQueryWeight,
+      limit = memoryConfig.defaultRetrievalLimit,
+      diversify = memoryConfig.diversity.enabled,
+      sessionId = null,
+      ...retrievalOptions
+    } = options;
+    const resultsPerQuery = await Promise.all(
+      uniqueQueries.map(q => this.retrieveMemories(q, userId, {
+        ...retrievalOptions,
+        limit,
+        diversify,
+        recordAccess: false,
+        applySelection: false, // Select once, after merging
+      }))
+    );
+
+    const rankedLists = {};
+    const weights = {};
+    resultsPerQuery.forEach((memories, i) => {
+      rankedLists[`query${i}`] = memories;
+      weights[`query${i}`] = i === 0 ? mainQueryWeight : 1;
+    });
+
+    const merged = fuseRankedLists(rankedLists, { weights, k: memoryConfig.hybridRetrieval.rrfK }).map(fusedHit => {
+      // Keep the memory object from the query that ranked it highest
+      const [bestSource] = Object.entries(fusedHit.ranks).sort((a, b) => a[1] - b[1])[0];
+      return {
+        ...fusedHit.sources[bestSource],
+        matchedQueries: Object.keys(fusedHit.ranks).map(source => uniqueQueries[Number(source.replace('query', ''))]),
+        queryFusionScore: fusedHit.fusedScore,
+      };
+    });
+    const selected = await this.selectMemories(merged, { limit, diversify, sessionId, scoreKey: 'queryFusionScore' });
+
+    if (options.recordAccess !== false) {
+      this.recordMemoryAccess(selected).catch(accessError => {
+        logger.warn(`[MemoryManager] Failed to record memory access: ${accessError.message}`);
+      });
+    }
+    return selected;
+  }
 }
 
 // --- Singleton Instance Creation & Export ---
@@ -0,0 +1,264 @@
+// src/services/memoryPipeline.service.js
+// Per-RawData state machine of the memory pipeline: the stage to run next, attempts, timings and errors (PipelineState).
+// MemoryManager runs the stages; this service records their progress and queues retries that resume from the failed stage.
+
+const pipelineStateRepository = require('../repositories/pipelineState.repository');
+const logger = require('../utils/logger').childLogger('MemoryPipelineService');
+const { ServiceError } = require('../utils/errorHandler');
+const { addMemoryJob } = require('../utils/queues');
+const memoryConfig = require('../../config/memory.config');
+
+/**
+ * Stages in the order they run. A state's `stage` is the next one to run, or DONE.
+ */
+const PIPELINE_STAGES = ['redact', 'importance', 'subject', 'chunk', 'deduplicate', 'emotion', 'embed', 'graph', 'extract'];
+const DONE = 'done';
+const PIPELINE_STATUSES = ['running', 'failed', 'completed', 'skipped'];
+const MAX_ERROR_LENGTH = 1000;
+
+/**
+ * Validates an optional stage name.
+ * @param {string} [stage]
+ * @returns {string|undefined}
+ * @throws {ServiceError} 400 on an unknown stage.
+ */
+function assertStage(stage) {
+  if (stage === undefined || stage === null || stage === '') return undefined;
+  if (!PIPELINE_STAGES.includes(stage)) {
+    throw new ServiceError(`Unknown pipeline stage "${stage}" (expected one of ${PIPELINE_STAGES.join(', ')})`, 400, null, 'INVALID_PIPELINE_STAGE');
+  }
+  return stage;
+}
+
+/**
+ * Starts (or resumes) a pipeline run for a RawData.
+ * Without fromStage, a failed or interrupted run resumes at its recorded stage and a finished one is not run again.
+ * @param {object} rawData - RawData record.
+ * @param {object} [options]
+ * @param {string} [options.fromStage] - Run from this stage regardless of the recorded state.
+ * @returns {Promise<object|null>} The run ({rawDataId, stage, attempt, stageAttempts, timings, errors}), or null if there is nothing to run.
+ */
+async function startRun(rawData, { fromStage } = {}) {
+  assertStage(fromStage);
+  const existing = await pipelineStateRepository.findByRawDataId(rawData.id);
+  if (existing && !fromStage && (existing.status === 'completed' || existing.status === 'skipped')) {
+    logger.info(`[MemoryPipelineService] RawData ${rawData.id} already ${existing.status}; nothing to run.`);
+    return null;
+  }
+
+  const stage = fromStage || (existing && existing.stage !== DONE ? existing.stage : PIPELINE_STAGES[0]);
+  const now = new Date();
+  const state = await pipelineStateRepository.upsert(
+    rawData.id,
+    { userId: rawData.userId, stage, status: 'running', attempts: 1, startedAt: now },
+    { stage, status: 'running', attempts: { increment: 1 }, startedAt: now, finishedAt: null }
+  );
+  if (existing) {
+    logger.info(`[MemoryPipelineService] RawData ${rawData.id}: attempt ${state.attempts}, running from stage ${stage}.`);
+  }
+  return {
+    rawDataId: rawData.id,
+    stage,
+    attempt: state.attempts,
+    stageAttempts: { ...(state.stageAttempts || {}) },
+    timings: { ...(state.timings || {}) },
+    errors: [...(state.errors || [])],
+  };
+}
+
+/**
+ * Whether a run reaches the given stage (stages before its starting stage already succeeded).
+ * @param {object} run - Run from startRun.
+ * @param {string} stage
+ * @returns {boolean}
+ */
+function includesStage(run, stage) {
+  return PIPELINE_STAGES.indexOf(stage) >= PIPELINE_STAGES.indexOf(run.stage);
+}
+
+/**
+ * Runs one stage and records the outcome: on success the state moves to the next stage,
+ * on failure it is marked failed at this stage (and the error is rethrown).
+ * @param {object} run - Run from startRun (updated in place).
+ * @param {string} stage
+ * @param {Function} step - Async function doing the stage's work.
+ * @returns {Promise<*>} The step's result.
+ */
+async function runStage(run, stage, step) {
+  run.stageAttempts[stage] = (run.stageAttempts[stage] || 0) + 1;
+  const startedAt = Date.now();
+  let result;
+  try {
+    result = await step();
+  } catch (error) {
+    run.timings[stage] = Date.now() - startedAt;
+    await recordFailure(run, stage, error);
+    throw error;
+  }
+  run.timings[stage] = Date.now() - startedAt;
+
+  const next = PIPELINE_STAGES[PIPELINE_STAGES.indexOf(stage) + 1] || DONE;
+  run.stage = next;
+  await pipelineStateRepository.update(run.rawDataId, {
+    stage: next,
+    stageAttempts: run.stageAttempts,
+    timings: run.timings,
+  });
+  return result;
+}
+
+/**
+ * Marks a run failed at a stage and keeps the error in the state's recent errors.
+ * Bookkeeping failures are logged, never thrown (the stage's own error matters more).
+ * @param {object} run - Run from startRun.
+ * @param {string} stage
+ * @param {Error} error
+ */
+async function recordFailure(run, stage, error) {
+  const message = (error?.message || String(error)).slice(0, MAX_ERROR_LENGTH);
+  run.errors = [...run.errors, { stage, attempt: run.attempt, message, at: new Date().toISOString() }]
+    .slice(-memoryConfig.pipeline.errorHistoryLimit);
+  try {
+    await pipelineStateRepository.update(run.rawDataId, {
+      stage,
+      status: 'failed',
+      lastError: message,
+      errorStage: stage,
+      errors: run.errors,
+      stageAttempts: run.stageAttempts,
+      timings: run.timings,
+    });
+  } catch (updateError) {
+    logger.error(`[MemoryPipelineService] Failed to record the ${stage} failure of rawData ${run.rawDataId}: ${updateError.message}`);
+  }
+  logger.warn(`[MemoryPipelineService] RawData ${run.rawDataId} failed at stage ${stage} (attempt ${run.attempt}): ${message}`);
+}
+
+/**
+ * Ends a run.
+ * @param {object} run - Run from startRun.
+ * @param {'completed'|'skipped'} [status='completed'] - skipped: the RawData did not need the remaining stages (e.g. below the importance threshold).
+ */
+async function finishRun(run, status = 'completed') {
+  run.stage = DONE;
+  await pipelineStateRepository.update(run.rawDataId, {
+    stage: DONE,
+    status,
+    lastError: null,
+    stageAttempts: run.stageAttempts,
+    timings: run.timings,
+    finishedAt: new Date(),
+  });
+}
+
+/**
+ * Prisma where clause for state filters.
+ * @param {object} filters
+ * @param {string} [filters.status]
+ * @param {string} [filters.stage]
+ * @param {string} [filters.userId]
+ * @param {boolean} [filters.stuck] - Only running states without progress for memoryConfig.pipeline.stuckAfterMs.
+ * @returns {object}
+ * @throws {ServiceError} 400 on an unknown status or stage.
+ */
+function stateWhere({ status, stage, userId, stuck } = {}) {
+  if (status && !PIPELINE_STATUSES.includes(status)) {
+    throw new ServiceError(`Unknown pipeline status "${status}" (expected one of ${PIPELINE_STATUSES.join(', ')})`, 400, null, 'INVALID_PIPELINE_STATUS');
+  }
+  if (stage && stage !== DONE) assertStage(stage);
+  if (stuck && status && status !== 'running') {
+    throw new ServiceError('Only running pipelines can be stuck', 400, null, 'INVALID_PIPELINE_STATUS');
+  }
+  return {
+    ...(stuck
+      ? { status: 'running', updatedAt: { lt: new Date(Date.now() - memoryConfig.pipeline.stuckAfterMs) } }
+      : status ? { status } : {}),
+    ...(stage ? { stage } : {}),
+    ...(userId ? { userId } : {}),
+  };
+}
+
+/**
+ * Lists pipeline states, least recently updated first.
+ * @param {object} [filters] - See stateWhere, plus limit and offset.
+ * @returns {Promise<{states: Array<object>, total: number}>}
+ */
+async function listPipelineStates({ limit = 50, offset = 0, ...filters } = {}) {
+  return pipelineStateRepository.findMany(stateWhere(filters), { take: Math.min(Math.max(limit, 1), 200), skip: Math.max(offset, 0) });
+}
+
+/**
+ * Pipeline state of one RawData.
+ * @param {string} rawDataId
+ * @returns {Promise<object|null>}
+ */
+async function getPipelineState(rawDataId) {
+  return pipelineStateRepository.findByRawDataId(rawDataId);
+}
+
+/**
+ * Counts pipeline states per status and per stage, plus stuck runs.
+ * @param {object} [filters]
+ * @param {string} [filters.userId]
+ * @returns {Promise<{byStatus: object, byStage: object, stuck: number, total: number}>}
+ */
+async function summarizePipelineStates({ userId } = {}) {
+  const [groups, stuck] = await Promise.all([
+    pipelineStateRepository.countByStatusAndStage(stateWhere({ userId })),
+    pipelineStateRepository.count(stateWhere({ userId, stuck: true })),
+  ]);
+  const summary = { byStatus: {}, byStage: {}, stuck, total: 0 };
+  for (const group of groups) {
+    summary.byStatus[group.status] = (summary.byStatus[group.status] || 0) + group.count;
+    if (group.status !== 'completed' && group.status !== 'skipped') {
+      summary.byStage[group.stage] = (summary.byStage[group.stage] || 0) + group.count;
+    }
+    summary.total += group.count;
+  }
+  return summary;
+}
+
+/**
+ * Queues pipeline runs for the given RawData, or for the states matching the filters (failed ones by default).
+ * Without fromStage each run resumes at its recorded stage.
+ * @param {object} options
+ * @param {string[]} [options.rawDataIds]
+ * @param {string} [options.status='failed'] - Filter when no rawDataIds are given (see stateWhere).
+ * @param {string} [options.stage]
+ * @param {string} [options.userId]
+ * @param {boolean} [options.stuck]
+ * @param {string} [options.fromStage] - Run from this stage (e.g. 'chunk' to chunk again).
+ * @param {number} [options.limit=memoryConfig.pipeline.retryBatchLimit]
+ * @returns {Promise<{queued: string[], failed: string[], matched: number}>} RawData IDs queued and those that could not be.
+ */
+async function retryPipelines({ rawDataIds, status, stage, userId, stuck, fromStage, limit } = {}) {
+  assertStage(fromStage);
+  const take = Math.min(limit || memoryConfig.pipeline.retryBatchLimit, memoryConfig.pipeline.retryBatchLimit);
+  const where = rawDataIds?.length
+    ? { rawDataId: { in: rawDataIds }, ...(userId ? { userId } : {}) }
+    : stateWhere({ status: stuck ? undefined : (status || 'failed'), stage, userId, stuck });
+  const { states, total } = await pipelineStateRepository.findMany(where, { take });
+
+  const queued = [];
+  const failed = [];
+  for (const state of states) {
+    const job = await addMemoryJob('processRawData', { rawDataId: state.rawDataId, ...(fromStage ? { fromStage } : {}) });
+    (job ? queued : failed).push(state.rawDataId);
+  }
+  logger.info(`[MemoryPipelineService] Queued ${queued.length} of ${total} matching pipelines${fromStage ? ` from stage ${fromStage}` : ''} (${failed.length} could not be queued).`);
+  return { queued, failed, matched: total };
+}
+
+module.exports = {
+  PIPELINE_STAGES,
+  PIPELINE_STATUSES,
+  DONE,
+  startRun,
+  includesStage,
+  runStage,
+  finishRun,
+  listPipelineStates,
+  getPipelineState,
+  summarizePipelineStates,
+  retryPipelines,
+};
@@ -0,0 +1,350 @@
+// src/services/memoryReprocessing.service.js
+// Re-runs the memory pipeline over selected RawData (a user or all users, a date range, content types), e.g. after
+// chunking, threshold or prompt changes. Regenerating deletes the derived chunks, vectors, episodes and thoughts first.
+
+const { prisma } = require('../db/prisma');
+const logger = require('../utils/logger').childLogger('MemoryReprocessingService');
+const { ServiceError } = require('../utils/errorHandler');
+const memoryManager = require('./memoryManager.service');
+const memoryPipeline = require('./memoryPipeline.service');
+const graphSync = require('./graphSync.service');
+const { getVectorStore, initializeVectorStore } = require('./vectorStore.service');
+const rawDataRepository = require('../repositories/rawData.repository');
+const pipelineStateRepository = require('../repositories/pipelineState.repository');
+const reprocessingRunRepository = require('../repositories/reprocessingRun.repository');
+const { addMemoryJob, addEpisodeAgentJob } = require('../utils/queues');
+const memoryConfig = require('../../config/memory.config');
+
+const { PIPELINE_STAGES } = memoryPipeline;
+
+/**
+ * Parses an optional date option.
+ * @returns {string|undefined} ISO date.
+ * @throws {ServiceError} 400 on an invalid date.
+ */
+function parseDateOption(value, name) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ServiceError(`"${name}" must be an ISO date`, 400, null, 'INVALID_REPROCESSING_OPTIONS');
+  }
+  return date.toISOString();
+}
+
+/**
+ * Validates reprocessing options and returns them in the form stored on the run.
+ * @param {object} options
+ * @param {string} [options.userId] - User whose memories are reprocessed.
+ * @param {boolean} [options.allUsers=false] - Reprocess every user's memories (required instead of userId, so it is never implied).
+ * @param {string|Date} [options.from] - Only RawData created at or after this date.
+ * @param {string|Date} [options.to] - Only RawData created at or before this date.
+ * @param {string[]|string} [options.contentTypes] - Only these content types (array or comma-separated).
+ * @param {boolean} [options.regenerate=false] - Delete chunks, vectors, episodes and thoughts and build them again.
+ * @param {string} [options.fromStage] - Pipeline stage to start from. Without it (and without regenerate) each RawData
+ *        resumes at its recorded stage, so only unfinished RawData are processed.
+ * @param {boolean} [options.dryRun=false] - Only report what would be reprocessed.
+ * @returns {object} Normalized options.
+ * @throws {ServiceError} 400 on invalid options.
+ */
+function normalizeOptions({ userId, allUsers = false, from, to, contentTypes, regenerate = false, fromStage, dryRun = false } = {}) {
+  if (!userId === !allUsers) {
+    throw new ServiceError('Specify either a userId or allUsers', 400, null, 'INVALID_REPROCESSING_OPTIONS');
+  }
+  const types = typeof contentTypes === 'string' ? contentTypes.split(',') : contentTypes;
+  if (types !== undefined && (!Array.isArray(types) || types.some(type => typeof type !== 'string'))) {
+    throw new ServiceError('"contentTypes" must be a list of content types', 400, null, 'INVALID_REPROCESSING_OPTIONS');
+  }
+  if (fromStage && !PIPELINE_STAGES.includes(fromStage)) {
+    throw new ServiceError(`Unknown pipeline stage "${fromStage}" (expected one of ${PIPELINE_STAGES.join(', ')})`, 400, null, 'INVALID_PIPELINE_STAGE');
+  }
+  if (regenerate && fromStage && PIPELINE_STAGES.indexOf(fromStage) > PIPELINE_STAGES.indexOf('chunk')) {
+    throw new ServiceError('Regenerating deletes the chunks, so it must start at or before the chunk stage', 400, null, 'INVALID_REPROCESSING_OPTIONS');
+  }
+
+  const options = {
+    userId: userId || null,
+    allUsers: !!allUsers,
+    from: parseDateOption(from, 'from'),
+    to: parseDateOption(to, 'to'),
+    contentTypes: types?.map(type => type.trim()).filter(Boolean),
+    regenerate: !!regenerate,
+    fromStage: fromStage || (regenerate ? PIPELINE_STAGES[0] : undefined),
+    dryRun: !!dryRun,
+  };
+  if (options.from && options.to && options.from > options.to) {
+    throw new ServiceError('"from" must not be after "to"', 400, null, 'INVALID_REPROCESSING_OPTIONS');
+  }
+  return options;
+}
+
+/**
+ * Prisma where clause for the RawData selected by normalized options.
+ * @param {object} options
+ * @returns {object}
+ */
+function rawDataWhere({ userId, from, to, contentTypes }) {
+  return {
+    ...(userId ? { userId } : {}),
+    ...(from || to ? { createdAt: { ...(from ? { gte: new Date(from) } : {}), ...(to ? { lte: new Date(to) } : {}) } } : {}),
+    ...(contentTypes?.length ? { contentType: { in: contentTypes } } : {}),
+  };
+}
+
+/**
+ * Episodes built from the selected RawData (or containing any of their chunks) and the thoughts derived from them.
+ * @param {object} where - RawData where clause.
+ * @returns {Promise<{episodeIds: string[], thoughtIds: string[]}>}
+ */
+async function findDerivedRecords(where) {
+  const episodes = await prisma.episode.findMany({
+    where: { OR: [{ rawData: { is: where } }, { chunks: { some: { chunk: { rawData: { is: where } } } } }] },
+    select: { id: true },
+  });
+  const episodeIds = episodes.map(episode => episode.id);
+  const thoughts = await prisma.thought.findMany({
+    where: { OR: [{ rawData: { is: where } }, { episodes: { some: { episodeId: { in: episodeIds } } } }] },
+    select: { id: true },
+  });
+  return { episodeIds, thoughtIds: thoughts.map(thought => thought.id) };
+}
+
+/**
+ * Deletes episodes and thoughts from Postgres, the vector store and the graph store. Chunks of other RawData that
+ * belonged to a deleted episode are queued for episode assignment again.
+ * @param {object} where - RawData where clause of the selection.
+ * @param {{episodeIds: string[], thoughtIds: string[]}} derived - From findDerivedRecords.
+ * @returns {Promise<number>} Number of chunks queued for episode assignment.
+ */
+async function deleteDerivedRecords(where, { episodeIds, thoughtIds }) {
+  const orphanedLinks = await prisma.chunkEpisode.findMany({
+    where: { episodeId: { in: episodeIds }, NOT: { chunk: { rawData: { is: where } } } },
+    select: { chunkId: true, chunk: { select: { userId: true } } },
+  });
+
+  if (await initializeVectorStore()) {
+    const vectorStore = getVectorStore();
+    for (const [className, ids] of [['EpisodeEmbedding', episodeIds], ['ThoughtEmbedding', thoughtIds]]) {
+      for (const id of ids) {
+        if (!await vectorStore.delete(className, id)) {
+          logger.warn(`[MemoryReprocessingService] Failed to delete ${className} ${id} from the vector store.`);
+        }
+      }
+    }
+  }
+  await graphSync.removeNodes('Thought', thoughtIds);
+  await graphSync.removeNodes('Episode', episodeIds);
+  await prisma.thought.deleteMany({ where: { id: { in: thoughtIds } } });
+  await prisma.episode.deleteMany({ where: { id: { in: episodeIds } } });
+
+  const chunks = new Map(orphanedLinks.map(link => [link.chunkId, link.chunk.userId]));
+  for (const [chunkId, userId] of chunks) {
+    await addEpisodeAgentJob('processChunk', { chunkId, userId }, memoryConfig.reprocessing.episodeRequeueDelayMs);
+  }
+  return chunks.size;
+}
+
+/**
+ * Reports what a reprocessing run would touch, without changing anything.
+ * @param {object} options - Normalized options.
+ * @returns {Promise<object>} Counts of RawData (with their pipeline status), chunks and, when regenerating, episodes and thoughts.
+ */
+async function previewReprocessing(options) {
+  const where = rawDataWhere(options);
+  const [rawData, chunks, pipelineGroups] = await Promise.all([
+    prisma.rawData.count({ where }),
+    prisma.chunkEmbedding.count({ where: { rawData: { is: where } } }),
+    pipelineStateRepository.countByStatusAndStage({ rawData: { is: where } }),
+  ]);
+  const pipeline = {};
+  for (const group of pipelineGroups) {
+    pipeline[group.status] = (pipeline[group.status] || 0) + group.count;
+  }
+  const untracked = rawData - Object.values(pipeline).reduce((sum, count) => sum + count, 0);
+
+  const preview = { dryRun: true, options, rawData, pipeline: { ...pipeline, untracked }, chunks };
+  if (options.regenerate) {
+    const { episodeIds, thoughtIds } = await findDerivedRecords(where);
+    preview.episodes = episodeIds.length;
+    preview.thoughts = thoughtIds.length;
+  }
+  return preview;
+}
+
+/**
+ * Removes an importance score set by the pipeline, so the importance stage evaluates it again.
+ * Scores preset when the RawData was created (e.g. file upload defaults) are kept.
+ * @param {object} rawData - RawData record (updated in place).
+ */
+async function resetEvaluatedImportance(rawData) {
+  if (!rawData.metadata?.importance) return;
+  const metadata = { ...rawData.metadata };
+  delete metadata.importance;
+  await rawDataRepository.update(rawData.id, { importanceScore: null, metadata });
+  rawData.importanceScore = null;
+  rawData.metadata = metadata;
+}
+
+/**
+ * Re-runs the pipeline over the selected RawData, oldest first, one at a time.
+ * A RawData that fails is counted and reported; the run continues with the next one.
+ * @param {object} options - Normalized options (see normalizeOptions).
+ * @param {object} [hooks]
+ * @param {function(object): Promise<void>|void} [hooks.onProgress] - Called with the report after each batch.
+ * @returns {Promise<object>} Progress report: total, done, completed, skipped, unchanged (already finished) and
+ *          failed RawData, the first failures, and deleted/requeued counts.
+ */
+async function reprocessMemories(options, { onProgress } = {}) {
+  const { batchSize, maxReportedFailures } = memoryConfig.reprocessing;
+  const where = rawDataWhere(options);
+  const reevaluateImportance = options.fromStage && PIPELINE_STAGES.indexOf(options.fromStage) <= PIPELINE_STAGES.indexOf('importance');
+  const startedAt = Date.now();
+  const report = {
+    total: await prisma.rawData.count({ where }),
+    done: 0,
+    completed: 0,
+    skipped: 0,
+    unchanged: 0,
+    failed: 0,
+    failures: [],
+    deleted: { chunks: 0, episodes: 0, thoughts: 0 },
+    requeuedChunks: 0,
+    durationMs: 0,
+  };
+  logger.info(`[MemoryReprocessingService] Reprocessing ${report.total} RawData`, options);
+
+  if (options.regenerate) {
+    const derived = await findDerivedRecords(where);
+    report.requeuedChunks = await deleteDerivedRecords(where, derived);
+    report.deleted.episodes = derived.episodeIds.length;
+    report.deleted.thoughts = derived.thoughtIds.length;
+  }
+
+  let cursor;
+  for (;;) {
+    const batch = await prisma.rawData.findMany({
+      where,
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      take: batchSize,
+      ...(cursor ? { skip: 1, cursor: { id: cursor } } : {}),
+    });
+    if (batch.length === 0) break;
+
+    for (const rawData of batch) {
+      try {
+        if (options.regenerate) {
+          report.deleted.chunks += await memoryManager.deleteRawDataChunks(rawData);
+        }
+        if (reevaluateImportance) {
+          await resetEvaluatedImportance(rawData);
+        }
+        const outcome = await memoryManager.processMemoryPipeline(rawData, { fromStage: options.fromStage });
+        report[outcome || 'unchanged'] += 1;
+      } catch (error) {
+        report.failed += 1;
+        if (report.failures.length < maxReportedFailures) {
+          report.failures.push({ rawDataId: rawData.id, error: error.message });
+        }
+      }
+      report.done += 1;
+    }
+
+    report.durationMs = Date.now() - startedAt;
+    if (onProgress) await onProgress({ ...report });
+    if (batch.length < batchSize) break;
+    cursor = batch[batch.length - 1].id;
+  }
+
+  report.durationMs = Date.now() - startedAt;
+  logger.info(`[MemoryReprocessingService] Reprocessed ${report.done} RawData: ${report.completed} completed, ${report.skipped} skipped, ${report.unchanged} unchanged, ${report.failed} failed.`);
+  return report;
+}
+
+/**
+ * Validates options and either previews them (dry run) or records a run and queues it for the memory worker.
+ * @param {object} options - See normalizeOptions.
+ * @param {string} [requestedBy] - Admin user ID, or a label such as 'cli'.
+ * @returns {Promise<{dryRun: true, preview: object}|{dryRun: false, run: object}>}
+ * @throws {ServiceError} 400 on invalid options, 503 if the job cannot be queued.
+ */
+async function requestReprocessing(options, requestedBy) {
+  const normalized = normalizeOptions(options);
+  if (normalized.dryRun) {
+    return { dryRun: true, preview: await previewReprocessing(normalized) };
+  }
+
+  const run = await reprocessingRunRepository.create({ requestedBy: requestedBy || null, options: normalized });
+  const job = await addMemoryJob('reprocessMemories', { runId: run.id });
+  if (!job) {
+    await reprocessingRunRepository.update(run.id, { status: 'FAILED', errorMessage: 'Could not queue the reprocessing job', completedAt: new Date() });
+    throw new ServiceError('Could not queue the reprocessing job', 503, null, 'QUEUE_UNAVAILABLE');
+  }
+  logger.info(`[MemoryReprocessingService] Queued reprocessing run ${run.id} (job ${job.id}).`);
+  return { dryRun: false, run };
+}
+
+/**
+ * Executes a recorded run (memory worker job), saving progress after each batch.
+ * @param {string} runId
+ * @param {object} [hooks]
+ * @param {function(object): Promise<void>|void} [hooks.onProgress] - Also called with the report after each batch.
+ * @returns {Promise<object|null>} Final report, or null if the run does not exist or already started.
+ */
+async function executeRun(runId, { onProgress } = {}) {
+  const run = await reprocessingRunRepository.findById(runId);
+  if (!run || run.status !== 'PENDING') {
+    logger.warn(`[MemoryReprocessingService] Reprocessing run ${runId} not found or not pending (${run?.status}).`);
+    return null;
+  }
+
+  await reprocessingRunRepository.update(runId, { status: 'PROCESSING', startedAt: new Date() });
+  try {
+    const report = await reprocessMemories(run.options, {
+      onProgress: async (progress) => {
+        await reprocessingRunRepository.update(runId, { progress });
+        if (onProgress) await onProgress(progress);
+      },
+    });
+    await reprocessingRunRepository.update(runId, { status: 'COMPLETED', progress: report, completedAt: new Date() });
+    return report;
+  } catch (error) {
+    logger.error(`[MemoryReprocessingService] Reprocessing run ${runId} failed: ${error.message}`, { stack: error.stack });
+    await reprocessingRunRepository.update(runId, { status: 'FAILED', errorMessage: error.message, completedAt: new Date() });
+    throw error;
+  }
+}
+
+/**
+ * A reprocessing run with its options and progress report.
+ * @param {string} runId
+ * @returns {Promise<object>}
+ * @throws {ServiceError} 404 if it does not exist.
+ */
+async function getReprocessingRun(runId) {
+  const run = await reprocessingRunRepository.findById(runId);
+  if (!run) {
+    throw new ServiceError(`Reprocessing run ${runId} not found`, 404, null, 'REPROCESSING_RUN_NOT_FOUND');
+  }
+  return run;
+}
+
+/**
+ * Recent reprocessing runs.
+ * @param {object} [filters]
+ * @param {string} [filters.status] - PENDING, PROCESSING, COMPLETED or FAILED.
+ * @param {number} [filters.limit=20] - At most 200.
+ * @param {number} [filters.offset=0]
+ * @returns {Promise<Array<object>>}
+ */
+async function listReprocessingRuns({ status, limit = 20, offset = 0 } = {}) {
+  return reprocessingRunRepository.findMany(status ? { status } : {}, { take: Math.min(Math.max(limit, 1), 200), skip: Math.max(offset, 0) });
+}
+
+module.exports = {
+  normalizeOptions,
+  previewReprocessing,
+  reprocessMemories,
+  requestReprocessing,
+  executeRun,
+  getReprocessingRun,
+  listReprocessingRuns,
+};
@@ -0,0 +1,91 @@
+// src/services/memorySearch.service.js
+// Runs memory retrieval for a query and explains the outcome (used by GET /api/memory/search)
+
+const memoryManager = require('./memoryManager.service');
+const logger = require('../utils/logger').childLogger('MemorySearchService');
+const { handleServiceError, ServiceError } = require('../utils/errorHandler');
+
+const PREVIEW_LENGTH = 200;
+
+/**
+ * Shapes a retrieved memory into an explain entry.
+ * @param {object} memory - Memory object from retrieveMemories.
+ * @param {string} status - 'kept' or 'dropped'.
+ * @param {string} reason - Why the memory was kept or dropped.
+ * @param {number|null} rank - Position in the final result (kept memories only).
+ * @returns {object}
+ */
+function describeCandidate(memory, status, reason, rank = null) {
+  const content = memory.type === 'chunk' ? memory.text : memory.content;
+  return {
+    id: memory.id,
+    type: memory.type,
+    stage: memory.stage || null,
+    status,
+    reason,
+    rank,
+    title: memory.title || memory.name || null,
+    preview: content ? content.substring(0, PREVIEW_LENGTH) : null,
+    episodeId: memory.episodeId || null,
+    source: memory.source || null,
+    timestamp: memory.timestamp || null,
+    subjectIds: memory.subjectIds || [],
+    valence: memory.valence ?? null,
+    emotions: memory.emotions || [],
+    scores: {
+      certainty: memory.similarity ?? null,
+      keywordScore: memory.keywordScore ?? null,
+      fusedScore: memory.fusedScore ?? null,
+      finalScore: memory.finalScore ?? null,
+      breakdown: memory.scoreBreakdown || null,
+      mmrScore: memory.mmrScore ?? null,
+      redundancy: memory.redundancy ?? null,
+      recentPenalty: memory.recentPenalty ?? null,
+    },
+  };
+}
+
+/**
+ * Retrieves memories for a query and reports every candidate with its provenance, scores and kept/dropped reason.
+ * Does not count as a memory access and does not touch chat sessions.
+ * @param {string} userId - ID of the user whose memories are searched.
+ * @param {string} query - Search query.
+ * @param {object} [options] - retrieveMemories options to override (limit, certainty, hybrid, ...).
+ * @returns {Promise<object>} { query, options, temporal, subjects, emotions, stages, timings, results, dropped }
+ * @throws {ServiceError}
+ */
+async function searchMemories(userId, query, options = {}) {
+  if (!query || !query.trim()) {
+    throw new ServiceError('Query parameter "q" is required', 400);
+  }
+
+  try {
+    const trace = {};
+    const memories = await memoryManager.retrieveMemories(query, userId, {
+      ...options,
+      recordAccess: false,
+      trace,
+    });
+    logger.info(`Memory search for user ${userId} returned ${memories.length} memories (${trace.dropped?.length || 0} dropped).`);
+
+    return {
+      query,
+      options,
+      temporal: trace.temporal || null,
+      temporalFallback: trace.temporalFallback || null,
+      subjects: trace.subjects || null,
+      subjectFallback: trace.subjectFallback || null,
+      emotions: trace.emotions || null,
+      stages: trace.stages || {},
+      timings: trace.timings || {},
+      results: memories.map((memory, i) => describeCandidate(memory, 'kept', 'selected', i + 1)),
+      dropped: (trace.dropped || []).map(({ memory, reason }) => describeCandidate(memory, 'dropped', reason)),
+    };
+  } catch (error) {
+    throw handleServiceError(error, 'searchMemories');
+  }
+}
+
+module.exports = {
+  searchMemories,
+};
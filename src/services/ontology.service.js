@@ -0,0 +1,288 @@
+// src/services/ontology.service.js
+// Active ontology lookup and the ontology change proposal workflow (propose, list, review, approve into a new version)
+
+const ontologyRepository = require('../repositories/ontology.repository');
+const logger = require('../utils/logger').childLogger('OntologyService');
+const { ServiceError } = require('../utils/errorHandler');
+const GraphStore = require('../providers/graphStores/GraphStore');
+const memoryConfig = require('../../config/memory.config');
+
+const PROPOSAL_TYPES = ['nodeType', 'edgeType'];
+const PROPOSAL_STATUSES = ['pending', 'approved', 'rejected'];
+const PROPOSAL_SOURCES = ['admin', 'agent'];
+const MAX_EXAMPLES = 20; // Examples kept per proposal when the agent keeps meeting the same type
+
+let ontologyCache = null; // { ontology, loadedAt }
+
+/**
+ * Returns the active ontology version with its node and edge types (cached for knowledgeGraph.ontologyCacheTtlMs).
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false] - Bypass the cache.
+ * @returns {Promise<object|null>} OntologyVersion with nodeTypes and edgeTypes, or null if none is active.
+ */
+async function getActiveOntology({ refresh = false } = {}) {
+  const { ontologyCacheTtlMs } = memoryConfig.knowledgeGraph;
+  if (!refresh && ontologyCache && Date.now() - ontologyCache.loadedAt < ontologyCacheTtlMs) {
+    return ontologyCache.ontology;
+  }
+  const ontology = await ontologyRepository.findActiveVersion();
+  ontologyCache = { ontology, loadedAt: Date.now() };
+  return ontology;
+}
+
+/**
+ * Forgets the cached ontology. Other processes (e.g. the memory worker) pick up a new version when their cache expires.
+ */
+function invalidateOntologyCache() {
+  ontologyCache = null;
+}
+
+/**
+ * Type name in the ontology's conventions: NodeTypes in PascalCase ("PhysicalSkill"), EdgeTypes in
+ * UPPER_SNAKE_CASE ("LIVES_IN"), whatever separators the proposer used.
+ * @param {string} type - 'nodeType' or 'edgeType'.
+ * @param {string} name
+ * @returns {string}
+ */
+function canonicalTypeName(type, name) {
+  const words = String(name || '').trim().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  if (type === 'nodeType') {
+    return words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+  }
+  return words.map(word => word.toUpperCase()).join('_');
+}
+
+/**
+ * Validates a proposed NodeType/EdgeType definition against an ontology version and brings it into canonical form.
+ * @param {string} type - 'nodeType' or 'edgeType'.
+ * @param {object} definition - { name, description?, synonyms?, properties? } or
+ *                              { name, description?, fromNodeTypes, toNodeTypes, properties? }
+ * @param {object} ontology - OntologyVersion with nodeTypes and edgeTypes.
+ * @returns {object} The normalized definition.
+ * @throws {ServiceError} 400 on an invalid definition, 409 if the type already exists.
+ */
+function normalizeDefinition(type, definition, ontology) {
+  if (!definition || typeof definition !== 'object') {
+    throw new ServiceError('proposedDefinition must be an object', 400, null, 'INVALID_ONTOLOGY_PROPOSAL');
+  }
+  const name = canonicalTypeName(type, definition.name);
+  if (!name) {
+    throw new ServiceError('proposedDefinition.name is required', 400, null, 'INVALID_ONTOLOGY_PROPOSAL');
+  }
+  // Edge types become graph store edge types, which are limited to Latin letters, digits and underscores
+  if (type === 'edgeType' && !GraphStore.EDGE_TYPE_PATTERN.test(name)) {
+    throw new ServiceError(`Edge type name ${name} must start with a Latin letter and contain only Latin letters, digits and underscores`, 400, null, 'INVALID_ONTOLOGY_PROPOSAL');
+  }
+  const existingTypes = type === 'nodeType' ? ontology.nodeTypes : ontology.edgeTypes;
+  if (existingTypes.some(existing => existing.name.toLowerCase() === name.toLowerCase())) {
+    throw new ServiceError(`${type === 'nodeType' ? 'Node' : 'Edge'} type ${name} already exists in ontology "${ontology.name}"`, 409, null, 'ONTOLOGY_TYPE_EXISTS');
+  }
+
+  const normalized = { name };
+  if (typeof definition.description === 'string' && definition.description.trim()) {
+    normalized.description = definition.description.trim();
+  }
+  if (definition.properties && typeof definition.properties === 'object') {
+    normalized.properties = definition.properties;
+  }
+
+  if (type === 'nodeType') {
+    normalized.synonyms = (Array.isArray(definition.synonyms) ? definition.synonyms : [])
+      .filter(synonym => typeof synonym === 'string' && synonym.trim())
+      .map(synonym => synonym.trim().toLowerCase());
+    return normalized;
+  }
+
+  // Edge endpoints must be node types of the ontology (matched case-insensitively)
+  const nodeTypeNames = new Map(ontology.nodeTypes.map(nodeType => [nodeType.name.toLowerCase(), nodeType.name]));
+  ['fromNodeTypes', 'toNodeTypes'].forEach((field) => {
+    const names = Array.isArray(definition[field]) ? definition[field] : [];
+    if (names.length === 0) {
+      throw new ServiceError(`proposedDefinition.${field} must list at least one node type`, 400, null, 'INVALID_ONTOLOGY_PROPOSAL');
+    }
+    const unknown = names.filter(nodeType => !nodeTypeNames.has(String(nodeType).toLowerCase()));
+    if (unknown.length > 0) {
+      throw new ServiceError(`Unknown node types in proposedDefinition.${field}: ${unknown.join(', ')}`, 400, null, 'INVALID_ONTOLOGY_PROPOSAL');
+    }
+    normalized[field] = Array.from(new Set(names.map(nodeType => nodeTypeNames.get(String(nodeType).toLowerCase()))));
+  });
+  return normalized;
+}
+
+/**
+ * Active ontology, or a 409 if there is none to change.
+ */
+async function requireActiveOntology(tx) {
+  const ontology = tx ? await ontologyRepository.findActiveVersion(tx) : await getActiveOntology({ refresh: true });
+  if (!ontology) {
+    throw new ServiceError('No active ontology version', 409, null, 'NO_ACTIVE_ONTOLOGY');
+  }
+  return ontology;
+}
+
+/**
+ * Proposes adding a NodeType or EdgeType to the ontology. A pending proposal for the same type name absorbs the new
+ * examples instead of being duplicated; the agent does not re-propose a type an admin rejected.
+ * @param {object} params
+ * @param {string} params.userId - Proposing admin, or the user whose memory made the agent propose it.
+ * @param {string} params.type - 'nodeType' or 'edgeType'.
+ * @param {object} params.proposedDefinition - See normalizeDefinition.
+ * @param {string} [params.description] - What is proposed (generated from the definition when omitted).
+ * @param {string} params.justification - Why the ontology needs it.
+ * @param {string[]} [params.examples=[]] - Mentions or sentences that need the type.
+ * @param {string} [params.source='admin'] - 'admin' or 'agent'.
+ * @returns {Promise<{proposal: object, created: boolean}>}
+ * @throws {ServiceError} 400 on invalid input, 409 if the type exists or there is no active ontology.
+ */
+async function proposeChange({ userId, type, proposedDefinition, description, justification, examples = [], source = 'admin' }) {
+  if (!PROPOSAL_TYPES.includes(type)) {
+    throw new ServiceError(`type must be one of: ${PROPOSAL_TYPES.join(', ')}`, 400, null, 'INVALID_ONTOLOGY_PROPOSAL');
+  }
+  if (!PROPOSAL_SOURCES.includes(source)) {
+    throw new ServiceError(`source must be one of: ${PROPOSAL_SOURCES.join(', ')}`, 400, null, 'INVALID_ONTOLOGY_PROPOSAL');
+  }
+  if (!justification || typeof justification !== 'string' || !justification.trim()) {
+    throw new ServiceError('justification is required', 400, null, 'INVALID_ONTOLOGY_PROPOSAL');
+  }
+  const ontology = await requireActiveOntology();
+  const definition = normalizeDefinition(type, proposedDefinition, ontology);
+  const newExamples = (Array.isArray(examples) ? examples : []).filter(example => typeof example === 'string' && example.trim());
+
+  const pending = await ontologyRepository.findProposalByTypeName(type, definition.name, ['pending']);
+  if (pending) {
+    const mergedExamples = Array.from(new Set([...pending.examples, ...newExamples])).slice(0, MAX_EXAMPLES);
+    if (mergedExamples.length === pending.examples.length) return { proposal: pending, created: false };
+    const proposal = await ontologyRepository.updateProposal(pending.id, { examples: mergedExamples });
+    logger.info(`[OntologyService] Added ${mergedExamples.length - pending.examples.length} examples to pending proposal ${pending.id} (${type} ${definition.name}).`);
+    return { proposal, created: false };
+  }
+  if (source === 'agent') {
+    const rejected = await ontologyRepository.findProposalByTypeName(type, definition.name, ['rejected']);
+    if (rejected) return { proposal: rejected, created: false };
+  }
+
+  const proposal = await ontologyRepository.createProposal({
+    userId,
+    type,
+    source,
+    description: description || `Add ${type === 'nodeType' ? 'node' : 'edge'} type ${definition.name}${definition.description ? `: ${definition.description}` : ''}`,
+    proposedDefinition: definition,
+    justification: justification.trim(),
+    examples: newExamples.slice(0, MAX_EXAMPLES),
+  });
+  logger.info(`[OntologyService] New ontology change proposal ${proposal.id} by ${source} ${userId}: ${type} ${definition.name}`);
+  return { proposal, created: true };
+}
+
+/**
+ * Lists ontology change proposals, newest first.
+ * @param {object} [filters]
+ * @param {string} [filters.status] - 'pending', 'approved' or 'rejected'.
+ * @param {string} [filters.type] - 'nodeType' or 'edgeType'.
+ * @param {number} [filters.limit=50]
+ * @param {number} [filters.offset=0]
+ * @returns {Promise<{proposals: Array<object>, total: number}>}
+ */
+async function listProposals({ status, type, limit = 50, offset = 0 } = {}) {
+  if (status && !PROPOSAL_STATUSES.includes(status)) {
+    throw new ServiceError(`status must be one of: ${PROPOSAL_STATUSES.join(', ')}`, 400);
+  }
+  if (type && !PROPOSAL_TYPES.includes(type)) {
+    throw new ServiceError(`type must be one of: ${PROPOSAL_TYPES.join(', ')}`, 400);
+  }
+  const where = { ...(status ? { status } : {}), ...(type ? { type } : {}) };
+  return ontologyRepository.findProposals(where, { take: Math.min(Math.max(limit, 1), 200), skip: Math.max(offset, 0) });
+}
+
+/**
+ * Finds a proposal.
+ * @param {string} id
+ * @returns {Promise<object>}
+ * @throws {ServiceError} 404 if it does not exist.
+ */
+async function getProposal(id) {
+  const proposal = await ontologyRepository.findProposalById(id);
+  if (!proposal) {
+    throw new ServiceError(`Ontology change proposal ${id} not found`, 404, null, 'PROPOSAL_NOT_FOUND');
+  }
+  return proposal;
+}
+
+/**
+ * Approves a proposal in a transaction: copies the active version's types into a new OntologyVersion together with
+ * the proposed type, makes it the only active version and marks the proposal approved.
+ */
+async function approveProposal(proposal, reviewData) {
+  return ontologyRepository.transaction(async (tx) => {
+    const active = await requireActiveOntology(tx);
+    const definition = normalizeDefinition(proposal.type, proposal.proposedDefinition, active);
+    const versionCount = await ontologyRepository.countVersions(tx);
+
+    const withProperties = type => (type.properties != null ? { properties: type.properties } : {});
+    const nodeTypes = active.nodeTypes.map(type => ({
+      name: type.name, description: type.description, synonyms: type.synonyms, ...withProperties(type),
+    }));
+    const edgeTypes = active.edgeTypes.map(type => ({
+      name: type.name, description: type.description, fromNodeTypes: type.fromNodeTypes, toNodeTypes: type.toNodeTypes, ...withProperties(type),
+    }));
+    if (proposal.type === 'nodeType') nodeTypes.push(definition);
+    else edgeTypes.push(definition);
+
+    const ontologyVersion = await ontologyRepository.createActiveVersion({
+      name: `Ontology v${versionCount + 1}`,
+      description: `${active.name} with ${proposal.type === 'nodeType' ? 'node' : 'edge'} type ${definition.name} added (proposal ${proposal.id})`,
+    }, nodeTypes, edgeTypes, tx);
+
+    const updated = await ontologyRepository.updateProposal(proposal.id, { ...reviewData, status: 'approved' }, { status: 'pending', tx });
+    if (!updated) {
+      throw new ServiceError(`Ontology change proposal ${proposal.id} has already been reviewed`, 409, null, 'PROPOSAL_ALREADY_REVIEWED');
+    }
+    return { proposal: updated, ontologyVersion };
+  });
+}
+
+/**
+ * Approves or rejects a pending proposal. Approval creates and activates a new ontology version
+ * (the previous one is deactivated); nodes and relationships keep the version they were extracted with.
+ * @param {string} id - Proposal ID.
+ * @param {object} review
+ * @param {string} review.decision - 'approve' or 'reject'.
+ * @param {string} review.reviewerId - Reviewing admin's user ID.
+ * @param {string} [review.note] - Reason for the decision.
+ * @returns {Promise<{proposal: object, ontologyVersion?: object}>}
+ * @throws {ServiceError} 400 on an invalid decision, 404 if not found, 409 if already reviewed or no longer applicable.
+ */
+async function reviewProposal(id, { decision, reviewerId, note }) {
+  if (!['approve', 'reject'].includes(decision)) {
+    throw new ServiceError('decision must be "approve" or "reject"', 400, null, 'INVALID_REVIEW');
+  }
+  const proposal = await getProposal(id);
+  if (proposal.status !== 'pending') {
+    throw new ServiceError(`Ontology change proposal ${id} has already been ${proposal.status}`, 409, null, 'PROPOSAL_ALREADY_REVIEWED');
+  }
+  const reviewData = { reviewedById: reviewerId, reviewedAt: new Date(), reviewNote: note || null };
+
+  if (decision === 'reject') {
+    const rejected = await ontologyRepository.updateProposal(id, { ...reviewData, status: 'rejected' }, { status: 'pending' });
+    if (!rejected) {
+      throw new ServiceError(`Ontology change proposal ${id} has already been reviewed`, 409, null, 'PROPOSAL_ALREADY_REVIEWED');
+    }
+    logger.info(`[OntologyService] Proposal ${id} rejected by ${reviewerId}.`);
+    return { proposal: rejected };
+  }
+
+  const result = await approveProposal(proposal, reviewData);
+  invalidateOntologyCache();
+  logger.info(`[OntologyService] Proposal ${id} approved by ${reviewerId}; ontology "${result.ontologyVersion.name}" (${result.ontologyVersion.id}) is now active.`);
+  return result;
+}
+
+module.exports = {
+  getActiveOntology,
+  invalidateOntologyCache,
+  canonicalTypeName,
+  proposeChange,
+  listProposals,
+  getProposal,
+  reviewProposal,
+};
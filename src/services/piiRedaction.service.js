@@ -0,0 +1,164 @@
+// src/services/piiRedaction.service.js
+// Finds personal data in RawData content and redacts, masks or tags it before chunking and embedding.
+
+const aiService = require('./ai.service');
+const { parseJsonResponse } = require('../utils/aiHelper');
+const { detectPiiWithPatterns } = require('../utils/piiPatterns');
+const logger = require('../utils/logger').childLogger('PiiRedactionService');
+const aiConfig = require('../../config/ai.config');
+const memoryConfig = require('../../config/memory.config');
+
+const NUMERIC_TYPES = ['phone', 'national_id', 'credit_card'];
+const SECRET_TYPES = ['password', 'secret'];
+
+/**
+ * Asks the model for PII in a text and locates every occurrence of the values it reports.
+ * @param {string} text
+ * @param {string[]} types - PII types to look for.
+ * @returns {Promise<Array<{type: string, start: number, end: number, detector: 'model'}>>} Empty on failure.
+ */
+async function detectPiiWithModel(text, types) {
+  try {
+    const prompt = aiConfig.piiDetectionPrompt
+      .replace('{TYPES}', types.join(', '))
+      .replace('{CONTENT}', () => text);
+    const parsed = parseJsonResponse(await aiService.getCompletion(prompt));
+    const entities = Array.isArray(parsed?.entities) ? parsed.entities : [];
+
+    const spans = [];
+    for (const entity of entities) {
+      if (!types.includes(entity?.type) || typeof entity.text !== 'string' || !entity.text.trim()) continue;
+      const value = entity.text.trim();
+      for (let start = text.indexOf(value); start !== -1; start = text.indexOf(value, start + value.length)) {
+        spans.push({ type: entity.type, start, end: start + value.length, detector: 'model' });
+      }
+    }
+    return spans;
+  } catch (error) {
+    logger.warn(`[PiiRedactionService] Model-based PII detection failed, using the other detectors only: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Drops overlapping spans, keeping the earliest (and, on equal starts, the longest) one.
+ * @param {Array<{start: number, end: number}>} spans
+ * @returns {Array<object>} Non-overlapping spans in text order.
+ */
+function resolveOverlaps(spans) {
+  const sorted = [...spans].sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const kept = [];
+  for (const span of sorted) {
+    if (kept.length === 0 || span.start >= kept[kept.length - 1].end) kept.push(span);
+  }
+  return kept;
+}
+
+/**
+ * Replacement text for a span.
+ * @param {string} type - PII type.
+ * @param {string} value - Original text of the span.
+ * @param {'redact'|'mask'} mode
+ * @returns {string}
+ */
+function replacementFor(type, value, mode) {
+  if (mode === 'redact') return `[${type.toUpperCase()}]`;
+
+  if (SECRET_TYPES.includes(type)) return '********'; // Not even the length
+  if (type === 'email') {
+    const [local, domain] = value.split('@');
+    return `${local[0]}***@${domain}`;
+  }
+  if (NUMERIC_TYPES.includes(type)) {
+    // Keep the last 4 digits and the separators
+    let digitsLeft = 4;
+    return value.split('').reverse().map((char) => {
+      if (!/\d/.test(char)) return char;
+      digitsLeft -= 1;
+      return digitsLeft >= 0 ? char : '*';
+    }).reverse().join('');
+  }
+  return '*'.repeat(Math.min(value.length, 8));
+}
+
+/**
+ * Maps an offset between the original and the redacted text.
+ * An offset inside a replaced span maps to the start of the other side's span (`edge` 'start') or its end ('end').
+ * @param {number} offset
+ * @param {Array<object>} redactions - Redactions in text order (from redactContent).
+ * @param {'original'|'redacted'} from - Text the offset refers to.
+ * @param {'start'|'end'} [edge='start']
+ * @returns {number}
+ */
+function mapOffset(offset, redactions, from, edge = 'start') {
+  const source = from === 'original' ? ['start', 'end'] : ['redactedStart', 'redactedEnd'];
+  const target = from === 'original' ? ['redactedStart', 'redactedEnd'] : ['start', 'end'];
+  let shift = 0;
+  for (const redaction of redactions) {
+    if (offset <= redaction[source[0]]) break;
+    if (offset < redaction[source[1]]) return edge === 'start' ? redaction[target[0]] : redaction[target[1]];
+    shift = redaction[target[1]] - redaction[source[1]];
+  }
+  return offset + shift;
+}
+
+/**
+ * Detects PII in a text and applies the configured mode.
+ * @param {string} text
+ * @param {object} [options] - Overrides of memoryConfig.piiRedaction (mode, detectors, types).
+ * @returns {Promise<{text: string, mode: string, redactions: Array<{type: string, detector: string, start: number, end: number, redactedStart: number, redactedEnd: number}>}>}
+ *          The text to chunk and embed (unchanged in 'tag' mode), and each span's offsets in the original and in that text.
+ */
+async function redactContent(text, options = {}) {
+  const { mode, detectors, types } = { ...memoryConfig.piiRedaction, ...options };
+  if (!text) return { text, mode, redactions: [] };
+
+  const spans = [
+    ...(detectors.includes('regex') ? detectPiiWithPatterns(text, types) : []),
+    ...(detectors.includes('model') ? await detectPiiWithModel(text, types) : []),
+  ];
+
+  const redactions = [];
+  let redactedText = '';
+  let cursor = 0;
+  for (const span of resolveOverlaps(spans)) {
+    redactedText += text.slice(cursor, span.start);
+    const replacement = mode === 'tag' ? text.slice(span.start, span.end) : replacementFor(span.type, text.slice(span.start, span.end), mode);
+    redactions.push({
+      type: span.type,
+      detector: span.detector,
+      start: span.start,
+      end: span.end,
+      redactedStart: redactedText.length,
+      redactedEnd: redactedText.length + replacement.length,
+    });
+    redactedText += replacement;
+    cursor = span.end;
+  }
+  redactedText += text.slice(cursor);
+
+  if (redactions.length > 0) {
+    const counts = redactions.reduce((all, r) => ({ ...all, [r.type]: (all[r.type] || 0) + 1 }), {});
+    logger.info(`[PiiRedactionService] Found ${redactions.length} PII spans (${mode}): ${JSON.stringify(counts)}`);
+  }
+  return { text: redactedText, mode, redactions };
+}
+
+/**
+ * PII types of the redactions overlapping a range of the redacted text.
+ * @param {{startOffset: number, endOffset: number}} range
+ * @param {Array<object>} redactions
+ * @returns {string[]}
+ */
+function piiTypesInRange(range, redactions) {
+  const types = redactions
+    .filter(r => r.redactedStart < range.endOffset && r.redactedEnd > range.startOffset)
+    .map(r => r.type);
+  return Array.from(new Set(types));
+}
+
+module.exports = {
+  redactContent,
+  mapOffset,
+  piiTypesInRange,
+};
@@ -0,0 +1,90 @@
+// src/services/queryRewriter.service.js
+// Turns the latest chat message into standalone retrieval queries using the recent session history.
+
+const rawDataRepository = require('../repositories/rawData.repository');
+const aiService = require('./ai.service');
+const { parseJsonResponse } = require('../utils/aiHelper');
+const logger = require('../utils/logger').childLogger('QueryRewriter');
+const aiConfig = require('../../config/ai.config');
+const memoryConfig = require('../../config/memory.config');
+
+/**
+ * Formats session history records as "User: ..." / "Dot: ..." lines for the rewrite prompt.
+ * @param {Array<object>} historyRecords - RawData records, oldest first.
+ * @param {number} maxMessageLength - Characters kept per message.
+ * @returns {string}
+ */
+function formatHistory(historyRecords, maxMessageLength) {
+  return historyRecords
+    .map(record => {
+      const speaker = record.contentType === 'ai_response' ? 'Dot' : 'User';
+      const text = record.content.length > maxMessageLength
+        ? `${record.content.substring(0, maxMessageLength)}...`
+        : record.content;
+      return `${speaker}: ${text}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Rewrites a chat message into a standalone search query (plus optional alternative queries).
+ * Falls back to the original message when rewriting is disabled, there is no history, or the model fails.
+ *
+ * @param {string} userId - ID of the user.
+ * @param {string} sessionId - ID of the chat session.
+ * @param {string} message - The latest user message.
+ * @param {object} [options]
+ * @param {Array<string>} [options.excludeRawDataIds=[]] - RawData IDs to leave out of the history (e.g. the message itself).
+ * @param {boolean} [options.multiQuery=memoryConfig.queryRewriting.multiQueryEnabled] - Also return alternative queries.
+ * @returns {Promise<{originalQuery: string, query: string, alternatives: Array<string>, rewritten: boolean}>}
+ */
+async function rewriteQuery(userId, sessionId, message, options = {}) {
+  const rewriteConfig = memoryConfig.queryRewriting;
+  const {
+    excludeRawDataIds = [],
+    multiQuery = rewriteConfig.multiQueryEnabled,
+  } = options;
+  const fallback = { originalQuery: message, query: message, alternatives: [], rewritten: false };
+
+  if (!rewriteConfig.enabled) return fallback;
+
+  try {
+    const history = await rawDataRepository.findSessionHistory(userId, sessionId, {
+      limit: rewriteConfig.historyLimit,
+      excludeIds: excludeRawDataIds,
+    });
+    // Without prior turns there is nothing to resolve; only expansion could still help
+    if (history.length === 0 && !multiQuery) return fallback;
+
+    const maxAlternatives = multiQuery ? rewriteConfig.maxAlternativeQueries : 0;
+    const historyText = history.length > 0 ? formatHistory(history, rewriteConfig.maxHistoryMessageLength) : '(no earlier messages)';
+    // User text goes in last and through replacer functions, so "$&" or "{MESSAGE}" in it is kept literally
+    const prompt = aiConfig.queryRewritePrompt
+      .replace('{MAX_ALTERNATIVES}', String(maxAlternatives))
+      .replace('{MESSAGE}', () => message)
+      .replace('{HISTORY}', () => historyText);
+
+    const responseText = await aiService.getCompletion(prompt);
+    const parsed = parseJsonResponse(responseText);
+    if (!parsed || typeof parsed.query !== 'string' || !parsed.query.trim()) {
+      logger.warn('[QueryRewriter] Rewrite returned no usable query, using original message.');
+      return fallback;
+    }
+
+    const query = parsed.query.trim();
+    const alternatives = (Array.isArray(parsed.alternatives) ? parsed.alternatives : [])
+      .filter(alt => typeof alt === 'string' && alt.trim())
+      .map(alt => alt.trim())
+      .filter((alt, i, all) => alt !== query && all.indexOf(alt) === i)
+      .slice(0, maxAlternatives);
+
+    return { originalQuery: message, query, alternatives, rewritten: query !== message };
+  } catch (error) {
+    logger.error(`[QueryRewriter] Error rewriting query, using original message: ${error.message}`);
+    return fallback;
+  }
+}
+
+module.exports = {
+  rewriteQuery,
+};
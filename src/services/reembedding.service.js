@@ -0,0 +1,255 @@
+// src/services/reembedding.service.js
+// Migrates a user's chunks, episodes, thoughts and knowledge nodes to the active embedding model.
+// Records embedded with another (or an unrecorded) model are excluded from vector comparisons until migrated.
+
+const { prisma } = require('../db/prisma');
+const logger = require('../utils/logger').childLogger('ReembeddingService');
+const aiService = require('./ai.service');
+const memoryManager = require('./memoryManager.service');
+const { getVectorStore, initializeVectorStore } = require('./vectorStore.service');
+const { storeThoughtVector } = require('./thoughtAgent');
+const { storeNodeVector, nodeEmbeddingText } = require('./entityExtractionAgent');
+const { addMemoryJob } = require('../utils/queues');
+const { getActiveEmbeddingModel, embeddingStamp, hasModelDimension } = require('../utils/embeddingModels');
+const aiConfig = require('../../config/ai.config');
+
+/**
+ * Prisma where clause for a user's records not embedded with the given model.
+ * @param {string} userId
+ * @param {string} modelName
+ * @returns {object}
+ */
+function outdatedWhere(userId, modelName) {
+  return {
+    ...(userId ? { userId } : {}),
+    OR: [{ embeddingModel: null }, { embeddingModel: { not: modelName } }],
+  };
+}
+
+/**
+ * Embeds texts with the active model and checks the result.
+ * @param {string[]} texts
+ * @param {{name: string, dimension: number}} embeddingModel
+ * @returns {Promise<Array<number[]>>}
+ */
+async function embedTexts(texts, embeddingModel) {
+  const vectors = await aiService.generateEmbeddings(texts);
+  if (!vectors || vectors.length !== texts.length || !hasModelDimension(vectors, embeddingModel)) {
+    throw new Error(`Embedding provider returned unexpected vectors for ${embeddingModel.name}`);
+  }
+  return vectors;
+}
+
+/**
+ * Mean of equally sized vectors.
+ * @param {Array<number[]>} vectors
+ * @returns {number[]}
+ */
+function meanVector(vectors) {
+  const sum = new Array(vectors[0].length).fill(0);
+  vectors.forEach(vector => vector.forEach((value, i) => { sum[i] += value; }));
+  return sum.map(value => value / vectors.length);
+}
+
+/**
+ * Re-embeds a user's outdated chunks in batches and stores the new vectors.
+ */
+async function reembedChunks(userId, embeddingModel, batchSize, stats) {
+  const vectorStore = getVectorStore();
+  const failedIds = [];
+
+  for (;;) {
+    const chunks = await prisma.chunkEmbedding.findMany({
+      // Duplicates have no vector of their own (they point to the chunk they repeat)
+      where: { ...outdatedWhere(userId, embeddingModel.name), duplicateOfId: null, id: { notIn: failedIds } },
+      include: { rawData: true },
+      orderBy: { createdAt: 'asc' },
+      take: batchSize,
+    });
+    if (chunks.length === 0) return;
+
+    let vectors;
+    try {
+      vectors = await embedTexts(chunks.map(chunk => chunk.text), embeddingModel);
+    } catch (error) {
+      logger.error(`[ReembeddingService] User ${userId}: Failed to embed ${chunks.length} chunks: ${error.message}`);
+      failedIds.push(...chunks.map(chunk => chunk.id));
+      stats.failed += chunks.length;
+      continue;
+    }
+
+    const migratedIds = [];
+    for (let i = 0; i < chunks.length; i++) {
+      const chunk = chunks[i];
+      const properties = memoryManager.buildChunkVectorProperties(chunk, chunk.rawData || {}, embeddingModel);
+      if (await vectorStore.upsert('ChunkEmbedding', chunk.id, properties, vectors[i])) {
+        migratedIds.push(chunk.id);
+      } else {
+        failedIds.push(chunk.id);
+        stats.failed += 1;
+      }
+    }
+    if (migratedIds.length > 0) {
+      await prisma.chunkEmbedding.updateMany({
+        where: { id: { in: migratedIds } },
+        data: embeddingStamp(embeddingModel),
+      });
+    }
+    stats.chunks += migratedIds.length;
+    logger.info(`[ReembeddingService] User ${userId}: Re-embedded ${stats.chunks} chunks so far.`);
+  }
+}
+
+/**
+ * Recomputes outdated episode centroids from their (already migrated) chunk vectors.
+ * Episodes without migrated chunks are embedded from their title and narrative instead.
+ */
+async function reembedEpisodes(userId, embeddingModel, stats) {
+  const vectorStore = getVectorStore();
+  const episodes = await prisma.episode.findMany({
+    where: outdatedWhere(userId, embeddingModel.name),
+    include: { chunks: { include: { chunk: { select: { id: true, embeddingModel: true } } } } },
+  });
+
+  for (const episode of episodes) {
+    try {
+      const chunkIds = episode.chunks
+        .filter(link => link.chunk.embeddingModel === embeddingModel.name)
+        .map(link => link.chunk.id);
+      const chunkVectors = (await Promise.all(chunkIds.map(id => vectorStore.fetchVector('ChunkEmbedding', id))))
+        .filter(vector => hasModelDimension([vector], embeddingModel));
+      const centroidVec = chunkVectors.length > 0
+        ? meanVector(chunkVectors)
+        : (await embedTexts([`${episode.title}: ${episode.narrative}`], embeddingModel))[0];
+
+      const updated = await prisma.episode.update({
+        where: { id: episode.id },
+        data: { centroidVec, centroidDim: centroidVec.length, embeddingModel: embeddingModel.name },
+      });
+      const stored = await vectorStore.upsert('EpisodeEmbedding', updated.id, {
+        episodeDbId: updated.id,
+        title: updated.title,
+        narrative: updated.narrative,
+        userId: updated.userId,
+        createdAt: updated.createdAt.toISOString(),
+        occurredAt: updated.occurredAt?.toISOString(),
+        embeddingModel: updated.embeddingModel,
+        subjectIds: updated.subjectIds,
+        ...(updated.valence !== null && { valence: updated.valence, arousal: updated.arousal }),
+        emotions: updated.emotions,
+      }, centroidVec);
+      if (!stored) logger.warn(`[ReembeddingService] User ${userId}: Failed to store episode ${episode.id} in the vector store.`);
+      stats.episodes += 1;
+    } catch (error) {
+      logger.error(`[ReembeddingService] User ${userId}: Failed to re-embed episode ${episode.id}: ${error.message}`);
+      stats.failed += 1;
+    }
+  }
+}
+
+/**
+ * Re-embeds outdated thoughts from their name and description (the text they were first embedded from).
+ */
+async function reembedThoughts(userId, embeddingModel, batchSize, stats) {
+  const thoughts = await prisma.thought.findMany({ where: outdatedWhere(userId, embeddingModel.name) });
+
+  for (let start = 0; start < thoughts.length; start += batchSize) {
+    const batch = thoughts.slice(start, start + batchSize);
+    try {
+      const vectors = await embedTexts(batch.map(thought => `${thought.name}: ${thought.description}`), embeddingModel);
+      for (let i = 0; i < batch.length; i++) {
+        const updated = await prisma.thought.update({
+          where: { id: batch[i].id },
+          data: { vector: vectors[i], dimension: vectors[i].length, embeddingModel: embeddingModel.name },
+        });
+        await storeThoughtVector(updated);
+        stats.thoughts += 1;
+      }
+    } catch (error) {
+      logger.error(`[ReembeddingService] User ${userId}: Failed to re-embed ${batch.length} thoughts: ${error.message}`);
+      stats.failed += batch.length;
+    }
+  }
+}
+
+/**
+ * Re-embeds outdated knowledge nodes from their name and description (used for entity resolution only).
+ */
+async function reembedNodes(userId, embeddingModel, batchSize, stats) {
+  const nodes = await prisma.knowledgeNode.findMany({ where: outdatedWhere(userId, embeddingModel.name) });
+
+  for (let start = 0; start < nodes.length; start += batchSize) {
+    const batch = nodes.slice(start, start + batchSize);
+    try {
+      const vectors = await embedTexts(batch.map(nodeEmbeddingText), embeddingModel);
+      for (let i = 0; i < batch.length; i++) {
+        const updated = await prisma.knowledgeNode.update({
+          where: { id: batch[i].id },
+          data: { embeddingModel: embeddingModel.name },
+        });
+        await storeNodeVector(updated, vectors[i]);
+        stats.nodes += 1;
+      }
+    } catch (error) {
+      logger.error(`[ReembeddingService] User ${userId}: Failed to re-embed ${batch.length} knowledge nodes: ${error.message}`);
+      stats.failed += batch.length;
+    }
+  }
+}
+
+/**
+ * Re-embeds all of a user's memories that were not produced by the active embedding model.
+ * Chunks go first so episode centroids can be rebuilt from their new vectors.
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {number} [options.batchSize=aiConfig.reembeddingBatchSize] - Texts per embedding call.
+ * @returns {Promise<{model: string, chunks: number, episodes: number, thoughts: number, nodes: number, failed: number}>}
+ */
+async function reembedUserMemories(userId, { batchSize = aiConfig.reembeddingBatchSize } = {}) {
+  if (!userId) throw new Error('reembedUserMemories requires a userId');
+  if (!await initializeVectorStore()) {
+    throw new Error('Vector store not available for re-embedding');
+  }
+
+  const embeddingModel = getActiveEmbeddingModel();
+  const stats = { model: embeddingModel.name, chunks: 0, episodes: 0, thoughts: 0, nodes: 0, failed: 0 };
+  logger.info(`[ReembeddingService] User ${userId}: Migrating memories to embedding model ${embeddingModel.name}.`);
+
+  await reembedChunks(userId, embeddingModel, batchSize, stats);
+  await reembedEpisodes(userId, embeddingModel, stats);
+  await reembedThoughts(userId, embeddingModel, batchSize, stats);
+  await reembedNodes(userId, embeddingModel, batchSize, stats);
+
+  logger.info(`[ReembeddingService] User ${userId}: Re-embedding finished.`, stats);
+  return stats;
+}
+
+/**
+ * Enqueues a re-embedding job for every user with memories from another embedding model.
+ * Run on memory worker startup, so changing aiConfig.activeEmbeddingModel migrates everyone.
+ * @returns {Promise<string[]>} IDs of the users a job was queued for.
+ */
+async function scheduleOutdatedUsers() {
+  const { name } = getActiveEmbeddingModel();
+  const where = outdatedWhere(null, name);
+  const rows = await Promise.all([
+    prisma.chunkEmbedding.findMany({ where: { ...where, duplicateOfId: null }, select: { userId: true }, distinct: ['userId'] }),
+    prisma.episode.findMany({ where, select: { userId: true }, distinct: ['userId'] }),
+    prisma.thought.findMany({ where, select: { userId: true }, distinct: ['userId'] }),
+    prisma.knowledgeNode.findMany({ where, select: { userId: true }, distinct: ['userId'] }),
+  ]);
+  const userIds = Array.from(new Set(rows.flat().map(row => row.userId)));
+
+  for (const userId of userIds) {
+    await addMemoryJob('reembedUserMemories', { userId });
+  }
+  if (userIds.length > 0) {
+    logger.info(`[ReembeddingService] Queued re-embedding to ${name} for ${userIds.length} users.`);
+  }
+  return userIds;
+}
+
+module.exports = {
+  reembedUserMemories,
+  scheduleOutdatedUsers,
+};
@@ -0,0 +1,362 @@
+// src/services/subjectProfile.service.js
+// Detects the people other than the user that a memory is about (their child, parent, partner ...), links them to
+// SubjectProfiles, and finds the profiles a retrieval query asks about.
+
+const { prisma } = require('../db/prisma');
+const subjectProfileRepository = require('../repositories/subjectProfile.repository');
+const rawDataRepository = require('../repositories/rawData.repository');
+const aiService = require('./ai.service');
+const { normalizeEntityName } = require('./entityExtractionAgent');
+const { parseJsonResponse } = require('../utils/aiHelper');
+const logger = require('../utils/logger').childLogger('SubjectProfileService');
+const aiConfig = require('../../config/ai.config');
+const memoryConfig = require('../../config/memory.config');
+
+// Words that refer to a person by their relationship to the user, per canonical relationship
+const RELATIONSHIP_TERMS = {
+  child: ['son', 'daughter', 'kid', 'child', '儿子', '女儿', '孩子', '闺女', '宝宝'],
+  parent: ['mom', 'mum', 'mother', 'dad', 'father', '妈妈', '母亲', '老妈', '爸爸', '父亲', '老爸'],
+  partner: ['wife', 'husband', 'partner', 'boyfriend', 'girlfriend', 'fiancé', 'fiancée', '老婆', '妻子', '老公', '丈夫', '男朋友', '女朋友', '对象'],
+  sibling: ['brother', 'sister', '哥哥', '姐姐', '弟弟', '妹妹'],
+  friend: ['best friend', 'friend', '好朋友', '朋友', '闺蜜'],
+  teacher: ['teacher', 'tutor', 'coach', '老师', '教练'],
+  colleague: ['colleague', 'coworker', 'boss', 'manager', '同事', '老板', '领导'],
+};
+const RELATIONSHIPS = [...Object.keys(RELATIONSHIP_TERMS), 'other'];
+// "my friend" or "my colleague" without a name could be anyone, so it is not linked to a profile
+const GENERIC_RELATIONSHIPS = new Set(['friend', 'colleague']);
+
+const TERM_RELATIONSHIP = new Map(
+  Object.entries(RELATIONSHIP_TERMS).flatMap(([relationship, terms]) => terms.map(term => [term, relationship]))
+);
+// Longest first, so "best friend" wins over "friend" and "好朋友" over "朋友"
+const LATIN_TERMS = [...TERM_RELATIONSHIP.keys()].filter(term => /^[a-zé ]+$/.test(term)).sort((a, b) => b.length - a.length);
+const CJK_TERMS = [...TERM_RELATIONSHIP.keys()].filter(term => !LATIN_TERMS.includes(term)).sort((a, b) => b.length - a.length);
+const ENGLISH_RELATION_PATTERN = new RegExp(
+  `\\b(my\\s+(?:(?:little|baby|younger|older|big|eldest|oldest|youngest)\\s+)?(${LATIN_TERMS.join('|')}))\\b(?:,?\\s+([a-z]+))?`,
+  'gi'
+);
+const CHINESE_RELATION_PATTERN = new RegExp(`我(?:的)?(?:大|小|亲)?(${CJK_TERMS.join('|')})`, 'g');
+// Capitalized words after "my daughter" that are not her name
+const NOT_NAMES = new Set(['I', 'He', 'She', 'We', 'They', 'It', 'And', 'But', 'The', 'This', 'That', 'Today', 'Yesterday', 'Tomorrow']);
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whether a name or phrase occurs in a text (whole words for Latin script, case-insensitive).
+ * @param {string} text
+ * @param {string} phrase
+ * @returns {boolean}
+ */
+function mentions(text, phrase) {
+  if (!text || !phrase) return false;
+  if (!/^[\p{Script=Latin}\d\s'’.-]+$/u.test(phrase)) return text.includes(phrase);
+  return new RegExp(`(^|[^\\p{L}\\d])${escapeRegExp(phrase)}(?=$|[^\\p{L}\\d])`, 'iu').test(text);
+}
+
+/**
+ * Canonical relationship of a relationship name or term ("daughter" -> "child").
+ * @param {string} value
+ * @returns {string|null} One of RELATIONSHIPS, or null if unknown.
+ */
+function normalizeRelationship(value) {
+  const key = normalizeEntityName(value);
+  if (!key) return null;
+  if (RELATIONSHIPS.includes(key)) return key;
+  return TERM_RELATIONSHIP.get(key) || null;
+}
+
+/**
+ * First relationship term in a phrase ("my little sister" -> "sister", "我女儿" -> "女儿").
+ * @param {string} phrase
+ * @returns {string|null}
+ */
+function relationshipTermIn(phrase) {
+  const text = normalizeEntityName(phrase);
+  return LATIN_TERMS.find(term => mentions(text, term)) || CJK_TERMS.find(term => text.includes(term)) || null;
+}
+
+/**
+ * Names and aliases of a profile that can be searched for in a text (relationship terms are matched through
+ * "my ..." phrases only, since "the teacher said" is not about the user's teacher).
+ * @param {object} profile - SubjectProfile record.
+ * @returns {string[]}
+ */
+function profileNames(profile) {
+  return [profile.name, ...(profile.aliases || [])]
+    .filter(name => name && !TERM_RELATIONSHIP.has(normalizeEntityName(name)));
+}
+
+/**
+ * Finds the people a text refers to by relationship ("my daughter Emma", "我妈妈") or by the name of a known profile.
+ * @param {string} content
+ * @param {Array<object>} [profiles=[]] - The user's SubjectProfiles.
+ * @returns {{subjects: Array<{name: string|null, relationship: string, term: string|null, mentions: string[]}>, primary: number|null}}
+ *          A text about exactly one person is taken to be mainly about them.
+ */
+function detectSubjectsWithHeuristics(content, profiles = []) {
+  const subjects = [];
+  const add = (subject) => {
+    const key = subject.name ? normalizeEntityName(subject.name) : null;
+    // The same name, or the same relationship term where one of the two has no name ("my daughter" ... "my daughter Emma")
+    const existing = subjects.find(s => (key && s.name && normalizeEntityName(s.name) === key)
+      || (s.term && s.term === subject.term && (!key || !s.name)));
+    if (!existing) {
+      subjects.push(subject);
+      return;
+    }
+    existing.name = existing.name || subject.name;
+    existing.mentions = [...new Set([...existing.mentions, ...subject.mentions])];
+  };
+
+  for (const match of content.matchAll(ENGLISH_RELATION_PATTERN)) {
+    const [, phrase, term, word] = match;
+    const name = word && /^[A-Z][a-z]+$/.test(word) && !NOT_NAMES.has(word) ? word : null;
+    add({ name, relationship: TERM_RELATIONSHIP.get(term.toLowerCase()), term: term.toLowerCase(), mentions: [phrase, ...(name ? [name] : [])] });
+  }
+  for (const match of content.matchAll(CHINESE_RELATION_PATTERN)) {
+    add({ name: null, relationship: TERM_RELATIONSHIP.get(match[1]), term: match[1], mentions: [match[0]] });
+  }
+  for (const profile of profiles) {
+    const found = profileNames(profile).filter(name => mentions(content, name));
+    if (found.length === 0) continue;
+    add({ name: profile.name || found[0], relationship: profile.relationship || 'other', term: null, mentions: found });
+  }
+
+  const linkable = subjects.filter(subject => subject.name || !GENERIC_RELATIONSHIPS.has(subject.relationship));
+  return { subjects: linkable, primary: linkable.length === 1 ? 0 : null };
+}
+
+/**
+ * Asks the model which people other than the user a text is about.
+ * @param {string} content
+ * @param {Array<object>} profiles - The user's SubjectProfiles (shown to the model so it reuses their names).
+ * @returns {Promise<object|null>} Same shape as detectSubjectsWithHeuristics, or null on failure.
+ */
+async function detectSubjectsWithModel(content, profiles) {
+  const { maxSubjectsPerRawData, maxKnownSubjectsInPrompt } = memoryConfig.subjects;
+  try {
+    const known = profiles.slice(0, maxKnownSubjectsInPrompt)
+      .map(profile => `- ${[profile.name, ...(profile.aliases || [])].filter(Boolean).join(' / ')} (${profile.relationship || 'other'})`);
+    // Names and content go through replacer functions, so a "$&" in them is kept literally
+    const prompt = aiConfig.subjectDetectionPrompt
+      .replace('{RELATIONSHIPS}', RELATIONSHIPS.join(', '))
+      .replace('{MAX_SUBJECTS}', String(maxSubjectsPerRawData))
+      .replace('{KNOWN_SUBJECTS}', () => (known.length > 0 ? known.join('\n') : '(none)'))
+      .replace('{CONTENT}', () => content);
+    const parsed = parseJsonResponse(await aiService.getCompletion(prompt));
+    if (!parsed || !Array.isArray(parsed.subjects)) throw new Error('Response has no "subjects" array');
+
+    const subjects = [];
+    let primary = null;
+    parsed.subjects.slice(0, maxSubjectsPerRawData).forEach((raw, index) => {
+      const name = typeof raw?.name === 'string' && raw.name.trim() ? raw.name.trim() : null;
+      const mention = typeof raw?.mention === 'string' && raw.mention.trim() ? raw.mention.trim() : null;
+      const term = mention ? relationshipTermIn(mention) : null;
+      const relationship = normalizeRelationship(raw?.relationship) || (term && TERM_RELATIONSHIP.get(term)) || 'other';
+      if (!name && (!term || GENERIC_RELATIONSHIPS.has(relationship))) return;
+      if (parsed.primary === index) primary = subjects.length;
+      subjects.push({ name, relationship, term, mentions: [...new Set([mention, name].filter(Boolean))] });
+    });
+    return { subjects, primary };
+  } catch (error) {
+    logger.warn(`[SubjectProfileService] Model-based subject detection failed, using the heuristic: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * The profiles a detected subject can refer to: by name or alias, else (without a name) by relationship term.
+ * @param {object} subject - Detected subject.
+ * @param {Array<object>} profiles - The user's SubjectProfiles.
+ * @returns {Array<object>} Matching profiles, most recently mentioned first.
+ */
+function matchProfiles(subject, profiles) {
+  const byRecency = (a, b) => new Date(b.lastMentionedAt || 0) - new Date(a.lastMentionedAt || 0);
+  if (subject.name) {
+    const key = normalizeEntityName(subject.name);
+    return profiles.filter(profile => profile.normalizedName === key || (profile.aliases || []).includes(key));
+  }
+  return profiles.filter(profile => subject.term && (profile.aliases || []).includes(subject.term)).sort(byRecency);
+}
+
+/**
+ * Links detected subjects to the user's profiles, creating profiles for new people and recording the mention.
+ * A named subject adopts a nameless profile with the same relationship term ("my daughter" -> "my daughter Emma").
+ * @param {string} userId
+ * @param {Array<object>} subjects - Detected subjects.
+ * @param {Array<object>} profiles - The user's SubjectProfiles (new profiles are appended).
+ * @returns {Promise<Array<object>>} One profile per subject (two subjects can resolve to the same profile).
+ */
+async function resolveSubjectProfiles(userId, subjects, profiles) {
+  const resolved = [];
+  const mentioned = new Map(); // Profiles already counted for this text
+  for (const subject of subjects) {
+    const key = subject.name ? normalizeEntityName(subject.name) : null;
+    let profile = matchProfiles(subject, profiles)[0];
+    if (!profile && key && subject.term) {
+      profile = matchProfiles({ term: subject.term }, profiles.filter(p => !p.name))[0];
+    }
+    if (profile && mentioned.has(profile.id)) {
+      resolved.push(mentioned.get(profile.id));
+      continue;
+    }
+
+    // The relationship term and other names; phrases like "my daughter" or "her teacher" are matched by their term
+    const aliases = [subject.term, ...subject.mentions.map(normalizeEntityName).filter(mention => !relationshipTermIn(mention))]
+      .filter(alias => alias && alias !== key);
+    if (!profile) {
+      profile = await subjectProfileRepository.create({
+        userId,
+        name: subject.name,
+        normalizedName: key,
+        relationship: subject.relationship,
+        aliases: [...new Set(aliases)],
+        mentionCount: 1,
+        lastMentionedAt: new Date(),
+      });
+      profiles.push(profile);
+      logger.info(`[SubjectProfileService] Created subject profile ${profile.id} (${subject.name || subject.term}, ${subject.relationship}) for user ${userId}`);
+    } else {
+      const normalizedName = profile.normalizedName || key;
+      const updated = await subjectProfileRepository.update(profile.id, {
+        name: profile.name || subject.name,
+        normalizedName,
+        relationship: profile.relationship && profile.relationship !== 'other' ? profile.relationship : subject.relationship,
+        aliases: [...new Set([...(profile.aliases || []), ...aliases])].filter(alias => alias !== normalizedName),
+        mentionCount: { increment: 1 },
+        lastMentionedAt: new Date(),
+      });
+      profiles[profiles.indexOf(profile)] = updated;
+      profile = updated;
+    }
+    mentioned.set(profile.id, profile);
+    resolved.push(profile);
+  }
+  return resolved;
+}
+
+/**
+ * Pipeline stage: detects who a RawData is about, links them to SubjectProfiles and records them in
+ * RawData.metadata.subjects (with the phrases chunks are tagged by). RawData.subjectId becomes the profile the
+ * RawData is mainly about, or stays the user (perspectiveOwnerId).
+ * @param {object} rawData - RawData record (updated in place).
+ * @param {string} content - Redacted content.
+ * @returns {Promise<Array<object>>} Subject entries stored in the metadata.
+ */
+async function tagRawDataSubjects(rawData, content) {
+  if (!memoryConfig.subjects.enabled) return [];
+
+  const profiles = await subjectProfileRepository.findByUserId(rawData.userId);
+  const detection = (memoryConfig.subjects.detector === 'model' && await detectSubjectsWithModel(content, profiles))
+    || detectSubjectsWithHeuristics(content, profiles);
+  const resolved = await resolveSubjectProfiles(rawData.userId, detection.subjects, profiles);
+
+  const subjects = [];
+  detection.subjects.forEach((subject, index) => {
+    const profile = resolved[index];
+    const existing = subjects.find(s => s.id === profile.id);
+    if (existing) {
+      existing.mentions = [...new Set([...existing.mentions, ...subject.mentions])];
+      return;
+    }
+    subjects.push({ id: profile.id, name: profile.name || null, relationship: profile.relationship || subject.relationship, mentions: subject.mentions });
+  });
+  const primaryId = detection.primary !== null && detection.primary !== undefined ? resolved[detection.primary]?.id : null;
+  const primary = subjects.find(subject => subject.id === primaryId) || null;
+  const subjectId = primary?.id || rawData.perspectiveOwnerId;
+
+  const metadata = { ...(rawData.metadata || {}), subjects };
+  await rawDataRepository.update(rawData.id, { subjectId, metadata });
+  rawData.subjectId = subjectId;
+  rawData.metadata = metadata;
+  if (subjects.length > 0) {
+    logger.info(`[SubjectProfileService] RawData ${rawData.id} mentions ${subjects.length} subject(s) (${subjects.map(s => s.name || s.relationship).join(', ')}); mainly about ${primary ? primary.id : 'the user'}`);
+  }
+  return subjects;
+}
+
+/**
+ * Subject profiles a chunk is about: those it mentions, plus the profile its RawData is mainly about.
+ * @param {string} text - Chunk text.
+ * @param {object} rawData - Source RawData (with metadata.subjects from tagRawDataSubjects).
+ * @returns {string[]} SubjectProfile IDs (never the user's own ID).
+ */
+function chunkSubjectIds(text, rawData) {
+  const subjects = rawData.metadata?.subjects || [];
+  return subjects
+    .filter(subject => subject.id === rawData.subjectId || subject.mentions.some(mention => mentions(text, mention)))
+    .map(subject => subject.id);
+}
+
+/**
+ * Subject profiles of an episode: every profile one of its chunks is about.
+ * @param {Array<object>} chunks - Chunk records.
+ * @returns {string[]}
+ */
+function episodeSubjectIds(chunks) {
+  return [...new Set(chunks.flatMap(chunk => chunk?.metadata?.subjectIds || []))];
+}
+
+/**
+ * Profiles a retrieval query asks about, by name, alias or relationship term ("my daughter" matches all of the user's
+ * daughters); a term no profile has falls back to the relationship, so "我女儿" also finds a daughter named in English.
+ * @param {string} userId
+ * @param {string} query
+ * @returns {Promise<Array<object>>} SubjectProfile records (empty if the query is not about anyone else).
+ */
+async function findSubjectsInQuery(userId, query) {
+  if (!query) return [];
+  const profiles = await subjectProfileRepository.findByUserId(userId);
+  if (profiles.length === 0) return [];
+
+  const matched = new Set();
+  detectSubjectsWithHeuristics(query, profiles).subjects.forEach(subject => {
+    let found = subject.name ? matchProfiles(subject, profiles) : [];
+    if (found.length === 0) found = matchProfiles({ term: subject.term }, profiles);
+    if (found.length === 0 && subject.term) found = profiles.filter(profile => profile.relationship === subject.relationship);
+    found.forEach(profile => matched.add(profile));
+  });
+  return [...matched];
+}
+
+/**
+ * Links the subject profiles of a RawData to the user's Person nodes in the knowledge graph (by name or alias),
+ * once entity extraction has created them. Failures are logged, not thrown.
+ * @param {object} rawData - RawData record (with metadata.subjects).
+ * @returns {Promise<number>} Number of profiles linked.
+ */
+async function linkKnowledgeNodes(rawData) {
+  const ids = (rawData.metadata?.subjects || []).map(subject => subject.id);
+  if (ids.length === 0) return 0;
+  let linked = 0;
+  try {
+    const profiles = (await subjectProfileRepository.findByIds(ids)).filter(profile => !profile.knowledgeNodeId && profile.normalizedName);
+    for (const profile of profiles) {
+      const keys = [profile.normalizedName, ...profileNames(profile).map(normalizeEntityName)];
+      const node = await prisma.knowledgeNode.findFirst({
+        where: { userId: profile.userId, type: 'Person', OR: [{ normalizedName: { in: keys } }, { aliases: { hasSome: keys } }] },
+        select: { id: true },
+      });
+      if (!node) continue;
+      await subjectProfileRepository.update(profile.id, { knowledgeNodeId: node.id });
+      linked++;
+    }
+  } catch (error) {
+    logger.error(`[SubjectProfileService] Failed to link subject profiles of rawData ${rawData.id} to knowledge nodes: ${error.message}`);
+  }
+  return linked;
+}
+
+module.exports = {
+  RELATIONSHIPS,
+  normalizeRelationship,
+  detectSubjectsWithHeuristics,
+  tagRawDataSubjects,
+  chunkSubjectIds,
+  episodeSubjectIds,
+  findSubjectsInQuery,
+  linkKnowledgeNodes,
+};
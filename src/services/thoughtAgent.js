@@ -6,10 +6,12 @@ const { PrismaClient } = require('@prisma/client');
 // const prisma = new PrismaClient();
 const { prisma } = require('../db/prisma'); // Use the singleton instance
 const logger = require('../utils/logger').childLogger('ThoughtAgent');
-const weaviateClientUtil = require('../utils/weaviateClient');
+const { getVectorStore } = require('./vectorStore.service'); // Configured vector store (Weaviate, Postgres or in-memory)
+const graphSync = require('./graphSync.service'); // Mirrors thoughts and their episodes into the graph store
 const aiService = require('./ai.service'); // For generating thoughts
 const schedule = require('node-schedule');
 const episodicConfig = require('../../config/episodic.config'); // Import episodic config
+const { getActiveEmbeddingModel, hasModelDimension } = require('../utils/embeddingModels'); // Embedding model registry
 
 // Import configuration parameters from centralized config
 const MIN_EPISODES_FOR_THOUGHT = episodicConfig.thought.minEpisodesForThought;
@@ -125,8 +127,8 @@ function findRelatedEpisodes(episodes) {
         continue;
       }
       
-      // Check for dimension match
-      if (episode.centroidDim !== otherEpisode.centroidDim) {
+      // Centroids from different embedding models are not comparable
+      if (!episode.embeddingModel || episode.embeddingModel !== otherEpisode.embeddingModel) {
         continue;
       }
       
@@ -217,14 +219,13 @@ IMPORTANCE: [score between 0 and 1]
 The response should only contain these three elements with no additional text.`;
 
     // Generate the thought using AI
-    const aiResponse = await aiService.getAiCompletion(prompt);
-    if (!aiResponse || !aiResponse.text) {
+    const responseText = await aiService.getCompletion(prompt);
+    if (!responseText) {
       logger.error('[ThoughtAgent] Failed to generate thought: empty AI response');
       return null;
     }
     
     // Parse the AI response
-    const responseText = aiResponse.text;
     const nameMatch = responseText.match(/NAME:\s*(.+?)(?:\n|$)/);
     const descriptionMatch = responseText.match(/DESCRIPTION:\s*([\s\S]+?)(?:\n*IMPORTANCE:|$)/);
     const importanceMatch = responseText.match(/IMPORTANCE:\s*([\d.]+)/);
@@ -236,7 +237,7 @@ The response should only contain these three elements with no additional text.`;
     
     const name = nameMatch[1].trim();
     const description = descriptionMatch[1].trim();
-    const importance = importanceMatch ? parseFloat(importanceMatch[1]) : 0.5;
+    let importance = importanceMatch ? parseFloat(importanceMatch[1]) : 0.5;
     
     // Validate importance
     if (isNaN(importance) || importance < 0 || importance > 1) {
@@ -252,9 +253,10 @@ The response should only contain these three elements with no additional text.`;
     
     // Generate an embedding for the thought
     const thoughtText = `${name}: ${description}`;
-    const vector = await aiService.generateEmbedding(thoughtText);
+    const embeddingModel = getActiveEmbeddingModel();
+    const [vector] = await aiService.generateEmbeddings(thoughtText);
     
-    if (!vector || vector.length === 0) {
+    if (!hasModelDimension([vector], embeddingModel)) {
       logger.error('[ThoughtAgent] Failed to generate embedding for thought');
       return null;
     }
@@ -265,6 +267,7 @@ The response should only contain these three elements with no additional text.`;
       userId,
       vector,
       dimension: vector.length,
+      embeddingModel: embeddingModel.name,
       episodeIds: episodes.map(ep => ep.id)
     };
   } catch (error) {
@@ -288,17 +291,20 @@ async function storeThought(thought, relatedEpisodes) {
         description: thought.description,
         userId: thought.userId,
         vector: thought.vector,
-        dimension: thought.dimension
+        dimension: thought.dimension,
+        embeddingModel: thought.embeddingModel
       }
     });
     
     // Connect the thought to episodes through the pivot table
+    const episodeLinks = [];
     for (const episode of relatedEpisodes) {
       // Calculate a relevance weight based on the cosine similarity between
       // the thought vector and the episode centroid vector
       let weight = 0.5; // Default weight
       
       if (episode.centroidVec && episode.centroidVec.length > 0 && 
+          episode.embeddingModel === thought.embeddingModel &&
           thought.vector.length === episode.centroidVec.length) {
         weight = calculateCosineSimilarity(thought.vector, episode.centroidVec);
       }
@@ -310,10 +316,12 @@ async function storeThought(thought, relatedEpisodes) {
           weight: weight
         }
       });
+      episodeLinks.push({ episodeId: episode.id, weight });
     }
+    await graphSync.syncThought(createdThought, episodeLinks);
     
-    // Store in Weaviate
-    await storeThoughtInWeaviate(createdThought);
+    // Store in the vector store
+    await storeThoughtVector(createdThought);
     
     return createdThought;
   } catch (error) {
@@ -323,35 +331,23 @@ async function storeThought(thought, relatedEpisodes) {
 }
 
 /**
- * Store a thought in Weaviate for retrieval
+ * Store a thought in the vector store for retrieval
  * @param {Object} thought - The thought to store
  */
-async function storeThoughtInWeaviate(thought) {
-  const client = weaviateClientUtil.getClient();
-  if (!client) {
-    logger.warn('[ThoughtAgent] Weaviate client not available, skipping thought import');
-    return;
-  }
+async function storeThoughtVector(thought) {
+  const stored = await getVectorStore().upsert('ThoughtEmbedding', thought.id, {
+    thoughtDbId: thought.id,
+    name: thought.name,
+    description: thought.description,
+    createdAt: thought.createdAt.toISOString(),
+    userId: thought.userId,
+    embeddingModel: thought.embeddingModel
+  }, thought.vector);
   
-  try {
-    // Create a Weaviate object for the thought
-    await client.data
-      .creator()
-      .withClassName('ThoughtEmbedding')
-      .withId(thought.id)
-      .withProperties({
-        thoughtDbId: thought.id,
-        name: thought.name,
-        description: thought.description,
-        createdAt: thought.createdAt.toISOString(),
-        userId: thought.userId
-      })
-      .withVector(thought.vector)
-      .do();
-    
-    logger.info(`[ThoughtAgent] Stored thought ${thought.id} in Weaviate`);
-  } catch (error) {
-    logger.error(`[ThoughtAgent] Error storing thought ${thought.id} in Weaviate:`, { error });
+  if (stored) {
+    logger.info(`[ThoughtAgent] Stored thought ${thought.id} in the vector store`);
+  } else {
+    logger.error(`[ThoughtAgent] Error storing thought ${thought.id} in the vector store`);
   }
 }
 
@@ -411,5 +407,6 @@ async function shutdown() {
 module.exports = {
   generateThoughtsForUser,
   scheduleNightlyThoughtGeneration,
+  storeThoughtVector,
   shutdown
 }; 
\ No newline at end of file
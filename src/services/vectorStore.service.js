@@ -0,0 +1,71 @@
+// src/services/vectorStore.service.js
+// Selects the configured vector store (Weaviate, Postgres or in-memory) and hands out the shared instance.
+
+const logger = require('../utils/logger').childLogger('VectorStoreService');
+const serviceConfig = require('../../config/service.config');
+const VectorStore = require('../providers/vectorStores/VectorStore');
+
+let currentStore = null;
+let initialization = null;
+
+function createStore(storeName) {
+  switch (storeName) {
+    case 'weaviate':
+      return new (require('../providers/vectorStores/WeaviateVectorStore'))();
+    case 'postgres':
+      return new (require('../providers/vectorStores/PostgresVectorStore'))();
+    case 'memory':
+      return new (require('../providers/vectorStores/InMemoryVectorStore'))();
+    default:
+      logger.warn(`Unsupported vector store specified: ${storeName}. Defaulting to weaviate.`);
+      return new (require('../providers/vectorStores/WeaviateVectorStore'))();
+  }
+}
+
+/**
+ * Returns the shared vector store, creating the configured one on first use.
+ * @returns {VectorStore}
+ */
+function getVectorStore() {
+  if (!currentStore) {
+    const storeName = serviceConfig.vectorStore.provider.toLowerCase();
+    currentStore = createStore(storeName);
+    logger.info(`Vector store selected: ${currentStore.constructor.name}`);
+  }
+  return currentStore;
+}
+
+/**
+ * Initializes the shared vector store once (connection and schema); later calls reuse the result.
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - Run the initialization again (e.g. periodic health checks).
+ * @returns {Promise<boolean>} Whether the store is available.
+ */
+function initializeVectorStore({ force = false } = {}) {
+  if (!initialization || force) {
+    initialization = getVectorStore().initialize().catch(error => {
+      logger.error(`Vector store initialization failed: ${error.message}`, { error });
+      return false;
+    });
+  }
+  return initialization;
+}
+
+function setVectorStoreInstanceForTesting(storeInstance) {
+  if (process.env.NODE_ENV !== 'test') {
+    logger.warn('Attempted to set vector store instance outside of test environment. Ignoring.');
+    return;
+  }
+  if (!(storeInstance instanceof VectorStore)) {
+    throw new Error('Provided instance does not implement VectorStore interface.');
+  }
+  logger.warn(`[TESTING] Overriding vector store with instance: ${storeInstance.constructor.name}`);
+  currentStore = storeInstance;
+  initialization = null;
+}
+
+module.exports = {
+  getVectorStore,
+  initializeVectorStore,
+  setVectorStoreInstanceForTesting,
+};
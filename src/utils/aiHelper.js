@@ -59,6 +59,28 @@ Snippets:
   }
 }
 
+/**
+ * Extracts and parses the first JSON object from an AI completion.
+ * Handles responses wrapped in markdown code fences or surrounded by extra text.
+ * @param {string} responseText - Raw completion text.
+ * @returns {object|null} Parsed object, or null if no valid JSON object was found.
+ */
+function parseJsonResponse(responseText) {
+  if (!responseText || typeof responseText !== 'string') return null;
+
+  const start = responseText.indexOf('{');
+  const end = responseText.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  try {
+    return JSON.parse(responseText.substring(start, end + 1));
+  } catch (error) {
+    logger.warn(`[AIHelper] Could not parse JSON from AI response: ${error.message}`);
+    return null;
+  }
+}
+
 module.exports = {
   generateTitleAndNarrative,
+  parseJsonResponse,
 }; 
\ No newline at end of file
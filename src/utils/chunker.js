@@ -0,0 +1,237 @@
+// src/utils/chunker.js
+// Token-aware chunking: packs whole sentences into chunks of a target token size,
+// repeats the last sentence(s) of each chunk at the start of the next, and keeps character offsets into the source.
+
+const { createHash } = require('crypto');
+const { countTokens } = require('./contextAssembler');
+
+// Sentence terminators; CJK ones end a sentence wherever they occur, Latin ones only before whitespace, CJK text or the end
+const CJK_TERMINATORS = '。！？…';
+const LATIN_TERMINATORS = '.!?';
+const CLOSING_MARKS = '"\'”’)]）」』》】';
+// Han, kana, Hangul and full-width forms
+const CJK_CHAR = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/;
+// Finer units for sentences over maxTokens: clauses (CJK or Latin punctuation), then words
+const CLAUSE_PATTERN = /[^，、；：,;:]+[，、；：,;:]*\s*/g;
+const WORD_PATTERN = /\S+\s*/g;
+
+/**
+ * Splits a text into contiguous sentence spans (together they cover the whole text).
+ * Handles Chinese, English and mixed text: "我到了。Then we left." has two sentences, "3.5" and "e.g.x" none.
+ * @param {string} text
+ * @param {number} [offset=0] - Added to every span's offsets.
+ * @returns {Array<{start: number, end: number}>}
+ */
+function sentenceSpans(text, offset = 0) {
+  const spans = [];
+  let start = 0;
+  let i = 0;
+  while (i < text.length) {
+    let end = -1;
+    if (text[i] === '\n') {
+      end = i + 1;
+    } else if (CJK_TERMINATORS.includes(text[i]) || LATIN_TERMINATORS.includes(text[i])) {
+      let j = i;
+      let isCjk = false;
+      while (j < text.length && (CJK_TERMINATORS.includes(text[j]) || LATIN_TERMINATORS.includes(text[j]))) {
+        isCjk = isCjk || CJK_TERMINATORS.includes(text[j]);
+        j += 1;
+      }
+      while (j < text.length && CLOSING_MARKS.includes(text[j])) j += 1;
+      const next = text[j];
+      if (isCjk || next === undefined || /\s/.test(next) || CJK_CHAR.test(next)) end = j;
+      else i = j - 1; // Not a sentence end (decimal point, abbreviation without a space)
+    }
+    if (end >= 0) {
+      while (end < text.length && /\s/.test(text[end])) end += 1;
+      spans.push({ start: offset + start, end: offset + end });
+      start = end;
+      i = end;
+    } else {
+      i += 1;
+    }
+  }
+  if (start < text.length) spans.push({ start: offset + start, end: offset + text.length });
+  return spans;
+}
+
+/**
+ * Splits a span into contiguous units at the start of each pattern match.
+ * @returns {Array<{start: number, end: number}>}
+ */
+function splitByPattern(content, span, pattern) {
+  const text = content.slice(span.start, span.end);
+  const starts = Array.from(text.matchAll(pattern), match => match.index);
+  if (starts.length === 0) return [span];
+  starts[0] = 0;
+  return starts.map((start, i) => ({
+    start: span.start + start,
+    end: span.start + (i + 1 < starts.length ? starts[i + 1] : text.length),
+  }));
+}
+
+/**
+ * Splits a span that is longer than `maxTokens` at clause punctuation, then at word boundaries,
+ * and finally into fixed character windows (e.g. a long Chinese clause without punctuation).
+ * @param {string} content - Full source text.
+ * @param {{start: number, end: number}} span
+ * @param {number} maxTokens
+ * @param {Array<RegExp>} [patterns] - Remaining unit patterns, coarsest first.
+ * @returns {Array<{start: number, end: number, tokens: number}>}
+ */
+function splitLongSpan(content, span, maxTokens, patterns = [CLAUSE_PATTERN, WORD_PATTERN]) {
+  const tokens = countTokens(content.slice(span.start, span.end));
+  if (patterns.length === 0) {
+    const pieces = [];
+    const windowChars = Math.max(1, Math.floor(((span.end - span.start) * maxTokens) / tokens));
+    for (let windowStart = span.start; windowStart < span.end;) {
+      let windowEnd = Math.min(span.end, windowStart + windowChars);
+      let windowTokens = countTokens(content.slice(windowStart, windowEnd));
+      // Tokens per character vary along the span, so a window can still be over the limit: shrink it until it fits
+      while (windowTokens > maxTokens && windowEnd - windowStart > 1) {
+        const fittingChars = Math.floor(((windowEnd - windowStart) * maxTokens) / windowTokens);
+        windowEnd = windowStart + Math.max(1, Math.min(windowEnd - windowStart - 1, fittingChars));
+        windowTokens = countTokens(content.slice(windowStart, windowEnd));
+      }
+      pieces.push({ start: windowStart, end: windowEnd, tokens: windowTokens });
+      windowStart = windowEnd;
+    }
+    return pieces;
+  }
+
+  const [pattern, ...finerPatterns] = patterns;
+  const units = splitByPattern(content, span, pattern);
+  if (units.length === 1) return splitLongSpan(content, span, maxTokens, finerPatterns);
+
+  const pieces = [];
+  let current = null;
+  for (const unit of units) {
+    const unitTokens = countTokens(content.slice(unit.start, unit.end));
+    if (unitTokens > maxTokens) {
+      if (current) pieces.push(current);
+      current = null;
+      pieces.push(...splitLongSpan(content, unit, maxTokens, finerPatterns));
+    } else if (current && current.tokens + unitTokens <= maxTokens) {
+      current.end = unit.end;
+      current.tokens += unitTokens;
+    } else {
+      if (current) pieces.push(current);
+      current = { ...unit, tokens: unitTokens };
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Builds a chunk from a character range, trimming surrounding whitespace (offsets follow the trim).
+ * @returns {{text: string, startOffset: number, endOffset: number, tokenCount: number}|null}
+ */
+function makeChunk(content, start, end) {
+  const raw = content.slice(start, end);
+  const text = raw.trim();
+  if (!text) return null;
+  const startOffset = start + (raw.length - raw.trimStart().length);
+  return { text, startOffset, endOffset: startOffset + text.length, tokenCount: countTokens(text) };
+}
+
+/**
+ * Splits text into chunks of about `targetTokens` tokens made of whole sentences.
+ * Each chunk after the first starts with up to `overlapSentences` sentences (at most `maxOverlapTokens`)
+ * from the end of the previous chunk, so a thought spanning a boundary keeps its context.
+ * @param {string} content - Text to chunk.
+ * @param {object} options
+ * @param {number} options.targetTokens - Preferred chunk size.
+ * @param {number} options.maxTokens - Hard limit; longer sentences are split at clauses, then words.
+ * @param {number} options.minTokens - A smaller trailing chunk is merged into the previous one if it fits.
+ * @param {number} [options.overlapSentences=0] - Sentences repeated from the previous chunk.
+ * @param {number} [options.maxOverlapTokens=Infinity] - Token cap for the repeated sentences.
+ * @param {number} [options.offset=0] - Offset of `content` within a larger source (added to all offsets).
+ * @returns {Array<{text: string, startOffset: number, endOffset: number, tokenCount: number}>}
+ *          Chunks in source order; `startOffset`/`endOffset` are character offsets into the source.
+ */
+function chunkText(content, options) {
+  const {
+    targetTokens,
+    maxTokens,
+    minTokens,
+    overlapSentences = 0,
+    maxOverlapTokens = Infinity,
+    offset = 0,
+  } = options;
+  if (!content || !content.trim()) return [];
+
+  const shift = chunk => chunk && { ...chunk, startOffset: chunk.startOffset + offset, endOffset: chunk.endOffset + offset };
+  if (countTokens(content) <= targetTokens) {
+    return [shift(makeChunk(content, 0, content.length))];
+  }
+
+  // Sentences with their token counts; over-long sentences become several pieces
+  const sentences = [];
+  for (const span of sentenceSpans(content)) {
+    const tokens = countTokens(content.slice(span.start, span.end));
+    if (tokens > maxTokens) sentences.push(...splitLongSpan(content, span, maxTokens));
+    else sentences.push({ ...span, tokens });
+  }
+
+  // Greedy packing: ranges of sentence indexes, [first, last] inclusive
+  const ranges = [];
+  let first = 0;
+  let tokens = 0;
+  let ownStart = 0; // First sentence that is not repeated from the previous chunk
+  for (let i = 0; i < sentences.length; i++) {
+    if (i > ownStart && tokens + sentences[i].tokens > targetTokens) {
+      ranges.push({ first, last: i - 1, ownStart });
+
+      // Start the next chunk with the tail of this one
+      let overlapFirst = i;
+      let overlapTokens = 0;
+      while (
+        overlapFirst - 1 > first
+        && i - (overlapFirst - 1) <= overlapSentences
+        && overlapTokens + sentences[overlapFirst - 1].tokens <= maxOverlapTokens
+        && overlapTokens + sentences[overlapFirst - 1].tokens + sentences[i].tokens <= maxTokens
+      ) {
+        overlapFirst -= 1;
+        overlapTokens += sentences[overlapFirst].tokens;
+      }
+      first = overlapFirst;
+      tokens = overlapTokens;
+      ownStart = i;
+    }
+    tokens += sentences[i].tokens;
+  }
+  ranges.push({ first, last: sentences.length - 1, ownStart });
+
+  // A small trailing chunk is folded into the previous one when that stays within maxTokens
+  if (ranges.length > 1) {
+    const tail = ranges[ranges.length - 1];
+    const previous = ranges[ranges.length - 2];
+    const sum = (from, to) => sentences.slice(from, to + 1).reduce((total, s) => total + s.tokens, 0);
+    if (sum(tail.ownStart, tail.last) < minTokens && sum(previous.first, tail.last) <= maxTokens) {
+      previous.last = tail.last;
+      ranges.pop();
+    }
+  }
+
+  return ranges
+    .map(range => shift(makeChunk(content, sentences[range.first].start, sentences[range.last].end)))
+    .filter(Boolean);
+}
+
+/**
+ * Hash of a chunk's normalized text (case, width, whitespace and punctuation ignored),
+ * so "I'm learning guitar." and "i'm learning guitar" hash the same.
+ * @param {string} text
+ * @returns {string} SHA-1 hex digest.
+ */
+function chunkContentHash(text) {
+  const normalized = (text || '').normalize('NFKC').toLowerCase().replace(/[\p{P}\p{S}\s]+/gu, '');
+  return createHash('sha1').update(normalized).digest('hex');
+}
+
+module.exports = {
+  chunkText,
+  chunkContentHash,
+  sentenceSpans,
+};
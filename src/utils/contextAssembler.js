@@ -0,0 +1,148 @@
+// src/utils/contextAssembler.js
+// Fits prompt sections (memories, history, document context) into token budgets.
+// Token counts use gpt-tokenizer, which only approximates the chat model's own tokenizer.
+
+const { encode, decode } = require('gpt-tokenizer');
+
+const MEMORY_SEPARATOR = '\n\n---\n\n';
+const SENTENCE_PATTERN = /[^.!?。！？\n]+[.!?。！？]*\s*/g;
+
+/**
+ * Counts tokens in a text.
+ * @param {string} text
+ * @returns {number}
+ */
+function countTokens(text) {
+  return text ? encode(text).length : 0;
+}
+
+/**
+ * Cuts a text down to at most `maxTokens` tokens, marking the cut with an ellipsis.
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string}
+ */
+function truncateToTokens(text, maxTokens) {
+  if (!text) return '';
+  const tokens = encode(text);
+  if (tokens.length <= maxTokens) return text;
+  return `${decode(tokens.slice(0, Math.max(0, maxTokens - 1))).trimEnd()}…`;
+}
+
+/**
+ * Extractive summary: keeps whole leading sentences while they fit into `maxTokens`,
+ * falling back to a hard cut when even the first sentence is too long.
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string}
+ */
+function summarizeToTokens(text, maxTokens) {
+  if (!text || countTokens(text) <= maxTokens) return text || '';
+
+  let summary = '';
+  for (const sentence of text.match(SENTENCE_PATTERN) || []) {
+    if (countTokens(summary + sentence) > maxTokens) break;
+    summary += sentence;
+  }
+  return summary ? `${summary.trim()} …` : truncateToTokens(text, maxTokens);
+}
+
+/**
+ * Renders a single memory for the context block.
+ * @param {object} memory - Retrieved memory (episode, thought or chunk).
+ * @param {number} index - Position in the block (0-based).
+ * @param {number|null} maxContentTokens - Summarize the memory body to this many tokens (null = full text).
+ * @returns {string}
+ */
+function formatMemory(memory, index, maxContentTokens = null) {
+  const shorten = text => (maxContentTokens ? summarizeToTokens(text, maxContentTokens) : text);
+  const relevance = memory.similarity ? `(Relevance: ${(memory.similarity * 100).toFixed(1)}%)` : '';
+
+  if (memory.type === 'episode') {
+    return `[Episode Memory ${index + 1}] ${memory.title || 'Untitled Episode'} ${relevance}\nNarrative: ${shorten(memory.narrative || memory.content || 'No content available')}`;
+  }
+  if (memory.type === 'thought') {
+    const basedOn = !maxContentTokens && memory.linkedEpisodes?.length
+      ? `\nBased on: ${memory.linkedEpisodes.map(e => e.title).join('; ')}`
+      : '';
+    return `[Thought Memory ${index + 1}] ${memory.name}: ${shorten(memory.content)} ${relevance}${basedOn}`;
+  }
+  if (memory.type === 'chunk') return `[Chunk Memory ${index + 1}] ${relevance}\n${shorten(memory.text)}`;
+  return `[Memory ${index + 1}] ${shorten(memory.content || memory.text || 'N/A')} ${relevance}`;
+}
+
+/**
+ * Builds the memory context block within a token budget.
+ * Memories are taken in rank order: the first `fullDetailCount` in full, the rest summarized to
+ * `summaryTokens`. A memory that does not fit is summarized (if it was full) or dropped.
+ *
+ * @param {Array<object>} memories - Ranked memories, best first.
+ * @param {object} options
+ * @param {string} options.header - Instructions placed above the memories.
+ * @param {number} options.budget - Max tokens for the whole block (header included).
+ * @param {number} [options.fullDetailCount=3] - How many top memories may be included in full.
+ * @param {number} [options.summaryTokens=80] - Body size of summarized memories.
+ * @returns {{block: string, tokens: number, full: number, summarized: number, dropped: number}}
+ */
+function assembleMemoryContext(memories, options) {
+  const { header, budget, fullDetailCount = 3, summaryTokens = 80 } = options;
+  const stats = { full: 0, summarized: 0, dropped: 0 };
+  if (!memories || memories.length === 0) return { block: '', tokens: 0, ...stats };
+
+  const parts = [];
+  let usedTokens = countTokens(header);
+
+  memories.forEach((memory, i) => {
+    const index = parts.length;
+    const candidates = i < fullDetailCount
+      ? [['full', formatMemory(memory, index)], ['summarized', formatMemory(memory, index, summaryTokens)]]
+      : [['summarized', formatMemory(memory, index, summaryTokens)]];
+
+    const fitting = candidates.find(([, text]) => usedTokens + countTokens(text + MEMORY_SEPARATOR) <= budget);
+    if (!fitting) {
+      stats.dropped++;
+      return;
+    }
+    const [mode, text] = fitting;
+    parts.push(text);
+    usedTokens += countTokens(text + MEMORY_SEPARATOR);
+    stats[mode]++;
+  });
+
+  if (parts.length === 0) return { block: '', tokens: 0, ...stats };
+  const block = header + parts.join(MEMORY_SEPARATOR);
+  return { block, tokens: countTokens(block), ...stats };
+}
+
+/**
+ * Keeps the most recent chat history entries that fit into the budget.
+ * The kept history always starts with a 'user' entry, as the chat API requires.
+ * @param {Array<{role: string, parts: Array<{text: string}>}>} history - Chronological history.
+ * @param {number} budget - Max tokens.
+ * @returns {{history: Array<object>, tokens: number, dropped: number}}
+ */
+function fitHistoryToBudget(history, budget) {
+  const kept = [];
+  let usedTokens = 0;
+
+  for (let i = history.length - 1; i >= 0; i--) {
+    const entryTokens = countTokens(history[i].parts.map(part => part.text || '').join('\n'));
+    if (usedTokens + entryTokens > budget) break;
+    kept.unshift(history[i]);
+    usedTokens += entryTokens;
+  }
+
+  while (kept.length > 0 && kept[0].role !== 'user') {
+    usedTokens -= countTokens(kept.shift().parts.map(part => part.text || '').join('\n'));
+  }
+  return { history: kept, tokens: usedTokens, dropped: history.length - kept.length };
+}
+
+module.exports = {
+  countTokens,
+  truncateToTokens,
+  summarizeToTokens,
+  formatMemory,
+  assembleMemoryContext,
+  fitHistoryToBudget,
+};
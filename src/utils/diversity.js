@@ -0,0 +1,149 @@
+// src/utils/diversity.js
+// Maximal Marginal Relevance (MMR) selection so the memory context is not crowded by near-duplicates
+
+/**
+ * Splits text into comparable features: lowercase words for alphabetic scripts, character bigrams for CJK.
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function textFeatures(text) {
+  const features = new Set();
+  if (!text) return features;
+
+  const lower = text.toLowerCase();
+  (lower.match(/[a-z0-9]+/g) || []).forEach(word => features.add(word));
+
+  const cjkRuns = lower.match(/[\u3400-\u9fff\uf900-\ufaff]+/g) || [];
+  cjkRuns.forEach(run => {
+    if (run.length === 1) features.add(run);
+    for (let i = 0; i < run.length - 1; i++) features.add(run.substring(i, i + 2));
+  });
+  return features;
+}
+
+/**
+ * Jaccard similarity of two feature sets.
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number} Similarity between 0 and 1.
+ */
+function jaccardSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let intersection = 0;
+  const [smaller, larger] = a.size < b.size ? [a, b] : [b, a];
+  smaller.forEach(feature => { if (larger.has(feature)) intersection++; });
+  return intersection / (a.size + b.size - intersection);
+}
+
+function memoryText(memory) {
+  if (memory.type === 'episode') return `${memory.title || ''} ${memory.content || ''}`;
+  if (memory.type === 'thought') return `${memory.name || ''} ${memory.content || ''}`;
+  return memory.text || memory.content || '';
+}
+
+function episodeIdsOf(memory) {
+  if (Array.isArray(memory.episodeIds)) return memory.episodeIds;
+  return memory.episodeId ? [memory.episodeId] : [];
+}
+
+/**
+ * How much of `candidate` is already covered by `selected` (0 = nothing, 1 = same memory).
+ * Combines structural overlap (episode membership) with lexical near-duplicate detection.
+ */
+function redundancy(candidate, selected, config) {
+  if (candidate.id === selected.id) return 1;
+
+  let structural = 0;
+  if (candidate.type === 'chunk' && selected.type === 'episode' && episodeIdsOf(candidate).includes(selected.id)) {
+    structural = config.episodeMembershipRedundancy;
+  } else if (candidate.type === 'episode' && selected.type === 'chunk' && episodeIdsOf(selected).includes(candidate.id)) {
+    structural = config.episodeMembershipRedundancy;
+  } else if (candidate.type === 'chunk' && selected.type === 'chunk'
+    && episodeIdsOf(candidate).some(id => episodeIdsOf(selected).includes(id))) {
+    structural = config.sameEpisodeRedundancy;
+  }
+
+  const lexical = jaccardSimilarity(candidate.features, selected.features);
+  const lexicalRedundancy = lexical >= config.nearDuplicateThreshold ? 1 : lexical;
+  return Math.max(structural, lexicalRedundancy);
+}
+
+/**
+ * Selects up to `limit` memories by Maximal Marginal Relevance:
+ * each step picks the candidate maximizing lambda * relevance - (1 - lambda) * redundancy with the already selected ones.
+ * Memories injected into recent turns of the session get their relevance reduced first.
+ *
+ * @param {Array<object>} memories - Ranked memories (finalScore, fusedScore or similarity is used as relevance).
+ * @param {object} config - memoryConfig.diversity (lambda, thresholds, penalties).
+ * @param {object} [options]
+ * @param {number} [options.limit] - Max memories to select (defaults to all).
+ * @param {Map<string, number>} [options.recentInjections] - Memory ID -> how many turns ago it was injected (1 = last turn).
+ * @param {string} [options.scoreKey] - Property to use as relevance instead of finalScore/fusedScore/similarity.
+ * @returns {Array<object>} Selected memories in selection order; each carries `mmrScore`, `redundancy` and `recentPenalty`.
+ *          Memories left out get `dropReason` ('near_duplicate' or 'limit_reached') and their final `redundancy`.
+ */
+function selectDiverseMemories(memories, config, options = {}) {
+  if (!Array.isArray(memories) || memories.length === 0) return [];
+  const { limit = memories.length, recentInjections = new Map(), scoreKey } = options;
+
+  const rawRelevance = memories.map(m => (scoreKey ? m[scoreKey] : m.finalScore ?? m.fusedScore ?? m.similarity) ?? 0);
+  const maxRelevance = Math.max(...rawRelevance, Number.EPSILON);
+
+  const candidates = memories.map((memory, i) => {
+    const turnsAgo = recentInjections.get(memory.id);
+    const recentPenalty = turnsAgo
+      ? config.recentInjectionPenalty * config.recentPenaltyDecay ** (turnsAgo - 1)
+      : 0;
+    return {
+      memory,
+      id: memory.id,
+      type: memory.type,
+      episodeId: memory.episodeId,
+      episodeIds: memory.episodeIds,
+      features: textFeatures(memoryText(memory)),
+      relevance: (rawRelevance[i] / maxRelevance) * (1 - recentPenalty),
+      recentPenalty,
+    };
+  });
+
+  const selected = [];
+  while (selected.length < limit && candidates.length > 0) {
+    let bestIndex = -1;
+    let bestScore = -Infinity;
+    let bestRedundancy = 0;
+
+    candidates.forEach((candidate, index) => {
+      const maxRedundancy = selected.reduce((max, s) => Math.max(max, redundancy(candidate, s, config)), 0);
+      // Exact or near-exact duplicates add nothing, even if there is room left
+      if (maxRedundancy >= 1) return;
+      const score = config.lambda * candidate.relevance - (1 - config.lambda) * maxRedundancy;
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+        bestRedundancy = maxRedundancy;
+      }
+    });
+
+    if (bestIndex === -1) break;
+    const [best] = candidates.splice(bestIndex, 1);
+    best.memory.mmrScore = bestScore;
+    best.memory.redundancy = bestRedundancy;
+    best.memory.recentPenalty = best.recentPenalty;
+    selected.push(best);
+  }
+
+  candidates.forEach(candidate => {
+    const maxRedundancy = selected.reduce((max, s) => Math.max(max, redundancy(candidate, s, config)), 0);
+    candidate.memory.redundancy = maxRedundancy;
+    candidate.memory.recentPenalty = candidate.recentPenalty;
+    candidate.memory.dropReason = maxRedundancy >= 1 ? 'near_duplicate' : 'limit_reached';
+  });
+
+  return selected.map(s => s.memory);
+}
+
+module.exports = {
+  selectDiverseMemories,
+  textFeatures,
+  jaccardSimilarity,
+};
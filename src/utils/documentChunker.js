@@ -0,0 +1,182 @@
+// src/utils/documentChunker.js
+// Structure-aware chunking for uploaded documents: chunks follow Markdown headings (DOCX is converted to
+// Markdown on extraction) and PDF pages, and whole blocks (paragraphs, lists, tables) are kept together.
+
+const { chunkText } = require('./chunker');
+const { countTokens } = require('./contextAssembler');
+
+const HEADING_PATTERN = /^ {0,3}(#{1,6})[ \t]+(.+?)[ \t#]*$/;
+const FENCE_PATTERN = /^ {0,3}(```|~~~)/;
+// Blocks are separated by blank lines
+const BLOCK_SEPARATOR = /\n[ \t]*\n/g;
+
+/**
+ * Splits Markdown into sections at ATX headings (ignoring headings inside fenced code blocks).
+ * Each section starts at its heading line and carries the titles of the headings it is nested under.
+ * @param {string} content
+ * @returns {Array<{start: number, end: number, sectionPath: string[]}>}
+ */
+function markdownSections(content) {
+  const sections = [];
+  const headingStack = []; // [{ level, title }]
+  let sectionStart = 0;
+  let sectionPath = [];
+  let inFence = false;
+  let lineStart = 0;
+
+  for (const line of content.split('\n')) {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+    } else if (!inFence) {
+      const heading = line.match(HEADING_PATTERN);
+      if (heading) {
+        if (lineStart > sectionStart) sections.push({ start: sectionStart, end: lineStart, sectionPath });
+        const level = heading[1].length;
+        while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= level) headingStack.pop();
+        headingStack.push({ level, title: heading[2].trim() });
+        sectionStart = lineStart;
+        sectionPath = headingStack.map(entry => entry.title);
+      }
+    }
+    lineStart += line.length + 1;
+  }
+  if (content.length > sectionStart) sections.push({ start: sectionStart, end: content.length, sectionPath });
+  return sections;
+}
+
+/**
+ * One section per PDF page, from the page offsets recorded by the file extractor.
+ * @param {string} content
+ * @param {Array<{page: number, startOffset: number, endOffset: number}>} pages
+ * @returns {Array<{start: number, end: number, sectionPath: string[], page: number}>}
+ */
+function pageSections(content, pages) {
+  return pages
+    .filter(page => page.endOffset > page.startOffset && page.startOffset < content.length)
+    .map(page => ({
+      start: page.startOffset,
+      end: Math.min(page.endOffset, content.length),
+      sectionPath: [],
+      page: page.page,
+    }));
+}
+
+/**
+ * Splits a section into blank-line separated blocks with their token counts.
+ * @returns {Array<{start: number, end: number, tokens: number}>}
+ */
+function sectionBlocks(content, section) {
+  const text = content.slice(section.start, section.end);
+  const blocks = [];
+  let blockStart = 0;
+  const pushBlock = (end) => {
+    const blockText = text.slice(blockStart, end);
+    if (blockText.trim()) {
+      blocks.push({ start: section.start + blockStart, end: section.start + end, tokens: countTokens(blockText) });
+    }
+  };
+  for (const separator of text.matchAll(BLOCK_SEPARATOR)) {
+    pushBlock(separator.index);
+    blockStart = separator.index + separator[0].length;
+  }
+  pushBlock(text.length);
+  return blocks;
+}
+
+/**
+ * Page number of a character offset.
+ * @returns {number|null}
+ */
+function pageAt(pages, offset) {
+  const page = pages.find(entry => offset >= entry.startOffset && offset < entry.endOffset);
+  return page ? page.page : null;
+}
+
+/**
+ * Chunks a section: whole blocks are packed up to `targetTokens`; a block over `maxTokens`
+ * (e.g. a very long paragraph) is split by sentences with `chunkText`.
+ */
+function chunkSection(content, section, options) {
+  const chunks = [];
+  let current = null;
+  const flush = () => {
+    if (!current) return;
+    const raw = content.slice(current.start, current.end);
+    const text = raw.trim();
+    const startOffset = current.start + (raw.length - raw.trimStart().length);
+    chunks.push({ text, startOffset, endOffset: startOffset + text.length, tokenCount: countTokens(text) });
+    current = null;
+  };
+
+  for (const block of sectionBlocks(content, section)) {
+    if (block.tokens > options.maxTokens) {
+      flush();
+      chunks.push(...chunkText(content.slice(block.start, block.end), { ...options, offset: block.start }));
+    } else if (current && current.tokens + block.tokens <= options.targetTokens) {
+      current.end = block.end;
+      current.tokens += block.tokens;
+    } else {
+      flush();
+      current = { ...block };
+    }
+  }
+  flush();
+  return chunks;
+}
+
+/**
+ * Splits a document into chunks that never cross a heading or page boundary. Sections smaller than
+ * `minTokens` (e.g. a heading directly followed by a subheading) are merged into the next section.
+ * @param {string} content - Document text (Markdown for .md and .docx uploads).
+ * @param {object} options - Size options of `chunkText` (targetTokens, maxTokens, minTokens, overlapSentences, maxOverlapTokens).
+ * @param {string} [options.format='markdown'] - 'markdown', 'pdf' or 'text'.
+ * @param {Array<{page: number, startOffset: number, endOffset: number}>} [options.pages] - Page offsets of a PDF.
+ * @returns {Array<{text: string, startOffset: number, endOffset: number, tokenCount: number, sectionPath: string[], page?: number, pageEnd?: number}>}
+ */
+function chunkDocument(content, options) {
+  const { format = 'markdown', pages = [], ...sizeOptions } = options;
+  if (!content || !content.trim()) return [];
+
+  let sections;
+  if (format === 'pdf' && pages.length > 0) {
+    sections = pageSections(content, pages);
+  } else if (format === 'markdown') {
+    sections = markdownSections(content);
+  } else {
+    sections = [{ start: 0, end: content.length, sectionPath: [] }];
+  }
+
+  // Fold small sections into the following one
+  const merged = [];
+  let pendingStart = null;
+  sections.forEach((section, i) => {
+    const start = pendingStart ?? section.start;
+    const isLast = i === sections.length - 1;
+    if (!isLast && countTokens(content.slice(start, section.end)) < sizeOptions.minTokens) {
+      pendingStart = start;
+      return;
+    }
+    merged.push({ ...section, start });
+    pendingStart = null;
+  });
+
+  const chunks = [];
+  for (const section of merged) {
+    for (const chunk of chunkSection(content, section, sizeOptions)) {
+      const located = { ...chunk, sectionPath: section.sectionPath };
+      if (pages.length > 0) {
+        const page = pageAt(pages, chunk.startOffset);
+        const pageEnd = pageAt(pages, Math.max(chunk.startOffset, chunk.endOffset - 1));
+        if (page !== null) located.page = page;
+        if (pageEnd !== null && pageEnd !== page) located.pageEnd = pageEnd;
+      }
+      chunks.push(located);
+    }
+  }
+  return chunks;
+}
+
+module.exports = {
+  chunkDocument,
+  markdownSections,
+};
@@ -0,0 +1,105 @@
+// src/utils/embeddingModels.js
+// Embedding model registry: which model produced a vector, its dimension, and whether two vectors may be compared.
+// Vectors from different models live in different spaces, so comparing them (or padding one to the
+// other's dimension) gives meaningless similarities; every comparison goes through these helpers instead.
+
+const cosine = require('compute-cosine-similarity');
+const aiConfig = require('../../config/ai.config');
+
+/**
+ * Thrown when vectors of different (or unknown) embedding models are compared.
+ */
+class EmbeddingModelMismatchError extends Error {
+  constructor(modelA, modelB) {
+    super(`Cannot compare embeddings of model "${modelA || 'unknown'}" with "${modelB || 'unknown'}"`);
+    this.name = 'EmbeddingModelMismatchError';
+    this.modelA = modelA;
+    this.modelB = modelB;
+  }
+}
+
+/**
+ * Looks up a registered embedding model.
+ * @param {string} name - Model name (key of aiConfig.embeddingModels).
+ * @returns {{name: string, provider: string, dimension: number}|null}
+ */
+function getEmbeddingModel(name) {
+  const entry = name ? aiConfig.embeddingModels[name] : null;
+  return entry ? { name, ...entry } : null;
+}
+
+/**
+ * The model all new vectors are produced with (aiConfig.activeEmbeddingModel).
+ * @returns {{name: string, provider: string, dimension: number}}
+ */
+function getActiveEmbeddingModel() {
+  const model = getEmbeddingModel(aiConfig.activeEmbeddingModel);
+  if (!model) {
+    throw new Error(`Active embedding model "${aiConfig.activeEmbeddingModel}" is not registered in aiConfig.embeddingModels`);
+  }
+  return model;
+}
+
+/**
+ * Fields recording which model produced a record's vector (ChunkEmbedding, Thought).
+ * @param {object} [model=getActiveEmbeddingModel()]
+ * @returns {{embeddingModel: string, embeddingDim: number}}
+ */
+function embeddingStamp(model = getActiveEmbeddingModel()) {
+  return { embeddingModel: model.name, embeddingDim: model.dimension };
+}
+
+/**
+ * Where filter restricting a vector store search to one model's vectors.
+ * @param {string} [modelName=active model]
+ * @returns {object}
+ */
+function embeddingModelFilter(modelName = getActiveEmbeddingModel().name) {
+  return { operator: 'Equal', path: ['embeddingModel'], valueText: modelName };
+}
+
+/**
+ * Throws unless both vectors come from the same known model.
+ * @param {string|null} modelA
+ * @param {string|null} modelB
+ */
+function assertSameEmbeddingModel(modelA, modelB) {
+  if (!modelA || !modelB || modelA !== modelB) {
+    throw new EmbeddingModelMismatchError(modelA, modelB);
+  }
+}
+
+/**
+ * Cosine similarity of two embeddings, refusing cross-model comparisons.
+ * @param {{vector: number[], model: string}} a
+ * @param {{vector: number[], model: string}} b
+ * @returns {number} Cosine similarity (-1 to 1).
+ */
+function compareEmbeddings(a, b) {
+  assertSameEmbeddingModel(a.model, b.model);
+  if (!Array.isArray(a.vector) || !Array.isArray(b.vector) || a.vector.length !== b.vector.length) {
+    throw new EmbeddingModelMismatchError(`${a.model} (${a.vector?.length}d)`, `${b.model} (${b.vector?.length}d)`);
+  }
+  return cosine(a.vector, b.vector);
+}
+
+/**
+ * Checks that vectors produced by a model have the dimension registered for it.
+ * @param {Array<number[]>} vectors
+ * @param {{name: string, dimension: number}} model
+ * @returns {boolean}
+ */
+function hasModelDimension(vectors, model) {
+  return Array.isArray(vectors) && vectors.every(vector => Array.isArray(vector) && vector.length === model.dimension);
+}
+
+module.exports = {
+  EmbeddingModelMismatchError,
+  getEmbeddingModel,
+  getActiveEmbeddingModel,
+  embeddingStamp,
+  embeddingModelFilter,
+  assertSameEmbeddingModel,
+  compareEmbeddings,
+  hasModelDimension,
+};
@@ -0,0 +1,177 @@
+// src/utils/emotionAnalysis.js
+// Emotion labels with their typical valence/arousal, a keyword lexicon (English and Chinese) used when the model is
+// unavailable, validation of the model's emotion tags, and aggregation of chunk tags onto episodes and time periods.
+
+const { parseJsonResponse } = require('./aiHelper');
+
+/**
+ * Discrete emotions a memory can be tagged with, and where each typically sits on the
+ * valence (-1 negative .. 1 positive) and arousal (0 calm .. 1 intense) axes.
+ */
+const EMOTIONS = {
+  joy: { valence: 0.8, arousal: 0.6 },
+  love: { valence: 0.8, arousal: 0.5 },
+  gratitude: { valence: 0.7, arousal: 0.3 },
+  pride: { valence: 0.7, arousal: 0.6 },
+  hope: { valence: 0.5, arousal: 0.4 },
+  calm: { valence: 0.4, arousal: 0.1 },
+  surprise: { valence: 0.1, arousal: 0.8 },
+  sadness: { valence: -0.7, arousal: 0.3 },
+  loneliness: { valence: -0.6, arousal: 0.2 },
+  fear: { valence: -0.7, arousal: 0.8 },
+  anxiety: { valence: -0.6, arousal: 0.7 },
+  anger: { valence: -0.7, arousal: 0.9 },
+  frustration: { valence: -0.5, arousal: 0.6 },
+  shame: { valence: -0.6, arousal: 0.5 },
+  disgust: { valence: -0.6, arousal: 0.5 },
+};
+const EMOTION_NAMES = Object.keys(EMOTIONS);
+
+// Arousal of text that expresses no emotion
+const NEUTRAL_AROUSAL = 0.2;
+
+// Keywords are whole words or phrases: a single CJK character (爱, 烦, 哭) also occurs inside unrelated words
+// (可爱 "cute", 麻烦 "trouble"), and words like "alone" or "stuck" are mostly neutral on their own
+const EMOTION_LEXICON = {
+  joy: ['happy', 'glad', 'joy', 'excited', 'delighted', 'fun', 'great day', 'wonderful', '开心', '高兴', '快乐', '兴奋', '太好了'],
+  love: ['love', 'adore', 'miss her', 'miss him', '爱你', '爱他', '爱她', '喜欢', '想念'],
+  gratitude: ['grateful', 'thankful', 'thanks to', 'appreciate', '感谢', '感激', '谢谢'],
+  pride: ['proud', 'accomplished', 'achievement', '骄傲', '自豪', '成就感'],
+  hope: ['hope', 'hopeful', 'looking forward', 'optimistic', '希望', '期待', '盼望'],
+  calm: ['calm', 'relaxed', 'peaceful', 'at ease', '平静', '放松', '安心', '踏实'],
+  surprise: ['surprised', 'shocked', 'unexpected', 'amazed', '惊讶', '意外', '没想到', '震惊', '吓一跳'],
+  sadness: ['sad', 'unhappy', 'depressed', 'cried', 'crying', 'heartbroken', 'upset', '难过', '伤心', '不开心', '哭了', '大哭', '想哭', '沮丧', '失落'],
+  loneliness: ['lonely', 'all alone', 'felt alone', 'feel alone', 'isolated', 'left out', '孤独', '寂寞', '孤单'],
+  fear: ['afraid', 'scared', 'terrified', 'frightened', '害怕', '恐惧', '吓死', '吓坏'],
+  anxiety: ['anxious', 'worried', 'nervous', 'stressed', 'overwhelmed', 'panic', '焦虑', '担心', '紧张', '压力', '不安'],
+  anger: ['angry', 'furious', 'mad at', 'pissed', 'rage', '生气', '愤怒', '气死', '恼火'],
+  frustration: ['frustrated', 'annoyed', 'irritated', 'fed up', 'feel stuck', 'felt stuck', '烦死', '烦躁', '心烦', '郁闷', '无奈', '崩溃'],
+  shame: ['ashamed', 'embarrassed', 'guilty', 'humiliated', '羞愧', '尴尬', '丢脸', '内疚'],
+  disgust: ['disgusted', 'gross', 'revolting', '恶心', '讨厌', '反感'],
+};
+
+// A keyword right after one of these does not count ("not happy", "没开心")
+const ENGLISH_NEGATION = /\b(not|never|no|isn't|wasn't|don't|didn't|hardly)\s+(?:\w+\s+)?$/i;
+const CHINESE_NEGATION = /[不没别]$/;
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function keywordHits(text, keyword) {
+  let hits = 0;
+  if (/^[a-z' ]+$/.test(keyword)) {
+    const pattern = new RegExp(`\\b${keyword}\\b`, 'gi');
+    for (const match of text.matchAll(pattern)) {
+      if (!ENGLISH_NEGATION.test(text.slice(Math.max(0, match.index - 20), match.index))) hits++;
+    }
+    return hits;
+  }
+  for (let start = text.indexOf(keyword); start !== -1; start = text.indexOf(keyword, start + keyword.length)) {
+    if (!CHINESE_NEGATION.test(text.slice(Math.max(0, start - 1), start))) hits++;
+  }
+  return hits;
+}
+
+/**
+ * Tags a text by keyword matching: the emotions with the most hits, and valence/arousal averaged over all hits.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {number} [options.maxEmotions=3] - Max emotions returned.
+ * @returns {{valence: number, arousal: number, emotions: string[]}} Neutral (valence 0) if no keyword matches.
+ */
+function detectEmotionsWithLexicon(text, { maxEmotions = 3 } = {}) {
+  const counts = EMOTION_NAMES
+    .map(emotion => ({ emotion, hits: EMOTION_LEXICON[emotion].reduce((sum, keyword) => sum + keywordHits(text || '', keyword), 0) }))
+    .filter(({ hits }) => hits > 0)
+    .sort((a, b) => b.hits - a.hits);
+  if (counts.length === 0) return { valence: 0, arousal: NEUTRAL_AROUSAL, emotions: [] };
+
+  const totalHits = counts.reduce((sum, { hits }) => sum + hits, 0);
+  const average = axis => round(counts.reduce((sum, { emotion, hits }) => sum + EMOTIONS[emotion][axis] * hits, 0) / totalHits);
+  return {
+    valence: average('valence'),
+    arousal: average('arousal'),
+    emotions: counts.slice(0, maxEmotions).map(({ emotion }) => emotion),
+  };
+}
+
+/**
+ * Parses and validates the model's emotion tags for a batch of passages.
+ * Valence must be a number in [-1, 1] and arousal in [0, 1] (numeric strings are accepted); unknown emotion
+ * labels are dropped.
+ * @param {string} completion - Raw model output, expected to contain {"passages": [{index, valence, arousal, emotions}]}.
+ * @param {number} count - Number of passages in the batch.
+ * @param {object} [options]
+ * @param {number} [options.maxEmotions=3] - Max emotions kept per passage.
+ * @returns {Array<{valence: number, arousal: number, emotions: string[]}>} One entry per passage, in order.
+ * @throws {Error} If the completion is not valid JSON, or a passage is missing or out of range.
+ */
+function parseEmotionTags(completion, count, { maxEmotions = 3 } = {}) {
+  const parsed = parseJsonResponse(completion);
+  if (!parsed || !Array.isArray(parsed.passages)) {
+    throw new Error('Emotion tags are not a JSON object with a "passages" array');
+  }
+
+  const tags = new Array(count).fill(null);
+  parsed.passages.forEach((entry, position) => {
+    const index = Number.isInteger(entry?.index) ? entry.index : position;
+    if (index < 0 || index >= count) return;
+    const valence = typeof entry.valence === 'string' ? parseFloat(entry.valence) : entry.valence;
+    const arousal = typeof entry.arousal === 'string' ? parseFloat(entry.arousal) : entry.arousal;
+    if (typeof valence !== 'number' || Number.isNaN(valence) || valence < -1 || valence > 1) {
+      throw new Error(`Emotion tags of passage ${index} have an invalid valence: ${JSON.stringify(entry.valence)}`);
+    }
+    if (typeof arousal !== 'number' || Number.isNaN(arousal) || arousal < 0 || arousal > 1) {
+      throw new Error(`Emotion tags of passage ${index} have an invalid arousal: ${JSON.stringify(entry.arousal)}`);
+    }
+    const emotions = (Array.isArray(entry.emotions) ? entry.emotions : [])
+      .map(emotion => String(emotion).trim().toLowerCase())
+      .filter(emotion => EMOTIONS[emotion]);
+    tags[index] = { valence: round(valence), arousal: round(arousal), emotions: [...new Set(emotions)].slice(0, maxEmotions) };
+  });
+
+  const missing = tags.findIndex(tag => tag === null);
+  if (missing !== -1) throw new Error(`Emotion tags are missing passage ${missing}`);
+  return tags;
+}
+
+/**
+ * Combines the tags of several memories (e.g. an episode's chunks, or one day of chunks).
+ * Untagged memories (valence null) are ignored.
+ * @param {Array<{valence: number|null, arousal: number|null, emotions?: string[], weight?: number}>} tags - `weight` defaults to 1.
+ * @param {object} [options]
+ * @param {number} [options.maxEmotions=3] - Max emotions in `emotions`.
+ * @returns {{count: number, valence: number|null, arousal: number|null, emotions: string[], emotionCounts: object}}
+ *          Weighted mean valence and arousal, the most frequent emotions, and how often each emotion occurs.
+ */
+function aggregateEmotions(tags, { maxEmotions = 3 } = {}) {
+  const tagged = (tags || []).filter(tag => tag && tag.valence !== null && tag.valence !== undefined);
+  const emotionCounts = {};
+  tagged.forEach(tag => (tag.emotions || []).forEach(emotion => {
+    emotionCounts[emotion] = (emotionCounts[emotion] || 0) + 1;
+  }));
+  if (tagged.length === 0) return { count: 0, valence: null, arousal: null, emotions: [], emotionCounts };
+
+  const totalWeight = tagged.reduce((sum, tag) => sum + (tag.weight ?? 1), 0) || tagged.length;
+  const mean = axis => round(clamp(tagged.reduce((sum, tag) => sum + (tag[axis] ?? 0) * (tag.weight ?? 1), 0) / totalWeight, axis === 'valence' ? -1 : 0, 1));
+  return {
+    count: tagged.length,
+    valence: mean('valence'),
+    arousal: mean('arousal'),
+    emotions: Object.entries(emotionCounts).sort((a, b) => b[1] - a[1]).slice(0, maxEmotions).map(([emotion]) => emotion),
+    emotionCounts,
+  };
+}
+
+module.exports = {
+  EMOTIONS,
+  EMOTION_NAMES,
+  detectEmotionsWithLexicon,
+  parseEmotionTags,
+  aggregateEmotions,
+};
@@ -8,15 +8,116 @@ const mammoth = require('mammoth');
 const logger = require('./logger').childLogger('FileExtractor');
 const aiConfig = require('../../config/ai.config'); // Needed for supported image extensions
 
+// Separator between the texts of consecutive PDF pages (as pdf-parse joins them)
+const PDF_PAGE_SEPARATOR = '\n\n';
+
+/**
+ * Extracts the text of a PDF page the way pdf-parse does (a line break wherever the baseline changes).
+ * @param {object} pageData - pdf.js page proxy.
+ * @returns {Promise<string>}
+ */
+async function renderPdfPage(pageData) {
+  const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    text += (lastY === item.transform[5] || !lastY) ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  }
+  return text;
+}
+
+/**
+ * Extracts PDF text page by page.
+ * @param {Buffer} dataBuffer
+ * @returns {Promise<{text: string, pages: Array<{page: number, startOffset: number, endOffset: number}>}>}
+ *          Page offsets are character offsets into `text` (pages are 1-based).
+ */
+async function extractPdf(dataBuffer) {
+  const pageTexts = [];
+  const pdfData = await pdf(dataBuffer, {
+    pagerender: async (pageData) => {
+      const text = await renderPdfPage(pageData);
+      pageTexts[pageData.pageIndex] = text;
+      return text;
+    },
+  });
+
+  const pages = [];
+  let text = '';
+  for (let i = 0; i < pdfData.numrender; i++) {
+    const pageText = pageTexts[i] || ''; // Pages that failed to render stay empty
+    if (i > 0) text += PDF_PAGE_SEPARATOR;
+    pages.push({ page: i + 1, startOffset: text.length, endOffset: text.length + pageText.length });
+    text += pageText;
+  }
+  return { text, pages };
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+
+/**
+ * Strips tags from an HTML fragment and decodes the entities mammoth emits.
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToInlineText(html) {
+  return html
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (match, name) => HTML_ENTITIES[name])
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Converts mammoth's HTML output to Markdown so DOCX heading styles become Markdown headings:
+ * headings, paragraphs, list items and table rows each become one block or line.
+ * @param {string} html - Output of mammoth.convertToHtml.
+ * @returns {string}
+ */
+function docxHtmlToMarkdown(html) {
+  const blocks = [];
+  let listItems = [];
+  const flushList = () => {
+    if (listItems.length > 0) blocks.push(listItems.join('\n'));
+    listItems = [];
+  };
+
+  const elementPattern = /<(h[1-6]|p|li|table)\b[^>]*>([\s\S]*?)<\/\1>/gi;
+  for (const [, tag, inner] of html.matchAll(elementPattern)) {
+    const name = tag.toLowerCase();
+    if (name === 'li') {
+      const text = htmlToInlineText(inner);
+      if (text) listItems.push(`- ${text}`);
+      continue;
+    }
+    flushList();
+    if (name === 'table') {
+      const rows = Array.from(inner.matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/gi), ([, row]) =>
+        Array.from(row.matchAll(/<t[dh]\b[^>]*>([\s\S]*?)<\/t[dh]>/gi), ([, cell]) => htmlToInlineText(cell)).join(' | '));
+      if (rows.length > 0) blocks.push(rows.map(row => `| ${row} |`).join('\n'));
+    } else {
+      const text = htmlToInlineText(inner);
+      if (!text) continue;
+      blocks.push(name === 'p' ? text : `${'#'.repeat(Number(name[1]))} ${text}`);
+    }
+  }
+  flushList();
+  return blocks.join('\n\n');
+}
+
 /**
  * Extracts text content from a file based on its extension.
  * Note: For images, it currently returns null text, indicating it's an image.
  * 
  * @param {string} filePath - The absolute path to the file.
- * @returns {Promise<{text: string|null, error: string|null, isImage: boolean}>} 
+ * @returns {Promise<{text: string|null, error: string|null, isImage: boolean, structure?: object}>} 
  *          - text: Extracted text content, or null if image or error.
  *          - error: Error message if extraction failed or type unsupported.
  *          - isImage: Boolean indicating if the file is identified as a supported image type.
+ *          - structure: How the text is organised, for document chunking:
+ *            { format: 'pdf', pages: [{ page, startOffset, endOffset }] }, { format: 'markdown' } (.md, .docx) or { format: 'text' }.
  */
 async function extractTextFromFile(filePath) {
   try {
@@ -30,6 +131,7 @@ async function extractTextFromFile(filePath) {
 
     let content = null;
     let error = null;
+    let structure = null;
 
     if (isImageFile) {
       // No text extraction for images, just identify them.
@@ -37,26 +139,29 @@ async function extractTextFromFile(filePath) {
     } else if (ext === '.pdf') {
       logger.debug(`Extracting text from PDF: ${filePath}`);
       const dataBuffer = await fs.promises.readFile(filePath);
-      const pdfData = await pdf(dataBuffer);
-      content = pdfData.text || '';
-      logger.debug(`Extracted ${content.length} characters from PDF.`);
+      const pdfData = await extractPdf(dataBuffer);
+      content = pdfData.text;
+      structure = { format: 'pdf', pages: pdfData.pages };
+      logger.debug(`Extracted ${content.length} characters from ${pdfData.pages.length} PDF pages.`);
     } else if (ext === '.docx') {
        logger.debug(`Extracting text from DOCX: ${filePath}`);
       const dataBuffer = await fs.promises.readFile(filePath);
-      // Use buffer directly with mammoth
-      const result = await mammoth.extractRawText({ buffer: dataBuffer });
-      content = result.value || '';
+      // Use buffer directly with mammoth; its HTML keeps heading styles, lists and tables
+      const result = await mammoth.convertToHtml({ buffer: dataBuffer });
+      content = docxHtmlToMarkdown(result.value || '');
+      structure = { format: 'markdown' };
        logger.debug(`Extracted ${content.length} characters from DOCX.`);
     } else if (ext === '.txt' || ext === '.md') {
        logger.debug(`Reading text from TXT/MD: ${filePath}`);
       content = await fs.promises.readFile(filePath, 'utf8');
+      structure = { format: ext === '.md' ? 'markdown' : 'text' };
        logger.debug(`Read ${content.length} characters from TXT/MD.`);
     } else {
       logger.warn(`Unsupported file type for text extraction: ${ext} at ${filePath}`);
       error = `Unsupported file type for text extraction: ${ext}`;
     }
 
-    return { text: content, error: error, isImage: false };
+    return { text: content, error: error, isImage: false, structure };
 
   } catch (err) {
     logger.error(`Error extracting text from file ${filePath}: ${err.message}`, { stack: err.stack });
@@ -67,4 +172,5 @@ async function extractTextFromFile(filePath) {
 
 module.exports = {
   extractTextFromFile,
+  docxHtmlToMarkdown,
 }; 
\ No newline at end of file
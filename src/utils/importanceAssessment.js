@@ -0,0 +1,103 @@
+// src/utils/importanceAssessment.js
+// Prompt, validation and combination of the model's structured importance assessment (sub-scores plus rationale)
+
+const { parseJsonResponse } = require('./aiHelper');
+
+/**
+ * Sub-scores the model rates, each between 0 and 1.
+ */
+const IMPORTANCE_FACTORS = ['emotionalWeight', 'personalRelevance', 'futureRelevance', 'novelty'];
+
+// Language names for the prompt
+const LANGUAGE_NAMES = {
+  zh: 'Chinese',
+  en: 'English',
+  ja: 'Japanese',
+  ko: 'Korean',
+  mixed: 'mixed (Chinese and English)',
+};
+
+/**
+ * Fills the importance evaluation prompt template (aiConfig.importanceEvaluationBasePrompt).
+ * The similar memories and then the content are inserted last and literally, so placeholders or `$&`
+ * patterns in the user's text are left as they are ({CONTENT} comes before {SIMILAR_MEMORIES} in the template).
+ * @param {string} template - Prompt template.
+ * @param {object} values
+ * @param {string} values.type - Content type (e.g. 'user_chat').
+ * @param {string} values.content - Text to assess.
+ * @param {string} values.guidance - Type-specific guidance (aiConfig.importanceGuidance).
+ * @param {string} [values.language] - Detected language code (see utils/language).
+ * @param {string} [values.userId]
+ * @param {string} [values.sessionId]
+ * @param {Array<{text: string}>} [values.similarMemories] - The user's most similar existing memories.
+ * @returns {string}
+ */
+function createImportancePrompt(template, { type, content, guidance, language, userId, sessionId, similarMemories = [] }) {
+  const similarMemoriesText = similarMemories.length
+    ? similarMemories.map(memory => `- ${memory.text}`).join('\n')
+    : '(none found)';
+
+  return template
+    .replace('{CONTENT_TYPE}', type || 'unknown')
+    .replace('{LANGUAGE}', LANGUAGE_NAMES[language] || 'unknown')
+    .replace('{USER_ID}', userId || 'N/A')
+    .replace('{SESSION_ID}', sessionId || 'N/A')
+    .replace('{TYPE_SPECIFIC_GUIDANCE}', () => guidance)
+    .replace('{SIMILAR_MEMORIES}', () => similarMemoriesText)
+    .replace('{CONTENT}', () => content);
+}
+
+/**
+ * Parses and validates an importance assessment completion.
+ * Every factor must be a number between 0 and 1 (numeric strings are accepted) and the rationale a non-empty string.
+ * @param {string} completion - Raw model output, expected to contain a JSON object.
+ * @param {object} [options]
+ * @param {number} [options.maxRationaleLength=300] - The rationale is cut to this many characters.
+ * @returns {{factors: object, rationale: string}} Validated factors (keyed by IMPORTANCE_FACTORS) and rationale.
+ * @throws {Error} If the completion is not valid JSON or a field is missing or out of range.
+ */
+function parseImportanceAssessment(completion, { maxRationaleLength = 300 } = {}) {
+  const parsed = parseJsonResponse(completion);
+  if (!parsed) {
+    throw new Error('Importance assessment is not a JSON object');
+  }
+
+  const factors = {};
+  for (const factor of IMPORTANCE_FACTORS) {
+    const value = typeof parsed[factor] === 'string' ? parseFloat(parsed[factor]) : parsed[factor];
+    if (typeof value !== 'number' || Number.isNaN(value) || value < 0 || value > 1) {
+      throw new Error(`Importance assessment has an invalid ${factor}: ${JSON.stringify(parsed[factor])}`);
+    }
+    factors[factor] = Math.round(value * 100) / 100;
+  }
+
+  if (typeof parsed.rationale !== 'string' || !parsed.rationale.trim()) {
+    throw new Error('Importance assessment has no rationale');
+  }
+  return { factors, rationale: parsed.rationale.trim().slice(0, maxRationaleLength) };
+}
+
+/**
+ * Weighted average of the factors (weights are normalized, so only their ratios matter).
+ * @param {object} factors - Factor name to score.
+ * @param {object} weights - Factor name to weight.
+ * @returns {number} Importance score between 0 and 1, rounded to two decimals.
+ */
+function combineImportanceFactors(factors, weights) {
+  let weightedSum = 0;
+  let totalWeight = 0;
+  for (const factor of IMPORTANCE_FACTORS) {
+    const weight = weights[factor] || 0;
+    weightedSum += weight * factors[factor];
+    totalWeight += weight;
+  }
+  const score = totalWeight > 0 ? weightedSum / totalWeight : 0;
+  return Math.round(score * 100) / 100;
+}
+
+module.exports = {
+  IMPORTANCE_FACTORS,
+  createImportancePrompt,
+  parseImportanceAssessment,
+  combineImportanceFactors,
+};
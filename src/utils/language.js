@@ -0,0 +1,53 @@
+// src/utils/language.js
+// Script-based language detection for memory content (Dot talks with users in Chinese, English or both).
+
+const HAN_PATTERN = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/g;
+const KANA_PATTERN = /[\u3040-\u30ff]/g;
+const HANGUL_PATTERN = /[\uac00-\ud7af]/g;
+const LATIN_WORD_PATTERN = /[A-Za-z\u00c0-\u024f]+(?:['\u2019-][A-Za-z\u00c0-\u024f]+)*/g;
+
+// Share of the text a script needs for the text to count as that language rather than 'mixed'
+const DOMINANT_SHARE = 0.8;
+
+const count = (text, pattern) => (text.match(pattern) || []).length;
+
+/**
+ * Detects the language of a text from the scripts it is written in.
+ * A CJK character and a Latin word count as one unit each, so a sentence weighs about the same in either language.
+ * @param {string} text
+ * @returns {{language: 'zh'|'ja'|'ko'|'en'|'mixed'|'unknown', shares: {zh: number, ja: number, ko: number, en: number}}}
+ *          `en` stands for any Latin-script text.
+ */
+function detectLanguage(text) {
+  const units = {
+    zh: count(text || '', HAN_PATTERN),
+    ja: count(text || '', KANA_PATTERN),
+    ko: count(text || '', HANGUL_PATTERN),
+    en: count(text || '', LATIN_WORD_PATTERN),
+  };
+  // Japanese is written with Han characters too; kana is what sets it apart
+  if (units.ja > 0) {
+    units.ja += units.zh;
+    units.zh = 0;
+  }
+  const total = units.zh + units.ja + units.ko + units.en;
+  const shares = Object.fromEntries(Object.entries(units).map(([key, value]) => [key, total ? value / total : 0]));
+  if (total === 0) return { language: 'unknown', shares };
+
+  const [dominant, share] = Object.entries(shares).sort((a, b) => b[1] - a[1])[0];
+  return { language: share >= DOMINANT_SHARE ? dominant : 'mixed', shares };
+}
+
+/**
+ * Whether a detected language is written in CJK characters, where one character carries about as much as a Latin word.
+ * @param {string} language - Result of detectLanguage.
+ * @returns {boolean}
+ */
+function isCjkLanguage(language) {
+  return language === 'zh' || language === 'ja' || language === 'ko';
+}
+
+module.exports = {
+  detectLanguage,
+  isCjkLanguage,
+};
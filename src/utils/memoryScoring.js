@@ -0,0 +1,116 @@
+// src/utils/memoryScoring.js
+// Final scoring stage for retrieved memories: combines relevance, importance, recency and access frequency
+
+const { temporalProximityScore } = require('./temporalParser');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the scoring setting for a memory type, falling back to the 'default' entry.
+ * @param {object} perTypeSettings - Map of memory type to setting (must contain 'default').
+ * @param {string} type - Memory type ('chunk', 'episode', 'thought', ...).
+ */
+function forType(perTypeSettings, type) {
+  return perTypeSettings?.[type] ?? perTypeSettings?.default;
+}
+
+/**
+ * Exponential time decay: 1.0 for "now", 0.5 after one half-life.
+ * Memories without a timestamp get a neutral 0.5.
+ * @param {Date|string|null} timestamp - When the memory happened or was recorded.
+ * @param {number} halfLifeDays - Half-life in days.
+ * @param {number} now - Reference time in ms.
+ * @returns {number} Recency score between 0 and 1.
+ */
+function recencyScore(timestamp, halfLifeDays, now) {
+  if (!timestamp) return 0.5;
+  const time = new Date(timestamp).getTime();
+  if (Number.isNaN(time)) return 0.5;
+  const ageDays = Math.max(0, now - time) / DAY_MS;
+  return 0.5 ** (ageDays / halfLifeDays);
+}
+
+/**
+ * Log-scaled access frequency, saturating at 1.0 once accessCount reaches `saturation`.
+ * @param {number} accessCount - How often the memory has been retrieved before.
+ * @param {number} saturation - Access count that maps to a full score.
+ * @returns {number} Access frequency score between 0 and 1.
+ */
+function accessFrequencyScore(accessCount, saturation) {
+  if (!accessCount || accessCount <= 0) return 0;
+  return Math.min(1, Math.log1p(accessCount) / Math.log1p(saturation));
+}
+
+/**
+ * Scores and sorts retrieved memories.
+ * Each memory is expected to carry (where available): similarity, fusedScore, importance, timestamp, accessCount.
+ * Relevance is the vector certainty, or - when `useFusedScore` is set - the fused rank score normalized
+ * against the best candidate, so keyword-only hits are comparable with vector hits.
+ *
+ * @param {Array<object>} memories - Retrieved memory objects (mutated: finalScore and scoreBreakdown are added).
+ * @param {object} scoringConfig - memoryConfig.reranking (weights, recencyHalfLifeDays, accessFrequencySaturation, defaultImportance).
+ * @param {object} [options]
+ * @param {boolean} [options.useFusedScore=false] - Use fused rank score instead of raw certainty as relevance.
+ * @param {object} [options.weights] - Per-type weight overrides merged over scoringConfig.weights.
+ * @param {number} [options.now=Date.now()] - Reference time (for tests / reproducibility).
+ * @param {{start: Date, end: Date}} [options.timeRange] - Soft temporal target; adds a 'temporal' factor when set.
+ * @param {number} [options.temporalWeight=0] - Weight of the 'temporal' factor.
+ * @param {string[]} [options.subjectIds] - Subjects the query asks about; adds a 'subject' factor (1 for memories
+ *        tagged with one of them, else 0) when set.
+ * @param {number} [options.subjectWeight=0] - Weight of the 'subject' factor.
+ * @returns {Array<object>} The same memories, sorted by finalScore (highest first).
+ */
+function rankMemories(memories, scoringConfig, options = {}) {
+  if (!Array.isArray(memories) || memories.length === 0) return [];
+
+  const {
+    useFusedScore = false,
+    weights: weightOverrides = {},
+    now = Date.now(),
+    timeRange = null,
+    temporalWeight = 0,
+    subjectIds = null,
+    subjectWeight = 0,
+  } = options;
+  const maxFusedScore = Math.max(...memories.map(m => m.fusedScore || 0));
+  const subjects = subjectIds?.length ? new Set(subjectIds) : null;
+
+  memories.forEach(memory => {
+    const weights = { ...forType(scoringConfig.weights, memory.type), ...forType(weightOverrides, memory.type) };
+    if (timeRange) weights.temporal = temporalWeight;
+    if (subjects) weights.subject = subjectWeight;
+
+    let relevance = memory.similarity ?? 0;
+    if (useFusedScore && maxFusedScore > 0) {
+      relevance = (memory.fusedScore || 0) / maxFusedScore;
+    }
+
+    const breakdown = {
+      similarity: relevance,
+      importance: memory.importance ?? scoringConfig.defaultImportance,
+      recency: recencyScore(memory.timestamp, forType(scoringConfig.recencyHalfLifeDays, memory.type), now),
+      accessFrequency: accessFrequencyScore(memory.accessCount, scoringConfig.accessFrequencySaturation),
+    };
+    if (timeRange) breakdown.temporal = temporalProximityScore(memory.timestamp, timeRange);
+    if (subjects) breakdown.subject = (memory.subjectIds || []).some(id => subjects.has(id)) ? 1 : 0;
+
+    let weightedSum = 0;
+    let totalWeight = 0;
+    Object.keys(breakdown).forEach(factor => {
+      const weight = weights[factor] || 0;
+      weightedSum += weight * breakdown[factor];
+      totalWeight += weight;
+    });
+
+    memory.scoreBreakdown = breakdown;
+    memory.finalScore = totalWeight > 0 ? weightedSum / totalWeight : relevance;
+  });
+
+  return memories.sort((a, b) => b.finalScore - a.finalScore);
+}
+
+module.exports = {
+  rankMemories,
+  recencyScore,
+  accessFrequencyScore,
+};
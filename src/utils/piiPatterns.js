@@ -0,0 +1,106 @@
+// src/utils/piiPatterns.js
+// Regex detectors for personal data in memory content (English and Chinese formats).
+
+/**
+ * Luhn checksum, used to tell payment card numbers from other long digit runs.
+ * @param {string} digits
+ * @returns {boolean}
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Checksum of an 18-character PRC resident ID number (GB 11643).
+ * @param {string} id
+ * @returns {boolean}
+ */
+function isValidChineseId(id) {
+  const weights = [7, 9, 10, 5, 8, 4, 2, 1, 6, 3, 7, 9, 10, 5, 8, 4, 2];
+  const checkCodes = '10X98765432';
+  const sum = weights.reduce((total, weight, i) => total + weight * Number(id[i]), 0);
+  return checkCodes[sum % 11] === id[17].toUpperCase();
+}
+
+/**
+ * Detectors by PII type. `group` selects the sensitive part of a match (e.g. only the value after "password:"),
+ * `validate` rejects matches that only look like the type, `leading` is trimmed from the start of a match.
+ */
+const PII_PATTERNS = {
+  email: {
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+  },
+  phone: {
+    // Chinese mobile numbers, and international / North American formats with separators
+    pattern: /(?<![\d\w])(?:(?:\+?86[- ]?)?1[3-9]\d[- ]?\d{4}[- ]?\d{4}|\+\d{1,3}[- ]?\(?\d{1,4}\)?(?:[- ]?\d{2,4}){2,3}|\(?\d{3}\)?[- .]\d{3}[- .]\d{4})(?![\d\w])/g,
+  },
+  national_id: {
+    // PRC resident ID numbers and US social security numbers
+    pattern: /(?<![\d\w])(?:\d{17}[\dXx]|\d{3}-\d{2}-\d{4})(?![\d\w])/g,
+    validate: match => match.includes('-') || isValidChineseId(match),
+  },
+  credit_card: {
+    pattern: /(?<!\d)\d{4}(?:[- ]?\d{4}){2}[- ]?\d{1,7}(?!\d)/g,
+    validate: (match) => {
+      const digits = match.replace(/\D/g, '');
+      return digits.length >= 13 && digits.length <= 19 && passesLuhn(digits);
+    },
+  },
+  password: {
+    // Whole keywords only ("spin is" is not a PIN), and "is" only as a word of its own ("isn't working" is no password)
+    pattern: /(?:\b(?:password|passwd|pwd|passcode|pin)\b|密码|口令)\s*(?:is(?=[\s:：=])\s*[:：=]?|[:：=]|是|为)\s*["'“]?([^\s"'”，。,!！?？;；]+)/gi,
+    group: 1,
+  },
+  secret: {
+    // API keys and tokens with well-known prefixes
+    pattern: /\b(?:sk-[A-Za-z0-9_-]{20,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{30,}|xox[baprs]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35})\b|(?:Bearer\s+)([A-Za-z0-9._~+/-]{20,}=*)/g,
+    group: match => (match[1] ? 1 : 0),
+  },
+  address: {
+    // Street addresses ("221B Baker Street", "北京市朝阳区建国路88号")
+    pattern: /\b\d{1,5}[A-Za-z]?\s+(?:[A-Z][a-z]+\s+){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl)\b\.?|[\u4e00-\u9fff]{2,9}(?:省|市|区|县)[\u4e00-\u9fff\d]{0,12}(?:路|街|道|巷|弄)\d+号(?:[\u4e00-\u9fff\d-]{0,10}(?:室|楼|层|单元))?/g,
+    // Chinese matches start at the first Han character, so drop a leading "我住在" / "地址是"
+    leading: /^(?:[我你他她]们?)?的?家?(?:住在|住|在|位于|地址是|地址为|地址|搬到|来自|是)/,
+  },
+  ip_address: {
+    // Not after a version marker ("v1.2.3.4", "version 1.2.3.4", "upgraded to 1.2.3.4", "版本 1.2.3.4")
+    pattern: /(?<![\d.])(?<!(?:\bv|\bver(?:sion)?\.?|\brelease|\bbuild|\b(?:up|down)grad(?:e|ed|ing)\s+to|\bupdat(?:e|ed|ing)\s+to|版本号?|升级到|更新到)\s*)(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)(?![\d.])/gi,
+  },
+};
+
+/**
+ * Finds PII spans with the regex detectors.
+ * @param {string} text
+ * @param {string[]} [types=all] - PII types to look for (keys of PII_PATTERNS).
+ * @returns {Array<{type: string, start: number, end: number, detector: 'regex'}>} Spans in text order (may overlap).
+ */
+function detectPiiWithPatterns(text, types = Object.keys(PII_PATTERNS)) {
+  const spans = [];
+  for (const type of types) {
+    const detector = PII_PATTERNS[type];
+    if (!detector) continue;
+    for (const match of text.matchAll(detector.pattern)) {
+      const groupIndex = typeof detector.group === 'function' ? detector.group(match) : (detector.group || 0);
+      const value = match[groupIndex];
+      if (!value || (detector.validate && !detector.validate(value))) continue;
+      const valueStart = match.index + match[0].indexOf(value);
+      const leading = detector.leading ? (value.match(detector.leading) || [''])[0].length : 0;
+      spans.push({ type, start: valueStart + leading, end: valueStart + value.length, detector: 'regex' });
+    }
+  }
+  return spans.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+  PII_TYPES: Object.keys(PII_PATTERNS),
+  detectPiiWithPatterns,
+};
@@ -0,0 +1,50 @@
+// src/utils/rankFusion.js
+// Helpers for merging ranked result lists from different retrieval methods (vector, keyword, ...)
+
+/**
+ * Fuses several ranked lists of search hits using weighted Reciprocal Rank Fusion (RRF).
+ * Each hit contributes weight / (k + rank) to its fused score, where rank starts at 1.
+ * Hits are matched across lists by the value of `idKey`.
+ *
+ * @param {object} rankedLists - Map of source name to an array of hits, best first (e.g. { vector: [...], keyword: [...] }).
+ * @param {object} [options]
+ * @param {string} [options.idKey='id'] - Property used to identify the same hit across lists.
+ * @param {object} [options.weights={}] - Map of source name to weight. Sources without a weight default to 1.
+ * @param {number} [options.k=60] - RRF damping constant. Higher values flatten the difference between ranks.
+ * @param {number} [options.limit] - Optional maximum number of fused results to return.
+ * @returns {Array<{id: string, fusedScore: number, ranks: object, sources: object}>}
+ *          Fused results sorted by score, each with the per-source rank and original hit.
+ */
+function fuseRankedLists(rankedLists, options = {}) {
+  const { idKey = 'id', weights = {}, k = 60, limit } = options;
+  const fused = new Map();
+
+  Object.entries(rankedLists || {}).forEach(([source, hits]) => {
+    if (!Array.isArray(hits) || hits.length === 0) return;
+    const weight = weights[source] ?? 1;
+
+    hits.forEach((hit, index) => {
+      const id = hit?.[idKey];
+      if (!id) return;
+
+      if (!fused.has(id)) {
+        fused.set(id, { id, fusedScore: 0, ranks: {}, sources: {} });
+      }
+      const entry = fused.get(id);
+      // Only the best rank of a hit within one source counts
+      if (entry.ranks[source] !== undefined) return;
+
+      const rank = index + 1;
+      entry.ranks[source] = rank;
+      entry.sources[source] = hit;
+      entry.fusedScore += weight / (k + rank);
+    });
+  });
+
+  const results = Array.from(fused.values()).sort((a, b) => b.fusedScore - a.fusedScore);
+  return typeof limit === 'number' ? results.slice(0, limit) : results;
+}
+
+module.exports = {
+  fuseRankedLists,
+};
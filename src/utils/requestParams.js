@@ -0,0 +1,59 @@
+// src/utils/requestParams.js
+// Parsing of numeric query string and body parameters, shared by the controllers
+
+const { ServiceError } = require('./errorHandler');
+
+/**
+ * Describes the accepted values of a number parameter for error messages.
+ * @param {object} range - See parseNumberParam.
+ * @returns {string} E.g. 'a number between 0 and 1' or 'an integer of at least 1'.
+ */
+function describeRange({ min, max, integer, clamp }) {
+  const kind = integer ? 'an integer' : 'a number';
+  const hasMax = Number.isFinite(max) && !clamp;
+  if (Number.isFinite(min) && hasMax) return `${kind} between ${min} and ${max}`;
+  if (Number.isFinite(min)) return `${kind} of at least ${min}`;
+  if (hasMax) return `${kind} of at most ${max}`;
+  return integer ? 'an integer' : 'a finite number';
+}
+
+/**
+ * Reads an optional number parameter within [min, max]. With `clamp`, values above max are
+ * lowered to max instead of rejected (for result limits).
+ * @param {object} params - req.query or req.body
+ * @param {string} name - Parameter name.
+ * @param {object} [range]
+ * @param {number} [range.min=-Infinity]
+ * @param {number} [range.max=Infinity]
+ * @param {boolean} [range.integer=false] - Only accept integers.
+ * @param {boolean} [range.clamp=false] - Cap values above max.
+ * @returns {number|undefined} The value, or undefined if the parameter is absent.
+ * @throws {ServiceError} On malformed or out-of-range values.
+ */
+function parseNumberParam(params, name, { min = -Infinity, max = Infinity, integer = false, clamp = false } = {}) {
+  if (params[name] === undefined) return undefined;
+  const value = Number(params[name]);
+  if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || (value > max && !clamp)) {
+    throw new ServiceError(`Parameter "${name}" must be ${describeRange({ min, max, integer, clamp })}`, 400);
+  }
+  return Math.min(value, max);
+}
+
+/**
+ * Reads an optional non-negative integer parameter (e.g. limit or offset of a listing).
+ * @param {object} params - req.query or req.body
+ * @param {string} name - Parameter name.
+ * @returns {number|undefined}
+ * @throws {ServiceError} On malformed values.
+ */
+function parseIntegerParam(params, name) {
+  if (params[name] === undefined) return undefined;
+  const value = Number(params[name]);
+  if (!Number.isInteger(value) || value < 0) throw new ServiceError(`Parameter "${name}" must be a non-negative integer`, 400);
+  return value;
+}
+
+module.exports = {
+  parseNumberParam,
+  parseIntegerParam,
+};
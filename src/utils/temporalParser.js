@@ -0,0 +1,395 @@
+// src/utils/temporalParser.js
+// Turns temporal expressions in English and Chinese queries ("last spring", "上周", "the week of my trip")
+// into date ranges for memory retrieval. All ranges use server local time.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SEASON_MONTHS = {
+  // Northern hemisphere; winter of year Y runs from December Y to February Y+1
+  spring: 2,
+  summer: 5,
+  autumn: 8,
+  winter: 11,
+};
+
+const ENGLISH_SEASONS = { spring: 'spring', summer: 'summer', autumn: 'autumn', fall: 'autumn', winter: 'winter' };
+const CHINESE_SEASONS = { 春: 'spring', 夏: 'summer', 秋: 'autumn', 冬: 'winter' };
+
+const ENGLISH_MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+const ENGLISH_MONTH_PATTERN = `(${ENGLISH_MONTHS.join('|')}|jan|feb|mar|apr|jun|jul|aug|sept|sep|oct|nov|dec)`;
+
+const ENGLISH_NUMBERS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+};
+const ENGLISH_VAGUE_COUNTS = ['a few', 'few', 'several', 'a couple of', 'couple of', 'a couple'];
+
+const CHINESE_DIGITS = { 零: 0, 一: 1, 二: 2, 两: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+
+const CHINESE_UNITS = {
+  天: 'day', 日: 'day', 周: 'week', 星期: 'week', 个星期: 'week', 礼拜: 'week', 个礼拜: 'week', 个月: 'month', 月: 'month', 年: 'year',
+};
+
+// --- Date helpers ---
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function endOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+function startOfWeek(date, weekStartsOn) {
+  const day = startOfDay(date);
+  const diff = (day.getDay() - weekStartsOn + 7) % 7;
+  return addDays(day, -diff);
+}
+
+function monthRange(year, month) {
+  return { start: new Date(year, month, 1), end: new Date(year, month + 1, 0, 23, 59, 59, 999) };
+}
+
+function yearRange(year) {
+  return { start: new Date(year, 0, 1), end: new Date(year, 11, 31, 23, 59, 59, 999) };
+}
+
+function seasonRange(season, year) {
+  const firstMonth = SEASON_MONTHS[season];
+  return { start: new Date(year, firstMonth, 1), end: new Date(year, firstMonth + 3, 0, 23, 59, 59, 999) };
+}
+
+/**
+ * Range of the calendar period (day/week/month/year) `offset` periods away from `now`.
+ */
+function periodRange(unit, now, offset, weekStartsOn) {
+  switch (unit) {
+    case 'day': {
+      const day = addDays(now, offset);
+      return { start: startOfDay(day), end: endOfDay(day) };
+    }
+    case 'week': {
+      const start = addDays(startOfWeek(now, weekStartsOn), offset * 7);
+      return { start, end: endOfDay(addDays(start, 6)) };
+    }
+    case 'month':
+      return monthRange(now.getFullYear(), now.getMonth() + offset);
+    case 'year':
+      return yearRange(now.getFullYear() + offset);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Most recent occurrence of a season. With `mustBeOver`, the season has to have ended ("last spring"),
+ * otherwise it only has to have started ("in the spring").
+ */
+function mostRecentSeason(season, now, mustBeOver) {
+  for (let year = now.getFullYear(); year >= now.getFullYear() - 2; year--) {
+    const range = seasonRange(season, year);
+    if (mustBeOver ? range.end < now : range.start <= now) return range;
+  }
+  return seasonRange(season, now.getFullYear() - 1);
+}
+
+/**
+ * Most recent occurrence of a month. With `mustBeOver`, the current month does not count ("last March").
+ */
+function mostRecentMonth(month, now, mustBeOver) {
+  const currentMonth = now.getMonth();
+  const year = month < currentMonth || (month === currentMonth && !mustBeOver)
+    ? now.getFullYear()
+    : now.getFullYear() - 1;
+  return monthRange(year, month);
+}
+
+function parseChineseNumber(text) {
+  if (/^\d+$/.test(text)) return parseInt(text, 10);
+  if (text === '十') return 10;
+  const tenIndex = text.indexOf('十');
+  if (tenIndex === -1) return CHINESE_DIGITS[text] ?? null;
+  const tens = tenIndex === 0 ? 1 : CHINESE_DIGITS[text.substring(0, tenIndex)];
+  const ones = tenIndex === text.length - 1 ? 0 : CHINESE_DIGITS[text.substring(tenIndex + 1)];
+  if (tens === undefined || ones === undefined) return null;
+  return tens * 10 + ones;
+}
+
+function resolveEnglishMonth(name) {
+  const lower = name.toLowerCase();
+  return ENGLISH_MONTHS.findIndex(month => month.startsWith(lower.substring(0, 3)));
+}
+
+/**
+ * Whether a "<qualifier> <month>" match really names a month. "may" is also a verb ("this may sound odd"),
+ * so it only counts when capitalised ("in May") or followed by a day ("in may 5th").
+ * @param {string} text - The whole query.
+ * @param {RegExpMatchArray} match - Match with the month name in group 2.
+ * @returns {boolean}
+ */
+function isMonthMention(text, match) {
+  const monthName = match[2];
+  if (monthName.toLowerCase() !== 'may' || monthName[0] === 'M') return true;
+  const following = text.substring(match.index + match[0].length);
+  return /^\s+\d{1,2}(?:st|nd|rd|th)?\b/i.test(following);
+}
+
+function result(expression, range, granularity, ambiguous = false) {
+  return { expression, start: range.start, end: range.end, granularity, ambiguous };
+}
+
+// --- Matchers (tried in order; the first match wins) ---
+
+const matchers = [
+  // Event anchors: "the week of my trip", "the day before the wedding"
+  (text) => {
+    const match = text.match(/\b(?:the\s+)?(day|week|weekend|month)\s+(of|before|after)\s+(?:my|the|our|his|her|their)\s+([a-z][a-z0-9' -]{1,40}?)(?=\s*(?:[?.!,;]|$|\b(?:when|and|with|in|at)\b))/i);
+    if (!match) return null;
+    return {
+      expression: match[0].trim(),
+      anchor: { text: match[3].trim(), granularity: match[1].toLowerCase() === 'weekend' ? 'week' : match[1].toLowerCase(), relation: match[2].toLowerCase() },
+      ambiguous: true,
+    };
+  },
+  // 事件锚点: "我旅行那周", "婚礼的那天", "搬家那个月"
+  (text) => {
+    const match = text.match(/([一-龥A-Za-z0-9]{1,12}?)的?(那天|那一天|那周|那个星期|那个礼拜|那个月|那段时间)/);
+    if (!match) return null;
+    const anchorText = match[1].replace(/^(我们的|我的|我们|我|在)/, '');
+    if (!anchorText) return null;
+    const granularity = /天/.test(match[2]) ? 'day' : /月/.test(match[2]) ? 'month' : 'week';
+    return { expression: match[0], anchor: { text: anchorText, granularity, relation: 'of' }, ambiguous: true };
+  },
+  // "March 2024", "in March of 2024"
+  (text) => {
+    const match = text.match(new RegExp(`\\b${ENGLISH_MONTH_PATTERN}\\.?\\s+(?:of\\s+)?((?:19|20)\\d{2})\\b`, 'i'));
+    if (!match) return null;
+    return result(match[0], monthRange(parseInt(match[2], 10), resolveEnglishMonth(match[1])), 'month');
+  },
+  // "2024年5月", "2024年"
+  (text) => {
+    const match = text.match(/((?:19|20)\d{2})\s*年\s*(?:(\d{1,2}|[一二三四五六七八九十]{1,3})\s*月)?/);
+    if (!match) return null;
+    const year = parseInt(match[1], 10);
+    if (match[2]) {
+      const month = parseChineseNumber(match[2]);
+      if (month >= 1 && month <= 12) return result(match[0], monthRange(year, month - 1), 'month');
+    }
+    return result(match[0], yearRange(year), 'year');
+  },
+  // "in 2023", "during 2023", "back in 2023"
+  (text) => {
+    const match = text.match(/\b(?:in|during|back in|throughout)\s+((?:19|20)\d{2})\b/i);
+    if (!match) return null;
+    return result(match[0], yearRange(parseInt(match[1], 10)), 'year');
+  },
+  // "3 days ago", "two weeks ago", "a few months ago"
+  (text, now, options) => {
+    const match = text.match(/\b(\d+|a few|few|several|a couple of|couple of|a couple|an?|one|two|three|four|five|six|seven|eight|nine|ten)\s+(day|week|month|year)s?\s+(?:ago|back|earlier)\b/i);
+    if (!match) return null;
+    const countText = match[1].toLowerCase();
+    const unit = match[2].toLowerCase();
+    if (ENGLISH_VAGUE_COUNTS.includes(countText)) {
+      // "a few weeks ago": somewhere between 2 and 5 periods back
+      const start = periodRange(unit, now, -5, options.weekStartsOn).start;
+      const end = periodRange(unit, now, -2, options.weekStartsOn).end;
+      return result(match[0], { start, end }, unit, true);
+    }
+    const count = ENGLISH_NUMBERS[countText] ?? parseInt(countText, 10);
+    return result(match[0], periodRange(unit, now, -count, options.weekStartsOn), unit);
+  },
+  // "三天前", "两个月以前", "几周前"
+  (text, now, options) => {
+    const match = text.match(/(\d+|[零一二两三四五六七八九十]+|几|好几)\s*(个星期|星期|个礼拜|礼拜|周|个月|天|日|年)\s*(?:前|以前|之前)/);
+    if (!match) return null;
+    const unit = CHINESE_UNITS[match[2]];
+    if (match[1] === '几' || match[1] === '好几') {
+      const start = periodRange(unit, now, -5, options.weekStartsOn).start;
+      const end = periodRange(unit, now, -2, options.weekStartsOn).end;
+      return result(match[0], { start, end }, unit, true);
+    }
+    const count = parseChineseNumber(match[1]);
+    if (count === null) return null;
+    return result(match[0], periodRange(unit, now, -count, options.weekStartsOn), unit);
+  },
+  // "last spring", "this summer", "in the fall"
+  (text, now) => {
+    const match = text.match(/\b(last|this|past|in the|during the|over the)\s+(spring|summer|autumn|fall|winter)\b/i);
+    if (!match) return null;
+    const season = ENGLISH_SEASONS[match[2].toLowerCase()];
+    const qualifier = match[1].toLowerCase();
+    if (qualifier === 'last' || qualifier === 'past') return result(match[0], mostRecentSeason(season, now, true), 'season');
+    if (qualifier === 'this') return result(match[0], mostRecentSeason(season, now, false), 'season');
+    return result(match[0], mostRecentSeason(season, now, false), 'season', true);
+  },
+  // "去年春天", "今年夏天", "冬天"
+  (text, now) => {
+    const match = text.match(/(前年|去年|今年)?的?([春夏秋冬])(?:天|季)/);
+    if (!match) return null;
+    const season = CHINESE_SEASONS[match[2]];
+    const yearOffset = { 前年: -2, 去年: -1, 今年: 0 }[match[1]];
+    if (yearOffset === undefined) return result(match[0], mostRecentSeason(season, now, false), 'season', true);
+    return result(match[0], seasonRange(season, now.getFullYear() + yearOffset), 'season');
+  },
+  // "last March", "in May", "this October" ("this may sound odd" and "in may" are not the month, see isMonthMention)
+  (text, now) => {
+    const pattern = new RegExp(`\\b(last|this|in|during|back in|early|late|since)\\s+${ENGLISH_MONTH_PATTERN}\\b`, 'gi');
+    const match = [...text.matchAll(pattern)].find(candidate => isMonthMention(text, candidate));
+    if (!match) return null;
+    const month = resolveEnglishMonth(match[2]);
+    const qualifier = match[1].toLowerCase();
+    const range = mostRecentMonth(month, now, qualifier === 'last');
+    if (qualifier === 'since') return result(match[0], { start: range.start, end: now }, 'month');
+    return result(match[0], range, 'month');
+  },
+  // "去年三月", "5月份", "十二月"
+  (text, now) => {
+    const match = text.match(/(前年|去年|今年)?的?(\d{1,2}|十[一二]|[一二三四五六七八九十])\s*月份?(?!前|以前|之前)/);
+    if (!match) return null;
+    const month = parseChineseNumber(match[2]);
+    if (!month || month < 1 || month > 12) return null;
+    const yearOffset = { 前年: -2, 去年: -1, 今年: 0 }[match[1]];
+    if (yearOffset !== undefined) return result(match[0], monthRange(now.getFullYear() + yearOffset, month - 1), 'month');
+    return result(match[0], mostRecentMonth(month - 1, now, false), 'month');
+  },
+  // Named English periods
+  (text, now, options) => {
+    const lower = text.toLowerCase();
+    const named = [
+      [/\bthe day before yesterday\b/, () => periodRange('day', now, -2, options.weekStartsOn), 'day'],
+      [/\b(yesterday|last night)\b/, () => periodRange('day', now, -1, options.weekStartsOn), 'day'],
+      [/\b(today|tonight|this morning|this afternoon|this evening)\b/, () => periodRange('day', now, 0, options.weekStartsOn), 'day'],
+      [/\blast weekend\b/, () => {
+        const weekendStart = addDays(periodRange('week', now, -1, options.weekStartsOn).start, (6 - options.weekStartsOn + 7) % 7);
+        return { start: weekendStart, end: endOfDay(addDays(weekendStart, 1)) };
+      }, 'day'],
+      [/\b(last|past|previous) week\b/, () => periodRange('week', now, -1, options.weekStartsOn), 'week'],
+      [/\bearlier this week\b/, () => ({ start: periodRange('week', now, 0, options.weekStartsOn).start, end: now }), 'week'],
+      [/\bthis week\b/, () => periodRange('week', now, 0, options.weekStartsOn), 'week'],
+      [/\b(last|past|previous) month\b/, () => periodRange('month', now, -1, options.weekStartsOn), 'month'],
+      [/\b(earlier )?this month\b/, () => periodRange('month', now, 0, options.weekStartsOn), 'month'],
+      [/\b(last|past|previous) year\b/, () => periodRange('year', now, -1, options.weekStartsOn), 'year'],
+      [/\b(earlier )?this year\b/, () => periodRange('year', now, 0, options.weekStartsOn), 'year'],
+    ];
+    for (const [pattern, buildRange, granularity] of named) {
+      const match = lower.match(pattern);
+      if (match) return result(match[0], buildRange(), granularity);
+    }
+    return null;
+  },
+  // 中文固定时间段
+  (text, now, options) => {
+    const named = [
+      [/大前天/, () => periodRange('day', now, -3, options.weekStartsOn), 'day'],
+      [/前天/, () => periodRange('day', now, -2, options.weekStartsOn), 'day'],
+      [/昨天|昨晚|昨日/, () => periodRange('day', now, -1, options.weekStartsOn), 'day'],
+      [/今天|今晚|今早|今日/, () => periodRange('day', now, 0, options.weekStartsOn), 'day'],
+      [/上周末|上个周末/, () => {
+        const weekendStart = addDays(periodRange('week', now, -1, options.weekStartsOn).start, (6 - options.weekStartsOn + 7) % 7);
+        return { start: weekendStart, end: endOfDay(addDays(weekendStart, 1)) };
+      }, 'day'],
+      [/上上周|上上个?星期|上上个?礼拜/, () => periodRange('week', now, -2, options.weekStartsOn), 'week'],
+      [/上周|上个?星期|上个?礼拜/, () => periodRange('week', now, -1, options.weekStartsOn), 'week'],
+      [/这周|本周|这个?星期|这个?礼拜/, () => periodRange('week', now, 0, options.weekStartsOn), 'week'],
+      [/上上个月/, () => periodRange('month', now, -2, options.weekStartsOn), 'month'],
+      [/上个?月/, () => periodRange('month', now, -1, options.weekStartsOn), 'month'],
+      [/这个月|本月/, () => periodRange('month', now, 0, options.weekStartsOn), 'month'],
+      [/前年/, () => periodRange('year', now, -2, options.weekStartsOn), 'year'],
+      [/去年/, () => periodRange('year', now, -1, options.weekStartsOn), 'year'],
+      [/今年/, () => periodRange('year', now, 0, options.weekStartsOn), 'year'],
+    ];
+    for (const [pattern, buildRange, granularity] of named) {
+      const match = text.match(pattern);
+      if (match) return result(match[0], buildRange(), granularity);
+    }
+    return null;
+  },
+  // Vague expressions only support soft boosting
+  (text, now, options) => {
+    const vague = [
+      [/\b(recently|lately|these days)\b|最近|近来|这阵子|这段时间/i, () => ({ start: addDays(now, -options.recentDays), end: now })],
+      [/\bthe other day\b|前几天|前些天|那天/i, () => ({ start: startOfDay(addDays(now, -10)), end: endOfDay(addDays(now, -1)) })],
+      [/\ba while (ago|back)\b|\bsome time ago\b|前段时间|前阵子|之前一段时间/i, () => ({ start: addDays(now, -180), end: addDays(now, -14) })],
+    ];
+    for (const [pattern, buildRange] of vague) {
+      const match = text.match(pattern);
+      if (match) return result(match[0], buildRange(), 'vague', true);
+    }
+    return null;
+  },
+];
+
+/**
+ * Finds the first temporal expression in a query and converts it into a date range.
+ *
+ * @param {string} text - Query text (English, Chinese or mixed).
+ * @param {object} [options]
+ * @param {Date} [options.now=new Date()] - Reference time.
+ * @param {number} [options.weekStartsOn=1] - First day of the week (0 = Sunday, 1 = Monday).
+ * @param {number} [options.recentDays=14] - Range covered by "recently" / "最近".
+ * @returns {object|null} `{ expression, start, end, granularity, ambiguous }`, or for event anchors
+ *          `{ expression, anchor: { text, granularity, relation }, ambiguous: true }` (resolved by the caller);
+ *          null when the text contains no temporal expression.
+ */
+function parseTemporalExpression(text, options = {}) {
+  if (!text || typeof text !== 'string') return null;
+  const parseOptions = {
+    now: options.now || new Date(),
+    weekStartsOn: options.weekStartsOn ?? 1,
+    recentDays: options.recentDays ?? 14,
+  };
+
+  for (const matcher of matchers) {
+    const parsed = matcher(text, parseOptions.now, parseOptions);
+    if (parsed) return parsed;
+  }
+  return null;
+}
+
+/**
+ * Builds the date range around an anchor date ("the week of my trip" -> week containing the trip).
+ * @param {Date} anchorDate - When the anchoring event happened.
+ * @param {object} anchor - Anchor from parseTemporalExpression ({ granularity, relation }).
+ * @param {number} [weekStartsOn=1] - First day of the week.
+ * @returns {{start: Date, end: Date}}
+ */
+function rangeAroundAnchor(anchorDate, anchor, weekStartsOn = 1) {
+  const range = periodRange(anchor.granularity, anchorDate, 0, weekStartsOn);
+  const span = range.end.getTime() - range.start.getTime() + 1;
+  if (anchor.relation === 'before') return { start: new Date(range.start.getTime() - span), end: new Date(range.start.getTime() - 1) };
+  if (anchor.relation === 'after') return { start: new Date(range.end.getTime() + 1), end: new Date(range.end.getTime() + span) };
+  return range;
+}
+
+/**
+ * Soft temporal relevance: 1.0 inside the range, halving for every range-length outside of it.
+ * Memories without a timestamp get a neutral 0.5.
+ * @param {Date|string|null} timestamp - When the memory happened or was recorded.
+ * @param {{start: Date, end: Date}} range - Target range.
+ * @returns {number} Score between 0 and 1.
+ */
+function temporalProximityScore(timestamp, range) {
+  if (!timestamp || !range) return 0.5;
+  const time = new Date(timestamp).getTime();
+  if (Number.isNaN(time)) return 0.5;
+  const start = new Date(range.start).getTime();
+  const end = new Date(range.end).getTime();
+  if (time >= start && time <= end) return 1;
+  const distance = time < start ? start - time : time - end;
+  const span = Math.max(end - start, DAY_MS);
+  return 0.5 ** (distance / span);
+}
+
+module.exports = {
+  parseTemporalExpression,
+  rangeAroundAnchor,
+  temporalProximityScore,
+};
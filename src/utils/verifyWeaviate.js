@@ -13,7 +13,7 @@ async function verifyWeaviateData() {
     logger.info('Starting Weaviate data verification...');
     
     // Get Weaviate client
-    const client = weaviateClientUtil.getClient();
+    const client = await weaviateClientUtil.initializeWeaviate();
     if (!client) {
       logger.error('Weaviate client not available');
       return { status: 'error', message: 'Weaviate client not available' };
@@ -144,7 +144,7 @@ async function verifyWeaviateData() {
  */
 async function listChunkEmbeddings(limit = 5) {
   try {
-    const client = weaviateClientUtil.getClient();
+    const client = await weaviateClientUtil.initializeWeaviate();
     if (!client) {
       logger.error('Weaviate client not available');
       return { status: 'error', message: 'Weaviate client not available' };
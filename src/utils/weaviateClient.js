@@ -99,18 +99,10 @@ async function checkConnectionWithRetry(client, retries = 5, delay = 1000) {
     return false; 
  }
 
-// Initialize on load - Now async
-(async () => {
-  try {
-    await initializeWeaviate();
-    logger.info('Async Weaviate initialization process completed.');
-  } catch (error) {
-    logger.error(`Error during async Weaviate initialization: ${error.message}`, { error });
-  }
-})();
-
+// Not initialized on load: only the Weaviate vector store (or a diagnostic script) connects, via initializeWeaviate()
 
 module.exports = {
+    initializeWeaviate, // Connects once and returns the client (null if unreachable)
     getClient: () => weaviateClient, // Function to get the current client instance
     // Exported checkConnection now uses the retry logic
     checkConnection: () => checkConnectionWithRetry(weaviateClient) 
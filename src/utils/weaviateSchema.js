@@ -0,0 +1,698 @@
+// src/utils/weaviateSchema.js
+// Creates and migrates the Weaviate classes used by the memory system (used by the Weaviate vector store)
+
+const logger = require('./logger').childLogger('WeaviateSchema');
+
+async function inspectWeaviateSchema(client) {
+  if (!client) {
+    logger.warn('No client available for inspectWeaviateSchema');
+    return;
+  }
+  
+  try {
+    logger.info('[Debug] Running detailed Weaviate schema inspection');
+    
+    // Get full schema
+    const fullSchema = await client.schema.getter().do();
+    if (!fullSchema?.classes?.length) {
+      logger.info('[Debug] No classes found in Weaviate schema');
+      return;
+    }
+    
+    // Check API version
+    try {
+      const meta = await client.misc.metaGetter().do();
+      logger.info(`[Debug] Weaviate API version: ${meta.version}`);
+    } catch (err) {
+      logger.error(`[Debug] Failed to get Weaviate version: ${err.message}`);
+    }
+    
+    // Look for Memory class since we know it works
+    const memoryClass = fullSchema.classes.find(c => c.class === 'Memory');
+    if (memoryClass) {
+      logger.info(`[Debug] Found Memory class with properties: ${JSON.stringify(memoryClass)}`);
+      // Check if it has vectorIndexConfig
+      if (memoryClass.vectorIndexConfig) {
+        logger.info(`[Debug] Memory class vectorIndexConfig: ${JSON.stringify(memoryClass.vectorIndexConfig)}`);
+      } else {
+        logger.info('[Debug] Memory class has NO vectorIndexConfig defined');
+      }
+    } else {
+      logger.info('[Debug] Memory class not found');
+    }
+    
+    // Try to create a minimal test class
+    try {
+      const testClassName = 'WeaviateTestClass';
+      // Check if test class exists
+      const existingClasses = fullSchema.classes.map(c => c.class);
+      if (existingClasses.includes(testClassName)) {
+        // Delete it first
+        await client.schema.classDeleter().withClassName(testClassName).do();
+        logger.info(`[Debug] Deleted existing ${testClassName}`);
+      }
+      
+      // Create minimal test class
+      const minimalClassObj = {
+        class: testClassName,
+        description: 'Test class for diagnostics',
+        vectorizer: 'none',
+        properties: [
+          {
+            name: 'testProp',
+            description: 'Test property',
+            dataType: ['text']
+          }
+        ]
+      };
+      
+      await client.schema.classCreator().withClass(minimalClassObj).do();
+      logger.info(`[Debug] Successfully created ${testClassName}`);
+      
+      // Clean up 
+      await client.schema.classDeleter().withClassName(testClassName).do();
+      logger.info(`[Debug] Cleaned up ${testClassName}`);
+    } catch (e) {
+      logger.error(`[Debug] Test class creation failed: ${e.message}`);
+    }
+    
+  } catch (error) {
+    logger.error(`[Debug] Schema inspection failed: ${error.message}`);
+  }
+}
+
+/**
+ * Makes sure all memory classes exist in Weaviate and have the required properties.
+ * @param {object} client - Weaviate client instance.
+ * @returns {Promise<boolean>} True if the schema is usable.
+ */
+async function checkWeaviateSchema(client) {
+  if (!client) {
+    logger.warn('[WeaviateSchema] Weaviate client not available. Skipping schema check.');
+    return false;
+  }
+
+  logger.info('[WeaviateSchema] Checking Weaviate schema for memory models...');
+  
+  // Add diagnostics
+  // await inspectWeaviateSchema(client); // Keep commented out unless needed for debug
+  
+  try {
+    // Get the schema and check for required classes
+    const schema = await client.schema.getter().do();
+    const existingClasses = schema.classes?.map(c => c.class) || [];
+    
+    logger.info(`[WeaviateSchema] Found existing classes: ${existingClasses.join(', ') || 'none'}`);
+    
+    // Check for memory classes
+    let needToCreateChunkEmbeddingClass = !existingClasses.includes('ChunkEmbedding');
+    let needToCreateEpisodeEmbeddingClass = !existingClasses.includes('EpisodeEmbedding');
+    let needToCreateThoughtEmbeddingClass = !existingClasses.includes('ThoughtEmbedding');
+    let needToCreateKnowledgeNodeClass = !existingClasses.includes('KnowledgeNode');
+    let needToCreateRelationshipClass = !existingClasses.includes('Relationship');
+    
+    // Create any missing classes
+    if (needToCreateChunkEmbeddingClass) {
+      logger.info('[WeaviateSchema] ChunkEmbedding class not found, creating it...');
+      await createChunkEmbeddingClass(client);
+    } else {
+      logger.info('[WeaviateSchema] ChunkEmbedding class exists.');
+      await checkMissingProperties(client, 'ChunkEmbedding', existingClasses);
+    }
+    
+    if (needToCreateEpisodeEmbeddingClass) {
+      logger.info('[WeaviateSchema] EpisodeEmbedding class not found, creating it...');
+      await createEpisodeEmbeddingClass(client);
+    } else {
+      logger.info('[WeaviateSchema] EpisodeEmbedding class exists.');
+      await checkMissingProperties(client, 'EpisodeEmbedding', existingClasses);
+    }
+    
+    if (needToCreateThoughtEmbeddingClass) {
+      logger.info('[WeaviateSchema] ThoughtEmbedding class not found, creating it...');
+      await createThoughtEmbeddingClass(client);
+    } else {
+      logger.info('[WeaviateSchema] ThoughtEmbedding class exists.');
+      await checkMissingProperties(client, 'ThoughtEmbedding', existingClasses);
+    }
+    
+    if (needToCreateKnowledgeNodeClass) {
+      logger.info('[WeaviateSchema] KnowledgeNode class not found, creating it...');
+      await createKnowledgeNodeClass(client);
+    } else {
+      logger.info('[WeaviateSchema] KnowledgeNode class exists.');
+      await checkMissingProperties(client, 'KnowledgeNode', existingClasses);
+    }
+    
+    if (needToCreateRelationshipClass) {
+      logger.info('[WeaviateSchema] Relationship class not found, creating it...');
+      await createRelationshipClass(client);
+    } else {
+      logger.info('[WeaviateSchema] Relationship class exists.');
+      await checkMissingProperties(client, 'Relationship', existingClasses);
+    }
+    
+    logger.info('[WeaviateSchema] Weaviate schema check completed successfully');
+    return true;
+  } catch (error) {
+    // If the error is a 404, it likely means the schema doesn't exist yet
+    if (error.statusCode === 404) {
+      logger.info('[WeaviateSchema] Schema not found, creating full schema...');
+      
+      try {
+        await createChunkEmbeddingClass(client);
+        await createEpisodeEmbeddingClass(client);
+        await createThoughtEmbeddingClass(client);
+        await createKnowledgeNodeClass(client);
+        await createRelationshipClass(client);
+        logger.info('[WeaviateSchema] Full schema created successfully');
+        return true;
+      } catch (createError) {
+        logger.error(`[WeaviateSchema] Failed to create schema: ${createError.message}`, { error: createError });
+        return false;
+      }
+    }
+    
+    logger.error(`[WeaviateSchema] Error checking Weaviate schema: ${error.message}`, { error });
+    return false;
+  }
+}
+
+/**
+ * Checks if any required properties are missing from a Weaviate class
+ * @param {object} client - Weaviate client instance (passed in)
+ * @param {string} className - Name of the class to check
+ * @param {string[]} existingClasses - Array of existing class names
+ */
+async function checkMissingProperties(client, className, existingClasses) {
+  if (!client) {
+    logger.warn('Weaviate client not available in checkMissingProperties');
+    return;
+  }
+  // Check if existingClasses is actually an array before using .includes()
+  if (!Array.isArray(existingClasses)) {
+     logger.error(`[WeaviateSchema] checkMissingProperties received invalid existingClasses: ${existingClasses}`); // Use logger
+     return; // Exit early if the input is wrong
+  }
+  
+  try {
+    // Now it's safe to use .includes()
+    if (existingClasses.includes(className)) {
+      const classDefinition = await client.schema.classGetter().withClassName(className).do();
+      const existingProps = classDefinition.properties?.map(p => p.name) || [];
+      
+      // Define required properties based on className
+      let requiredProperties = [];
+      if (className === 'Memory') {
+         requiredProperties = ['content', 'rawDataId', 'chunkId', 'importance', 'dataType', 'metadata', 'createdAt', 'contextBefore', 'contextAfter', 'userId'];
+      } else if (className === 'KnowledgeNode') {
+         requiredProperties = ['entity', 'type', 'description', 'metadata', 'sourceIds', 'createdAt', 'updatedAt', 'nodeDbId', 'userId', 'embeddingModel'];
+      } else if (className === 'Relationship') {
+         requiredProperties = ['relationType', 'sourceNodeId', 'targetNodeId', 'confidence', 'metadata', 'sourceIds', 'createdAt'];
+      } else if (className === 'ChunkEmbedding') {
+         requiredProperties = ['chunkDbId', 'text', 'rawDataId', 'importance', 'userId', 'embeddingModel', 'subjectIds', 'valence', 'arousal', 'emotions'];
+      } else if (className === 'EpisodeEmbedding') {
+         requiredProperties = ['episodeDbId', 'title', 'narrative', 'userId', 'createdAt', 'occurredAt', 'embeddingModel', 'subjectIds', 'valence', 'arousal', 'emotions'];
+      } else if (className === 'ThoughtEmbedding') {
+         requiredProperties = ['thoughtDbId', 'name', 'description', 'userId', 'createdAt', 'embeddingModel'];
+      }
+      
+      const missingProps = requiredProperties.filter(prop => !existingProps.includes(prop));
+      
+      if (missingProps.length > 0) {
+        logger.info(`[WeaviateSchema] Adding missing properties to ${className} class: ${missingProps.join(', ')}`); // Use logger
+        for (const propName of missingProps) {
+          // Pass the client instance to addPropertyToClass
+          await addPropertyToClass(client, className, propName);
+        }
+      }
+    }
+  } catch (error) {
+    logger.error(`[WeaviateSchema] Error checking/adding properties for class ${className}:`, { error }); // Use logger
+  }
+}
+
+/**
+ * Adds a property to a Weaviate class
+ * @param {object} client - Weaviate client instance (passed in)
+ * @param {string} className - Class to add property to
+ * @param {string} propName - Name of the property to add
+ */
+async function addPropertyToClass(client, className, propName) {
+  if (!client) {
+    logger.warn('Weaviate client not available in addPropertyToClass');
+    return;
+  }
+  try {
+    let propertyConfig;
+    
+    // Define property configuration based on property name
+    // (This switch statement needs to be comprehensive for all potential missing props)
+    switch (propName) {
+      // Common properties
+      case 'userId': propertyConfig = { name: propName, dataType: ['text'], description: 'ID of the user this memory belongs to' }; break;
+      case 'importance': propertyConfig = { name: propName, dataType: ['number'], description: 'Importance score (0-1)' }; break;
+      case 'createdAt': propertyConfig = { name: propName, dataType: ['date'] }; break;
+      
+      // Memory class properties
+      case 'content': propertyConfig = { name: propName, dataType: ['text'] }; break;
+      case 'rawDataId': propertyConfig = { name: propName, dataType: ['text'] }; break; // Use text
+      case 'chunkId': propertyConfig = { name: propName, dataType: ['text'] }; break;
+      case 'dataType': propertyConfig = { name: propName, dataType: ['text'] }; break;
+      case 'metadata': propertyConfig = { name: propName, dataType: ['text'] }; break;
+      case 'contextBefore': propertyConfig = { name: propName, dataType: ['text'] }; break;
+      case 'contextAfter': propertyConfig = { name: propName, dataType: ['text'] }; break;
+      
+      // KnowledgeNode props
+      case 'entity': propertyConfig = { name: propName, dataType: ['text'] }; break;
+      case 'type': propertyConfig = { name: propName, dataType: ['text'] }; break;
+      case 'description': propertyConfig = { name: propName, dataType: ['text'] }; break;
+      case 'sourceIds': propertyConfig = { name: propName, dataType: ['text[]'] }; break;
+      case 'updatedAt': propertyConfig = { name: propName, dataType: ['date'] }; break;
+      case 'nodeDbId': propertyConfig = { name: propName, dataType: ['text'], description: 'ID of the KnowledgeNode in the database' }; break;
+      
+      // Relationship props
+      case 'relationType': propertyConfig = { name: propName, dataType: ['text'] }; break;
+      case 'sourceNodeId': propertyConfig = { name: propName, dataType: ['text'] }; break;
+      case 'targetNodeId': propertyConfig = { name: propName, dataType: ['text'] }; break;
+      case 'confidence': propertyConfig = { name: propName, dataType: ['number'] }; break;
+
+      // Shared by ChunkEmbedding, EpisodeEmbedding and ThoughtEmbedding
+      case 'embeddingModel': propertyConfig = { name: propName, dataType: ['text'], description: 'Embedding model that produced the vector' }; break;
+
+      // Shared by ChunkEmbedding and EpisodeEmbedding
+      case 'subjectIds': propertyConfig = { name: propName, dataType: ['text[]'], description: 'SubjectProfile IDs of the people (other than the user) the memory is about' }; break;
+      case 'valence': propertyConfig = { name: propName, dataType: ['number'], description: 'Emotional valence of the memory (-1 negative to 1 positive)' }; break;
+      case 'arousal': propertyConfig = { name: propName, dataType: ['number'], description: 'Emotional arousal of the memory (0 calm to 1 intense)' }; break;
+      case 'emotions': propertyConfig = { name: propName, dataType: ['text[]'], description: 'Discrete emotions expressed in the memory' }; break;
+      
+      // ChunkEmbedding props
+      case 'chunkDbId': propertyConfig = { name: propName, dataType: ['text'], description: 'ID of the ChunkEmbedding in the database' }; break;
+      case 'text': propertyConfig = { name: propName, dataType: ['text'], description: 'The full text content of the chunk' }; break;
+      
+      // EpisodeEmbedding props
+      case 'episodeDbId': propertyConfig = { name: propName, dataType: ['text'], description: 'ID of the Episode in the database' }; break;
+      case 'title': propertyConfig = { name: propName, dataType: ['text'], description: 'Title of the episode' }; break;
+      case 'narrative': propertyConfig = { name: propName, dataType: ['text'], description: 'Narrative summary of the episode' }; break;
+      case 'occurredAt': propertyConfig = { name: propName, dataType: ['date'], description: 'When the episode occurred' }; break;
+      
+      // ThoughtEmbedding props
+      case 'thoughtDbId': propertyConfig = { name: propName, dataType: ['text'], description: 'ID of the Thought in the database' }; break;
+      case 'name': propertyConfig = { name: propName, dataType: ['text'], description: 'Short label for the thought' }; break;
+
+      default:
+        logger.warn(`[WeaviateSchema] Unknown property ${propName} requested in addPropertyToClass, skipping`); // Use logger
+        return;
+    }
+    
+    // Use the passed client instance
+    await client.schema.propertyCreator()
+      .withClassName(className)
+      .withProperty(propertyConfig)
+      .do();
+      
+    logger.info(`[WeaviateSchema] Added property ${propName} to class ${className}`); // Use logger
+  } catch (error) {
+    logger.error(`[WeaviateSchema] Failed to add property ${propName} to class ${className}:`, { error }); // Use logger
+  }
+}
+
+/**
+ * Creates the KnowledgeNode class in Weaviate
+ * @param {Object} client - Weaviate client instance (passed in)
+ */
+async function createKnowledgeNodeClass(client) {
+  if (!client) {
+      logger.error('Weaviate client not available in createKnowledgeNodeClass');
+      throw new Error('Weaviate client is required to create class');
+  }
+  try {
+    const classObj = {
+      class: 'KnowledgeNode',
+      description: 'A node representing an entity or concept in the knowledge graph',
+      vectorizer: 'none', // Set vectorizer to none
+      vectorIndexType: 'hnsw', // Standardized with other classes
+      vectorIndexConfig: {
+        distance: 'cosine' // Standardized distance metric
+      },
+      properties: [
+        {
+          name: 'entity',
+          description: 'The entity or concept name',
+          dataType: ['text']
+        },
+        {
+          name: 'type',
+          description: 'The type of entity (person, place, concept, etc.)',
+          dataType: ['text']
+        },
+        {
+          name: 'description',
+          description: 'Description of the entity or concept',
+          dataType: ['text'],
+        },
+        {
+          name: 'metadata',
+          description: 'Additional metadata about the entity',
+          dataType: ['text']
+        },
+        {
+          name: 'sourceIds',
+          description: 'IDs of source raw data that contributed to this node',
+          dataType: ['text[]']
+        },
+        {
+          name: 'nodeDbId',
+          description: 'ID of the KnowledgeNode in the database',
+          dataType: ['text']
+        },
+        {
+          name: 'userId',
+          description: 'ID of the user this node belongs to',
+          dataType: ['text']
+        },
+        {
+          name: 'embeddingModel',
+          description: 'Embedding model that produced the vector',
+          dataType: ['text']
+        },
+        {
+          name: 'createdAt',
+          description: 'Timestamp when the node was created',
+          dataType: ['date']
+        },
+        {
+          name: 'updatedAt',
+          description: 'Timestamp when the node was last updated',
+          dataType: ['date']
+        }
+      ]
+    };
+
+    await client.schema.classCreator().withClass(classObj).do();
+    logger.info('[WeaviateSchema] Successfully created KnowledgeNode class in Weaviate'); // Use logger
+    return true;
+  } catch (error) {
+    logger.error('[WeaviateSchema] Failed to create KnowledgeNode class:', { error }); // Use logger
+    throw error;
+  }
+}
+
+/**
+ * Creates the Relationship class in Weaviate
+ * @param {Object} client - Weaviate client instance (passed in)
+ */
+async function createRelationshipClass(client) {
+  if (!client) {
+      logger.error('Weaviate client not available in createRelationshipClass');
+      throw new Error('Weaviate client is required to create class');
+  }
+  try {
+    const classObj = {
+      class: 'Relationship',
+      description: 'A relationship between two knowledge nodes in the graph',
+      vectorizer: 'none', // Set vectorizer to none
+      vectorIndexType: 'hnsw', // Standardized with other classes
+      vectorIndexConfig: {
+        distance: 'cosine' // Standardized distance metric
+      },
+      properties: [
+        {
+          name: 'relationType',
+          description: 'The type of relationship (e.g., "works_at", "created_by", etc.)',
+          dataType: ['text']
+        },
+        {
+          name: 'sourceNodeId',
+          description: 'The ID of the source node in the relationship',
+          dataType: ['text']
+        },
+        {
+          name: 'targetNodeId',
+          description: 'The ID of the target node in the relationship',
+          dataType: ['text']
+        },
+        {
+          name: 'confidence',
+          description: 'Confidence score for this relationship',
+          dataType: ['number']
+        },
+        {
+          name: 'metadata',
+          description: 'Additional metadata about the relationship',
+          dataType: ['text']
+        },
+        {
+          name: 'sourceIds',
+          description: 'IDs of source raw data that established this relationship',
+          dataType: ['text[]']
+        },
+        {
+          name: 'createdAt',
+          description: 'Timestamp when the relationship was created',
+          dataType: ['date']
+        }
+      ]
+    };
+
+    await client.schema.classCreator().withClass(classObj).do();
+    logger.info('[WeaviateSchema] Successfully created Relationship class in Weaviate'); // Use logger
+    return true;
+  } catch (error) {
+    logger.error('[WeaviateSchema] Failed to create Relationship class:', { error }); // Use logger
+    throw error;
+  }
+}
+
+/**
+ * Creates the ChunkEmbedding class in Weaviate
+ * @param {Object} client - Weaviate client instance
+ */
+async function createChunkEmbeddingClass(client) {
+  if (!client) {
+    logger.error('Weaviate client not available in createChunkEmbeddingClass');
+    throw new Error('Weaviate client is required to create class');
+  }
+  try {
+    logger.info('[WeaviateSchema] Creating ChunkEmbedding class with properties: chunkDbId, text, rawDataId, importance, userId, sessionId, chunkIndex, tokenCount, contentType, sourceCreatedAt, perspectiveOwnerId, subjectId, topicKey, skipImportanceCheck, embeddingModel, subjectIds, valence, arousal, emotions');
+    
+    const classObj = {
+      class: 'ChunkEmbedding',
+      description: 'A memory chunk with its associated embedding vector',
+      vectorizer: 'none', 
+      vectorIndexType: 'hnsw', 
+      vectorIndexConfig: { distance: 'cosine' },
+      properties: [
+        { name: 'chunkDbId', description: 'ID of the ChunkEmbedding in the database', dataType: ['text'] },
+        { name: 'text', description: 'The full text content of the chunk', dataType: ['text'] },
+        { name: 'rawDataId', description: 'ID of the source raw data', dataType: ['text'] },
+        { name: 'importance', description: 'Importance score of the memory (0-1)', dataType: ['number'] },
+        { name: 'userId', description: 'ID of the user this memory belongs to', dataType: ['text'] },
+        { name: 'sessionId', description: 'Session ID associated with this chunk', dataType: ['text'] },
+        { name: 'chunkIndex', description: 'Index of this chunk within the original content', dataType: ['int'] },
+        { name: 'tokenCount', description: 'Number of tokens in the chunk text', dataType: ['int'] },
+        { name: 'contentType', description: 'Type of the original raw data', dataType: ['text'] },
+        { name: 'sourceCreatedAt', description: 'Creation timestamp of the original raw data', dataType: ['date'] },
+        { name: 'perspectiveOwnerId', description: 'Perspective owner ID from raw data', dataType: ['text'] },
+        { name: 'subjectId', description: 'Subject ID from raw data', dataType: ['text'] },
+        { name: 'topicKey', description: 'Topic key from raw data', dataType: ['text'] },
+        { name: 'skipImportanceCheck', description: 'Flag indicating if importance check was skipped', dataType: ['boolean'] },
+        { name: 'embeddingModel', description: 'Embedding model that produced the vector', dataType: ['text'] },
+        { name: 'subjectIds', description: 'SubjectProfile IDs of the people (other than the user) the chunk is about', dataType: ['text[]'] },
+        { name: 'valence', description: 'Emotional valence of the chunk (-1 negative to 1 positive)', dataType: ['number'] },
+        { name: 'arousal', description: 'Emotional arousal of the chunk (0 calm to 1 intense)', dataType: ['number'] },
+        { name: 'emotions', description: 'Discrete emotions expressed in the chunk', dataType: ['text[]'] },
+      ]
+    };
+    
+    logger.info(`[WeaviateSchema] Calling Weaviate schema.classCreator() for ChunkEmbedding`);
+    
+    try {
+      const result = await client.schema.classCreator().withClass(classObj).do();
+      logger.info('[WeaviateSchema] Created ChunkEmbedding class in Weaviate successfully:', result);
+    } catch (innerError) {
+      logger.error(`[WeaviateSchema] Weaviate API error creating ChunkEmbedding class: ${innerError.message}`);
+      if (innerError.response) {
+        logger.error(`[WeaviateSchema] Status: ${innerError.response.status}, Response body: ${JSON.stringify(innerError.response.data || {})}`);
+      }
+      throw innerError;
+    }
+  } catch (error) {
+    logger.error(`[WeaviateSchema] Error creating ChunkEmbedding class: ${error.message}`, { error });
+    throw error;
+  }
+}
+
+/**
+ * Creates the EpisodeEmbedding class in Weaviate
+ * @param {Object} client - Weaviate client instance
+ */
+async function createEpisodeEmbeddingClass(client) {
+  if (!client) {
+    logger.error('Weaviate client not available in createEpisodeEmbeddingClass');
+    throw new Error('Weaviate client is required to create class');
+  }
+  try {
+    logger.info('[WeaviateSchema] Creating EpisodeEmbedding class with properties: episodeDbId, title, narrative, userId, createdAt, occurredAt, embeddingModel, subjectIds, valence, arousal, emotions');
+    
+    const classObj = {
+      class: 'EpisodeEmbedding',
+      description: 'An episode with its centroid vector',
+      vectorizer: 'none', 
+      vectorIndexType: 'hnsw', 
+      vectorIndexConfig: {
+        distance: 'cosine', 
+      },
+      properties: [
+        {
+          name: 'episodeDbId',
+          description: 'ID of the Episode in the database',
+          dataType: ['text'],
+        },
+        {
+          name: 'title',
+          description: 'Title of the episode',
+          dataType: ['text'],
+        },
+        {
+          name: 'narrative',
+          description: 'Narrative summary of the episode',
+          dataType: ['text'],
+        },
+        {
+          name: 'userId',
+          description: 'ID of the user this episode belongs to',
+          dataType: ['text']
+        },
+        {
+          name: 'createdAt',
+          description: 'Timestamp when the episode was created in DB',
+          dataType: ['date'],
+        },
+        {
+          name: 'occurredAt',
+          description: 'When the episode occurred (earliest linked content)',
+          dataType: ['date'],
+        },
+        {
+          name: 'embeddingModel',
+          description: 'Embedding model that produced the centroid vector',
+          dataType: ['text'],
+        },
+        {
+          name: 'subjectIds',
+          description: 'SubjectProfile IDs of the people (other than the user) the episode is about',
+          dataType: ['text[]'],
+        },
+        {
+          name: 'valence',
+          description: 'Mean emotional valence of the episode chunks (-1 negative to 1 positive)',
+          dataType: ['number'],
+        },
+        {
+          name: 'arousal',
+          description: 'Mean emotional arousal of the episode chunks (0 calm to 1 intense)',
+          dataType: ['number'],
+        },
+        {
+          name: 'emotions',
+          description: 'Most frequent emotions of the episode chunks',
+          dataType: ['text[]'],
+        }
+      ]
+    };
+    
+    logger.info(`[WeaviateSchema] Calling Weaviate schema.classCreator() for EpisodeEmbedding`);
+    
+    try {
+      const result = await client.schema.classCreator().withClass(classObj).do();
+      logger.info('[WeaviateSchema] Created EpisodeEmbedding class in Weaviate successfully:', result);
+    } catch (innerError) {
+      logger.error(`[WeaviateSchema] Weaviate API error creating EpisodeEmbedding class: ${innerError.message}`);
+      if (innerError.response) {
+        logger.error(`[WeaviateSchema] Status: ${innerError.response.status}, Response body: ${JSON.stringify(innerError.response.data || {})}`);
+      }
+      throw innerError;
+    }
+  } catch (error) {
+    logger.error(`[WeaviateSchema] Error creating EpisodeEmbedding class: ${error.message}`, { error });
+    throw error;
+  }
+}
+
+/**
+ * Creates the ThoughtEmbedding class in Weaviate
+ * @param {Object} client - Weaviate client instance
+ */
+async function createThoughtEmbeddingClass(client) {
+  if (!client) {
+    logger.error('Weaviate client not available in createThoughtEmbeddingClass');
+    throw new Error('Weaviate client is required to create class');
+  }
+  try {
+    logger.info('[WeaviateSchema] Creating ThoughtEmbedding class with properties: thoughtDbId, name, description, userId, createdAt, embeddingModel');
+    
+    const classObj = {
+      class: 'ThoughtEmbedding',
+      description: 'A thought insight with its vector',
+      vectorizer: 'none', // Set vectorizer to none as we provide vectors manually
+      vectorIndexType: 'hnsw', // Explicitly setting to match Memory class
+      vectorIndexConfig: {
+        distance: 'cosine', // Using cosine similarity like Memory class has
+      },
+      properties: [
+        {
+          name: 'thoughtDbId',
+          description: 'ID of the Thought in the database',
+          dataType: ['text'],
+        },
+        {
+          name: 'name',
+          description: 'Short label for the thought',
+          dataType: ['text'],
+        },
+        {
+          name: 'description',
+          description: 'Full description of the thought insight',
+          dataType: ['text'],
+        },
+        {
+          name: 'userId',
+          description: 'ID of the user this thought belongs to',
+          dataType: ['text']
+        },
+        {
+          name: 'createdAt',
+          description: 'Timestamp when the thought was created in DB',
+          dataType: ['date'],
+        },
+        {
+          name: 'embeddingModel',
+          description: 'Embedding model that produced the vector',
+          dataType: ['text'],
+        }
+      ]
+    };
+    
+    logger.info(`[WeaviateSchema] Calling Weaviate schema.classCreator() for ThoughtEmbedding`);
+    
+    try {
+      const result = await client.schema.classCreator().withClass(classObj).do();
+      logger.info('[WeaviateSchema] Created ThoughtEmbedding class in Weaviate successfully:', result);
+    } catch (innerError) {
+      logger.error(`[WeaviateSchema] Weaviate API error creating ThoughtEmbedding class: ${innerError.message}`);
+      if (innerError.response) {
+        logger.error(`[WeaviateSchema] Status: ${innerError.response.status}, Response body: ${JSON.stringify(innerError.response.data || {})}`);
+      }
+      throw innerError;
+    }
+  } catch (error) {
+    logger.error(`[WeaviateSchema] Error creating ThoughtEmbedding class: ${error.message}`, { error });
+    throw error;
+  }
+}
+
+module.exports = {
+  checkWeaviateSchema,
+  inspectWeaviateSchema,
+};
@@ -10,6 +10,11 @@ const rawDataRepository = require('../repositories/rawData.repository');
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const fileUploadService = require('../services/fileUpload.service');
+const reembeddingService = require('../services/reembedding.service');
+const memoryReprocessing = require('../services/memoryReprocessing.service');
+const graphSync = require('../services/graphSync.service');
+const { getGraphStore } = require('../services/graphStore.service');
+const aiService = require('../services/ai.service');
 const fs = require('fs');
 const { handleServiceError } = require('../utils/errorHandler');
 
@@ -37,6 +42,12 @@ const processJob = async (job) => {
       return await processRawDataJob(job);
     case 'processFileUpload':
       return await processFileUploadJob(job);
+    case 'reembedUserMemories':
+      return await processReembedJob(job);
+    case 'syncUserGraph':
+      return await processGraphSyncJob(job);
+    case 'reprocessMemories':
+      return await processReprocessJob(job);
     default:
       logger.warn(`Unknown job type "${job.name}" received.`);
       return { status: 'skipped', reason: 'unknown job type' };
@@ -45,7 +56,7 @@ const processJob = async (job) => {
 
 // Process raw data (original implementation)
 const processRawDataJob = async (job) => {
-  const { rawDataId } = job.data;
+  const { rawDataId, fromStage } = job.data;
   logger.info(`Processing rawData job ${job.id} for rawDataId: ${rawDataId}...`);
 
   if (!rawDataId) {
@@ -66,11 +77,14 @@ const processRawDataJob = async (job) => {
       return { status: 'skipped', reason: 'rawData not found' };
     }
 
-    // Call the actual memory processing pipeline
-    await memoryManager.processMemoryPipeline(rawDataRecord);
+    // Call the actual memory processing pipeline (resumes at the recorded stage of an earlier failed attempt)
+    const outcome = await memoryManager.processMemoryPipeline(rawDataRecord, { fromStage });
+    if (!outcome) {
+      return { status: 'skipped', reason: 'pipeline already finished' };
+    }
 
-    logger.info(`Successfully processed rawData job ${job.id} for rawDataId: ${rawDataId}`);
-    return { status: 'completed' }; // Indicate success
+    logger.info(`Successfully processed rawData job ${job.id} for rawDataId: ${rawDataId} (${outcome})`);
+    return { status: outcome }; // Indicate success
 
   } catch (error) {
     // Use handleServiceError to ensure consistent logging/formatting
@@ -200,6 +214,84 @@ const processFileUploadJob = async (job) => {
   }
 };
 
+// Re-embed a user's memories with the active embedding model
+const processReembedJob = async (job) => {
+  const { userId } = job.data;
+  logger.info(`Processing re-embedding job ${job.id} for user ${userId}...`);
+
+  if (!userId) {
+    throw new Error(`Job ${job.id} received without userId.`);
+  }
+
+  try {
+    const stats = await reembeddingService.reembedUserMemories(userId);
+    return { status: 'completed', ...stats };
+  } catch (error) {
+    const serviceError = handleServiceError(error, `MemoryWorker processReembedJob ${job.id}`, { userId });
+    logger.error(`Error processing re-embedding job ${job.id} for user ${userId}: ${serviceError.message}`, {
+      jobId: job.id,
+      userId,
+      error: serviceError.originalError || serviceError.message,
+    });
+    throw serviceError.originalError || serviceError;
+  }
+};
+
+// Mirror all of a user's memories into the graph store (backfill or repair)
+const processGraphSyncJob = async (job) => {
+  const { userId } = job.data;
+  logger.info(`Processing graph sync job ${job.id} for user ${userId}...`);
+
+  if (!userId) {
+    throw new Error(`Job ${job.id} received without userId.`);
+  }
+
+  try {
+    const stats = await graphSync.resyncUser(userId);
+    if (!stats) {
+      return { status: 'skipped', reason: 'graph store not available' };
+    }
+    return { status: 'completed', ...stats };
+  } catch (error) {
+    const serviceError = handleServiceError(error, `MemoryWorker processGraphSyncJob ${job.id}`, { userId });
+    logger.error(`Error processing graph sync job ${job.id} for user ${userId}: ${serviceError.message}`, {
+      jobId: job.id,
+      userId,
+      error: serviceError.originalError || serviceError.message,
+    });
+    throw serviceError.originalError || serviceError;
+  }
+};
+
+// Re-run the memory pipeline over the RawData selected by a reprocessing run (admin request or CLI)
+const processReprocessJob = async (job) => {
+  const { runId } = job.data;
+  logger.info(`Processing reprocessing job ${job.id} for run ${runId}...`);
+
+  if (!runId) {
+    throw new Error(`Job ${job.id} received without runId.`);
+  }
+
+  try {
+    const report = await memoryReprocessing.executeRun(runId, {
+      onProgress: progress => job.updateProgress({ done: progress.done, total: progress.total, failed: progress.failed }),
+    });
+    if (!report) {
+      // A run that failed is not started again by a BullMQ retry (it may have deleted memories already)
+      return { status: 'skipped', reason: 'run not pending' };
+    }
+    return { status: 'completed', done: report.done, failed: report.failed };
+  } catch (error) {
+    const serviceError = handleServiceError(error, `MemoryWorker processReprocessJob ${job.id}`, { runId });
+    logger.error(`Error processing reprocessing job ${job.id} for run ${runId}: ${serviceError.message}`, {
+      jobId: job.id,
+      runId,
+      error: serviceError.originalError || serviceError.message,
+    });
+    throw serviceError.originalError || serviceError;
+  }
+};
+
 // --- Worker Initialization ---
 logger.info(`Initializing Memory Worker for queue: ${MEMORY_PROCESSING_QUEUE_NAME}`);
 
@@ -234,10 +326,21 @@ worker.on('error', err => {
 
 logger.info('Memory Worker started and listening for jobs...');
 
+// Load a local embedding model now rather than in the first job
+aiService.warmUpEmbeddings().then(ready => {
+  if (!ready) logger.warn('Embedding provider could not be warmed up; it will be loaded on first use.');
+});
+
+// Migrate memories left over from a previously configured embedding model
+reembeddingService.scheduleOutdatedUsers().catch(error => {
+  logger.error(`Failed to schedule re-embedding jobs: ${error.message}`, { stack: error.stack });
+});
+
 // --- Graceful Shutdown ---
 const gracefulShutdown = async () => {
   logger.info('Shutting down Memory Worker...');
   await worker.close();
+  await getGraphStore().close();
   logger.info('Memory Worker closed.');
   process.exit(0);
 };
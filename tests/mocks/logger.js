@@ -0,0 +1,14 @@
+// tests/mocks/logger.js
+// Silent stand-in for src/utils/logger: jest.mock('<path>/src/utils/logger', () => require('<path>/tests/mocks/logger'))
+
+const createLogger = () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+});
+
+module.exports = {
+  ...createLogger(),
+  childLogger: jest.fn(() => createLogger()),
+};
@@ -0,0 +1,42 @@
+// tests/unit/config/memory.config.test.js
+
+// Loads a fresh copy of the config with the given environment variables set
+function loadConfig(env) {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  try {
+    let config;
+    jest.isolateModules(() => {
+      config = require('../../../config/memory.config');
+    });
+    return config;
+  } finally {
+    process.env = saved;
+  }
+}
+
+describe('memory.config numeric settings', () => {
+  test('accepts 0 as a hybrid retrieval weight', () => {
+    const config = loadConfig({ HYBRID_KEYWORD_WEIGHT: '0', HYBRID_VECTOR_WEIGHT: '0.5' });
+
+    expect(config.hybridRetrieval.keywordWeight).toBe(0);
+    expect(config.hybridRetrieval.vectorWeight).toBe(0.5);
+  });
+
+  test('accepts 0 as the temporal soft boost weight', () => {
+    expect(loadConfig({ TEMPORAL_SOFT_BOOST_WEIGHT: '0' }).temporalRetrieval.softBoostWeight).toBe(0);
+  });
+
+  test('accepts 0 as the MMR lambda', () => {
+    expect(loadConfig({ MMR_LAMBDA: '0' }).diversity.lambda).toBe(0);
+  });
+
+  test('falls back to the defaults for unset or invalid values', () => {
+    const config = loadConfig({ HYBRID_KEYWORD_WEIGHT: 'abc', TEMPORAL_SOFT_BOOST_WEIGHT: '', MMR_LAMBDA: 'none' });
+
+    expect(config.hybridRetrieval.keywordWeight).toBe(0.7);
+    expect(config.hybridRetrieval.vectorWeight).toBe(1.0);
+    expect(config.temporalRetrieval.softBoostWeight).toBe(0.3);
+    expect(config.diversity.lambda).toBe(0.7);
+  });
+});
@@ -0,0 +1,88 @@
+// tests/unit/controllers/memory.controller.test.js
+jest.mock('../../../src/utils/logger', () => require('../../mocks/logger'));
+jest.mock('../../../src/services/ai.service', () => ({ getCompletion: jest.fn() }));
+jest.mock('../../../src/services/memorySearch.service', () => ({ searchMemories: jest.fn() }));
+jest.mock('../../../src/services/memoryPipeline.service', () => ({}));
+jest.mock('../../../src/services/memoryReprocessing.service', () => ({}));
+jest.mock('../../../src/services/emotionTagging.service', () => ({}));
+
+const memorySearchService = require('../../../src/services/memorySearch.service');
+const memoryController = require('../../../src/controllers/memory.controller');
+
+describe('searchMemories option parsing', () => {
+  let res;
+  let next;
+
+  const search = async query => {
+    await memoryController.searchMemories({ user: { id: 'u1' }, query: { q: 'my trip', ...query } }, res, next);
+    return memorySearchService.searchMemories.mock.calls[0]?.[2];
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    next = jest.fn();
+    memorySearchService.searchMemories.mockResolvedValue({ results: [] });
+  });
+
+  test('passes the parsed options to the search', async () => {
+    const options = await search({
+      limit: '8',
+      certainty: '0.7',
+      keywordWeight: '0',
+      rrfK: '30',
+      hybrid: 'false',
+      subjectMode: 'filter',
+      subjectIds: 'p1, p2',
+      emotions: 'Joy,sadness',
+      from: '2025-06-01',
+      to: '2025-06-07',
+      session_id: 's1',
+    });
+
+    expect(options).toEqual({
+      limit: 8,
+      certainty: 0.7,
+      keywordWeight: 0,
+      rrfK: 30,
+      hybrid: false,
+      subjectMode: 'filter',
+      subjectIds: ['p1', 'p2'],
+      emotions: ['joy', 'sadness'],
+      timeRange: { start: new Date('2025-06-01'), end: new Date('2025-06-07') },
+      sessionId: 's1',
+    });
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  test('caps limit and thoughtLimit', async () => {
+    expect(await search({ limit: '1000', thoughtLimit: '99' })).toMatchObject({ limit: 50, thoughtLimit: 10 });
+  });
+
+  test.each([
+    ['limit', '0'],
+    ['limit', '2.5'],
+    ['thoughtLimit', '-1'],
+    ['certainty', '1.5'],
+    ['minImportance', '-0.2'],
+    ['vectorWeight', '-1'],
+    ['keywordWeight', 'Infinity'],
+    ['rrfK', 'abc'],
+    ['graphMaxHops', '0'],
+  ])('rejects %s=%s', async (name, value) => {
+    await search({ [name]: value });
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400, message: expect.stringContaining(`"${name}"`) }));
+    expect(memorySearchService.searchMemories).not.toHaveBeenCalled();
+  });
+
+  test('rejects malformed booleans, dates, subject modes and emotions', async () => {
+    for (const query of [{ hybrid: 'yes' }, { from: 'soon' }, { subjectMode: 'only' }, { emotions: 'joy,bliss' }]) {
+      await search(query);
+    }
+
+    expect(next).toHaveBeenCalledTimes(4);
+    next.mock.calls.forEach(([error]) => expect(error.statusCode).toBe(400));
+    expect(memorySearchService.searchMemories).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,79 @@
+// tests/unit/providers/LocalEmbeddingProvider.test.js
+jest.mock('../../../src/utils/logger', () => require('../../mocks/logger'));
+jest.mock('../../../src/providers/loadTransformers', () => jest.fn());
+
+const loadTransformers = require('../../../src/providers/loadTransformers');
+const aiConfig = require('../../../config/ai.config');
+const LocalEmbeddingProvider = require('../../../src/providers/LocalEmbeddingProvider');
+
+// Stand-in for a feature-extraction pipeline: one vector per text, [text length, batch size]
+const createExtractor = () => jest.fn(async batch => ({ tolist: () => batch.map(text => [text.length, batch.length]) }));
+
+describe('LocalEmbeddingProvider', () => {
+  const localEmbedding = { ...aiConfig.localEmbedding };
+  let transformers;
+  let extractor;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.assign(aiConfig.localEmbedding, { batchSize: 2, cacheDir: '/models', allowRemoteModels: false, quantized: true });
+    extractor = createExtractor();
+    transformers = { pipeline: jest.fn().mockResolvedValue(extractor), env: {} };
+    loadTransformers.mockResolvedValue(transformers);
+  });
+
+  afterAll(() => {
+    Object.assign(aiConfig.localEmbedding, localEmbedding);
+  });
+
+  test('embeds texts in batches of batchSize and loads the model once', async () => {
+    const provider = new LocalEmbeddingProvider('test/batching');
+
+    const vectors = await provider.generateEmbeddings(['a', 'bb', 'ccc', 'dddd', 'eeeee']);
+    await provider.generateEmbeddings('ffffff');
+
+    expect(vectors).toEqual([[1, 2], [2, 2], [3, 2], [4, 2], [5, 1]]);
+    expect(extractor.mock.calls.map(([batch]) => batch)).toEqual([['a', 'bb'], ['ccc', 'dddd'], ['eeeee'], ['ffffff']]);
+    expect(extractor).toHaveBeenCalledWith(['a', 'bb'], { pooling: 'mean', normalize: true });
+    expect(transformers.pipeline).toHaveBeenCalledTimes(1);
+    expect(transformers.pipeline).toHaveBeenCalledWith('feature-extraction', 'test/batching', { quantized: true });
+    expect(transformers.env).toEqual({ cacheDir: '/models', allowRemoteModels: false });
+  });
+
+  test('shares a loaded model between instances', async () => {
+    await new LocalEmbeddingProvider('test/shared').generateEmbeddings('a');
+    await new LocalEmbeddingProvider('test/shared').generateEmbeddings('b');
+
+    expect(transformers.pipeline).toHaveBeenCalledTimes(1);
+  });
+
+  test('returns null when the model fails to load and loads it again on the next call', async () => {
+    transformers.pipeline.mockRejectedValueOnce(new Error('model download failed'));
+    const provider = new LocalEmbeddingProvider('test/retry');
+
+    expect(await provider.generateEmbeddings('a')).toBeNull();
+    expect(await provider.generateEmbeddings('a')).toEqual([[1, 1]]);
+    expect(transformers.pipeline).toHaveBeenCalledTimes(2);
+  });
+
+  test('reports a failed warm-up', async () => {
+    transformers.pipeline.mockRejectedValueOnce(new Error('model download failed'));
+    const provider = new LocalEmbeddingProvider('test/warm-up');
+
+    expect(await provider.warmUp()).toBe(false);
+    expect(await provider.warmUp()).toBe(true);
+  });
+
+  test('returns null when a batch fails and nothing for empty input', async () => {
+    extractor.mockRejectedValueOnce(new Error('out of memory'));
+    const provider = new LocalEmbeddingProvider('test/errors');
+
+    expect(await provider.generateEmbeddings(['a', 'b', 'c'])).toBeNull();
+    expect(await provider.generateEmbeddings([])).toEqual([]);
+    expect(await provider.generateEmbeddings('')).toEqual([]);
+  });
+
+  test('does not support completions', async () => {
+    await expect(new LocalEmbeddingProvider('test/errors').getCompletion('hi')).rejects.toMatchObject({ statusCode: 501 });
+  });
+});
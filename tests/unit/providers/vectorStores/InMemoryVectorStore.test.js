@@ -0,0 +1,72 @@
+// tests/unit/providers/vectorStores/InMemoryVectorStore.test.js
+jest.mock('../../../../src/utils/logger', () => require('../../../mocks/logger'));
+
+const InMemoryVectorStore = require('../../../../src/providers/vectorStores/InMemoryVectorStore');
+
+const userFilter = userId => ({ operator: 'Equal', path: ['userId'], valueText: userId });
+
+describe('InMemoryVectorStore', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = new InMemoryVectorStore();
+    await store.upsert('ChunkEmbedding', 'c1', { chunkDbId: 'c1', userId: 'u1', rawDataId: 'r1', text: 'learning the guitar' }, [1, 0]);
+    await store.upsert('ChunkEmbedding', 'c2', { chunkDbId: 'c2', userId: 'u1', rawDataId: 'r2', text: 'dinner with friends' }, [0, 1]);
+    await store.upsert('ChunkEmbedding', 'c3', { chunkDbId: 'c3', userId: 'u2', rawDataId: 'r3', text: 'guitar concert' }, [1, 0]);
+  });
+
+  test('upsert replaces an object and keeps its own copy of the data', async () => {
+    const properties = { chunkDbId: 'c1', userId: 'u1', text: 'guitar practice' };
+    const vector = [1, 1];
+
+    expect(await store.upsert('ChunkEmbedding', 'c1', properties, vector)).toBe(true);
+    properties.text = 'changed';
+    vector[0] = 0;
+
+    expect(await store.fetchVector('ChunkEmbedding', 'c1')).toEqual([1, 1]);
+    const [hit] = await store.keywordSearch('ChunkEmbedding', { query: 'practice', properties: ['text'], filter: userFilter('u1') });
+    expect(hit.properties.text).toBe('guitar practice');
+  });
+
+  test('upsert rejects objects without a vector', async () => {
+    expect(await store.upsert('ChunkEmbedding', 'c4', { chunkDbId: 'c4' }, null)).toBe(false);
+    expect(await store.fetchVector('ChunkEmbedding', 'c4')).toBeNull();
+  });
+
+  test('delete removes one object, also when it does not exist', async () => {
+    expect(await store.delete('ChunkEmbedding', 'c1')).toBe(true);
+    expect(await store.delete('ChunkEmbedding', 'missing')).toBe(true);
+
+    expect(await store.fetchVector('ChunkEmbedding', 'c1')).toBeNull();
+    expect(await store.fetchVector('ChunkEmbedding', 'c2')).toEqual([0, 1]);
+  });
+
+  test('deleteWhere removes the matching objects and counts them', async () => {
+    expect(await store.deleteWhere('ChunkEmbedding', userFilter('u1'))).toBe(2);
+    expect(await store.deleteWhere('ChunkEmbedding', userFilter('u1'))).toBe(0);
+
+    expect(await store.fetchVector('ChunkEmbedding', 'c3')).toEqual([1, 0]);
+  });
+
+  test('nearVector searches one class with the filter and certainty', async () => {
+    await store.upsert('EpisodeEmbedding', 'e1', { episodeDbId: 'e1', userId: 'u1' }, [1, 0]);
+
+    const hits = await store.nearVector('ChunkEmbedding', { vector: [1, 0], certainty: 0.9, filter: userFilter('u1'), fields: ['chunkDbId'] });
+
+    expect(hits).toEqual([{ id: 'c1', properties: { chunkDbId: 'c1' }, certainty: 1 }]);
+  });
+
+  test('keywordSearch ranks by BM25 and ignores blank queries', async () => {
+    const hits = await store.keywordSearch('ChunkEmbedding', { query: 'Guitar', properties: ['text'], filter: userFilter('u1') });
+
+    expect(hits.map(hit => hit.id)).toEqual(['c1']);
+    expect(hits[0].score).toBeGreaterThan(0);
+    expect(await store.keywordSearch('ChunkEmbedding', { query: '  ', properties: ['text'] })).toEqual([]);
+  });
+
+  test('clear removes every class', async () => {
+    store.clear();
+
+    expect(await store.nearVector('ChunkEmbedding', { vector: [1, 0] })).toEqual([]);
+  });
+});
@@ -0,0 +1,54 @@
+// tests/unit/providers/vectorStores/PostgresVectorStore.test.js
+jest.mock('../../../../src/utils/logger', () => require('../../../mocks/logger'));
+jest.mock('../../../../src/db/prisma', () => ({ prisma: { vectorEntry: { findMany: jest.fn(), deleteMany: jest.fn() } } }));
+
+const { prisma } = require('../../../../src/db/prisma');
+const PostgresVectorStore = require('../../../../src/providers/vectorStores/PostgresVectorStore');
+
+const userFilter = userId => ({ operator: 'Equal', path: ['userId'], valueText: userId });
+
+describe('PostgresVectorStore', () => {
+  const store = new PostgresVectorStore();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.vectorEntry.findMany.mockResolvedValue([
+      { objectId: 'c1', properties: { userId: 'u1', rawDataId: 'r1', text: 'guitar' }, vector: [1, 0] },
+      { objectId: 'c2', properties: { userId: 'u1', rawDataId: 'r2', text: 'dinner' }, vector: [0, 1] },
+    ]);
+    prisma.vectorEntry.deleteMany.mockResolvedValue({ count: 1 });
+  });
+
+  test('loads only the rows of the user the filter requires', async () => {
+    const filter = { operator: 'And', operands: [userFilter('u1'), { operator: 'Equal', path: ['embeddingModel'], valueText: 'm1' }] };
+
+    await store.nearVector('ChunkEmbedding', { vector: [1, 0], filter });
+
+    expect(prisma.vectorEntry.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { className: 'ChunkEmbedding', userId: 'u1' } }));
+  });
+
+  test('scores the user\'s rows in process', async () => {
+    const hits = await store.nearVector('ChunkEmbedding', { vector: [1, 0], certainty: 0.9, filter: userFilter('u1') });
+    const keywordHits = await store.keywordSearch('ChunkEmbedding', { query: 'dinner', properties: ['text'], filter: userFilter('u1') });
+
+    expect(hits.map(hit => hit.id)).toEqual(['c1']);
+    expect(keywordHits.map(hit => hit.id)).toEqual(['c2']);
+  });
+
+  test('deletes only the rows matching the whole filter', async () => {
+    const filter = { operator: 'And', operands: [userFilter('u1'), { operator: 'Equal', path: ['rawDataId'], valueText: 'r2' }] };
+
+    expect(await store.deleteWhere('ChunkEmbedding', filter)).toBe(1);
+    expect(prisma.vectorEntry.deleteMany).toHaveBeenCalledWith({ where: { className: 'ChunkEmbedding', objectId: { in: ['c2'] } } });
+  });
+
+  test('rejects searches and deletes that are not scoped to a user instead of loading the whole table', async () => {
+    const rawDataFilter = { operator: 'Equal', path: ['rawDataId'], valueText: 'r1' };
+    const eitherUser = { operator: 'Or', operands: [userFilter('u1'), userFilter('u2')] };
+
+    await expect(store.nearVector('ChunkEmbedding', { vector: [1, 0] })).rejects.toThrow('must filter by userId');
+    await expect(store.keywordSearch('ChunkEmbedding', { query: 'guitar', properties: ['text'], filter: eitherUser })).rejects.toThrow('must filter by userId');
+    await expect(store.deleteWhere('ChunkEmbedding', rawDataFilter)).rejects.toThrow('must filter by userId');
+    expect(prisma.vectorEntry.findMany).not.toHaveBeenCalled();
+  });
+});
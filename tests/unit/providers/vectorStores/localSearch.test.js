@@ -0,0 +1,147 @@
+// tests/unit/providers/vectorStores/localSearch.test.js
+const {
+  matchesFilter,
+  cosineCertainty,
+  tokenize,
+  bm25Rank,
+  searchNearVector,
+  searchKeywords,
+} = require('../../../../src/providers/vectorStores/localSearch');
+
+const properties = {
+  userId: 'u1',
+  importance: 0.7,
+  sourceCreatedAt: '2025-06-03T10:00:00Z',
+  emotions: ['joy', 'pride'],
+  isSelf: false,
+};
+const equal = (path, value) => ({ operator: 'Equal', path: [path], valueText: value });
+
+describe('matchesFilter', () => {
+  test('matches everything without a filter', () => {
+    expect(matchesFilter(properties, null)).toBe(true);
+  });
+
+  test('compares numbers, dates and booleans', () => {
+    expect(matchesFilter(properties, { operator: 'GreaterThanEqual', path: ['importance'], valueNumber: 0.7 })).toBe(true);
+    expect(matchesFilter(properties, { operator: 'GreaterThan', path: ['importance'], valueNumber: 0.7 })).toBe(false);
+    expect(matchesFilter(properties, { operator: 'LessThan', path: ['importance'], valueInt: 1 })).toBe(true);
+    expect(matchesFilter(properties, { operator: 'LessThanEqual', path: ['sourceCreatedAt'], valueDate: '2025-06-03T09:00:00Z' })).toBe(false);
+    expect(matchesFilter(properties, { operator: 'GreaterThan', path: ['sourceCreatedAt'], valueDate: '2025-06-01T00:00:00Z' })).toBe(true);
+    expect(matchesFilter(properties, { operator: 'Equal', path: ['isSelf'], valueBoolean: false })).toBe(true);
+  });
+
+  test('matches any of the values with ContainsAny, for array and scalar properties', () => {
+    expect(matchesFilter(properties, { operator: 'ContainsAny', path: ['emotions'], valueTextArray: ['anger', 'pride'] })).toBe(true);
+    expect(matchesFilter(properties, { operator: 'ContainsAny', path: ['emotions'], valueTextArray: ['anger'] })).toBe(false);
+    expect(matchesFilter(properties, { operator: 'ContainsAny', path: ['userId'], valueTextArray: ['u2', 'u1'] })).toBe(true);
+  });
+
+  test('combines filters with And and Or, using the last path element', () => {
+    expect(matchesFilter(properties, { operator: 'And', operands: [equal('userId', 'u1'), { operator: 'Equal', path: ['ChunkEmbedding', 'isSelf'], valueBoolean: false }] })).toBe(true);
+    expect(matchesFilter(properties, { operator: 'And', operands: [equal('userId', 'u1'), equal('userId', 'u2')] })).toBe(false);
+    expect(matchesFilter(properties, { operator: 'Or', operands: [equal('userId', 'u2'), equal('userId', 'u1')] })).toBe(true);
+  });
+
+  test('treats comparisons with a missing property as false, except NotEqual', () => {
+    expect(matchesFilter(properties, { operator: 'GreaterThan', path: ['valence'], valueNumber: -1 })).toBe(false);
+    expect(matchesFilter(properties, equal('subjectId', 'p1'))).toBe(false);
+    expect(matchesFilter(properties, { operator: 'NotEqual', path: ['subjectId'], valueText: 'p1' })).toBe(true);
+    expect(matchesFilter({ sourceCreatedAt: 'not a date' }, { operator: 'LessThan', path: ['sourceCreatedAt'], valueDate: '2030-01-01' })).toBe(false);
+  });
+
+  test('rejects unknown operators', () => {
+    expect(() => matchesFilter(properties, { operator: 'Like', path: ['userId'], valueText: 'u*' })).toThrow('Unsupported filter operator: Like');
+  });
+});
+
+describe('cosineCertainty', () => {
+  test('maps cosine similarity to 0..1', () => {
+    expect(cosineCertainty([1, 0], [2, 0])).toBe(1);
+    expect(cosineCertainty([1, 0], [0, 1])).toBe(0.5);
+    expect(cosineCertainty([1, 0], [-1, 0])).toBe(0);
+  });
+
+  test('is null for vectors that cannot be compared', () => {
+    expect(cosineCertainty([1, 0], [1, 0, 0])).toBeNull();
+    expect(cosineCertainty([0, 0], [1, 0])).toBeNull();
+    expect(cosineCertainty([], [])).toBeNull();
+    expect(cosineCertainty(null, [1])).toBeNull();
+  });
+});
+
+describe('tokenize', () => {
+  test('splits lowercase words and Chinese bigrams', () => {
+    expect(tokenize('Learning GUITAR, day 3!')).toEqual(['learning', 'guitar', 'day', '3']);
+    expect(tokenize('学吉他')).toEqual(['学吉', '吉他']);
+    expect(tokenize('我')).toEqual(['我']);
+    expect(tokenize('')).toEqual([]);
+  });
+});
+
+describe('bm25Rank', () => {
+  const objects = [
+    { id: 'a', properties: { text: 'guitar lesson today' } },
+    { id: 'b', properties: { text: 'guitar guitar practice' } },
+    { id: 'c', properties: { text: 'dinner with friends' } },
+    { id: 'd', properties: { text: 'a very long note about many things and also a guitar somewhere in it' } },
+  ];
+
+  test('ranks by term frequency and document length and drops non-matching documents', () => {
+    const ranked = bm25Rank(objects, 'guitar', ['text']);
+
+    expect(ranked.map(result => result.object.id)).toEqual(['b', 'a', 'd']);
+    expect(ranked[0].score).toBeGreaterThan(ranked[1].score);
+    expect(ranked[1].score).toBeGreaterThan(ranked[2].score);
+  });
+
+  test('weights rare terms higher', () => {
+    const ranked = bm25Rank(objects, 'guitar lesson', ['text']);
+
+    expect(ranked[0].object.id).toBe('a');
+  });
+
+  test('returns nothing without query terms or documents', () => {
+    expect(bm25Rank(objects, '!!', ['text'])).toEqual([]);
+    expect(bm25Rank([], 'guitar', ['text'])).toEqual([]);
+  });
+});
+
+describe('searchNearVector', () => {
+  const objects = [
+    { id: 'a', properties: { userId: 'u1', text: 'a' }, vector: [1, 0] },
+    { id: 'b', properties: { userId: 'u1', text: 'b' }, vector: [1, 1] },
+    { id: 'c', properties: { userId: 'u1', text: 'c' }, vector: [0, 1] },
+    { id: 'd', properties: { userId: 'u2', text: 'd' }, vector: [1, 0] },
+    { id: 'e', properties: { userId: 'u1', text: 'e' }, vector: [1, 0, 0] },
+  ];
+
+  test('returns filtered hits at or above the certainty, closest first', () => {
+    const hits = searchNearVector(objects, { vector: [1, 0], certainty: 0.8, filter: equal('userId', 'u1') });
+
+    expect(hits.map(hit => hit.id)).toEqual(['a', 'b']);
+    expect(hits[1].certainty).toBeCloseTo((1 + Math.SQRT1_2) / 2, 10);
+    expect(searchNearVector(objects, { vector: [1, 0], certainty: 0.5, filter: equal('userId', 'u1') }).map(hit => hit.id)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('applies the limit and returns the requested fields and vectors', () => {
+    const [hit, ...rest] = searchNearVector(objects, { vector: [1, 0], limit: 1, fields: ['text'], includeVector: true });
+
+    expect(rest).toEqual([]);
+    expect(hit).toEqual({ id: 'a', properties: { text: 'a' }, certainty: 1, vector: [1, 0] });
+  });
+});
+
+describe('searchKeywords', () => {
+  test('scores the filtered objects and applies the limit', () => {
+    const objects = [
+      { id: 'a', properties: { userId: 'u1', text: 'guitar lesson' } },
+      { id: 'b', properties: { userId: 'u2', text: 'guitar guitar' } },
+      { id: 'c', properties: { userId: 'u1', text: 'guitar' } },
+    ];
+
+    const hits = searchKeywords(objects, { query: 'guitar', properties: ['text'], filter: equal('userId', 'u1'), limit: 1, fields: ['text'] });
+
+    expect(hits).toEqual([{ id: 'c', properties: { text: 'guitar' }, score: expect.any(Number) }]);
+  });
+});
@@ -0,0 +1,97 @@
+// tests/unit/services/emotionTagging.service.test.js
+jest.mock('../../../src/utils/logger', () => require('../../mocks/logger'));
+jest.mock('../../../src/repositories/chunk.repository', () => ({ findMany: jest.fn(), update: jest.fn() }));
+jest.mock('../../../src/services/ai.service', () => ({ getCompletion: jest.fn() }));
+
+const chunkRepository = require('../../../src/repositories/chunk.repository');
+const aiService = require('../../../src/services/ai.service');
+const memoryConfig = require('../../../config/memory.config');
+const { tagChunkEmotions, getMoodTimeline } = require('../../../src/services/emotionTagging.service');
+
+describe('tagChunkEmotions', () => {
+  const { detector } = memoryConfig.emotions;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    memoryConfig.emotions.detector = 'model';
+  });
+
+  afterAll(() => {
+    memoryConfig.emotions.detector = detector;
+  });
+
+  test('stores the model tags on the chunks and puts the texts into the prompt literally', async () => {
+    aiService.getCompletion.mockResolvedValue('{"passages": [{"index": 0, "valence": 0.6, "arousal": 0.5, "emotions": ["joy"]}]}');
+    const chunks = [{ id: 'c1', text: "Paid $& and $' for the tickets, so happy" }];
+
+    expect(await tagChunkEmotions(chunks, { id: 'r1' })).toBe(1);
+    expect(aiService.getCompletion.mock.calls[0][0]).toContain("[0] Paid $& and $' for the tickets, so happy");
+    expect(chunkRepository.update).toHaveBeenCalledWith('c1', { valence: 0.6, arousal: 0.5, emotions: ['joy'] });
+    expect(chunks[0].emotions).toEqual(['joy']);
+  });
+
+  test('falls back to the lexicon when the model output is invalid', async () => {
+    aiService.getCompletion.mockResolvedValue('no json');
+    const chunks = [{ id: 'c1', text: 'I am so happy' }];
+
+    await tagChunkEmotions(chunks, { id: 'r1' });
+    expect(chunks[0].emotions).toEqual(['joy']);
+  });
+});
+
+describe('getMoodTimeline', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("buckets the user's chunks by when their message was recorded", async () => {
+    chunkRepository.findMany.mockResolvedValue([
+      { valence: 0.2, arousal: 0.4, emotions: [], rawData: { createdAt: new Date('2025-06-03T10:00:00Z') } },
+      { valence: -0.4, arousal: 0.2, emotions: ['sadness'], rawData: { createdAt: new Date('2025-06-01T20:00:00Z') } },
+      { valence: 0.8, arousal: 0.6, emotions: ['joy'], rawData: { createdAt: new Date('2025-06-01T08:00:00Z') } },
+    ]);
+
+    const timeline = await getMoodTimeline('u1', { from: '2025-06-01', to: '2025-06-07' });
+
+    expect(chunkRepository.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({
+        userId: 'u1',
+        rawData: { contentType: { not: 'ai_response' }, createdAt: { gte: new Date('2025-06-01'), lte: new Date('2025-06-07') } },
+      }),
+      orderBy: { rawData: { createdAt: 'desc' } },
+    }));
+    expect(timeline.points.map(point => [point.period, point.count, point.valence])).toEqual([
+      ['2025-06-01T00:00:00.000Z', 2, 0.2],
+      ['2025-06-03T00:00:00.000Z', 1, 0.2],
+    ]);
+    expect(timeline.overall.count).toBe(3);
+    expect(timeline.truncated).toBe(false);
+  });
+
+  test('keeps the newest chunks when there are more than maxChunks', async () => {
+    const { maxChunks } = memoryConfig.emotions.moodTimeline;
+    memoryConfig.emotions.moodTimeline.maxChunks = 2;
+    try {
+      chunkRepository.findMany.mockResolvedValue([
+        { valence: 0.6, arousal: 0.5, emotions: ['joy'], rawData: { createdAt: new Date('2025-06-05T10:00:00Z') } },
+        { valence: -0.6, arousal: 0.5, emotions: ['sadness'], rawData: { createdAt: new Date('2025-06-04T10:00:00Z') } },
+        { valence: 0.1, arousal: 0.1, emotions: [], rawData: { createdAt: new Date('2025-06-02T10:00:00Z') } },
+      ]);
+
+      const timeline = await getMoodTimeline('u1', { from: '2025-06-01', to: '2025-06-07' });
+
+      expect(chunkRepository.findMany.mock.calls[0][0].take).toBe(3);
+      expect(timeline.points.map(point => point.period)).toEqual(['2025-06-04T00:00:00.000Z', '2025-06-05T00:00:00.000Z']);
+      expect(timeline.overall.count).toBe(2);
+      expect(timeline.truncated).toBe(true);
+    } finally {
+      memoryConfig.emotions.moodTimeline.maxChunks = maxChunks;
+    }
+  });
+
+  test('rejects invalid dates and granularities', async () => {
+    await expect(getMoodTimeline('u1', { granularity: 'hour' })).rejects.toMatchObject({ statusCode: 400, errorCode: 'INVALID_GRANULARITY' });
+    await expect(getMoodTimeline('u1', { from: 'soon' })).rejects.toMatchObject({ statusCode: 400, errorCode: 'INVALID_DATE' });
+    await expect(getMoodTimeline('u1', { from: '2025-06-07', to: '2025-06-01' })).rejects.toMatchObject({ errorCode: 'INVALID_DATE_RANGE' });
+  });
+});
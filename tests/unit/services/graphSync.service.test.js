@@ -0,0 +1,47 @@
+// tests/unit/services/graphSync.service.test.js
+jest.mock('../../../src/utils/logger', () => require('../../mocks/logger'));
+jest.mock('../../../src/db/prisma', () => ({ prisma: {} }));
+jest.mock('../../../src/services/graphStore.service', () => ({ getGraphStore: jest.fn(), initializeGraphStore: jest.fn() }));
+
+const graphStoreService = require('../../../src/services/graphStore.service');
+const { syncExtraction } = require('../../../src/services/graphSync.service');
+
+describe('syncExtraction', () => {
+  const graphStore = { mergeNodes: jest.fn(), mergeEdges: jest.fn() };
+  const chunk = { id: 'c1', userId: 'u1' };
+  const nodes = [{ id: 'n1', userId: 'u1', name: 'Anna', type: 'Person' }, { id: 'n2', userId: 'u1', name: 'Tea', type: 'Thing' }];
+  const relationship = (id, type) => ({ id, type, userId: 'u1', fromNodeId: 'n1', toNodeId: 'n2', confidence: 0.9 });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    graphStoreService.initializeGraphStore.mockResolvedValue(true);
+    graphStoreService.getGraphStore.mockReturnValue(graphStore);
+  });
+
+  test('mirrors entities, mentions and relationships grouped by type', async () => {
+    const synced = await syncExtraction(chunk, nodes, [{ nodeId: 'n1', mention: 'Anna', confidence: 1 }], [relationship('r1', 'LIKES'), relationship('r2', 'LIKES')]);
+
+    expect(synced).toBe(true);
+    expect(graphStore.mergeNodes).toHaveBeenCalledWith('Entity', expect.any(Array));
+    expect(graphStore.mergeEdges).toHaveBeenCalledWith('MENTIONS', 'Chunk', 'Entity', [{ from: 'c1', to: 'n1', properties: { mention: 'Anna', confidence: 1 } }]);
+    const likes = graphStore.mergeEdges.mock.calls.filter(([type]) => type === 'LIKES');
+    expect(likes).toHaveLength(1);
+    expect(likes[0][3].map(row => row.properties.relationshipId)).toEqual(['r1', 'r2']);
+  });
+
+  test('skips relationships whose type is not a valid edge type and mirrors the rest', async () => {
+    const synced = await syncExtraction(chunk, nodes, [], [relationship('r1', '喜欢'), relationship('r2', 'LIKES')]);
+
+    expect(synced).toBe(true);
+    const edgeTypes = graphStore.mergeEdges.mock.calls.map(([type]) => type);
+    expect(edgeTypes).toContain('LIKES');
+    expect(edgeTypes).not.toContain('喜欢');
+  });
+
+  test('does nothing without a graph store', async () => {
+    graphStoreService.initializeGraphStore.mockResolvedValue(false);
+
+    expect(await syncExtraction(chunk, nodes, [], [])).toBe(false);
+    expect(graphStore.mergeNodes).not.toHaveBeenCalled();
+  });
+});
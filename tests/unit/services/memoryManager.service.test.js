@@ -0,0 +1,367 @@
+// tests/unit/services/memoryManager.service.test.js
+const mockPrisma = { thought: { findMany: jest.fn() }, chunkEmbedding: { findMany: jest.fn() } };
+
+jest.mock('../../../src/utils/logger', () => require('../../mocks/logger'));
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('../../../src/db/prisma', () => ({ prisma: {} }));
+jest.mock('../../../src/utils/queues', () => ({ addMemoryJob: jest.fn(), addEpisodeAgentJob: jest.fn() }));
+jest.mock('../../../src/services/vectorStore.service', () => ({ getVectorStore: jest.fn(), initializeVectorStore: jest.fn() }));
+jest.mock('../../../src/services/graphStore.service', () => ({ getGraphStore: jest.fn(), initializeGraphStore: jest.fn() }));
+jest.mock('../../../src/services/ai.service', () => ({ getCompletion: jest.fn(), generateEmbeddings: jest.fn() }));
+jest.mock('../../../src/repositories/chunk.repository', () => ({ findMany: jest.fn(), update: jest.fn(), updateMany: jest.fn(), deleteMany: jest.fn() }));
+
+const InMemoryVectorStore = require('../../../src/providers/vectorStores/InMemoryVectorStore');
+const vectorStoreService = require('../../../src/services/vectorStore.service');
+const aiService = require('../../../src/services/ai.service');
+const chunkRepository = require('../../../src/repositories/chunk.repository');
+const { getActiveEmbeddingModel } = require('../../../src/utils/embeddingModels');
+const memoryConfig = require('../../../config/memory.config');
+const memoryManager = require('../../../src/services/memoryManager.service');
+
+const embeddingModel = getActiveEmbeddingModel();
+
+// Unit vector of the active model's dimension at `angle` (radians) from the query vector
+const vectorAt = angle => {
+  const vector = new Array(embeddingModel.dimension).fill(0);
+  vector[0] = Math.cos(angle);
+  vector[1] = Math.sin(angle);
+  return vector;
+};
+const QUERY_VECTOR = vectorAt(0);
+
+const thoughtRecord = (id, name) => ({
+  id,
+  name,
+  description: `${name} (description)`,
+  createdAt: new Date('2025-06-01T10:00:00Z'),
+  accessCount: 3,
+  episodes: [{ weight: 0.5, episode: { id: `e-${id}`, title: `Episode of ${name}` } }],
+});
+
+describe('MemoryManager thought retrieval', () => {
+  let vectorStore;
+
+  const storeThought = (id, angle, { userId = 'u1', model = embeddingModel.name } = {}) => vectorStore.upsert(
+    'ThoughtEmbedding',
+    id,
+    { thoughtDbId: id, name: `Thought ${id}`, userId, embeddingModel: model },
+    vectorAt(angle)
+  );
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    vectorStore = new InMemoryVectorStore();
+    vectorStoreService.getVectorStore.mockReturnValue(vectorStore);
+    vectorStoreService.initializeVectorStore.mockResolvedValue(true);
+    aiService.generateEmbeddings.mockResolvedValue([QUERY_VECTOR]);
+    mockPrisma.thought.findMany.mockImplementation(async ({ where }) => where.id.in
+      .filter(id => id !== 'missing')
+      .map(id => thoughtRecord(id, `Thought ${id}`)));
+
+    await storeThought('t1', 0.2); // certainty ~0.99
+    await storeThought('t2', 0.6); // certainty ~0.91
+    await storeThought('t3', 1.2); // certainty ~0.68
+    await storeThought('other-user', 0, { userId: 'u2' });
+    await storeThought('other-model', 0, { model: 'another-model' });
+  });
+
+  const retrieveThoughts = options => memoryManager.retrieveThoughts(vectorStore, {
+    query: 'what did I learn',
+    queryVector: QUERY_VECTOR,
+    embeddingModel: embeddingModel.name,
+    userId: 'u1',
+    certainty: 0.8,
+    limit: 5,
+    hybrid: false,
+    fusionOptions: { k: 60 },
+    ...options,
+  });
+
+  test('returns the user\'s thoughts above the certainty cutoff, closest first, with their episodes', async () => {
+    const thoughts = await retrieveThoughts();
+
+    expect(thoughts.map(thought => thought.id)).toEqual(['t1', 't2']);
+    expect(thoughts[0]).toMatchObject({
+      type: 'thought',
+      stage: 'thought',
+      name: 'Thought t1',
+      content: 'Thought t1 (description)',
+      accessCount: 3,
+      keywordScore: null,
+      linkedEpisodes: [{ id: 'e-t1', title: 'Episode of Thought t1', weight: 0.5 }],
+    });
+    expect(thoughts[0].similarity).toBeCloseTo((1 + Math.cos(0.2)) / 2, 5);
+    expect(mockPrisma.thought.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { id: { in: ['t1', 't2'] }, userId: 'u1' } }));
+  });
+
+  test('returns at most `limit` thoughts', async () => {
+    expect((await retrieveThoughts({ certainty: 0, limit: 2 })).map(thought => thought.id)).toEqual(['t1', 't2']);
+    expect((await retrieveThoughts({ certainty: 0.95 })).map(thought => thought.id)).toEqual(['t1']);
+  });
+
+  test('skips hits without a thought record and does not query the database without hits', async () => {
+    await storeThought('missing', 0.1);
+    expect((await retrieveThoughts()).map(thought => thought.id)).toEqual(['t1', 't2']);
+
+    mockPrisma.thought.findMany.mockClear();
+    expect(await retrieveThoughts({ certainty: 0.999 })).toEqual([]);
+    expect(mockPrisma.thought.findMany).not.toHaveBeenCalled();
+  });
+
+  describe('in retrieveMemories', () => {
+    const retrieveOptions = {
+      includeEpisodes: false,
+      includeThoughts: true,
+      certainty: 0.8,
+      limit: 10,
+      hybrid: false,
+      rerank: false,
+      diversify: false,
+      temporal: false,
+      subjectMode: 'off',
+      graph: false,
+      recordAccess: false,
+    };
+
+    beforeEach(async () => {
+      await vectorStore.upsert(
+        'ChunkEmbedding',
+        'c1',
+        { chunkDbId: 'c1', text: 'A chunk', userId: 'u1', rawDataId: 'r1', importance: 0.7, embeddingModel: embeddingModel.name },
+        vectorAt(0.4)
+      );
+      chunkRepository.findMany.mockResolvedValue([{ id: 'c1', rawDataId: 'r1', createdAt: new Date('2025-06-01T09:00:00Z'), accessCount: 1 }]);
+    });
+
+    test('ranks thoughts with the chunks by similarity, up to thoughtLimit', async () => {
+      const trace = {};
+      const memories = await memoryManager.retrieveMemories('what did I learn', 'u1', { ...retrieveOptions, thoughtLimit: 2, trace });
+
+      expect(memories.map(memory => [memory.type, memory.id])).toEqual([['thought', 't1'], ['chunk', 'c1'], ['thought', 't2']]);
+      expect(trace.stages.thought).toEqual({ found: 2 });
+
+      const limited = await memoryManager.retrieveMemories('what did I learn', 'u1', { ...retrieveOptions, thoughtLimit: 1 });
+      expect(limited.map(memory => memory.id)).toEqual(['t1', 'c1']);
+    });
+
+    test('skips the thought search when thoughts are off or thoughtLimit is 0', async () => {
+      const withoutThoughts = await memoryManager.retrieveMemories('what did I learn', 'u1', { ...retrieveOptions, includeThoughts: false });
+      const zeroLimit = await memoryManager.retrieveMemories('what did I learn', 'u1', { ...retrieveOptions, thoughtLimit: 0 });
+
+      expect(withoutThoughts.map(memory => memory.id)).toEqual(['c1']);
+      expect(zeroLimit.map(memory => memory.id)).toEqual(['c1']);
+      expect(mockPrisma.thought.findMany).not.toHaveBeenCalled();
+    });
+
+    test('counts thoughts against the overall limit', async () => {
+      const memories = await memoryManager.retrieveMemories('what did I learn', 'u1', { ...retrieveOptions, thoughtLimit: 2, limit: 2 });
+
+      expect(memories.map(memory => memory.id)).toEqual(['t1', 'c1']);
+    });
+  });
+});
+
+describe('MemoryManager chunk deduplication', () => {
+  const rawData = { id: 'r2', userId: 'u1', createdAt: new Date('2025-06-10T10:00:00Z') };
+  const { deduplication } = memoryConfig;
+  let vectorStore;
+  let chunkRecords;
+
+  const chunk = (id, contentHash, overrides = {}) => ({
+    id,
+    rawDataId: 'r2',
+    userId: 'u1',
+    text: `Text of ${id}`,
+    contentHash,
+    importance: 0.5,
+    metadata: {},
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.assign(memoryConfig.deduplication, { similarityThreshold: 0.95, windowDays: 90, importanceBoost: 0.05 });
+    vectorStore = new InMemoryVectorStore();
+    vectorStoreService.getVectorStore.mockReturnValue(vectorStore);
+    memoryManager.isVectorStoreAvailable = true;
+
+    // Canonical chunk of an earlier RawData, embedded and in the vector store
+    chunkRecords = new Map([
+      ['old1', chunk('old1', 'h-old', { rawDataId: 'r1', embeddingModel: embeddingModel.name, importance: 0.6, metadata: { repeatCount: 1 }, rawData: { id: 'r1' } })],
+    ]);
+    chunkRepository.findMany.mockImplementation(async ({ where }) => Array.from(chunkRecords.values())
+      .filter(record => where.contentHash.in.includes(record.contentHash)));
+    chunkRepository.update.mockImplementation(async (id, data) => ({ ...chunkRecords.get(id), id, ...data }));
+    mockPrisma.chunkEmbedding.findMany.mockImplementation(async ({ where }) => where.id.in
+      .filter(id => chunkRecords.has(id))
+      .map(id => chunkRecords.get(id)));
+  });
+
+  afterAll(() => {
+    Object.assign(memoryConfig.deduplication, deduplication);
+    memoryManager.isVectorStoreAvailable = false;
+  });
+
+  const storeInVectorStore = (record, angle) => vectorStore.upsert(
+    'ChunkEmbedding',
+    record.id,
+    { chunkDbId: record.id, userId: record.userId, importance: record.importance, sourceCreatedAt: new Date().toISOString(), embeddingModel: embeddingModel.name },
+    vectorAt(angle)
+  );
+  const duplicateUpdates = () => chunkRepository.update.mock.calls
+    .filter(([, data]) => data.processingStatus === 'duplicate')
+    .map(([id, data]) => [id, data.duplicateOfId]);
+
+  test('links repeated text to the earlier chunk, within the RawData and across RawData', async () => {
+    const n1 = chunk('n1', 'h-old');
+    const n2 = chunk('n2', 'h-new', { importance: 0.4 });
+    const n3 = chunk('n3', 'h-new');
+    chunkRecords.set('n2', n2);
+    await storeInVectorStore(chunkRecords.get('old1'), 1.5);
+    aiService.generateEmbeddings.mockResolvedValue([vectorAt(0)]);
+
+    const result = await memoryManager.deduplicateChunks([n1, n2, n3], rawData);
+
+    expect(duplicateUpdates()).toEqual([['n1', 'old1'], ['n3', 'n2']]);
+    expect(aiService.generateEmbeddings).toHaveBeenCalledWith(['Text of n2']);
+    expect(result.chunks.map(c => c.id)).toEqual(['n2']);
+    expect(result.chunks[0].importance).toBeCloseTo(0.45, 10); // Embedded with its raised importance
+    expect(result.embeddings).toEqual([vectorAt(0)]);
+  });
+
+  test('links chunks with near-identical vectors to an earlier chunk of the batch or of the vector store', async () => {
+    const old2 = chunk('old2', 'h-old2', { rawDataId: 'r1', embeddingModel: embeddingModel.name, importance: 0.5, rawData: { id: 'r1' } });
+    chunkRecords.set('old2', old2);
+    await storeInVectorStore(old2, 1);
+    const n1 = chunk('n1', 'h1');
+    const n2 = chunk('n2', 'h2');
+    const n3 = chunk('n3', 'h3');
+    chunkRecords.set('n1', n1);
+    aiService.generateEmbeddings.mockResolvedValue([vectorAt(0), vectorAt(0.05), vectorAt(1)]);
+
+    const result = await memoryManager.deduplicateChunks([n1, n2, n3], rawData);
+
+    expect(duplicateUpdates()).toEqual([['n2', 'n1'], ['n3', 'old2']]);
+    expect(result.chunks.map(c => c.id)).toEqual(['n1']);
+    expect(result.embeddings).toEqual([vectorAt(0)]);
+  });
+
+  test('ignores vector matches below the threshold, of other users and outside the window', async () => {
+    const otherUser = chunk('other', 'h-other', { userId: 'u2' });
+    await storeInVectorStore(otherUser, 0);
+    await vectorStore.upsert('ChunkEmbedding', 'stale', { chunkDbId: 'stale', userId: 'u1', sourceCreatedAt: '2020-01-01T00:00:00Z', embeddingModel: embeddingModel.name }, vectorAt(0));
+    await storeInVectorStore(chunk('far', 'h-far'), 0.5);
+    aiService.generateEmbeddings.mockResolvedValue([vectorAt(0)]);
+
+    const result = await memoryManager.deduplicateChunks([chunk('n1', 'h1')], rawData);
+
+    expect(duplicateUpdates()).toEqual([]);
+    expect(result).toEqual({ chunks: [expect.objectContaining({ id: 'n1' })], embeddings: [vectorAt(0)] });
+  });
+
+  test('raises the importance and repeat count of canonical chunks, in Postgres and the vector store', async () => {
+    chunkRecords.get('old1').importance = 0.97;
+    await storeInVectorStore(chunkRecords.get('old1'), 1.5);
+    aiService.generateEmbeddings.mockResolvedValue([]);
+
+    await memoryManager.deduplicateChunks([chunk('n1', 'h-old'), chunk('n2', 'h-old')], rawData);
+
+    expect(chunkRepository.update).toHaveBeenCalledWith('old1', {
+      importance: 1,
+      metadata: { repeatCount: 3, lastRepeatedAt: rawData.createdAt },
+    });
+    const [hit] = await vectorStore.nearVector('ChunkEmbedding', { vector: vectorAt(1.5), certainty: 0.99 });
+    expect(hit).toMatchObject({ id: 'old1', properties: { importance: 1, chunkDbId: 'old1' } });
+    expect(await vectorStore.fetchVector('ChunkEmbedding', 'old1')).toEqual(vectorAt(1.5));
+  });
+
+  test('embeds the chunks that were not linked yet when linking fails part way', async () => {
+    chunkRepository.update
+      .mockImplementationOnce(async (id, data) => ({ id, ...data }))
+      .mockRejectedValueOnce(new Error('database unavailable'));
+
+    const result = await memoryManager.deduplicateChunks([chunk('n1', 'h-old'), chunk('n2', 'h-old'), chunk('n3', 'h3')], rawData);
+
+    expect(duplicateUpdates()).toEqual([['n1', 'old1'], ['n2', 'old1']]);
+    expect(result).toEqual({ chunks: [expect.objectContaining({ id: 'n2' }), expect.objectContaining({ id: 'n3' })], embeddings: null });
+  });
+});
+
+describe('MemoryManager deleteRawDataChunks', () => {
+  const rawData = { id: 'r1', userId: 'u1' };
+  const laterRawData = { id: 'r3', createdAt: new Date('2025-06-12T10:00:00Z') };
+  let vectorStore;
+  let generateAndStoreEmbeddings;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    vectorStore = new InMemoryVectorStore();
+    vectorStoreService.getVectorStore.mockReturnValue(vectorStore);
+    memoryManager.isVectorStoreAvailable = true;
+    generateAndStoreEmbeddings = jest.spyOn(memoryManager, 'generateAndStoreEmbeddings').mockResolvedValue(true);
+
+    // c1 is the original of c2 (same RawData) and of d1 and d2 (later RawData)
+    chunkRepository.findMany.mockResolvedValue([
+      { id: 'c1', rawDataId: 'r1', embeddingModel: embeddingModel.name, duplicateOfId: null },
+      { id: 'c2', rawDataId: 'r1', embeddingModel: null, duplicateOfId: 'c1' },
+    ]);
+    chunkRepository.update.mockImplementation(async (id, data) => ({ id, userId: 'u1', ...data }));
+    chunkRepository.deleteMany.mockResolvedValue({ count: 2 });
+    mockPrisma.chunkEmbedding.findMany.mockResolvedValue([
+      { id: 'd1', rawDataId: 'r2', duplicateOfId: 'c1', importance: 0.5, metadata: { topicKey: 'guitar' }, rawData: { id: 'r2' } },
+      { id: 'd2', rawDataId: 'r3', duplicateOfId: 'c1', importance: 0.5, metadata: {}, rawData: laterRawData },
+    ]);
+    await vectorStore.upsert('ChunkEmbedding', 'c1', { chunkDbId: 'c1', userId: 'u1' }, vectorAt(0));
+  });
+
+  afterEach(() => {
+    generateAndStoreEmbeddings.mockRestore();
+  });
+
+  afterAll(() => {
+    memoryManager.isVectorStoreAvailable = false;
+  });
+
+  test('makes the first repeat of a deleted chunk in another RawData the original and embeds it', async () => {
+    expect(await memoryManager.deleteRawDataChunks(rawData)).toBe(2);
+
+    expect(mockPrisma.chunkEmbedding.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { duplicateOfId: { in: ['c1', 'c2'] }, rawDataId: { not: 'r1' } },
+    }));
+    expect(chunkRepository.update).toHaveBeenCalledWith('d1', {
+      duplicateOfId: null,
+      processingStatus: 'pending',
+      importance: 0.55,
+      metadata: { topicKey: 'guitar', repeatCount: 1, lastRepeatedAt: laterRawData.createdAt },
+    });
+    expect(chunkRepository.updateMany).toHaveBeenCalledWith({ where: { id: { in: ['d2'] } }, data: { duplicateOfId: 'd1' } });
+    expect(generateAndStoreEmbeddings).toHaveBeenCalledWith([expect.objectContaining({ id: 'd1', duplicateOfId: null })], { id: 'r2' }, true);
+
+    // Promoted before the originals are deleted (which would unlink the repeats)
+    expect(generateAndStoreEmbeddings.mock.invocationCallOrder[0]).toBeLessThan(chunkRepository.deleteMany.mock.invocationCallOrder[0]);
+    expect(chunkRepository.deleteMany).toHaveBeenCalledWith({ where: { id: { in: ['c1', 'c2'] } } });
+    expect(await vectorStore.fetchVector('ChunkEmbedding', 'c1')).toBeNull();
+  });
+
+  test('promotes a single repeat without relinking others', async () => {
+    mockPrisma.chunkEmbedding.findMany.mockResolvedValue([
+      { id: 'd1', rawDataId: 'r2', duplicateOfId: 'c1', importance: 0.5, metadata: null, rawData: { id: 'r2' } },
+    ]);
+
+    await memoryManager.deleteRawDataChunks(rawData);
+
+    expect(chunkRepository.update).toHaveBeenCalledWith('d1', expect.objectContaining({ importance: 0.5, metadata: { repeatCount: 0 } }));
+    expect(chunkRepository.updateMany).not.toHaveBeenCalled();
+    expect(generateAndStoreEmbeddings).toHaveBeenCalledTimes(1);
+  });
+
+  test('only deletes when no other RawData repeats the chunks', async () => {
+    mockPrisma.chunkEmbedding.findMany.mockResolvedValue([]);
+
+    expect(await memoryManager.deleteRawDataChunks(rawData)).toBe(2);
+
+    expect(chunkRepository.update).not.toHaveBeenCalled();
+    expect(generateAndStoreEmbeddings).not.toHaveBeenCalled();
+    expect(chunkRepository.deleteMany).toHaveBeenCalled();
+  });
+});
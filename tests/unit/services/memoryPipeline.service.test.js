@@ -0,0 +1,203 @@
+// tests/unit/services/memoryPipeline.service.test.js
+jest.mock('../../../src/utils/logger', () => require('../../mocks/logger'));
+jest.mock('../../../src/utils/queues', () => ({ addMemoryJob: jest.fn() }));
+jest.mock('../../../src/repositories/pipelineState.repository', () => ({
+  findByRawDataId: jest.fn(),
+  upsert: jest.fn(),
+  update: jest.fn(),
+  findMany: jest.fn(),
+  count: jest.fn(),
+  countByStatusAndStage: jest.fn(),
+}));
+
+const pipelineStateRepository = require('../../../src/repositories/pipelineState.repository');
+const { addMemoryJob } = require('../../../src/utils/queues');
+const memoryConfig = require('../../../config/memory.config');
+const {
+  startRun,
+  runStage,
+  listPipelineStates,
+  retryPipelines,
+} = require('../../../src/services/memoryPipeline.service');
+
+const rawData = { id: 'r1', userId: 'u1' };
+const newRun = (overrides = {}) => ({
+  rawDataId: 'r1', stage: 'redact', attempt: 1, stageAttempts: {}, timings: {}, errors: [], ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  pipelineStateRepository.upsert.mockImplementation(async (rawDataId, create) => ({ ...create, rawDataId }));
+  pipelineStateRepository.update.mockResolvedValue({});
+});
+
+describe('startRun', () => {
+  test('starts a new RawData at the first stage', async () => {
+    pipelineStateRepository.findByRawDataId.mockResolvedValue(null);
+
+    const run = await startRun(rawData);
+
+    expect(run).toMatchObject({ rawDataId: 'r1', stage: 'redact', attempt: 1, errors: [] });
+    expect(pipelineStateRepository.upsert).toHaveBeenCalledWith(
+      'r1',
+      expect.objectContaining({ userId: 'u1', stage: 'redact', status: 'running', attempts: 1 }),
+      expect.objectContaining({ stage: 'redact', status: 'running', attempts: { increment: 1 }, finishedAt: null })
+    );
+  });
+
+  test('resumes a failed run at its recorded stage with the next attempt and its history', async () => {
+    const errors = [{ stage: 'embed', attempt: 1, message: 'timeout' }];
+    pipelineStateRepository.findByRawDataId.mockResolvedValue({ stage: 'embed', status: 'failed', attempts: 1 });
+    pipelineStateRepository.upsert.mockResolvedValue({ stage: 'embed', attempts: 2, stageAttempts: { embed: 1 }, errors });
+
+    const run = await startRun(rawData);
+
+    expect(run).toMatchObject({ stage: 'embed', attempt: 2, stageAttempts: { embed: 1 }, errors });
+    expect(pipelineStateRepository.upsert.mock.calls[0][2]).toMatchObject({ stage: 'embed', attempts: { increment: 1 } });
+  });
+
+  test('does not run a completed or skipped RawData again unless a stage is given', async () => {
+    for (const status of ['completed', 'skipped']) {
+      pipelineStateRepository.findByRawDataId.mockResolvedValue({ stage: 'done', status, attempts: 1 });
+      expect(await startRun(rawData)).toBeNull();
+    }
+    expect(pipelineStateRepository.upsert).not.toHaveBeenCalled();
+
+    expect(await startRun(rawData, { fromStage: 'chunk' })).toMatchObject({ stage: 'chunk' });
+  });
+
+  test('restarts at the first stage when the recorded stage is done', async () => {
+    pipelineStateRepository.findByRawDataId.mockResolvedValue({ stage: 'done', status: 'running', attempts: 1 });
+
+    expect(await startRun(rawData)).toMatchObject({ stage: 'redact' });
+  });
+
+  test('rejects an unknown starting stage', async () => {
+    await expect(startRun(rawData, { fromStage: 'tokenize' })).rejects.toMatchObject({ statusCode: 400, errorCode: 'INVALID_PIPELINE_STAGE' });
+    expect(pipelineStateRepository.findByRawDataId).not.toHaveBeenCalled();
+  });
+});
+
+describe('runStage', () => {
+  test('moves the run to the next stage after a successful step', async () => {
+    const run = newRun({ stage: 'extract' });
+
+    expect(await runStage(run, 'embed', async () => 'embedded')).toBe('embedded');
+    expect(run.stage).toBe('graph');
+    expect(run.stageAttempts).toEqual({ embed: 1 });
+    expect(pipelineStateRepository.update).toHaveBeenCalledWith('r1', expect.objectContaining({ stage: 'graph', stageAttempts: { embed: 1 } }));
+
+    await runStage(run, 'extract', async () => null);
+    expect(run.stage).toBe('done');
+  });
+
+  test('records a failure at the stage and rethrows the error', async () => {
+    const run = newRun({ attempt: 2 });
+    const error = new Error('model unavailable');
+
+    await expect(runStage(run, 'importance', async () => { throw error; })).rejects.toBe(error);
+    expect(run.errors).toEqual([expect.objectContaining({ stage: 'importance', attempt: 2, message: 'model unavailable' })]);
+    expect(pipelineStateRepository.update).toHaveBeenCalledWith('r1', expect.objectContaining({
+      stage: 'importance',
+      status: 'failed',
+      lastError: 'model unavailable',
+      errorStage: 'importance',
+      errors: run.errors,
+      stageAttempts: { importance: 1 },
+    }));
+  });
+
+  test('keeps the stage error when recording the failure fails', async () => {
+    pipelineStateRepository.update.mockRejectedValue(new Error('database down'));
+    const error = new Error('model unavailable');
+
+    await expect(runStage(newRun(), 'redact', async () => { throw error; })).rejects.toBe(error);
+  });
+
+  test('keeps only the most recent errors', async () => {
+    const limit = memoryConfig.pipeline.errorHistoryLimit;
+    const errors = Array.from({ length: limit }, (_, i) => ({ stage: 'embed', attempt: i + 1, message: `error ${i}` }));
+    const run = newRun({ attempt: limit + 1, errors });
+
+    await expect(runStage(run, 'embed', async () => { throw new Error('latest'); })).rejects.toThrow('latest');
+    expect(run.errors).toHaveLength(limit);
+    expect(run.errors[0].message).toBe('error 1');
+    expect(run.errors[limit - 1].message).toBe('latest');
+  });
+});
+
+describe('listPipelineStates', () => {
+  beforeEach(() => {
+    pipelineStateRepository.findMany.mockResolvedValue({ states: [], total: 0 });
+  });
+
+  test('builds the where clause from the filters', async () => {
+    await listPipelineStates({ status: 'failed', stage: 'embed', userId: 'u1' });
+    expect(pipelineStateRepository.findMany).toHaveBeenCalledWith({ status: 'failed', stage: 'embed', userId: 'u1' }, { take: 50, skip: 0 });
+
+    await listPipelineStates({ stage: 'done' });
+    expect(pipelineStateRepository.findMany.mock.calls[1][0]).toEqual({ stage: 'done' });
+  });
+
+  test('only lists running states without recent progress as stuck', async () => {
+    const before = Date.now() - memoryConfig.pipeline.stuckAfterMs;
+    await listPipelineStates({ stuck: true });
+
+    const where = pipelineStateRepository.findMany.mock.calls[0][0];
+    expect(where.status).toBe('running');
+    expect(where.updatedAt.lt.getTime()).toBeGreaterThanOrEqual(before);
+  });
+
+  test('rejects unknown statuses and stages and stuck states that are not running', async () => {
+    await expect(listPipelineStates({ status: 'paused' })).rejects.toMatchObject({ statusCode: 400, errorCode: 'INVALID_PIPELINE_STATUS' });
+    await expect(listPipelineStates({ stage: 'tokenize' })).rejects.toMatchObject({ statusCode: 400, errorCode: 'INVALID_PIPELINE_STAGE' });
+    await expect(listPipelineStates({ stuck: true, status: 'failed' })).rejects.toMatchObject({ statusCode: 400, errorCode: 'INVALID_PIPELINE_STATUS' });
+    expect(pipelineStateRepository.findMany).not.toHaveBeenCalled();
+  });
+
+  test('clamps the limit and offset', async () => {
+    await listPipelineStates({ limit: 10000, offset: -5 });
+    expect(pipelineStateRepository.findMany).toHaveBeenLastCalledWith({}, { take: 200, skip: 0 });
+
+    await listPipelineStates({ limit: 0 });
+    expect(pipelineStateRepository.findMany).toHaveBeenLastCalledWith({}, { take: 1, skip: 0 });
+  });
+});
+
+describe('retryPipelines', () => {
+  test('queues the failed pipelines by default and reports those that could not be queued', async () => {
+    pipelineStateRepository.findMany.mockResolvedValue({ states: [{ rawDataId: 'r1' }, { rawDataId: 'r2' }], total: 3 });
+    addMemoryJob.mockImplementation(async (name, data) => (data.rawDataId === 'r2' ? null : { id: 'job' }));
+
+    const result = await retryPipelines();
+
+    expect(pipelineStateRepository.findMany).toHaveBeenCalledWith({ status: 'failed' }, { take: memoryConfig.pipeline.retryBatchLimit });
+    expect(addMemoryJob).toHaveBeenCalledWith('processRawData', { rawDataId: 'r1' });
+    expect(result).toEqual({ queued: ['r1'], failed: ['r2'], matched: 3 });
+  });
+
+  test('queues the given RawData from a stage', async () => {
+    pipelineStateRepository.findMany.mockResolvedValue({ states: [{ rawDataId: 'r1' }], total: 1 });
+    addMemoryJob.mockResolvedValue({ id: 'job' });
+
+    await retryPipelines({ rawDataIds: ['r1'], userId: 'u1', fromStage: 'chunk', limit: 10 });
+
+    expect(pipelineStateRepository.findMany).toHaveBeenCalledWith({ rawDataId: { in: ['r1'] }, userId: 'u1' }, { take: 10 });
+    expect(addMemoryJob).toHaveBeenCalledWith('processRawData', { rawDataId: 'r1', fromStage: 'chunk' });
+  });
+
+  test('retries stuck runs regardless of status and caps the batch', async () => {
+    pipelineStateRepository.findMany.mockResolvedValue({ states: [], total: 0 });
+
+    await retryPipelines({ stuck: true, limit: memoryConfig.pipeline.retryBatchLimit + 1 });
+
+    const [where, options] = pipelineStateRepository.findMany.mock.calls[0];
+    expect(where).toMatchObject({ status: 'running', updatedAt: { lt: expect.any(Date) } });
+    expect(options).toEqual({ take: memoryConfig.pipeline.retryBatchLimit });
+  });
+
+  test('rejects an unknown starting stage before querying', async () => {
+    await expect(retryPipelines({ fromStage: 'tokenize' })).rejects.toMatchObject({ errorCode: 'INVALID_PIPELINE_STAGE' });
+    expect(pipelineStateRepository.findMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,195 @@
+// tests/unit/services/memoryReprocessing.service.test.js
+jest.mock('../../../src/utils/logger', () => require('../../mocks/logger'));
+jest.mock('../../../src/db/prisma', () => ({
+  prisma: {
+    rawData: { count: jest.fn(), findMany: jest.fn() },
+    chunkEmbedding: { count: jest.fn() },
+    episode: { findMany: jest.fn(), deleteMany: jest.fn() },
+    thought: { findMany: jest.fn(), deleteMany: jest.fn() },
+    chunkEpisode: { findMany: jest.fn() },
+  },
+}));
+jest.mock('../../../src/utils/queues', () => ({ addMemoryJob: jest.fn(), addEpisodeAgentJob: jest.fn() }));
+jest.mock('../../../src/services/memoryManager.service', () => ({
+  deleteRawDataChunks: jest.fn(),
+  processMemoryPipeline: jest.fn(),
+}));
+jest.mock('../../../src/services/graphSync.service', () => ({ removeNodes: jest.fn() }));
+jest.mock('../../../src/services/vectorStore.service', () => ({ getVectorStore: jest.fn(), initializeVectorStore: jest.fn() }));
+jest.mock('../../../src/repositories/rawData.repository', () => ({ update: jest.fn() }));
+jest.mock('../../../src/repositories/pipelineState.repository', () => ({ countByStatusAndStage: jest.fn() }));
+jest.mock('../../../src/repositories/reprocessingRun.repository', () => ({ findMany: jest.fn() }));
+
+const { prisma } = require('../../../src/db/prisma');
+const memoryManager = require('../../../src/services/memoryManager.service');
+const rawDataRepository = require('../../../src/repositories/rawData.repository');
+const pipelineStateRepository = require('../../../src/repositories/pipelineState.repository');
+const reprocessingRunRepository = require('../../../src/repositories/reprocessingRun.repository');
+const memoryConfig = require('../../../config/memory.config');
+const {
+  normalizeOptions,
+  previewReprocessing,
+  reprocessMemories,
+  listReprocessingRuns,
+} = require('../../../src/services/memoryReprocessing.service');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('normalizeOptions', () => {
+  test('requires exactly one of userId and allUsers', () => {
+    expect(() => normalizeOptions({})).toThrow(expect.objectContaining({ statusCode: 400, errorCode: 'INVALID_REPROCESSING_OPTIONS' }));
+    expect(() => normalizeOptions({ userId: 'u1', allUsers: true })).toThrow('Specify either a userId or allUsers');
+    expect(normalizeOptions({ allUsers: true })).toMatchObject({ userId: null, allUsers: true });
+  });
+
+  test('normalizes content types, dates and the starting stage', () => {
+    expect(normalizeOptions({ userId: 'u1', from: '2025-05-01', contentTypes: 'user_chat, uploaded_document_content,', regenerate: true })).toEqual({
+      userId: 'u1',
+      allUsers: false,
+      from: '2025-05-01T00:00:00.000Z',
+      to: undefined,
+      contentTypes: ['user_chat', 'uploaded_document_content'],
+      regenerate: true,
+      fromStage: 'redact',
+      dryRun: false,
+    });
+    expect(normalizeOptions({ userId: 'u1' }).fromStage).toBeUndefined();
+  });
+
+  test('only lets regenerating runs start at or before the chunk stage', () => {
+    expect(normalizeOptions({ userId: 'u1', regenerate: true, fromStage: 'chunk' }).fromStage).toBe('chunk');
+    expect(() => normalizeOptions({ userId: 'u1', regenerate: true, fromStage: 'embed' }))
+      .toThrow(expect.objectContaining({ errorCode: 'INVALID_REPROCESSING_OPTIONS' }));
+    expect(normalizeOptions({ userId: 'u1', fromStage: 'embed' }).fromStage).toBe('embed');
+    expect(() => normalizeOptions({ userId: 'u1', fromStage: 'tokenize' })).toThrow(expect.objectContaining({ errorCode: 'INVALID_PIPELINE_STAGE' }));
+  });
+
+  test('rejects invalid dates, a reversed range and malformed content types', () => {
+    expect(() => normalizeOptions({ userId: 'u1', from: 'last week' })).toThrow('"from" must be an ISO date');
+    expect(() => normalizeOptions({ userId: 'u1', from: '2025-06-07', to: '2025-06-01' })).toThrow('"from" must not be after "to"');
+    expect(normalizeOptions({ userId: 'u1', from: '2025-06-01', to: '2025-06-01' }).to).toBe('2025-06-01T00:00:00.000Z');
+    expect(() => normalizeOptions({ userId: 'u1', contentTypes: [1] })).toThrow('"contentTypes" must be a list of content types');
+  });
+});
+
+describe('previewReprocessing', () => {
+  test('counts the selected RawData by pipeline status, untracked ones included', async () => {
+    prisma.rawData.count.mockResolvedValue(10);
+    prisma.chunkEmbedding.count.mockResolvedValue(42);
+    pipelineStateRepository.countByStatusAndStage.mockResolvedValue([
+      { status: 'completed', stage: 'done', count: 5 },
+      { status: 'failed', stage: 'embed', count: 2 },
+      { status: 'failed', stage: 'graph', count: 1 },
+    ]);
+    const options = normalizeOptions({ userId: 'u1', contentTypes: 'user_chat', dryRun: true });
+
+    const preview = await previewReprocessing(options);
+
+    const where = { userId: 'u1', contentType: { in: ['user_chat'] } };
+    expect(prisma.rawData.count).toHaveBeenCalledWith({ where });
+    expect(prisma.chunkEmbedding.count).toHaveBeenCalledWith({ where: { rawData: { is: where } } });
+    expect(preview).toEqual({ dryRun: true, options, rawData: 10, pipeline: { completed: 5, failed: 3, untracked: 2 }, chunks: 42 });
+    expect(prisma.episode.findMany).not.toHaveBeenCalled();
+  });
+
+  test('also counts the episodes and thoughts a regenerating run would delete', async () => {
+    prisma.rawData.count.mockResolvedValue(1);
+    prisma.chunkEmbedding.count.mockResolvedValue(3);
+    pipelineStateRepository.countByStatusAndStage.mockResolvedValue([{ status: 'completed', stage: 'done', count: 1 }]);
+    prisma.episode.findMany.mockResolvedValue([{ id: 'e1' }, { id: 'e2' }]);
+    prisma.thought.findMany.mockResolvedValue([{ id: 't1' }]);
+
+    const preview = await previewReprocessing(normalizeOptions({ userId: 'u1', regenerate: true, dryRun: true }));
+
+    expect(preview).toMatchObject({ rawData: 1, pipeline: { completed: 1, untracked: 0 }, episodes: 2, thoughts: 1 });
+  });
+});
+
+describe('reprocessMemories', () => {
+  const { batchSize } = memoryConfig.reprocessing;
+  const rawDataItems = Array.from({ length: 5 }, (_, i) => ({ id: `r${i + 1}`, userId: 'u1', metadata: {} }));
+
+  beforeAll(() => {
+    memoryConfig.reprocessing.batchSize = 2;
+  });
+
+  afterAll(() => {
+    memoryConfig.reprocessing.batchSize = batchSize;
+  });
+
+  beforeEach(() => {
+    prisma.rawData.count.mockResolvedValue(rawDataItems.length);
+    prisma.rawData.findMany.mockImplementation(async ({ take, cursor }) => {
+      const start = cursor ? rawDataItems.findIndex(item => item.id === cursor.id) + 1 : 0;
+      return rawDataItems.slice(start, start + take);
+    });
+  });
+
+  test('processes the RawData in batches and reports progress after each batch', async () => {
+    memoryManager.processMemoryPipeline.mockImplementation(async (rawData) => {
+      if (rawData.id === 'r2') throw new Error('model unavailable');
+      return { r1: 'completed', r3: 'skipped', r4: null, r5: 'completed' }[rawData.id];
+    });
+    const onProgress = jest.fn();
+
+    const report = await reprocessMemories(normalizeOptions({ userId: 'u1', fromStage: 'chunk' }), { onProgress });
+
+    expect(prisma.rawData.findMany.mock.calls.map(([query]) => query.cursor)).toEqual([undefined, { id: 'r2' }, { id: 'r4' }]);
+    expect(prisma.rawData.findMany.mock.calls[0][0]).toMatchObject({ where: { userId: 'u1' }, orderBy: [{ createdAt: 'asc' }, { id: 'asc' }], take: 2 });
+    expect(memoryManager.processMemoryPipeline).toHaveBeenCalledWith(rawDataItems[0], { fromStage: 'chunk' });
+    expect(onProgress.mock.calls.map(([progress]) => progress.done)).toEqual([2, 4, 5]);
+    expect(report).toMatchObject({ total: 5, done: 5, completed: 2, skipped: 1, unchanged: 1, failed: 1 });
+    expect(report.failures).toEqual([{ rawDataId: 'r2', error: 'model unavailable' }]);
+    expect(memoryManager.deleteRawDataChunks).not.toHaveBeenCalled();
+    expect(rawDataRepository.update).not.toHaveBeenCalled();
+  });
+
+  test('stops after a full last batch once the next one is empty', async () => {
+    prisma.rawData.count.mockResolvedValue(4);
+    prisma.rawData.findMany.mockImplementation(async ({ take, cursor }) => {
+      const items = rawDataItems.slice(0, 4);
+      const start = cursor ? items.findIndex(item => item.id === cursor.id) + 1 : 0;
+      return items.slice(start, start + take);
+    });
+    memoryManager.processMemoryPipeline.mockResolvedValue('completed');
+    const onProgress = jest.fn();
+
+    const report = await reprocessMemories(normalizeOptions({ userId: 'u1' }), { onProgress });
+
+    expect(prisma.rawData.findMany).toHaveBeenCalledTimes(3);
+    expect(onProgress).toHaveBeenCalledTimes(2);
+    expect(report).toMatchObject({ total: 4, done: 4, completed: 4 });
+  });
+
+  test('deletes the chunks and clears evaluated importance when regenerating', async () => {
+    prisma.episode.findMany.mockResolvedValue([]);
+    prisma.thought.findMany.mockResolvedValue([]);
+    prisma.chunkEpisode.findMany.mockResolvedValue([]);
+    const evaluated = { id: 'r1', userId: 'u1', importanceScore: 0.8, metadata: { importance: { score: 0.8 }, source: 'chat' } };
+    prisma.rawData.count.mockResolvedValue(1);
+    prisma.rawData.findMany.mockResolvedValueOnce([evaluated]);
+    memoryManager.deleteRawDataChunks.mockResolvedValue(3);
+    memoryManager.processMemoryPipeline.mockResolvedValue('completed');
+
+    const report = await reprocessMemories(normalizeOptions({ userId: 'u1', regenerate: true }));
+
+    expect(rawDataRepository.update).toHaveBeenCalledWith('r1', { importanceScore: null, metadata: { source: 'chat' } });
+    expect(memoryManager.processMemoryPipeline).toHaveBeenCalledWith(expect.objectContaining({ importanceScore: null }), { fromStage: 'redact' });
+    expect(report).toMatchObject({ done: 1, completed: 1, deleted: { chunks: 3, episodes: 0, thoughts: 0 } });
+  });
+});
+
+describe('listReprocessingRuns', () => {
+  test('clamps the limit and offset', async () => {
+    await listReprocessingRuns({ status: 'FAILED', limit: 5000, offset: -1 });
+    expect(reprocessingRunRepository.findMany).toHaveBeenLastCalledWith({ status: 'FAILED' }, { take: 200, skip: 0 });
+
+    await listReprocessingRuns({ limit: 0 });
+    expect(reprocessingRunRepository.findMany).toHaveBeenLastCalledWith({}, { take: 1, skip: 0 });
+
+    await listReprocessingRuns();
+    expect(reprocessingRunRepository.findMany).toHaveBeenLastCalledWith({}, { take: 20, skip: 0 });
+  });
+});
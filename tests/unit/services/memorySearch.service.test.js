@@ -0,0 +1,101 @@
+// tests/unit/services/memorySearch.service.test.js
+jest.mock('../../../src/utils/logger', () => require('../../mocks/logger'));
+jest.mock('../../../src/services/memoryManager.service', () => ({ retrieveMemories: jest.fn() }));
+
+const memoryManager = require('../../../src/services/memoryManager.service');
+const { searchMemories } = require('../../../src/services/memorySearch.service');
+
+const episode = {
+  type: 'episode',
+  stage: 'graph',
+  id: 'e1',
+  title: 'Trip to Kyoto',
+  content: 'x'.repeat(300),
+  similarity: 0.8,
+  fusedScore: 0.03,
+  finalScore: 0.7,
+  scoreBreakdown: { relevance: 0.8 },
+  timestamp: new Date('2025-06-01T10:00:00Z'),
+  emotions: ['joy'],
+};
+const chunk = {
+  type: 'chunk',
+  stage: 'chunk',
+  id: 'c1',
+  text: 'We took the train to Kyoto',
+  episodeId: 'e1',
+  keywordScore: 2.5,
+  source: { rawDataId: 'r1', startOffset: 0, endOffset: 26, sectionPath: null, page: null },
+};
+const thought = { type: 'thought', stage: 'thought', id: 't1', name: 'Loves travel', content: 'Travel matters to them', mmrScore: 0.2, redundancy: 0.9 };
+
+describe('searchMemories', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    memoryManager.retrieveMemories.mockImplementation(async (query, userId, options) => {
+      Object.assign(options.trace, {
+        temporal: { mode: 'filter', expression: 'last june' },
+        subjects: null,
+        emotions: ['joy'],
+        stages: { episode: { vectorHits: 1, keywordHits: 0, fused: 1 } },
+        dropped: [{ memory: thought, reason: 'near_duplicate' }],
+        timings: { total: 12 },
+      });
+      return [episode, chunk];
+    });
+  });
+
+  test('explains the kept and dropped memories with their provenance and scores', async () => {
+    const result = await searchMemories('u1', 'kyoto trip', { limit: 2 });
+
+    expect(memoryManager.retrieveMemories).toHaveBeenCalledWith('kyoto trip', 'u1', expect.objectContaining({ limit: 2, recordAccess: false }));
+    expect(result).toMatchObject({
+      query: 'kyoto trip',
+      options: { limit: 2 },
+      temporal: { mode: 'filter', expression: 'last june' },
+      temporalFallback: null,
+      subjects: null,
+      emotions: ['joy'],
+      stages: { episode: { fused: 1 } },
+      timings: { total: 12 },
+    });
+
+    expect(result.results).toHaveLength(2);
+    expect(result.results[0]).toMatchObject({
+      id: 'e1',
+      type: 'episode',
+      stage: 'graph',
+      status: 'kept',
+      reason: 'selected',
+      rank: 1,
+      title: 'Trip to Kyoto',
+      emotions: ['joy'],
+      scores: { certainty: 0.8, keywordScore: null, fusedScore: 0.03, finalScore: 0.7, breakdown: { relevance: 0.8 } },
+    });
+    expect(result.results[0].preview).toHaveLength(200);
+    expect(result.results[1]).toMatchObject({
+      id: 'c1',
+      rank: 2,
+      preview: 'We took the train to Kyoto',
+      episodeId: 'e1',
+      source: chunk.source,
+      scores: { certainty: null, keywordScore: 2.5 },
+    });
+
+    expect(result.dropped).toEqual([expect.objectContaining({
+      id: 't1',
+      type: 'thought',
+      status: 'dropped',
+      reason: 'near_duplicate',
+      rank: null,
+      title: 'Loves travel',
+      preview: 'Travel matters to them',
+      scores: expect.objectContaining({ mmrScore: 0.2, redundancy: 0.9 }),
+    })]);
+  });
+
+  test('requires a query', async () => {
+    await expect(searchMemories('u1', '  ')).rejects.toMatchObject({ statusCode: 400 });
+    expect(memoryManager.retrieveMemories).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,57 @@
+// tests/unit/services/ontology.service.test.js
+jest.mock('../../../src/utils/logger', () => require('../../mocks/logger'));
+jest.mock('../../../src/repositories/ontology.repository', () => ({
+  findActiveVersion: jest.fn(),
+  findProposalByTypeName: jest.fn(),
+  createProposal: jest.fn(),
+  updateProposal: jest.fn(),
+}));
+
+const ontologyRepository = require('../../../src/repositories/ontology.repository');
+const { canonicalTypeName, proposeChange } = require('../../../src/services/ontology.service');
+
+const ontology = {
+  name: 'default',
+  nodeTypes: [{ name: 'Person' }, { name: 'Thing' }],
+  edgeTypes: [{ name: 'KNOWS' }],
+};
+const edgeProposal = name => ({
+  userId: 'u1',
+  type: 'edgeType',
+  proposedDefinition: { name, fromNodeTypes: ['person'], toNodeTypes: ['thing'] },
+  justification: 'Needed',
+});
+
+describe('canonicalTypeName', () => {
+  test('uses PascalCase for node types and UPPER_SNAKE_CASE for edge types', () => {
+    expect(canonicalTypeName('nodeType', 'pet owner')).toBe('PetOwner');
+    expect(canonicalTypeName('edgeType', 'works at')).toBe('WORKS_AT');
+    expect(canonicalTypeName('edgeType', '  ')).toBe('');
+  });
+});
+
+describe('proposeChange', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ontologyRepository.findActiveVersion.mockResolvedValue(ontology);
+    ontologyRepository.findProposalByTypeName.mockResolvedValue(null);
+    ontologyRepository.createProposal.mockImplementation(async data => ({ id: 'p1', ...data }));
+  });
+
+  test('creates a proposal with the canonical name and endpoint types', async () => {
+    const { proposal, created } = await proposeChange(edgeProposal('likes'));
+
+    expect(created).toBe(true);
+    expect(proposal.proposedDefinition).toEqual({ name: 'LIKES', fromNodeTypes: ['Person'], toNodeTypes: ['Thing'] });
+  });
+
+  test('rejects edge type names the graph store cannot use', async () => {
+    await expect(proposeChange(edgeProposal('喜欢'))).rejects.toMatchObject({ statusCode: 400, errorCode: 'INVALID_ONTOLOGY_PROPOSAL' });
+    await expect(proposeChange(edgeProposal('2nd best'))).rejects.toMatchObject({ statusCode: 400 });
+    expect(ontologyRepository.createProposal).not.toHaveBeenCalled();
+  });
+
+  test('rejects existing types', async () => {
+    await expect(proposeChange(edgeProposal('knows'))).rejects.toMatchObject({ statusCode: 409, errorCode: 'ONTOLOGY_TYPE_EXISTS' });
+  });
+});
@@ -0,0 +1,72 @@
+// tests/unit/services/queryRewriter.service.test.js
+jest.mock('../../../src/utils/logger', () => require('../../mocks/logger'));
+jest.mock('../../../src/repositories/rawData.repository', () => ({ findSessionHistory: jest.fn() }));
+jest.mock('../../../src/services/ai.service', () => ({ getCompletion: jest.fn() }));
+
+const rawDataRepository = require('../../../src/repositories/rawData.repository');
+const aiService = require('../../../src/services/ai.service');
+const memoryConfig = require('../../../config/memory.config');
+const { rewriteQuery } = require('../../../src/services/queryRewriter.service');
+
+const history = [
+  { contentType: 'user_chat', content: 'My sister Anna moved to Berlin.' },
+  { contentType: 'ai_response', content: 'That sounds exciting!' },
+];
+
+describe('rewriteQuery', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    memoryConfig.queryRewriting.enabled = true;
+    memoryConfig.queryRewriting.multiQueryEnabled = false;
+  });
+
+  test('returns the rewritten query and its alternatives', async () => {
+    rawDataRepository.findSessionHistory.mockResolvedValue(history);
+    aiService.getCompletion.mockResolvedValue('{"query": "How is Anna doing in Berlin?", "alternatives": ["Anna Berlin", "Anna Berlin", "How is Anna doing in Berlin?", "Anna move"]}');
+
+    const result = await rewriteQuery('u1', 's1', 'how is she doing?', { multiQuery: true });
+
+    expect(result).toEqual({
+      originalQuery: 'how is she doing?',
+      query: 'How is Anna doing in Berlin?',
+      alternatives: ['Anna Berlin', 'Anna move'],
+      rewritten: true,
+    });
+    const prompt = aiService.getCompletion.mock.calls[0][0];
+    expect(prompt).toContain('User: My sister Anna moved to Berlin.');
+    expect(prompt).toContain('Dot: That sounds exciting!');
+  });
+
+  test('keeps "$" patterns and placeholders in user text literally', async () => {
+    rawDataRepository.findSessionHistory.mockResolvedValue([{ contentType: 'user_chat', content: "I paid $& and $' for {MESSAGE}" }]);
+    aiService.getCompletion.mockResolvedValue('{"query": "price"}');
+    const message = "what did $` cost? {HISTORY}";
+
+    await rewriteQuery('u1', 's1', message);
+
+    const prompt = aiService.getCompletion.mock.calls[0][0];
+    expect(prompt).toContain("User: I paid $& and $' for {MESSAGE}");
+    expect(prompt).toContain(message);
+  });
+
+  test('falls back to the original message without history, on bad output and on errors', async () => {
+    rawDataRepository.findSessionHistory.mockResolvedValue([]);
+    const fallback = { originalQuery: 'hi', query: 'hi', alternatives: [], rewritten: false };
+    expect(await rewriteQuery('u1', 's1', 'hi')).toEqual(fallback);
+    expect(aiService.getCompletion).not.toHaveBeenCalled();
+
+    rawDataRepository.findSessionHistory.mockResolvedValue(history);
+    aiService.getCompletion.mockResolvedValue('not json');
+    expect(await rewriteQuery('u1', 's1', 'hi')).toEqual(fallback);
+
+    aiService.getCompletion.mockRejectedValue(new Error('model down'));
+    expect(await rewriteQuery('u1', 's1', 'hi')).toEqual(fallback);
+  });
+
+  test('does nothing when rewriting is disabled', async () => {
+    memoryConfig.queryRewriting.enabled = false;
+    const result = await rewriteQuery('u1', 's1', 'hi');
+    expect(result.rewritten).toBe(false);
+    expect(rawDataRepository.findSessionHistory).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,98 @@
+// tests/unit/services/subjectProfile.service.test.js
+jest.mock('../../../src/utils/logger', () => require('../../mocks/logger'));
+jest.mock('../../../src/db/prisma', () => ({ prisma: {} }));
+jest.mock('../../../src/services/vectorStore.service', () => ({ getVectorStore: jest.fn() }));
+jest.mock('../../../src/services/graphStore.service', () => ({ getGraphStore: jest.fn(), initializeGraphStore: jest.fn() }));
+jest.mock('../../../src/services/ai.service', () => ({ getCompletion: jest.fn() }));
+jest.mock('../../../src/repositories/subjectProfile.repository', () => ({ findByUserId: jest.fn(), create: jest.fn(), update: jest.fn() }));
+jest.mock('../../../src/repositories/rawData.repository', () => ({ update: jest.fn() }));
+
+const aiService = require('../../../src/services/ai.service');
+const subjectProfileRepository = require('../../../src/repositories/subjectProfile.repository');
+const memoryConfig = require('../../../config/memory.config');
+const {
+  normalizeRelationship,
+  detectSubjectsWithHeuristics,
+  tagRawDataSubjects,
+  chunkSubjectIds,
+} = require('../../../src/services/subjectProfile.service');
+
+describe('normalizeRelationship', () => {
+  test('maps relationship terms to canonical relationships', () => {
+    expect(normalizeRelationship('Daughter')).toBe('child');
+    expect(normalizeRelationship('妈妈')).toBe('parent');
+    expect(normalizeRelationship('partner')).toBe('partner');
+    expect(normalizeRelationship('neighbour')).toBeNull();
+  });
+});
+
+describe('detectSubjectsWithHeuristics', () => {
+  test('finds named and unnamed relatives', () => {
+    const { subjects, primary } = detectSubjectsWithHeuristics('My daughter Emma started school. 我妈妈也来了。');
+
+    expect(subjects).toEqual([
+      { name: 'Emma', relationship: 'child', term: 'daughter', mentions: ['My daughter', 'Emma'] },
+      { name: null, relationship: 'parent', term: '妈妈', mentions: ['我妈妈'] },
+    ]);
+    expect(primary).toBeNull();
+  });
+
+  test('merges a later named mention into an unnamed one and takes a single subject as primary', () => {
+    const { subjects, primary } = detectSubjectsWithHeuristics('My daughter was sick. Later my daughter Emma felt better.');
+
+    expect(subjects).toHaveLength(1);
+    expect(subjects[0].name).toBe('Emma');
+    expect(primary).toBe(0);
+  });
+
+  test('ignores capitalized words that are not names and generic relationships without a name', () => {
+    expect(detectSubjectsWithHeuristics('My son, The best kid').subjects[0].name).toBeNull();
+    expect(detectSubjectsWithHeuristics('I met my friend for lunch').subjects).toEqual([]);
+  });
+
+  test('finds known profiles by name', () => {
+    const profiles = [{ id: 'p1', name: 'Anna', relationship: 'sibling', aliases: ['annie'] }];
+    const { subjects } = detectSubjectsWithHeuristics('Had dinner with Annie tonight', profiles);
+
+    expect(subjects).toEqual([{ name: 'Anna', relationship: 'sibling', term: null, mentions: ['annie'] }]);
+  });
+});
+
+describe('tagRawDataSubjects', () => {
+  const detector = memoryConfig.subjects.detector;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    memoryConfig.subjects.detector = 'model';
+    subjectProfileRepository.findByUserId.mockResolvedValue([{ id: 'p1', name: 'Anna $&', normalizedName: 'anna $&', relationship: 'sibling', aliases: [] }]);
+    subjectProfileRepository.update.mockImplementation(async (id, data) => ({ id, ...data }));
+  });
+
+  afterAll(() => {
+    memoryConfig.subjects.detector = detector;
+  });
+
+  test('puts names and content into the model prompt literally', async () => {
+    aiService.getCompletion.mockResolvedValue('{"subjects": [{"name": "Anna $&", "relationship": "sibling", "mention": "Anna $&"}], "primary": 0}');
+    const rawData = { id: 'r1', userId: 'u1', perspectiveOwnerId: 'u1', metadata: {} };
+
+    const subjects = await tagRawDataSubjects(rawData, "Anna $& paid $' for dinner");
+
+    const prompt = aiService.getCompletion.mock.calls[0][0];
+    expect(prompt).toContain("Anna $& paid $' for dinner");
+    expect(prompt).toContain('- Anna $& (sibling)');
+    expect(subjects.map(subject => subject.id)).toEqual(['p1']);
+    expect(rawData.subjectId).toBe('p1');
+  });
+});
+
+describe('chunkSubjectIds', () => {
+  test('tags a chunk with the subjects it mentions and the primary subject', () => {
+    const rawData = {
+      subjectId: 'p1',
+      metadata: { subjects: [{ id: 'p1', mentions: ['Emma'] }, { id: 'p2', mentions: ['我妈妈'] }, { id: 'p3', mentions: ['Tom'] }] },
+    };
+
+    expect(chunkSubjectIds('我妈妈 made tea', rawData)).toEqual(['p1', 'p2']);
+  });
+});
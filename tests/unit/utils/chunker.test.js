@@ -0,0 +1,82 @@
+// tests/unit/utils/chunker.test.js
+const { chunkText, chunkContentHash, sentenceSpans } = require('../../../src/utils/chunker');
+const { countTokens } = require('../../../src/utils/contextAssembler');
+
+const spanTexts = text => sentenceSpans(text).map(({ start, end }) => text.slice(start, end));
+
+describe('sentenceSpans', () => {
+  test('splits English, Chinese and mixed text', () => {
+    expect(spanTexts('I left. Then it rained!')).toEqual(['I left. ', 'Then it rained!']);
+    expect(spanTexts('我到了。然后下雨了！')).toEqual(['我到了。', '然后下雨了！']);
+    expect(spanTexts('我到了。Then we left.')).toEqual(['我到了。', 'Then we left.']);
+  });
+
+  test('does not split at decimal points or abbreviations without a space', () => {
+    expect(spanTexts('It cost 3.5 dollars, e.g.x was cheaper.')).toEqual(['It cost 3.5 dollars, e.g.x was cheaper.']);
+  });
+
+  test('keeps closing quotes with their sentence and applies the offset', () => {
+    expect(spanTexts('他说："好。"我走了。')).toEqual(['他说："好。"', '我走了。']);
+    expect(sentenceSpans('Hi. Bye.', 10)).toEqual([{ start: 10, end: 14 }, { start: 14, end: 18 }]);
+  });
+});
+
+describe('chunkText', () => {
+  const sentences = Array.from({ length: 30 }, (_, i) => `This is sentence number ${i} of the test text.`);
+  const text = sentences.join(' ');
+  const options = { targetTokens: 50, maxTokens: 80, minTokens: 10 };
+
+  test('returns short text as one chunk and empty text as none', () => {
+    expect(chunkText('  Just one line.  ', options)).toEqual([{ text: 'Just one line.', startOffset: 2, endOffset: 16, tokenCount: 4 }]);
+    expect(chunkText('   ', options)).toEqual([]);
+  });
+
+  test('packs whole sentences up to the target size with matching offsets', () => {
+    const chunks = chunkText(text, options);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => {
+      expect(chunk.tokenCount).toBeLessThanOrEqual(options.targetTokens);
+      expect(text.slice(chunk.startOffset, chunk.endOffset)).toBe(chunk.text);
+      expect(chunk.text.endsWith('.')).toBe(true);
+    });
+  });
+
+  test('repeats the last sentences of a chunk at the start of the next', () => {
+    const chunks = chunkText(text, { ...options, overlapSentences: 1 });
+
+    for (let i = 1; i < chunks.length; i++) {
+      const previousSentences = chunks[i - 1].text.match(/This is sentence number \d+/g);
+      expect(chunks[i].text.startsWith(previousSentences[previousSentences.length - 1])).toBe(true);
+    }
+  });
+
+  test('adds the offset of the content within its source', () => {
+    const [chunk] = chunkText('Hello there.', { ...options, offset: 100 });
+    expect(chunk).toMatchObject({ startOffset: 100, endOffset: 112 });
+  });
+
+  test('splits over-long sentences at clauses, then words', () => {
+    const longSentence = `${Array.from({ length: 40 }, (_, i) => `clause ${i} goes here`).join(', ')}.`;
+    const chunks = chunkText(longSentence, options);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => expect(chunk.tokenCount).toBeLessThanOrEqual(options.maxTokens));
+  });
+
+  test('keeps unpunctuated CJK text within maxTokens when token density varies', () => {
+    const cjkText = '的'.repeat(300) + '龘'.repeat(300);
+    const chunks = chunkText(cjkText, { targetTokens: 100, maxTokens: 150, minTokens: 10 });
+
+    chunks.forEach(chunk => expect(countTokens(chunk.text)).toBeLessThanOrEqual(150));
+    expect(chunks.map(chunk => chunk.text).join('')).toBe(cjkText);
+  });
+});
+
+describe('chunkContentHash', () => {
+  test('ignores case, width, whitespace and punctuation', () => {
+    expect(chunkContentHash("I'm learning guitar.")).toBe(chunkContentHash("i'm  learning guitar"));
+    expect(chunkContentHash('ＡＢＣ')).toBe(chunkContentHash('abc'));
+    expect(chunkContentHash('guitar')).not.toBe(chunkContentHash('piano'));
+  });
+});
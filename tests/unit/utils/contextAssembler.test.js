@@ -0,0 +1,99 @@
+// tests/unit/utils/contextAssembler.test.js
+const {
+  countTokens,
+  truncateToTokens,
+  summarizeToTokens,
+  formatMemory,
+  assembleMemoryContext,
+  fitHistoryToBudget,
+} = require('../../../src/utils/contextAssembler');
+
+const longText = 'The quick brown fox jumps over the lazy dog. '.repeat(40);
+
+describe('countTokens', () => {
+  test('counts tokens and treats missing text as empty', () => {
+    expect(countTokens('hello world')).toBeGreaterThan(0);
+    expect(countTokens('')).toBe(0);
+    expect(countTokens(null)).toBe(0);
+  });
+});
+
+describe('truncateToTokens', () => {
+  test('keeps short text and cuts long text with an ellipsis', () => {
+    expect(truncateToTokens('short', 10)).toBe('short');
+    const cut = truncateToTokens(longText, 10);
+    expect(cut.endsWith('…')).toBe(true);
+    expect(countTokens(cut)).toBeLessThanOrEqual(10);
+  });
+});
+
+describe('summarizeToTokens', () => {
+  test('keeps whole leading sentences', () => {
+    const text = 'First sentence here. Second sentence here. Third sentence here.';
+    const summary = summarizeToTokens(text, countTokens('First sentence here. Second sentence here. '));
+
+    expect(summary).toBe('First sentence here. Second sentence here. …');
+  });
+
+  test('falls back to a hard cut when the first sentence is too long', () => {
+    const summary = summarizeToTokens(`${'word '.repeat(50)}end.`, 5);
+    expect(summary.endsWith('…')).toBe(true);
+    expect(countTokens(summary)).toBeLessThanOrEqual(5);
+  });
+});
+
+describe('formatMemory', () => {
+  test('renders each memory type', () => {
+    expect(formatMemory({ type: 'episode', title: 'Trip', narrative: 'We went.', similarity: 0.5 }, 0))
+      .toBe('[Episode Memory 1] Trip (Relevance: 50.0%)\nNarrative: We went.');
+    expect(formatMemory({ type: 'thought', name: 'Likes tea', content: 'Drinks tea daily.', linkedEpisodes: [{ title: 'Trip' }] }, 1))
+      .toBe('[Thought Memory 2] Likes tea: Drinks tea daily. \nBased on: Trip');
+    expect(formatMemory({ type: 'chunk', text: 'hello' }, 2)).toBe('[Chunk Memory 3] \nhello');
+  });
+});
+
+describe('assembleMemoryContext', () => {
+  const memories = [1, 2, 3, 4, 5].map(n => ({ type: 'chunk', text: `Memory ${n}. ${longText}` }));
+
+  test('returns an empty block for no memories', () => {
+    expect(assembleMemoryContext([], { header: 'H\n', budget: 100 })).toEqual({ block: '', tokens: 0, full: 0, summarized: 0, dropped: 0 });
+  });
+
+  test('includes the top memories in full and summarizes the rest', () => {
+    const result = assembleMemoryContext(memories, { header: 'H\n', budget: 10000, fullDetailCount: 2, summaryTokens: 20 });
+
+    expect(result).toMatchObject({ full: 2, summarized: 3, dropped: 0 });
+    expect(result.block.startsWith('H\n[Chunk Memory 1]')).toBe(true);
+  });
+
+  test('stays within the budget by summarizing and dropping', () => {
+    const budget = 100;
+    const result = assembleMemoryContext(memories, { header: 'H\n', budget, fullDetailCount: 3, summaryTokens: 20 });
+
+    expect(result.full).toBe(0);
+    expect(result.summarized).toBeGreaterThan(0);
+    expect(result.dropped).toBeGreaterThan(0);
+    expect(result.summarized + result.dropped).toBe(memories.length);
+    expect(result.tokens).toBeLessThanOrEqual(budget);
+  });
+});
+
+describe('fitHistoryToBudget', () => {
+  const entry = (role, text) => ({ role, parts: [{ text }] });
+
+  test('keeps the most recent entries that fit', () => {
+    const history = [entry('user', longText), entry('model', 'ok'), entry('user', 'hi'), entry('model', 'hello')];
+    const result = fitHistoryToBudget(history, 20);
+
+    expect(result.history.map(h => h.parts[0].text)).toEqual(['hi', 'hello']);
+    expect(result.dropped).toBe(2);
+  });
+
+  test('starts the kept history with a user entry', () => {
+    const history = [entry('user', longText), entry('model', 'ok'), entry('user', 'hi')];
+    const result = fitHistoryToBudget(history, 5);
+
+    expect(result.history).toEqual([entry('user', 'hi')]);
+    expect(result.tokens).toBe(countTokens('hi'));
+  });
+});
@@ -0,0 +1,87 @@
+// tests/unit/utils/diversity.test.js
+const { selectDiverseMemories, textFeatures, jaccardSimilarity } = require('../../../src/utils/diversity');
+
+const diversityConfig = {
+  lambda: 0.7,
+  nearDuplicateThreshold: 0.85,
+  episodeMembershipRedundancy: 0.9,
+  sameEpisodeRedundancy: 0.5,
+  recentInjectionPenalty: 0.5,
+  recentPenaltyDecay: 0.5,
+};
+
+describe('textFeatures', () => {
+  test('uses lowercase words and CJK character bigrams', () => {
+    expect([...textFeatures('Hiking in Kyoto')]).toEqual(['hiking', 'in', 'kyoto']);
+    expect([...textFeatures('去京都')]).toEqual(['去京', '京都']);
+    expect([...textFeatures('猫')]).toEqual(['猫']);
+    expect(textFeatures('').size).toBe(0);
+  });
+});
+
+describe('jaccardSimilarity', () => {
+  test('is the overlap of two feature sets', () => {
+    expect(jaccardSimilarity(new Set(['a', 'b']), new Set(['b', 'c']))).toBeCloseTo(1 / 3);
+    expect(jaccardSimilarity(new Set(['a']), new Set(['a']))).toBe(1);
+    expect(jaccardSimilarity(new Set(), new Set(['a']))).toBe(0);
+  });
+});
+
+describe('selectDiverseMemories', () => {
+  test('returns an empty array for no memories', () => {
+    expect(selectDiverseMemories([], diversityConfig)).toEqual([]);
+    expect(selectDiverseMemories(null, diversityConfig)).toEqual([]);
+  });
+
+  test('never selects near-duplicates, even with room left', () => {
+    const memories = [
+      { id: 'a', type: 'chunk', text: 'we went hiking in kyoto last spring', finalScore: 0.9 },
+      { id: 'b', type: 'chunk', text: 'We went hiking in Kyoto last spring!', finalScore: 0.8 },
+      { id: 'c', type: 'chunk', text: 'my sister started a new job', finalScore: 0.5 },
+    ];
+    const selected = selectDiverseMemories(memories, diversityConfig);
+
+    expect(selected.map(m => m.id)).toEqual(['a', 'c']);
+    expect(memories[1].dropReason).toBe('near_duplicate');
+    expect(memories[1].redundancy).toBe(1);
+  });
+
+  test('prefers a less relevant memory over a chunk of an already selected episode', () => {
+    const memories = [
+      { id: 'e1', type: 'episode', title: 'Kyoto trip', content: 'a week in kyoto', finalScore: 1 },
+      { id: 'c1', type: 'chunk', text: 'temples and gardens', episodeIds: ['e1'], finalScore: 0.9 },
+      { id: 'c2', type: 'chunk', text: 'my sister started a new job', finalScore: 0.6 },
+    ];
+    const selected = selectDiverseMemories(memories, diversityConfig, { limit: 2 });
+
+    expect(selected.map(m => m.id)).toEqual(['e1', 'c2']);
+    expect(memories[1]).toMatchObject({ dropReason: 'limit_reached', redundancy: 0.9 });
+  });
+
+  test('penalizes memories injected in recent turns', () => {
+    const memories = [
+      { id: 'old', type: 'chunk', text: 'dinner with alice', finalScore: 1 },
+      { id: 'fresh', type: 'chunk', text: 'a walk in the park', finalScore: 0.8 },
+    ];
+    const selected = selectDiverseMemories(memories, diversityConfig, { limit: 1, recentInjections: new Map([['old', 1]]) });
+
+    expect(selected.map(m => m.id)).toEqual(['fresh']);
+    expect(memories[0].recentPenalty).toBe(0.5);
+  });
+
+  test('reduces the recent-injection penalty per turn back', () => {
+    const memories = [{ id: 'a', type: 'chunk', text: 'x', finalScore: 1 }];
+    selectDiverseMemories(memories, diversityConfig, { recentInjections: new Map([['a', 3]]) });
+
+    expect(memories[0].recentPenalty).toBeCloseTo(0.125);
+  });
+
+  test('uses a custom score key as relevance', () => {
+    const memories = [
+      { id: 'a', type: 'chunk', text: 'alpha', finalScore: 1, rerankScore: 0.1 },
+      { id: 'b', type: 'chunk', text: 'beta', finalScore: 0.1, rerankScore: 1 },
+    ];
+
+    expect(selectDiverseMemories(memories, diversityConfig, { scoreKey: 'rerankScore' })[0].id).toBe('b');
+  });
+});
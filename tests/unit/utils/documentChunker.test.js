@@ -0,0 +1,70 @@
+// tests/unit/utils/documentChunker.test.js
+const { chunkDocument, markdownSections } = require('../../../src/utils/documentChunker');
+
+const sizeOptions = { targetTokens: 60, maxTokens: 100, minTokens: 5 };
+const paragraph = topic => `This paragraph is about ${topic}. It has a few sentences. They all stay together.`;
+
+describe('markdownSections', () => {
+  test('splits at headings and records the nested heading titles', () => {
+    const content = '# Guide\nIntro\n## Setup\nSteps\n## Usage\nRun it\n# Appendix\nMore';
+    const sections = markdownSections(content);
+
+    expect(sections.map(s => s.sectionPath)).toEqual([['Guide'], ['Guide', 'Setup'], ['Guide', 'Usage'], ['Appendix']]);
+    expect(content.slice(sections[1].start, sections[1].end)).toBe('## Setup\nSteps\n');
+  });
+
+  test('ignores headings inside fenced code blocks', () => {
+    const sections = markdownSections('# Title\n```\n# not a heading\n```\ntext');
+    expect(sections).toHaveLength(1);
+  });
+
+  test('keeps text before the first heading without a path', () => {
+    expect(markdownSections('preface\n# Title\nbody').map(s => s.sectionPath)).toEqual([[], ['Title']]);
+  });
+});
+
+describe('chunkDocument', () => {
+  test('returns no chunks for empty content', () => {
+    expect(chunkDocument('  ', sizeOptions)).toEqual([]);
+  });
+
+  test('never crosses a heading and keeps offsets into the document', () => {
+    const content = `# Pets\n\n${paragraph('cats')}\n\n# Food\n\n${paragraph('noodles')}`;
+    const chunks = chunkDocument(content, sizeOptions);
+
+    expect(chunks.map(c => c.sectionPath)).toEqual([['Pets'], ['Food']]);
+    chunks.forEach(chunk => expect(content.slice(chunk.startOffset, chunk.endOffset)).toBe(chunk.text));
+  });
+
+  test('packs whole blocks up to the target size', () => {
+    const content = ['cats', 'dogs', 'birds', 'fish'].map(paragraph).join('\n\n');
+    const chunks = chunkDocument(content, { ...sizeOptions, format: 'text' });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => {
+      expect(chunk.tokenCount).toBeLessThanOrEqual(sizeOptions.targetTokens);
+      expect(chunk.text.endsWith('They all stay together.')).toBe(true);
+    });
+  });
+
+  test('merges a heading directly followed by a subheading into the next section', () => {
+    const content = `# Guide\n## Setup\n\n${paragraph('setup')}`;
+    const chunks = chunkDocument(content, sizeOptions);
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].text.startsWith('# Guide')).toBe(true);
+  });
+
+  test('chunks PDFs by page and records the page of each chunk', () => {
+    const first = paragraph('page one');
+    const second = paragraph('page two');
+    const content = `${first}\n${second}`;
+    const pages = [
+      { page: 1, startOffset: 0, endOffset: first.length + 1 },
+      { page: 2, startOffset: first.length + 1, endOffset: content.length },
+    ];
+    const chunks = chunkDocument(content, { ...sizeOptions, format: 'pdf', pages });
+
+    expect(chunks.map(c => [c.text, c.page])).toEqual([[first, 1], [second, 2]]);
+  });
+});
@@ -0,0 +1,62 @@
+// tests/unit/utils/embeddingModels.test.js
+const aiConfig = require('../../../config/ai.config');
+const {
+  EmbeddingModelMismatchError,
+  getEmbeddingModel,
+  getActiveEmbeddingModel,
+  embeddingStamp,
+  embeddingModelFilter,
+  assertSameEmbeddingModel,
+  compareEmbeddings,
+  hasModelDimension,
+} = require('../../../src/utils/embeddingModels');
+
+const LOCAL_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+describe('model registry', () => {
+  test('looks up registered models', () => {
+    expect(getEmbeddingModel(LOCAL_MODEL)).toEqual({ name: LOCAL_MODEL, provider: 'local', dimension: 384 });
+    expect(getEmbeddingModel('unknown-model')).toBeNull();
+    expect(getEmbeddingModel(null)).toBeNull();
+  });
+
+  test('stamps records and filters searches with the active model', () => {
+    const active = getActiveEmbeddingModel();
+    expect(embeddingStamp()).toEqual({ embeddingModel: active.name, embeddingDim: active.dimension });
+    expect(embeddingModelFilter()).toEqual({ operator: 'Equal', path: ['embeddingModel'], valueText: active.name });
+  });
+
+  test('refuses an unregistered active model', () => {
+    const configured = aiConfig.activeEmbeddingModel;
+    aiConfig.activeEmbeddingModel = 'unknown-model';
+    try {
+      expect(() => getActiveEmbeddingModel()).toThrow('is not registered');
+    } finally {
+      aiConfig.activeEmbeddingModel = configured;
+    }
+  });
+});
+
+describe('comparisons', () => {
+  test('compares vectors of the same model', () => {
+    expect(compareEmbeddings({ vector: [1, 0], model: 'm' }, { vector: [1, 0], model: 'm' })).toBeCloseTo(1);
+    expect(compareEmbeddings({ vector: [1, 0], model: 'm' }, { vector: [0, 1], model: 'm' })).toBeCloseTo(0);
+  });
+
+  test('refuses vectors of different or unknown models', () => {
+    expect(() => compareEmbeddings({ vector: [1, 0], model: 'a' }, { vector: [1, 0], model: 'b' })).toThrow(EmbeddingModelMismatchError);
+    expect(() => assertSameEmbeddingModel(null, null)).toThrow(EmbeddingModelMismatchError);
+    expect(() => assertSameEmbeddingModel('a', 'a')).not.toThrow();
+  });
+
+  test('refuses vectors of different dimensions', () => {
+    expect(() => compareEmbeddings({ vector: [1, 0], model: 'm' }, { vector: [1, 0, 0], model: 'm' })).toThrow(EmbeddingModelMismatchError);
+  });
+
+  test('checks the registered dimension', () => {
+    const model = { name: 'm', dimension: 2 };
+    expect(hasModelDimension([[1, 0], [0, 1]], model)).toBe(true);
+    expect(hasModelDimension([[1, 0, 0]], model)).toBe(false);
+    expect(hasModelDimension(null, model)).toBe(false);
+  });
+});
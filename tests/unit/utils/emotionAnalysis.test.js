@@ -0,0 +1,95 @@
+// tests/unit/utils/emotionAnalysis.test.js
+jest.mock('../../../src/utils/logger', () => require('../../mocks/logger'));
+jest.mock('../../../src/services/ai.service', () => ({ getCompletion: jest.fn() }));
+
+const { EMOTIONS, detectEmotionsWithLexicon, parseEmotionTags, aggregateEmotions } = require('../../../src/utils/emotionAnalysis');
+
+const NEUTRAL = { valence: 0, arousal: 0.2, emotions: [] };
+
+describe('detectEmotionsWithLexicon', () => {
+  test('tags English and Chinese keywords', () => {
+    expect(detectEmotionsWithLexicon('I was so happy today').emotions).toEqual(['joy']);
+    expect(detectEmotionsWithLexicon('今天很开心').emotions).toEqual(['joy']);
+    expect(detectEmotionsWithLexicon('我很焦虑，压力好大').emotions).toEqual(['anxiety']);
+  });
+
+  test('averages valence and arousal over all hits and ranks emotions by hits', () => {
+    const result = detectEmotionsWithLexicon('sad, so sad, and angry');
+
+    expect(result.emotions).toEqual(['sadness', 'anger']);
+    expect(result.valence).toBeCloseTo((2 * EMOTIONS.sadness.valence + EMOTIONS.anger.valence) / 3, 2);
+    expect(detectEmotionsWithLexicon('happy sad angry', { maxEmotions: 1 }).emotions).toHaveLength(1);
+  });
+
+  test('skips negated keywords', () => {
+    expect(detectEmotionsWithLexicon('I was not happy about it')).toEqual(NEUTRAL);
+    expect(detectEmotionsWithLexicon("I didn't really worry")).toEqual(NEUTRAL);
+    expect(detectEmotionsWithLexicon('我不开心').emotions).toEqual(['sadness']);
+  });
+
+  test('does not match keywords inside other words', () => {
+    expect(detectEmotionsWithLexicon('小猫很可爱')).toEqual(NEUTRAL);
+    expect(detectEmotionsWithLexicon('这件事有点麻烦')).toEqual(NEUTRAL);
+    expect(detectEmotionsWithLexicon('他哭笑不得地摇头')).toEqual(NEUTRAL);
+    expect(detectEmotionsWithLexicon('the unhappy ending').emotions).toEqual(['sadness']);
+    expect(detectEmotionsWithLexicon('a sadly timed call')).toEqual(NEUTRAL);
+  });
+
+  test('leaves neutral uses of "alone" and "stuck" untagged', () => {
+    expect(detectEmotionsWithLexicon('I was alone in the office')).toEqual(NEUTRAL);
+    expect(detectEmotionsWithLexicon('the door is stuck again')).toEqual(NEUTRAL);
+    expect(detectEmotionsWithLexicon('I felt alone all weekend').emotions).toEqual(['loneliness']);
+    expect(detectEmotionsWithLexicon('I feel stuck at work').emotions).toEqual(['frustration']);
+  });
+
+  test('tags the multi-character Chinese keywords', () => {
+    expect(detectEmotionsWithLexicon('我爱你').emotions).toEqual(['love']);
+    expect(detectEmotionsWithLexicon('真是吓一跳').emotions).toEqual(['surprise']);
+    expect(detectEmotionsWithLexicon('烦死了').emotions).toEqual(['frustration']);
+    expect(detectEmotionsWithLexicon('她哭了').emotions).toEqual(['sadness']);
+  });
+
+  test('is neutral for empty text', () => {
+    expect(detectEmotionsWithLexicon('')).toEqual(NEUTRAL);
+    expect(detectEmotionsWithLexicon(null)).toEqual(NEUTRAL);
+  });
+});
+
+describe('parseEmotionTags', () => {
+  test('parses one tag per passage, by index', () => {
+    const completion = '{"passages": [{"index": 1, "valence": -0.5, "arousal": "0.7", "emotions": ["Anxiety", "boredom", "anxiety"]}, {"index": 0, "valence": 0.8, "arousal": 0.6, "emotions": ["joy"]}]}';
+
+    expect(parseEmotionTags(completion, 2)).toEqual([
+      { valence: 0.8, arousal: 0.6, emotions: ['joy'] },
+      { valence: -0.5, arousal: 0.7, emotions: ['anxiety'] },
+    ]);
+  });
+
+  test('rejects invalid JSON, out-of-range values and missing passages', () => {
+    expect(() => parseEmotionTags('not json', 1)).toThrow('"passages" array');
+    expect(() => parseEmotionTags('{"passages": [{"valence": 2, "arousal": 0.5}]}', 1)).toThrow('invalid valence');
+    expect(() => parseEmotionTags('{"passages": [{"valence": 0, "arousal": -1}]}', 1)).toThrow('invalid arousal');
+    expect(() => parseEmotionTags('{"passages": [{"valence": 0, "arousal": 0}]}', 2)).toThrow('missing passage 1');
+  });
+});
+
+describe('aggregateEmotions', () => {
+  test('averages tagged memories and counts emotions', () => {
+    const result = aggregateEmotions([
+      { valence: 0.8, arousal: 0.6, emotions: ['joy'] },
+      { valence: -0.4, arousal: 0.2, emotions: ['joy', 'sadness'] },
+      { valence: null, arousal: null, emotions: [] },
+    ]);
+
+    expect(result).toEqual({ count: 2, valence: 0.2, arousal: 0.4, emotions: ['joy', 'sadness'], emotionCounts: { joy: 2, sadness: 1 } });
+  });
+
+  test('applies weights', () => {
+    const result = aggregateEmotions([{ valence: 1, arousal: 1, weight: 3 }, { valence: -1, arousal: 0, weight: 1 }]);
+    expect(result.valence).toBe(0.5);
+  });
+
+  test('returns nulls without tagged memories', () => {
+    expect(aggregateEmotions([])).toEqual({ count: 0, valence: null, arousal: null, emotions: [], emotionCounts: {} });
+  });
+});
@@ -0,0 +1,90 @@
+// tests/unit/utils/importanceAssessment.test.js
+jest.mock('../../../src/utils/logger', () => require('../../mocks/logger'));
+jest.mock('../../../src/services/ai.service', () => ({ getCompletion: jest.fn() }));
+
+const aiConfig = require('../../../config/ai.config');
+const { createImportancePrompt, parseImportanceAssessment, combineImportanceFactors } = require('../../../src/utils/importanceAssessment');
+
+const assessment = overrides => JSON.stringify({
+  emotionalWeight: 0.8,
+  personalRelevance: 0.6,
+  futureRelevance: 0.4,
+  novelty: 0.2,
+  rationale: 'A milestone in the user\'s career.',
+  ...overrides,
+});
+
+describe('createImportancePrompt', () => {
+  const template = aiConfig.importanceEvaluationBasePrompt;
+
+  test('fills in the context, guidance and similar memories', () => {
+    const prompt = createImportancePrompt(template, {
+      type: 'user_chat',
+      content: 'I got the job!',
+      guidance: aiConfig.importanceGuidance.user_chat,
+      language: 'en',
+      userId: 'u1',
+      similarMemories: [{ text: 'Applied for the job' }, { text: 'Interview on Monday' }],
+    });
+
+    expect(prompt).toContain('Content Type: user_chat');
+    expect(prompt).toContain('Language: English');
+    expect(prompt).toContain('User ID: u1');
+    expect(prompt).toContain('Session ID: N/A');
+    expect(prompt).toContain('I got the job!');
+    expect(prompt).toContain('- Applied for the job\n- Interview on Monday');
+    expect(prompt).toContain(aiConfig.importanceGuidance.user_chat);
+    expect(prompt).not.toMatch(/\{[A-Z_]+\}/);
+  });
+
+  test('inserts the content and similar memories literally', () => {
+    const content = "Paid $& and $' for {SIMILAR_MEMORIES} and {TYPE_SPECIFIC_GUIDANCE}";
+    const memory = "Earlier: $` {CONTENT} {USER_ID}";
+
+    const prompt = createImportancePrompt(template, { type: 'user_chat', content, guidance: 'Guidance', userId: 'u1', similarMemories: [{ text: memory }] });
+
+    expect(prompt).toContain(content);
+    expect(prompt).toContain(`- ${memory}`);
+    expect(prompt.split('Guidance')).toHaveLength(2);
+    expect(prompt.indexOf(content)).toBeLessThan(prompt.indexOf(memory));
+  });
+
+  test('notes when there are no similar memories', () => {
+    expect(createImportancePrompt(template, { type: 'document', content: 'x', guidance: 'g' })).toContain('(none found)');
+  });
+});
+
+describe('parseImportanceAssessment', () => {
+  test('parses the factors and rationale from a completion', () => {
+    expect(parseImportanceAssessment(`Here you go:\n${assessment({ novelty: '0.256' })}`)).toEqual({
+      factors: { emotionalWeight: 0.8, personalRelevance: 0.6, futureRelevance: 0.4, novelty: 0.26 },
+      rationale: 'A milestone in the user\'s career.',
+    });
+  });
+
+  test('cuts the rationale', () => {
+    expect(parseImportanceAssessment(assessment(), { maxRationaleLength: 11 }).rationale).toBe('A milestone');
+  });
+
+  test('rejects completions without JSON, with invalid factors or without a rationale', () => {
+    expect(() => parseImportanceAssessment('no json here')).toThrow('not a JSON object');
+    expect(() => parseImportanceAssessment(assessment({ novelty: 1.5 }))).toThrow('invalid novelty');
+    expect(() => parseImportanceAssessment(assessment({ emotionalWeight: 'high' }))).toThrow('invalid emotionalWeight');
+    expect(() => parseImportanceAssessment(assessment({ futureRelevance: undefined }))).toThrow('invalid futureRelevance');
+    expect(() => parseImportanceAssessment(assessment({ rationale: '  ' }))).toThrow('no rationale');
+  });
+});
+
+describe('combineImportanceFactors', () => {
+  const factors = { emotionalWeight: 1, personalRelevance: 0.5, futureRelevance: 0, novelty: 0 };
+
+  test('is the weighted average with normalized weights', () => {
+    expect(combineImportanceFactors(factors, { emotionalWeight: 1, personalRelevance: 1 })).toBe(0.75);
+    expect(combineImportanceFactors(factors, { emotionalWeight: 2, personalRelevance: 2 })).toBe(0.75);
+    expect(combineImportanceFactors(factors, { emotionalWeight: 1, personalRelevance: 1, futureRelevance: 1, novelty: 1 })).toBe(0.38);
+  });
+
+  test('is 0 without weights', () => {
+    expect(combineImportanceFactors(factors, {})).toBe(0);
+  });
+});
@@ -0,0 +1,35 @@
+// tests/unit/utils/language.test.js
+const { detectLanguage, isCjkLanguage } = require('../../../src/utils/language');
+
+describe('detectLanguage', () => {
+  test('detects single-language text', () => {
+    expect(detectLanguage('I went hiking with my sister.').language).toBe('en');
+    expect(detectLanguage('我今天和妹妹去爬山了。').language).toBe('zh');
+    expect(detectLanguage('今日は妹と山に登りました。').language).toBe('ja');
+    expect(detectLanguage('오늘 여동생과 등산했어요').language).toBe('ko');
+  });
+
+  test('counts a CJK character and a Latin word as one unit each', () => {
+    const { language, shares } = detectLanguage('我在学 guitar');
+    expect(language).toBe('mixed');
+    expect(shares.zh).toBeCloseTo(0.75);
+    expect(shares.en).toBeCloseTo(0.25);
+  });
+
+  test('lets a dominant language absorb a few foreign words', () => {
+    expect(detectLanguage('我今天用 iPhone 拍了很多照片，风景非常漂亮').language).toBe('zh');
+    expect(detectLanguage("I can't wait for the trip to Kyoto with my friends, 京都").language).toBe('en');
+  });
+
+  test('returns unknown for text without letters', () => {
+    expect(detectLanguage('123 !!! 😀')).toEqual({ language: 'unknown', shares: { zh: 0, ja: 0, ko: 0, en: 0 } });
+    expect(detectLanguage(null).language).toBe('unknown');
+  });
+});
+
+describe('isCjkLanguage', () => {
+  test('is true for Chinese, Japanese and Korean only', () => {
+    expect(['zh', 'ja', 'ko'].every(isCjkLanguage)).toBe(true);
+    expect(['en', 'mixed', 'unknown'].some(isCjkLanguage)).toBe(false);
+  });
+});
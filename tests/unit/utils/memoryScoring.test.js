@@ -0,0 +1,112 @@
+// tests/unit/utils/memoryScoring.test.js
+const { rankMemories, recencyScore, accessFrequencyScore } = require('../../../src/utils/memoryScoring');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2025-06-01T12:00:00Z').getTime();
+
+const scoringConfig = {
+  weights: {
+    chunk: { similarity: 1, importance: 0, recency: 0, accessFrequency: 0 },
+    default: { similarity: 0.5, importance: 0.5, recency: 0, accessFrequency: 0 },
+  },
+  recencyHalfLifeDays: { default: 30 },
+  accessFrequencySaturation: 20,
+  defaultImportance: 0.5,
+};
+
+describe('recencyScore', () => {
+  test('halves after one half-life', () => {
+    expect(recencyScore(new Date(NOW), 30, NOW)).toBe(1);
+    expect(recencyScore(new Date(NOW - 30 * DAY_MS), 30, NOW)).toBeCloseTo(0.5);
+    expect(recencyScore(new Date(NOW - 60 * DAY_MS), 30, NOW)).toBeCloseTo(0.25);
+  });
+
+  test('is neutral for missing or invalid timestamps and capped for future ones', () => {
+    expect(recencyScore(null, 30, NOW)).toBe(0.5);
+    expect(recencyScore('not a date', 30, NOW)).toBe(0.5);
+    expect(recencyScore(new Date(NOW + DAY_MS), 30, NOW)).toBe(1);
+  });
+});
+
+describe('accessFrequencyScore', () => {
+  test('is log-scaled and saturates', () => {
+    expect(accessFrequencyScore(0, 20)).toBe(0);
+    expect(accessFrequencyScore(undefined, 20)).toBe(0);
+    expect(accessFrequencyScore(5, 20)).toBeGreaterThan(0);
+    expect(accessFrequencyScore(5, 20)).toBeLessThan(1);
+    expect(accessFrequencyScore(20, 20)).toBe(1);
+    expect(accessFrequencyScore(100, 20)).toBe(1);
+  });
+});
+
+describe('rankMemories', () => {
+  test('returns an empty array for no memories', () => {
+    expect(rankMemories([], scoringConfig)).toEqual([]);
+    expect(rankMemories(null, scoringConfig)).toEqual([]);
+  });
+
+  test('uses the weights of the memory type and sorts by final score', () => {
+    const memories = [
+      { id: 'episode', type: 'episode', similarity: 0.6, importance: 1 },
+      { id: 'chunk', type: 'chunk', similarity: 0.7, importance: 0 },
+    ];
+    const ranked = rankMemories(memories, scoringConfig, { now: NOW });
+
+    expect(ranked.map(m => m.id)).toEqual(['episode', 'chunk']);
+    expect(ranked[0].finalScore).toBeCloseTo(0.8);
+    expect(ranked[1].finalScore).toBeCloseTo(0.7);
+    expect(ranked[0].scoreBreakdown).toEqual(expect.objectContaining({ similarity: 0.6, importance: 1 }));
+  });
+
+  test('falls back to the default importance', () => {
+    const [memory] = rankMemories([{ type: 'thought', similarity: 0.5 }], scoringConfig, { now: NOW });
+    expect(memory.scoreBreakdown.importance).toBe(0.5);
+  });
+
+  test('normalizes fused scores against the best candidate when requested', () => {
+    const ranked = rankMemories(
+      [{ id: 'a', type: 'chunk', fusedScore: 0.02 }, { id: 'b', type: 'chunk', fusedScore: 0.04 }],
+      scoringConfig,
+      { useFusedScore: true, now: NOW }
+    );
+
+    expect(ranked.map(m => m.id)).toEqual(['b', 'a']);
+    expect(ranked[0].scoreBreakdown.similarity).toBe(1);
+    expect(ranked[1].scoreBreakdown.similarity).toBeCloseTo(0.5);
+  });
+
+  test('merges per-type weight overrides', () => {
+    const ranked = rankMemories(
+      [{ id: 'old', type: 'chunk', similarity: 0.5, timestamp: new Date(NOW - 300 * DAY_MS) },
+        { id: 'new', type: 'chunk', similarity: 0.4, timestamp: new Date(NOW) }],
+      scoringConfig,
+      { weights: { chunk: { recency: 1 } }, now: NOW }
+    );
+
+    expect(ranked[0].id).toBe('new');
+  });
+
+  test('adds a temporal factor for a time range', () => {
+    const timeRange = { start: new Date(NOW - 7 * DAY_MS), end: new Date(NOW) };
+    const ranked = rankMemories(
+      [{ id: 'outside', type: 'chunk', similarity: 0.5, timestamp: new Date(NOW - 200 * DAY_MS) },
+        { id: 'inside', type: 'chunk', similarity: 0.5, timestamp: new Date(NOW - DAY_MS) }],
+      scoringConfig,
+      { timeRange, temporalWeight: 1, now: NOW }
+    );
+
+    expect(ranked[0].id).toBe('inside');
+    expect(ranked[0].scoreBreakdown.temporal).toBe(1);
+  });
+
+  test('adds a subject factor for memories about the requested subjects', () => {
+    const ranked = rankMemories(
+      [{ id: 'other', type: 'chunk', similarity: 0.6, subjectIds: ['p2'] },
+        { id: 'about', type: 'chunk', similarity: 0.5, subjectIds: ['p1'] }],
+      scoringConfig,
+      { subjectIds: ['p1'], subjectWeight: 1, now: NOW }
+    );
+
+    expect(ranked.map(m => [m.id, m.scoreBreakdown.subject])).toEqual([['about', 1], ['other', 0]]);
+  });
+});
@@ -0,0 +1,75 @@
+// tests/unit/utils/piiPatterns.test.js
+const { PII_TYPES, detectPiiWithPatterns } = require('../../../src/utils/piiPatterns');
+
+// The detected values of one type, in text order
+const found = (text, type) => detectPiiWithPatterns(text, [type]).map(span => text.slice(span.start, span.end));
+
+describe('detectPiiWithPatterns', () => {
+  test('detects every type by default and ignores unknown types', () => {
+    expect(PII_TYPES).toEqual(expect.arrayContaining(['email', 'phone', 'password', 'ip_address']));
+    expect(detectPiiWithPatterns('mail me at a@b.co', ['email', 'unknown'])).toEqual([{ type: 'email', start: 11, end: 17, detector: 'regex' }]);
+  });
+
+  test('detects emails and phone numbers', () => {
+    expect(found('write to jane.doe@example.com', 'email')).toEqual(['jane.doe@example.com']);
+    expect(found('我的手机是13812345678', 'phone')).toEqual(['13812345678']);
+    expect(found('call (555) 123-4567 or +44 20 7946 0958', 'phone')).toEqual(['(555) 123-4567', '+44 20 7946 0958']);
+  });
+
+  test('validates national IDs and card numbers by checksum', () => {
+    expect(found('身份证号11010519491231002X', 'national_id')).toEqual(['11010519491231002X']);
+    expect(found('order 110105194912310021', 'national_id')).toEqual([]);
+    expect(found('SSN 123-45-6789', 'national_id')).toEqual(['123-45-6789']);
+    expect(found('card 4111 1111 1111 1111', 'credit_card')).toEqual(['4111 1111 1111 1111']);
+    expect(found('card 4111 1111 1111 1112', 'credit_card')).toEqual([]);
+  });
+
+  describe('password', () => {
+    test('redacts only the value after the keyword', () => {
+      expect(found('my password is hunter2', 'password')).toEqual(['hunter2']);
+      expect(found('wifi pwd: "s3cret!"', 'password')).toEqual(['s3cret']);
+      expect(found('the PIN is: 4321', 'password')).toEqual(['4321']);
+      expect(found('我的密码是abc123，别告诉别人', 'password')).toEqual(['abc123']);
+    });
+
+    test('does not match keywords inside other words', () => {
+      expect(found('The spin is amazing', 'password')).toEqual([]);
+      expect(found('I keep a spinner: it helps', 'password')).toEqual([]);
+    });
+
+    test('does not read "isn\'t" as "is"', () => {
+      expect(found("my password isn't working", 'password')).toEqual([]);
+      expect(found('the pin isolates the circuit', 'password')).toEqual([]);
+    });
+  });
+
+  test('detects API keys and bearer tokens', () => {
+    const key = `sk-${'a'.repeat(24)}`;
+    expect(found(`key ${key} here`, 'secret')).toEqual([key]);
+    expect(found(`Authorization: Bearer ${'t'.repeat(24)}`, 'secret')).toEqual(['t'.repeat(24)]);
+  });
+
+  test('detects street addresses without the leading verb', () => {
+    expect(found('I live at 221B Baker Street, London', 'address')).toEqual(['221B Baker Street']);
+    expect(found('我住在北京市朝阳区建国路88号', 'address')).toEqual(['北京市朝阳区建国路88号']);
+  });
+
+  describe('ip_address', () => {
+    test('detects IPv4 addresses', () => {
+      expect(found('the server is at 192.168.1.20', 'ip_address')).toEqual(['192.168.1.20']);
+      expect(found('ping 8.8.8.8 now', 'ip_address')).toEqual(['8.8.8.8']);
+    });
+
+    test('skips invalid octets and longer dotted runs', () => {
+      expect(found('256.1.1.1', 'ip_address')).toEqual([]);
+      expect(found('1.2.3.4.5', 'ip_address')).toEqual([]);
+    });
+
+    test('skips version numbers', () => {
+      expect(found('upgraded to 1.2.3.4 yesterday', 'ip_address')).toEqual([]);
+      expect(found('running v1.2.3.4', 'ip_address')).toEqual([]);
+      expect(found('Version 10.0.19041.1 is installed', 'ip_address')).toEqual([]);
+      expect(found('版本 2.1.0.3 已发布', 'ip_address')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+// tests/unit/utils/rankFusion.test.js
+const { fuseRankedLists } = require('../../../src/utils/rankFusion');
+
+describe('fuseRankedLists', () => {
+  test('ranks hits found by several sources above hits found by one', () => {
+    const results = fuseRankedLists({
+      vector: [{ id: 'a' }, { id: 'b' }],
+      keyword: [{ id: 'b' }, { id: 'c' }],
+    });
+
+    expect(results.map(r => r.id)).toEqual(['b', 'a', 'c']);
+    expect(results[0].ranks).toEqual({ vector: 2, keyword: 1 });
+    expect(results[0].fusedScore).toBeCloseTo(1 / 62 + 1 / 61);
+  });
+
+  test('keeps the original hit of each source', () => {
+    const vectorHit = { id: 'a', certainty: 0.9 };
+    const keywordHit = { id: 'a', score: 3.2 };
+    const [result] = fuseRankedLists({ vector: [vectorHit], keyword: [keywordHit] });
+
+    expect(result.sources).toEqual({ vector: vectorHit, keyword: keywordHit });
+  });
+
+  test('applies per-source weights and the damping constant', () => {
+    const results = fuseRankedLists(
+      { vector: [{ id: 'a' }], keyword: [{ id: 'b' }] },
+      { weights: { keyword: 2 }, k: 10 }
+    );
+
+    expect(results.map(r => r.id)).toEqual(['b', 'a']);
+    expect(results[0].fusedScore).toBeCloseTo(2 / 11);
+    expect(results[1].fusedScore).toBeCloseTo(1 / 11);
+  });
+
+  test('counts only the best rank of a hit repeated within one source', () => {
+    const [result] = fuseRankedLists({ vector: [{ id: 'a' }, { id: 'a' }] }, { k: 0 });
+
+    expect(result.ranks.vector).toBe(1);
+    expect(result.fusedScore).toBe(1);
+  });
+
+  test('matches hits by a custom id key and skips hits without one', () => {
+    const results = fuseRankedLists({
+      vector: [{ chunkDbId: 'x' }, { text: 'no id' }],
+      keyword: [{ chunkDbId: 'x' }],
+    }, { idKey: 'chunkDbId' });
+
+    expect(results).toHaveLength(1);
+    expect(results[0].id).toBe('x');
+  });
+
+  test('ignores empty or missing lists and applies the limit', () => {
+    const results = fuseRankedLists(
+      { vector: [{ id: 'a' }, { id: 'b' }, { id: 'c' }], keyword: [], graph: null },
+      { limit: 2 }
+    );
+
+    expect(results.map(r => r.id)).toEqual(['a', 'b']);
+    expect(fuseRankedLists(null)).toEqual([]);
+  });
+});
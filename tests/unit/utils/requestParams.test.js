@@ -0,0 +1,37 @@
+// tests/unit/utils/requestParams.test.js
+const { parseNumberParam, parseIntegerParam } = require('../../../src/utils/requestParams');
+
+describe('parseNumberParam', () => {
+  test('returns undefined for absent parameters and the number otherwise', () => {
+    expect(parseNumberParam({}, 'certainty', { min: 0, max: 1 })).toBeUndefined();
+    expect(parseNumberParam({ certainty: '0.7' }, 'certainty', { min: 0, max: 1 })).toBe(0.7);
+    expect(parseNumberParam({ rrfK: '0' }, 'rrfK', { min: 0 })).toBe(0);
+  });
+
+  test('rejects non-numbers, infinite values and values outside the range', () => {
+    const range = { min: 0, max: 1 };
+    ['abc', 'Infinity', '-0.1', '1.5'].forEach(value => {
+      expect(() => parseNumberParam({ certainty: value }, 'certainty', range)).toThrow('Parameter "certainty" must be a number between 0 and 1');
+    });
+    expect(() => parseNumberParam({ rrfK: '-1' }, 'rrfK', { min: 0 })).toThrow('must be a number of at least 0');
+    expect(() => parseNumberParam({ weight: '1e400' }, 'weight')).toThrow('must be a finite number');
+  });
+
+  test('rejects fractions for integers and caps clamped values at max', () => {
+    const range = { min: 1, max: 50, integer: true, clamp: true };
+
+    expect(() => parseNumberParam({ limit: '2.5' }, 'limit', range)).toThrow('must be an integer of at least 1');
+    expect(() => parseNumberParam({ limit: '0' }, 'limit', range)).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(parseNumberParam({ limit: '500' }, 'limit', range)).toBe(50);
+  });
+});
+
+describe('parseIntegerParam', () => {
+  test('accepts non-negative integers only', () => {
+    expect(parseIntegerParam({ offset: '0' }, 'offset')).toBe(0);
+    expect(parseIntegerParam({ limit: 20 }, 'limit')).toBe(20);
+    expect(parseIntegerParam({}, 'limit')).toBeUndefined();
+    expect(() => parseIntegerParam({ limit: '-1' }, 'limit')).toThrow('Parameter "limit" must be a non-negative integer');
+    expect(() => parseIntegerParam({ limit: '1.5' }, 'limit')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
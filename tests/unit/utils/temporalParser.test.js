@@ -0,0 +1,162 @@
+// tests/unit/utils/temporalParser.test.js
+const { parseTemporalExpression, rangeAroundAnchor, temporalProximityScore } = require('../../../src/utils/temporalParser');
+
+// Wednesday 2025-06-18 15:00 local time (the parser works in server local time)
+const now = new Date(2025, 5, 18, 15, 0, 0);
+const parse = (text, options = {}) => parseTemporalExpression(text, { now, ...options });
+const day = (year, month, date) => new Date(year, month, date);
+const endOfDay = (year, month, date) => new Date(year, month, date, 23, 59, 59, 999);
+
+describe('parseTemporalExpression', () => {
+  test('returns null for text without a temporal expression', () => {
+    expect(parse('what is my favourite food?')).toBeNull();
+    expect(parse('')).toBeNull();
+    expect(parseTemporalExpression(null)).toBeNull();
+  });
+
+  describe('months', () => {
+    test('parses "<qualifier> <month>" as the most recent such month', () => {
+      const lastMarch = parse('what did I do last March?');
+      expect(lastMarch).toMatchObject({ expression: 'last March', granularity: 'month', ambiguous: false });
+      expect(lastMarch.start).toEqual(day(2025, 2, 1));
+      expect(lastMarch.end).toEqual(endOfDay(2025, 2, 31));
+
+      const inOctober = parse('trips in October');
+      expect(inOctober.start).toEqual(day(2024, 9, 1));
+    });
+
+    test('"last <current month>" means the previous year', () => {
+      expect(parse('last June').start).toEqual(day(2024, 5, 1));
+      expect(parse('this June').start).toEqual(day(2025, 5, 1));
+    });
+
+    test('"since <month>" runs until now', () => {
+      const since = parse('everything since April');
+      expect(since.start).toEqual(day(2025, 3, 1));
+      expect(since.end).toEqual(now);
+    });
+
+    test('parses months with a year', () => {
+      const parsed = parse('photos from March of 2023');
+      expect(parsed).toMatchObject({ granularity: 'month', ambiguous: false });
+      expect(parsed.start).toEqual(day(2023, 2, 1));
+      expect(parse('may 2024').start).toEqual(day(2024, 4, 1));
+    });
+
+    test('does not read the verb "may" as the month', () => {
+      expect(parse('this may sound odd, but what did I cook?')).toBeNull();
+      expect(parse('I think it was in may be a dream')).toBeNull();
+      expect(parse('This may sound odd, but what happened last March?').expression).toBe('last March');
+    });
+
+    test('reads "may" as the month when capitalised or followed by a day', () => {
+      expect(parse('what happened in May?').start).toEqual(day(2025, 4, 1));
+      expect(parse('the party in may 5th').start).toEqual(day(2025, 4, 1));
+    });
+  });
+
+  describe('years and relative periods', () => {
+    test('parses explicit years', () => {
+      const parsed = parse('back in 2021 I lived abroad');
+      expect(parsed).toMatchObject({ granularity: 'year' });
+      expect(parsed.start).toEqual(day(2021, 0, 1));
+      expect(parsed.end).toEqual(endOfDay(2021, 11, 31));
+    });
+
+    test('parses "<n> <unit> ago"', () => {
+      const parsed = parse('three days ago');
+      expect(parsed).toMatchObject({ granularity: 'day', ambiguous: false });
+      expect(parsed.start).toEqual(day(2025, 5, 15));
+      expect(parsed.end).toEqual(endOfDay(2025, 5, 15));
+      expect(parse('2 months ago').start).toEqual(day(2025, 3, 1));
+    });
+
+    test('vague counts are ambiguous', () => {
+      expect(parse('a few weeks ago')).toMatchObject({ granularity: 'week', ambiguous: true });
+    });
+
+    test('parses named periods with the configured week start', () => {
+      const lastWeek = parse('what did I do last week?');
+      expect(lastWeek.start).toEqual(day(2025, 5, 9));
+      expect(lastWeek.end).toEqual(endOfDay(2025, 5, 15));
+
+      const sundayWeek = parse('last week', { weekStartsOn: 0 });
+      expect(sundayWeek.start).toEqual(day(2025, 5, 8));
+
+      expect(parse('yesterday').start).toEqual(day(2025, 5, 17));
+      expect(parse('last year').start).toEqual(day(2024, 0, 1));
+    });
+
+    test('parses seasons', () => {
+      const lastSpring = parse('last spring');
+      expect(lastSpring).toMatchObject({ granularity: 'season', ambiguous: false });
+      expect(lastSpring.start).toEqual(day(2025, 2, 1));
+      expect(lastSpring.end).toEqual(endOfDay(2025, 4, 31));
+      expect(parse('in the fall')).toMatchObject({ granularity: 'season', ambiguous: true });
+    });
+
+    test('vague expressions only boost', () => {
+      const recently = parse('what have I been up to recently', { recentDays: 7 });
+      expect(recently).toMatchObject({ granularity: 'vague', ambiguous: true });
+      expect(recently.end).toEqual(now);
+    });
+  });
+
+  describe('Chinese', () => {
+    test('parses years and months', () => {
+      expect(parse('2024年5月的照片').start).toEqual(day(2024, 4, 1));
+      expect(parse('2023年').granularity).toBe('year');
+      expect(parse('去年三月').start).toEqual(day(2024, 2, 1));
+    });
+
+    test('parses relative periods', () => {
+      expect(parse('三天前').start).toEqual(day(2025, 5, 15));
+      expect(parse('上周我做了什么').start).toEqual(day(2025, 5, 9));
+      expect(parse('昨天').start).toEqual(day(2025, 5, 17));
+      expect(parse('去年春天').start).toEqual(day(2024, 2, 1));
+      expect(parse('几个月前')).toMatchObject({ ambiguous: true });
+      expect(parse('最近怎么样')).toMatchObject({ granularity: 'vague', ambiguous: true });
+    });
+  });
+
+  describe('event anchors', () => {
+    test('returns an anchor for the caller to resolve', () => {
+      expect(parse('the week of my trip to Japan')).toEqual({
+        expression: 'the week of my trip to Japan',
+        anchor: { text: 'trip to Japan', granularity: 'week', relation: 'of' },
+        ambiguous: true,
+      });
+      expect(parse('我旅行那周').anchor).toEqual({ text: '旅行', granularity: 'week', relation: 'of' });
+    });
+  });
+});
+
+describe('rangeAroundAnchor', () => {
+  const anchorDate = new Date(2025, 5, 18, 10);
+
+  test('covers the period of the anchor', () => {
+    const range = rangeAroundAnchor(anchorDate, { granularity: 'week', relation: 'of' });
+    expect(range.start).toEqual(day(2025, 5, 16));
+    expect(range.end).toEqual(endOfDay(2025, 5, 22));
+  });
+
+  test('shifts by one period before and after', () => {
+    expect(rangeAroundAnchor(anchorDate, { granularity: 'day', relation: 'before' })).toEqual({ start: day(2025, 5, 17), end: endOfDay(2025, 5, 17) });
+    expect(rangeAroundAnchor(anchorDate, { granularity: 'day', relation: 'after' })).toEqual({ start: day(2025, 5, 19), end: endOfDay(2025, 5, 19) });
+  });
+});
+
+describe('temporalProximityScore', () => {
+  const range = { start: day(2025, 5, 1), end: endOfDay(2025, 5, 10) };
+
+  test('is 1 inside the range and decays outside of it', () => {
+    expect(temporalProximityScore(day(2025, 5, 5), range)).toBe(1);
+    const oneRangeAfter = new Date(range.end.getTime() + (range.end - range.start));
+    expect(temporalProximityScore(oneRangeAfter, range)).toBeCloseTo(0.5);
+  });
+
+  test('is neutral without a timestamp', () => {
+    expect(temporalProximityScore(null, range)).toBe(0.5);
+    expect(temporalProximityScore(day(2025, 5, 5), null)).toBe(0.5);
+  });
+});